@@ -0,0 +1,16 @@
+-- Migration 007: Appointment Status Transitions
+--
+-- Tracks who/when for the last status change (completed, no_show, ...).
+-- Full history lives in audit_logs.
+--
+-- Rollback:
+--   DROP INDEX IF EXISTS idx_appointments_noshow_scan;
+--   ALTER TABLE appointments DROP COLUMN IF EXISTS status_changed_at;
+--   ALTER TABLE appointments DROP COLUMN IF EXISTS status_changed_by;
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS status_changed_by TEXT;
+
+-- Supports the automatic no-show job (confirmed appointments past their time)
+CREATE INDEX IF NOT EXISTS idx_appointments_noshow_scan
+ON appointments (hospital_id, status, appointment_time);
@@ -0,0 +1,38 @@
+-- Migration 008: Schedule Exceptions
+--
+-- One-off changes to the weekly doctor_availability schedule:
+-- - 'closed': doctor leave or hospital-wide holiday (e.g. Eid), full day or a time range
+-- - 'extra':  additional clinic hours for a doctor (e.g. an extra Saturday clinic)
+--
+-- doctor_id NULL = applies to every doctor of the hospital ('closed' only).
+-- start_time/end_time NULL = the whole day.
+--
+-- Rollback: DROP TABLE IF EXISTS schedule_exceptions;
+
+CREATE TABLE IF NOT EXISTS schedule_exceptions (
+    id SERIAL PRIMARY KEY,
+    hospital_id TEXT NOT NULL,
+    doctor_id INTEGER,
+    exception_type TEXT NOT NULL CHECK (exception_type IN ('closed', 'extra')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    reason TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT fk_exceptions_hospital FOREIGN KEY (hospital_id)
+        REFERENCES hospitals(hospital_id) ON DELETE CASCADE,
+    CONSTRAINT fk_exceptions_doctor FOREIGN KEY (doctor_id)
+        REFERENCES doctors_v2(id) ON DELETE CASCADE,
+    CONSTRAINT chk_exceptions_dates CHECK (start_date <= end_date),
+    CONSTRAINT chk_exceptions_times CHECK (
+        (start_time IS NULL AND end_time IS NULL) OR (start_time < end_time)
+    ),
+    CONSTRAINT chk_exceptions_extra CHECK (
+        exception_type <> 'extra' OR (doctor_id IS NOT NULL AND start_time IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_exceptions_hospital_dates ON schedule_exceptions(hospital_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_exceptions_doctor ON schedule_exceptions(doctor_id);
@@ -0,0 +1,26 @@
+-- Migration 009: Per-Doctor / Per-Department Slot Settings
+--
+-- Slot length, buffer between patients and daily patient cap.
+-- NULL = inherit (doctor → department → system default of 15 min, no buffer, no cap).
+--
+-- appointments.duration_minutes records the length booked, so overlap
+-- checks stay correct after a doctor's slot length changes.
+--
+-- Rollback:
+--   ALTER TABLE departments DROP COLUMN IF EXISTS slot_duration_minutes;
+--   ALTER TABLE departments DROP COLUMN IF EXISTS buffer_minutes;
+--   ALTER TABLE departments DROP COLUMN IF EXISTS max_daily_patients;
+--   ALTER TABLE doctors_v2 DROP COLUMN IF EXISTS slot_duration_minutes;
+--   ALTER TABLE doctors_v2 DROP COLUMN IF EXISTS buffer_minutes;
+--   ALTER TABLE doctors_v2 DROP COLUMN IF EXISTS max_daily_patients;
+--   ALTER TABLE appointments DROP COLUMN IF EXISTS duration_minutes;
+
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS slot_duration_minutes INTEGER CHECK (slot_duration_minutes > 0);
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS buffer_minutes INTEGER CHECK (buffer_minutes >= 0);
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS max_daily_patients INTEGER CHECK (max_daily_patients > 0);
+
+ALTER TABLE doctors_v2 ADD COLUMN IF NOT EXISTS slot_duration_minutes INTEGER CHECK (slot_duration_minutes > 0);
+ALTER TABLE doctors_v2 ADD COLUMN IF NOT EXISTS buffer_minutes INTEGER CHECK (buffer_minutes >= 0);
+ALTER TABLE doctors_v2 ADD COLUMN IF NOT EXISTS max_daily_patients INTEGER CHECK (max_daily_patients > 0);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
@@ -0,0 +1,48 @@
+-- Migration 010: Waitlist
+--
+-- Patients waiting for a slot in a fully booked department (optionally a
+-- specific doctor) within a date range. When a slot frees up (cancellation,
+-- reschedule, abandoned booking, expired offer) the oldest matching entry is
+-- offered the slot by SMS and the slot is held for them with the Redis slot lock.
+--
+-- status: waiting → offered → booked
+--                            → expired (offer not accepted in time)
+--         waiting → expired (date range passed) | cancelled
+--
+-- PHI: patient name/phone encrypted like appointments. The offer code is
+-- stored as a SHA-256 hash only.
+--
+-- Rollback: DROP TABLE IF EXISTS waitlist_entries;
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    hospital_id TEXT NOT NULL,
+    department_id INTEGER NOT NULL,
+    doctor_id INTEGER,
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    patient_name_encrypted TEXT,
+    patient_phone_encrypted TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled')),
+    offered_doctor_id INTEGER,
+    offered_time TIMESTAMP,
+    offer_code_hash TEXT,
+    offer_expires_at TIMESTAMPTZ,
+    appointment_id INTEGER,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT fk_waitlist_hospital FOREIGN KEY (hospital_id)
+        REFERENCES hospitals(hospital_id) ON DELETE CASCADE,
+    CONSTRAINT fk_waitlist_department FOREIGN KEY (department_id)
+        REFERENCES departments(id) ON DELETE CASCADE,
+    CONSTRAINT fk_waitlist_doctor FOREIGN KEY (doctor_id)
+        REFERENCES doctors_v2(id) ON DELETE CASCADE,
+    CONSTRAINT chk_waitlist_dates CHECK (date_from <= date_to)
+);
+
+-- Next-in-line lookup for a freed slot
+CREATE INDEX IF NOT EXISTS idx_waitlist_queue ON waitlist_entries(hospital_id, department_id, status, created_at);
+-- Expired offer scan
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers ON waitlist_entries(status, offer_expires_at);
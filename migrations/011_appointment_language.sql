@@ -0,0 +1,10 @@
+-- Migration 011: Appointment Language
+--
+-- Language the patient booked in ('English' / 'Arabic'), so reminders
+-- scheduled after a reschedule use the same template as the original.
+-- NULL = hospital default (reception and API bookings).
+--
+-- Rollback:
+--   ALTER TABLE appointments DROP COLUMN IF EXISTS preferred_language;
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(20);
@@ -0,0 +1,9 @@
+-- Migration 012: Patient Confirmation by SMS
+--
+-- Set when the patient replies CONFIRM to a reminder. The status stays
+-- 'confirmed'; this only records that the patient said they will come.
+--
+-- Rollback:
+--   ALTER TABLE appointments DROP COLUMN IF EXISTS patient_confirmed_at;
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS patient_confirmed_at TIMESTAMPTZ;
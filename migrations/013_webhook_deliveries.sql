@@ -0,0 +1,38 @@
+-- Migration 013: Webhook Deliveries
+--
+-- Delivery log for outbound escalation webhooks (on-call bot, ticketing
+-- system). Each row is one event sent to one URL; the webhookQueue worker
+-- POSTs it with an HMAC signature and retries with exponential backoff.
+--
+-- status: pending → delivered
+--                 → retrying → delivered | dead_letter
+--         pending → dead_letter (rejected by receiver / no signing secret)
+--         dead_letter → pending (redelivered by an admin)
+--
+-- PHI: payload is the PHI-safe escalation payload (IDs and reason only).
+-- Receiver response bodies are never stored.
+--
+-- Rollback: DROP TABLE IF EXISTS webhook_deliveries;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    hospital_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    target_url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'retrying', 'delivered', 'dead_letter')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    last_attempt_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    dead_lettered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT fk_webhook_deliveries_hospital FOREIGN KEY (hospital_id)
+        REFERENCES hospitals(hospital_id) ON DELETE CASCADE
+);
+
+-- Per-hospital delivery log / dead-letter view
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hospital ON webhook_deliveries(hospital_id, status, created_at DESC);
@@ -0,0 +1,36 @@
+-- Migration 014: Live Human Takeover
+--
+-- Escalated conversations can be claimed by a staff member, who chats with
+-- the patient directly (chat widget / WhatsApp) and then hands the
+-- conversation back to the AI or closes it.
+--
+-- escalation_records.status: pending → claimed → returned (back to AI)
+--                                              → resolved (closed by staff)
+--
+-- escalation_messages: transcript of the takeover. Seeded with the
+-- conversation's REDACTED history at handoff; patient messages during the
+-- takeover are stored redacted too. Text is encrypted at rest.
+--
+-- Rollback:
+--   DROP TABLE IF EXISTS escalation_messages;
+--   ALTER TABLE escalation_records DROP COLUMN IF EXISTS claimed_by,
+--     DROP COLUMN IF EXISTS claimed_at, DROP COLUMN IF EXISTS updated_at;
+
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS escalation_messages (
+    id SERIAL PRIMARY KEY,
+    escalation_id INTEGER NOT NULL,
+    hospital_id TEXT NOT NULL,
+    sender TEXT NOT NULL CHECK (sender IN ('patient', 'ai', 'staff', 'system')),
+    staff_username TEXT,
+    body_encrypted TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT fk_escalation_messages_escalation FOREIGN KEY (escalation_id)
+        REFERENCES escalation_records(id) ON DELETE CASCADE
+);
+
+-- Transcript polling (messages after the last seen ID)
+CREATE INDEX IF NOT EXISTS idx_escalation_messages_escalation ON escalation_messages(escalation_id, id);
@@ -0,0 +1,47 @@
+-- Migration 015: Escalation Lifecycle, SLA and Reporting
+--
+-- Every handoff is an escalation_records row (written since 014). Staff now
+-- acknowledge escalations and resolve them with a resolution category:
+--
+--   pending → acknowledged → claimed → returned (back to AI)
+--      │            │           └────→ resolved
+--      └────────────┴────────────────→ resolved (category required)
+--
+-- Unacknowledged escalations are re-notified every ack_sla_minutes
+-- (escalation_config, default 15) up to sla_max_notifications times.
+-- sla_notifications > 0 marks an SLA breach for reporting.
+--
+-- resolution_note_encrypted: optional staff note (may contain PHI, encrypted).
+--
+-- Rollback:
+--   DROP INDEX IF EXISTS idx_escalation_records_unacknowledged;
+--   DROP INDEX IF EXISTS idx_escalation_records_hospital_created;
+--   ALTER TABLE escalation_records DROP CONSTRAINT IF EXISTS chk_escalation_resolution_category,
+--     DROP COLUMN IF EXISTS acknowledged_at, DROP COLUMN IF EXISTS acknowledged_by,
+--     DROP COLUMN IF EXISTS resolved_by, DROP COLUMN IF EXISTS resolution_category,
+--     DROP COLUMN IF EXISTS resolution_note_encrypted, DROP COLUMN IF EXISTS sla_notifications,
+--     DROP COLUMN IF EXISTS last_notified_at;
+
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS acknowledged_by TEXT;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS resolved_by TEXT;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS resolution_category TEXT;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS resolution_note_encrypted TEXT;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS sla_notifications INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE escalation_records ADD COLUMN IF NOT EXISTS last_notified_at TIMESTAMP;
+
+ALTER TABLE escalation_records DROP CONSTRAINT IF EXISTS chk_escalation_resolution_category;
+ALTER TABLE escalation_records ADD CONSTRAINT chk_escalation_resolution_category CHECK (
+    resolution_category IS NULL OR resolution_category IN (
+        'appointment_booked', 'information_provided', 'callback_completed',
+        'referred', 'no_response', 'duplicate', 'other'
+    )
+);
+
+-- SLA check: unacknowledged escalations, oldest first
+CREATE INDEX IF NOT EXISTS idx_escalation_records_unacknowledged
+    ON escalation_records(created_at) WHERE status = 'pending';
+
+-- Reporting per hospital and date range
+CREATE INDEX IF NOT EXISTS idx_escalation_records_hospital_created
+    ON escalation_records(hospital_id, created_at);
@@ -0,0 +1,11 @@
+-- Migration 016: Appointment Triage Level
+--
+-- Severity tier assigned by triage when the patient booked through the chat.
+-- 'urgent' = same-day tier: the reception dashboard flags the booking so
+-- staff can prioritise it. NULL = routine (and reception / API bookings).
+--
+-- Rollback:
+--   ALTER TABLE appointments DROP COLUMN IF EXISTS triage_level;
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS triage_level VARCHAR(20)
+    CHECK (triage_level IN ('urgent'));
@@ -0,0 +1,27 @@
+-- Migration 017: Per-Hospital Prompt Templates
+--
+-- Versioned AI receptionist persona per hospital: tone, greetings, extra
+-- rules and system prompt templates per language (see config/promptTemplates.js).
+-- Versions are never edited: admins save a new version and activate it;
+-- rolling back = activating an older version.
+--
+-- hospitals.prompt_template_version: active version (NULL = built-in template).
+--
+-- Rollback:
+--   ALTER TABLE hospitals DROP COLUMN IF EXISTS prompt_template_version;
+--   DROP TABLE IF EXISTS prompt_templates;
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id SERIAL PRIMARY KEY,
+    hospital_id TEXT NOT NULL,
+    version INTEGER NOT NULL CHECK (version > 0),
+    config JSONB NOT NULL,
+    notes TEXT,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT fk_prompt_templates_hospital FOREIGN KEY (hospital_id)
+        REFERENCES hospitals(hospital_id) ON DELETE CASCADE,
+    CONSTRAINT uq_prompt_templates_hospital_version UNIQUE (hospital_id, version)
+);
+
+ALTER TABLE hospitals ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
@@ -367,6 +367,25 @@
         box-shadow: 0 4px 15px rgba(37, 99, 235, 0.3);
     }
 
+    /* Hospital staff replying after a handoff */
+    .message.staff {
+        background: #ecfdf5;
+        color: #064e3b;
+        border: 1px solid #a7f3d0;
+        border-bottom-left-radius: 4px;
+        align-self: flex-start;
+    }
+
+    .message.system {
+        max-width: 100%;
+        background: transparent;
+        color: #64748b;
+        font-size: 0.8rem;
+        font-style: italic;
+        text-align: center;
+        align-self: center;
+    }
+
     /* Markdown Styles within Messages */
     .message p { margin: 0 0 0.5em; }
     .message p:last-child { margin-bottom: 0; }
@@ -731,6 +750,13 @@
         return '/chat';
     }
 
+    // Streamed replies need fetch response streams; older browsers use /chat
+    const canStream = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+
+    function getStreamEndpoint() {
+        return `/${currentHospitalId}/chat/stream`;
+    }
+
     function getLanguageEndpoint() {
         return `/${currentHospitalId}/set-language`;
     }
@@ -743,6 +769,67 @@
         return `/${currentHospitalId}/session-status`;
     }
 
+    function getUpdatesEndpoint(afterId) {
+        return `/${currentHospitalId}/chat/updates?after=${afterId}`;
+    }
+
+    function getEventsEndpoint() {
+        return `/${currentHospitalId}/chat/events`;
+    }
+
+    // ============================================================
+    // STAFF TAKEOVER
+    // After a handoff, hospital staff may reply to the patient.
+    // The server pushes a notification (Server-Sent Events) when they do and
+    // the widget loads the new messages; browsers without EventSource poll.
+    // Stops when the conversation is handed back or closed.
+    // ============================================================
+
+    const TAKEOVER_POLL_INTERVAL_MS = 3000;
+    let takeoverTimer = null;
+    let takeoverEvents = null;
+    let takeoverLastId = 0;
+
+    function startTakeoverPolling() {
+        if (takeoverTimer || takeoverEvents) return;
+
+        if (window.EventSource) {
+            takeoverEvents = new EventSource(getEventsEndpoint());
+            takeoverEvents.addEventListener('takeover.message', pollTakeover);
+            // Also on reconnect: catch up on anything missed while disconnected
+            takeoverEvents.addEventListener('ready', pollTakeover);
+        } else {
+            takeoverTimer = setInterval(pollTakeover, TAKEOVER_POLL_INTERVAL_MS);
+            pollTakeover();
+        }
+    }
+
+    function stopTakeoverPolling() {
+        clearInterval(takeoverTimer);
+        takeoverTimer = null;
+        if (takeoverEvents) {
+            takeoverEvents.close();
+            takeoverEvents = null;
+        }
+    }
+
+    async function pollTakeover() {
+        try {
+            const res = await fetch(getUpdatesEndpoint(takeoverLastId));
+            if (!res.ok) return;
+            const data = await res.json();
+
+            (data.messages || []).forEach(m => {
+                addMessage(m.text, m.sender === 'staff' ? 'staff' : 'system');
+                takeoverLastId = Math.max(takeoverLastId, m.id);
+            });
+
+            if (!data.active) stopTakeoverPolling();
+        } catch (e) {
+            // Keep polling; connection may come back
+        }
+    }
+
     /**
      * Initialize UI based on server session state.
      * Checks the backend to see if language/consent are already set for this hospital.
@@ -761,6 +848,7 @@
                     localStorage.setItem(STORAGE_KEY_LANG, currentLanguage);
                     showChatArea();
                     updateLanguageSelector(currentLanguage);
+                    if (status.escalated) startTakeoverPolling();
                     return;
                 } else if (status.language && !status.consentGiven) {
                     // Language set but consent not given - show consent
@@ -996,6 +1084,7 @@
         }
         messagesContainer.appendChild(div);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return div;
     }
 
     // Welcome messages per language
@@ -1078,6 +1167,87 @@
         }
     }
 
+    /**
+     * Read the server-sent events of /chat/stream, showing the reply as it
+     * arrives (token events) in a partial bot message.
+     * @returns {Promise<{data: Object, partial: HTMLElement|null}>} Final response (done event)
+     */
+    async function readReplyStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let partial = null;
+        let partialText = '';
+        let data = null;
+
+        const handleEvent = (block) => {
+            const type = (block.match(/^event: (.+)$/m) || [])[1];
+            const payload = (block.match(/^data: (.*)$/m) || [])[1];
+            if (!type || !payload) return;
+            const event = JSON.parse(payload);
+
+            if (type === 'token') {
+                typingIndicator.style.display = 'none';
+                partialText += event.text;
+                if (!partial) partial = addMessage('', 'bot');
+                partial.innerHTML = parseMarkdown(partialText);
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            } else if (type === 'reset') {
+                // Server discarded the text shown so far (e.g. switched AI provider)
+                partialText = '';
+                if (partial) partial.remove();
+                partial = null;
+                typingIndicator.style.display = 'block';
+            } else if (type === 'done') {
+                data = event.body;
+            } else if (type === 'error') {
+                data = { error: event.error };
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            blocks.forEach(handleEvent);
+        }
+
+        if (!data) {
+            if (partial) partial.remove();
+            throw new Error('Reply stream ended early');
+        }
+        return { data, partial };
+    }
+
+    /**
+     * Show a chat response (POST /chat body, or the done event of /chat/stream).
+     * The final reply replaces any partial streamed message.
+     */
+    function showResponse(data, partial = null) {
+        if (partial) partial.remove();
+
+        if (data.needsConsent) {
+            // Server says consent is needed - show consent buttons
+            if (data.reply) addMessage(data.reply, 'bot');
+            const lang = currentLanguage;
+            const yesText = lang === 'Arabic' ? 'نعم، أوافق' : (lang === 'Roman Arabic' ? 'Aywa, Muwafiq' : 'Yes, I Agree');
+            const noText = lang === 'Arabic' ? 'لا' : (lang === 'Roman Arabic' ? 'La' : 'No');
+            addConsentButtons(yesText, noText);
+        } else if (data.needsLanguage) {
+            // Server says language is needed (session expired) - re-show language selection screen
+            if (data.reply) addMessage(data.reply, 'bot');
+            resetToLanguageSelection();
+        } else if (data.reply) {
+            addMessage(data.reply, 'bot');
+        } else if (data.error) {
+            addMessage(`Error: ${data.error}`, 'bot');
+        }
+
+        if (data.escalated || data.takeover) startTakeoverPolling();
+    }
+
     async function sendMessage(overrideText) {
         const text = overrideText || input.value.trim();
         if (!text) return;
@@ -1091,32 +1261,21 @@
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
         try {
-            const response = await fetch(getApiEndpoint(), {
+            const response = await fetch(canStream ? getStreamEndpoint() : getApiEndpoint(), {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ message: text, sessionId: sessionId })
             });
 
-            const data = await response.json();
-
-            // Hide Typing
-            typingIndicator.style.display = 'none';
-
-            if (data.needsConsent) {
-                // Server says consent is needed - show consent buttons
-                if (data.reply) addMessage(data.reply, 'bot');
-                const lang = currentLanguage;
-                const yesText = lang === 'Arabic' ? 'نعم، أوافق' : (lang === 'Roman Arabic' ? 'Aywa, Muwafiq' : 'Yes, I Agree');
-                const noText = lang === 'Arabic' ? 'لا' : (lang === 'Roman Arabic' ? 'La' : 'No');
-                addConsentButtons(yesText, noText);
-            } else if (data.needsLanguage) {
-                // Server says language is needed (session expired) - re-show language selection screen
-                if (data.reply) addMessage(data.reply, 'bot');
-                resetToLanguageSelection();
-            } else if (data.reply) {
-                addMessage(data.reply, 'bot');
-            } else if (data.error) {
-                addMessage(`Error: ${data.error}`, 'bot');
+            // Refusals before the pipeline (consent, language, rate limit) are plain JSON
+            if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                const { data, partial } = await readReplyStream(response);
+                typingIndicator.style.display = 'none';
+                showResponse(data, partial);
+            } else {
+                const data = await response.json();
+                typingIndicator.style.display = 'none';
+                showResponse(data);
             }
         } catch (error) {
             typingIndicator.style.display = 'none';
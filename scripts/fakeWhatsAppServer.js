@@ -0,0 +1,175 @@
+/**
+ * Fake WhatsApp Cloud API Server
+ * 
+ * Local stand-in for graph.facebook.com for tests and development:
+ * - Accepts outbound messages (POST /:version/:phone_number_id/messages)
+ *   and records them instead of sending
+ * - Delivers simulated patient messages to the app's webhook, signed
+ *   like Meta's (X-Hub-Signature-256)
+ * 
+ * Usage:
+ *   WHATSAPP_API_BASE_URL=http://localhost:4010/v19.0 \
+ *   WHATSAPP_ACCESS_TOKEN=dev WHATSAPP_APP_SECRET=dev-secret npm start
+ * 
+ *   FAKE_WHATSAPP_TARGET=http://localhost:3000/default/whatsapp/webhook \
+ *   WHATSAPP_APP_SECRET=dev-secret node scripts/fakeWhatsAppServer.js
+ * 
+ *   # Send a patient message:
+ *   curl -X POST localhost:4010/simulate -H 'Content-Type: application/json' \
+ *     -d '{"from":"966500000000","text":"English","phone_number_id":"1234567890"}'
+ * 
+ *   # Messages the app sent:
+ *   curl localhost:4010/sent
+ * 
+ * In tests: const { startFakeWhatsAppServer } = require('../../scripts/fakeWhatsAppServer');
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * Start the fake server.
+ * 
+ * @param {Object} options
+ * @param {number} options.port - Port (0 = random)
+ * @param {string} options.target - App webhook URL for simulated messages
+ * @param {string} options.appSecret - Secret used to sign simulated webhooks
+ * @param {boolean} options.verbose - Print outbound messages
+ * @returns {Promise<Object>} { url, baseUrl, sent, sendInbound, waitForMessages, close }
+ */
+function startFakeWhatsAppServer({ port = 0, target = null, appSecret = process.env.WHATSAPP_APP_SECRET, verbose = false } = {}) {
+    const sent = [];
+    const waiters = [];
+    let messageCounter = 0;
+
+    const app = express();
+    app.use(express.json());
+
+    app.post('/:version/:phoneNumberId/messages', (req, res) => {
+        if (!/^Bearer .+/.test(req.get('authorization') || '')) {
+            return res.status(401).json({ error: { message: 'Invalid OAuth access token', code: 190 } });
+        }
+        if (req.body.messaging_product !== 'whatsapp' || !req.body.to || typeof req.body.text?.body !== 'string') {
+            return res.status(400).json({ error: { message: 'Invalid parameter', code: 100 } });
+        }
+
+        const id = `wamid.fake-out-${++messageCounter}`;
+        sent.push({ id, phoneNumberId: req.params.phoneNumberId, to: req.body.to, text: req.body.text.body, payload: req.body });
+        waiters.splice(0).forEach(check => check());
+        if (verbose) console.log(`→ ${req.body.to}: ${req.body.text.body}\n`);
+
+        res.json({
+            messaging_product: 'whatsapp',
+            contacts: [{ input: req.body.to, wa_id: req.body.to }],
+            messages: [{ id }]
+        });
+    });
+
+    app.get('/sent', (req, res) => res.json(sent));
+
+    app.post('/simulate', async (req, res) => {
+        try {
+            const result = await sendInbound({
+                from: req.body.from,
+                text: req.body.text,
+                phoneNumberId: req.body.phone_number_id
+            });
+            res.status(result.status).json({ id: result.id });
+        } catch (err) {
+            res.status(502).json({ error: err.message });
+        }
+    });
+
+    /**
+     * Build a webhook payload as sent by Meta for one text message.
+     */
+    function buildPayload({ from, text, phoneNumberId = '1234567890', id }) {
+        return {
+            object: 'whatsapp_business_account',
+            entry: [{
+                id: 'fake-waba',
+                changes: [{
+                    field: 'messages',
+                    value: {
+                        messaging_product: 'whatsapp',
+                        metadata: { display_phone_number: '966110000000', phone_number_id: phoneNumberId },
+                        contacts: [{ profile: { name: 'Test Patient' }, wa_id: from }],
+                        messages: [{
+                            from,
+                            id,
+                            timestamp: String(Math.floor(Date.now() / 1000)),
+                            type: 'text',
+                            text: { body: text }
+                        }]
+                    }
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Deliver a simulated patient message to the app's webhook.
+     * 
+     * @returns {Promise<{status: number, id: string}>}
+     */
+    async function sendInbound({ from, text, phoneNumberId, id = `wamid.fake-in-${crypto.randomBytes(6).toString('hex')}`, url = target, secret = appSecret }) {
+        if (!url) throw new Error('No webhook target configured');
+
+        const body = JSON.stringify(buildPayload({ from, text, phoneNumberId, id }));
+        const signature = 'sha256=' + crypto.createHmac('sha256', secret || '').update(body).digest('hex');
+
+        const response = await axios.post(url, body, {
+            headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+            validateStatus: () => true
+        });
+        return { status: response.status, id };
+    }
+
+    /**
+     * Resolve once at least `count` messages have been sent by the app.
+     */
+    function waitForMessages(count, timeoutMs = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${count} WhatsApp messages (got ${sent.length})`)), timeoutMs);
+            const check = () => {
+                if (sent.length >= count) {
+                    clearTimeout(timer);
+                    resolve(sent.slice(0, count));
+                } else {
+                    waiters.push(check);
+                }
+            };
+            check();
+        });
+    }
+
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            const url = `http://localhost:${server.address().port}`;
+            resolve({
+                url,
+                baseUrl: `${url}/v19.0`,
+                sent,
+                buildPayload,
+                sendInbound,
+                waitForMessages,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startFakeWhatsAppServer };
+
+if (require.main === module) {
+    startFakeWhatsAppServer({
+        port: parseInt(process.env.PORT || '4010', 10),
+        target: process.env.FAKE_WHATSAPP_TARGET || null,
+        verbose: true
+    }).then(({ url, baseUrl }) => {
+        console.log(`📱 Fake WhatsApp Cloud API listening on ${url}`);
+        console.log(`   Set WHATSAPP_API_BASE_URL=${baseUrl}`);
+        console.log(`   Webhook target: ${process.env.FAKE_WHATSAPP_TARGET || '(none - set FAKE_WHATSAPP_TARGET)'}`);
+    });
+}
@@ -0,0 +1,156 @@
+/**
+ * Triage Rules Harness
+ *
+ * Runs a labelled corpus of patient messages against a triage rule set and
+ * reports misses. Use it before shipping a rule change or a hospital's
+ * triage_rules overrides.
+ *
+ * Corpus: JSON Lines, one case per line:
+ *   {"message": "ألم في الصدر", "expect": "emergency"}
+ *   {"message": "my infant has a fever", "expect": "urgent"}
+ *   {"message": "snani t3awirni", "expect": "Dentistry"}
+ *   {"message": "what are your working hours?", "expect": "none"}
+ * `expect` is 'emergency', 'urgent', 'none' or a rule set department (or
+ * the hospital's alias for it).
+ *
+ * Usage:
+ *   node scripts/triageHarness.js [--rules <name|file.json>] [--hospital <id>]
+ *                                 [--corpus <file.jsonl>] [--verbose]
+ *
+ * Exit code: 0 all cases pass, 1 misses, 2 invalid rules or corpus.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { loadRuleSet, compileRuleSet, applyOverrides, getTriageRules } = require('../src/config/triageRules');
+const { getHospitalConfig } = require('../src/config/hospitalConfig');
+const triageService = require('../src/services/triageService');
+
+const DEFAULT_CORPUS = path.join(__dirname, '../src/config/triage/corpus.jsonl');
+
+function parseArgs(argv) {
+    const args = { corpus: DEFAULT_CORPUS, rules: null, hospital: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--verbose' || arg === '-v') args.verbose = true;
+        else if (arg === '--rules') args.rules = argv[++i];
+        else if (arg === '--hospital') args.hospital = argv[++i];
+        else if (arg === '--corpus') args.corpus = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+}
+
+/**
+ * Load a JSONL corpus.
+ *
+ * @param {string} filePath - Corpus file
+ * @returns {Array} [{ line, message, expect }]
+ */
+function loadCorpus(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+    const cases = [];
+
+    lines.forEach((text, index) => {
+        if (!text.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${filePath}:${index + 1}: invalid JSON (${err.message})`);
+        }
+        if (typeof entry.message !== 'string' || typeof entry.expect !== 'string') {
+            throw new Error(`${filePath}:${index + 1}: "message" and "expect" are required`);
+        }
+        cases.push({ line: index + 1, message: entry.message, expect: entry.expect });
+    });
+
+    return cases;
+}
+
+/**
+ * Compiled rules for the run: a rule set file/name and/or a hospital's overrides.
+ */
+function resolveRules({ rules, hospital }) {
+    if (!rules) return getTriageRules(hospital);
+
+    // --rules replaces the hospital's rule_set; its other overrides still apply
+    const config = hospital ? getHospitalConfig(hospital) : null;
+    const { rule_set: _ruleSet, ...overrides } = config?.triage_rules || {};
+    return compileRuleSet(applyOverrides(loadRuleSet(rules), overrides, config?.emergency_number));
+}
+
+/**
+ * Run a corpus against compiled rules.
+ *
+ * @param {Array} cases - Corpus cases
+ * @param {Object} rules - Compiled rules
+ * @returns {Object} { total, passed, misses, byExpected }
+ */
+function runCorpus(cases, rules) {
+    const misses = [];
+    const byExpected = {};
+
+    for (const testCase of cases) {
+        const result = triageService.classify(testCase.message, rules);
+        const actual = result.status === 'routine' ? result.department
+            : (result.status === 'unknown' ? 'none' : result.status);
+        const passed = actual === testCase.expect ||
+            (result.status === 'routine' && result.ruleDepartment === testCase.expect);
+
+        const bucket = byExpected[testCase.expect] || (byExpected[testCase.expect] = { total: 0, passed: 0 });
+        bucket.total++;
+        if (passed) bucket.passed++;
+        else misses.push({ ...testCase, actual });
+    }
+
+    return { total: cases.length, passed: cases.length - misses.length, misses, byExpected };
+}
+
+function main() {
+    let args, rules, cases;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        rules = resolveRules(args);
+        cases = loadCorpus(args.corpus);
+    } catch (err) {
+        console.error(`\n❌ ${err.message}\n`);
+        return 2;
+    }
+
+    console.log('\n╔═══════════════════════════════════════════════════════════╗');
+    console.log('║              Triage Rules Harness                          ║');
+    console.log('╚═══════════════════════════════════════════════════════════╝\n');
+    console.log(`Rules:    ${rules.version}${args.hospital ? ` (hospital: ${args.hospital})` : ''}`);
+    console.log(`Corpus:   ${path.relative(process.cwd(), args.corpus)} (${cases.length} cases)\n`);
+
+    const report = runCorpus(cases, rules);
+
+    for (const [expected, bucket] of Object.entries(report.byExpected)) {
+        const icon = bucket.passed === bucket.total ? '✅' : '❌';
+        console.log(`   ${icon} ${expected.padEnd(18)} ${bucket.passed}/${bucket.total}`);
+    }
+
+    if (report.misses.length > 0) {
+        // Missed emergencies first: those are the dangerous ones
+        const ordered = [...report.misses].sort((a, b) => (b.expect === 'emergency') - (a.expect === 'emergency'));
+        console.log(`\nMisses (${report.misses.length}):`);
+        for (const miss of ordered) {
+            const flag = miss.expect === 'emergency' ? ' ⚠️ MISSED EMERGENCY' : '';
+            console.log(`   line ${miss.line}: expected ${miss.expect}, got ${miss.actual}${flag}`);
+            console.log(`      "${miss.message}"`);
+        }
+    } else if (args.verbose) {
+        cases.forEach(c => console.log(`   line ${c.line}: ${c.expect} ✓ "${c.message}"`));
+    }
+
+    console.log(`\nPassed: ${report.passed}/${report.total}\n`);
+    return report.misses.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exit(main());
+}
+
+module.exports = { loadCorpus, resolveRules, runCorpus };
@@ -19,22 +19,20 @@ const requestIdMiddleware = require('./src/middleware/requestId');
 const requireAdmin = require('./src/middleware/rbac');
 
 // Services
-const triageService = require('./src/services/triageService');
-const aiService = require('./src/services/aiService');
-const bookingService = require('./src/services/bookingService');
+const conversationOrchestrator = require('./src/services/conversationOrchestrator');
 
-const HumanHandoffService = require('./src/services/humanHandoffService');
 const healthRoutes = require('./src/routes/health');
 const hospitalRouter = require('./src/routes/hospitalRouter');
-const { getSafeAIInput } = require('./src/utils/safeAIInput');
 
 // Workers (Phase 5)
 const startSMSWorker = require('./src/workers/smsWorker');
 const startEmailWorker = require('./src/workers/emailWorker');
+const startWebhookWorker = require('./src/workers/webhookWorker');
 
 // Start workers
 startSMSWorker();
 startEmailWorker();
+startWebhookWorker();
 
 // Note: resolveHospitalContext is now applied via hospitalRouter
 
@@ -51,7 +49,11 @@ app.use(requestIdMiddleware);
 app.use(helmetMiddleware);
 app.set('trust proxy', 1); // Trust first proxy (required for rate limit/session behind Nginx/load balancer)
 app.use(corsMiddleware);
-app.use(express.json({ limit: '10kb' })); // Body limit against DOS
+// Body limit against DOS; raw body kept for webhook signature checks (WhatsApp)
+app.use(express.json({
+    limit: '10kb',
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(sanitizeInput);
 
 // 2. Session Management (Redis)
@@ -89,6 +91,7 @@ app.get('/admin/logs', requireAdmin, (req, res) => {
 // ============================================================
 // LEGACY ROUTE (DEPRECATED - Will be removed in Phase 3)
 // Kept for backward compatibility during transition
+// Runs the same conversation pipeline as /:hospital_id/chat
 // SECURITY NOTE: This still needs resolveHospitalContext for old clients
 // ============================================================
 const { resolveHospitalContext } = require('./src/middleware/hospitalContext');
@@ -107,217 +110,7 @@ app.post('/chat', rateLimitMiddleware, abuseProtection, async (req, res, next) =
   req.hospitalSession = req.session.hospitals[hospitalId];
   res.locals.hospitalSession = req.hospitalSession;
   next();
-}, resolveHospitalContext, phiRedaction, enforceLanguage, checkConsent, async (req, res) => {
-  try {
-    // req.body.message is now REDACTED. req.local.rawMessage is RAW.
-    const message = req.body.message;
-    // REQUIREMENT: Use res.locals (formerly req.local)
-    const rawMessage = res.locals.rawMessage || message;
-
-    // Get hospital context (MULTI-TENANT ISOLATION)
-    const hospitalId = res.locals.hospitalId;
-    const hospital = res.locals.hospital;
-
-    // AUDIT 1: Message Received (Redacted, with hospital_id)
-    auditLogger.info({
-      action: 'MESSAGE_RECEIVED',
-      hospital_id: hospitalId,
-      conversationId: req.sessionID,
-      actor: 'user',
-      data: {
-        message_redacted: message.substring(0, 100) + (message.length > 100 ? '...' : '')
-      }
-    });
-
-    if (!message || typeof message !== 'string' || message.length > 500) {
-      return res.status(400).json({ error: 'Invalid message format.' });
-    }
-
-    const session = req.session;
-    if (!session.history) session.history = [];
-
-    // --- CRITICAL: AI DISENGAGEMENT CHECK ---
-    // If session has been escalated, AI MUST NOT be called
-    // This is a HARD RULE for PHI safety and user experience
-    if (HumanHandoffService.isEscalated(session)) {
-      // AUDIT: Log that post-escalation message was received
-      auditLogger.info({
-        action: 'POST_ESCALATION_MESSAGE',
-        hospital_id: hospitalId,
-        conversationId: req.sessionID,
-        actor: 'user',
-        data: { note: 'User message received after escalation, AI not invoked' }
-      });
-
-      // Return static response - AI is NOT called
-      return res.json(HumanHandoffService.getEscalatedResponse());
-    }
-
-    // --- STEP 1: HYBRID TRIAGE (Use RAW message for safety) ---
-    const triageResult = triageService.evaluate(rawMessage);
-
-    // AUDIT 2: Triage Result (with hospital_id)
-    auditLogger.info({
-      action: 'TRIAGE_RESULT',
-      hospital_id: hospitalId,
-      conversationId: req.sessionID,
-      actor: 'system',
-      data: { status: triageResult.status, department: triageResult.department || 'none' }
-    });
-
-    // Emergency Bypass
-    if (triageResult.status === 'emergency') {
-      logger.warn(`Emergency bypass triggered for session ${req.sessionID}`);
-      return res.json({ reply: triageResult.response });
-    }
-
-    // --- STEP 2: CONTEXT PREP (Hospital-aware) ---
-    let contextData = {
-      hospital: hospital,
-      hospitalId: hospitalId,
-      workingHours: hospital.working_hours || null
-    };
-    if (triageResult.department) {
-      // Only process if department is valid for this hospital
-      if (hospital.departments.includes(triageResult.department)) {
-        logger.info(`Context: Fetched slots for ${triageResult.department} at ${hospital.name}`);
-        const slots = await bookingService.getAvailableSlots(triageResult.department, hospitalId);
-        contextData.availableSlots = slots.map(s => `${s.start_time} with ${s.doctor_name}`).join('\n');
-      } else {
-        logger.warn(`Department ${triageResult.department} not available at ${hospital.name}`);
-        contextData.availableSlots = null;
-      }
-    }
-
-    // --- STEP 3: HUMAN ESCALATION CHECK (Hospital-aware, Bilingual) ---
-    // Detects both English and Arabic handoff keywords
-    if (HumanHandoffService.isHandoffRequested(rawMessage)) {
-      const handoffResponse = await HumanHandoffService.triggerHandoff(
-        req.sessionID,
-        'User Keyword Request',
-        hospital,
-        session, // Pass session to set escalatedAt flag
-        HumanHandoffService.TRIGGER_TYPES.USER_REQUESTED
-      );
-      session.history.push({ role: 'user', content: message });
-      session.history.push({ role: 'assistant', content: handoffResponse.reply });
-      return res.json(handoffResponse);
-    }
-
-    // --- STEP 4: AI EXECUTION (PHI Safety Boundary) ---
-    // Store context data for getSafeAIInput
-    req._aiContext = contextData;
-
-    // Get safe AI input (ONLY redacted content)
-    const safeInput = getSafeAIInput(req);
-
-    // AIService now only accepts SafeAIInput instances
-    const aiResponse = await aiService.generateResponse(safeInput);
-
-    // AUDIT 3: AI Response (with hospital_id)
-    auditLogger.info({
-      action: 'AI_RESPONSE',
-      hospital_id: hospitalId,
-      conversationId: req.sessionID,
-      actor: 'ai_assistant',
-      data: {
-        reply_length: aiResponse.reply.length
-      }
-    });
-
-    // Update History (Store REDACTED user message)
-    session.history.push({ role: 'user', content: message });
-    session.history.push({ role: 'assistant', content: aiResponse.reply });
-
-    // --- STEP 4: BOOKING HANDLING & OTP ---
-    if (session.pendingBooking) {
-      // Check if message looks like OTP (6 digits)
-      // REQUIREMENT: Use RAW input for OTP
-      const otpCode = rawMessage.trim();
-      if (/^\d{6}$/.test(otpCode)) {
-        const isValid = await require('./src/services/otpService').verifyOtp(session.id, otpCode);
-        if (isValid) {
-          const { name, phone, department, date, time } = session.pendingBooking;
-          const exactSlot = await bookingService.findSlotByTime(department, date, time);
-
-          if (exactSlot) {
-            await bookingService.confirmBooking(exactSlot.id, name, phone);
-            logger.info(`Booking Confirmed via OTP: ID ${exactSlot.id}`);
-            delete session.pendingBooking; // Clear pending state
-            return res.json({ reply: "✅ Booking Confirmed! We look forward to seeing you." });
-          } else {
-            delete session.pendingBooking;
-            return res.json({ reply: "⚠️ The slot is no longer available. Please choose another time." });
-          }
-        } else {
-          return res.json({ reply: "❌ Invalid code. Please try again." });
-        }
-      }
-    }
-
-    if (aiResponse.bookingData) {
-      const { name, phone, department, date, time } = aiResponse.bookingData;
-
-      // Re-verify availability
-      const exactSlot = await bookingService.findSlotByTime(department, date, time);
-
-      if (exactSlot) {
-        // INSTEAD OF CONFIRMING, INITIATE OTP
-        const otp = await require('./src/services/otpService').generateOtp(session.id);
-
-        // Store in session
-        session.pendingBooking = aiResponse.bookingData;
-
-        // Send OTP Email (Async)
-        const { emailQueue } = require('./src/config/queue');
-        emailQueue.add('send-otp', {
-          details: { ...aiResponse.bookingData, otp }
-        });
-
-        // Reply to user
-        res.json({ reply: `${aiResponse.reply}\n\n🔒 **Security Check**: I have sent a 6-digit verification code to the hospital admin (simulation). Please type the code here to finalize your booking.` });
-        return;
-      } else {
-        logger.warn(`Booking Mismatch: AI proposed ${date} ${time} but slot invalid/taken.`);
-      }
-    }
-    // --- STEP 5: AUTO-HANDOFF CHECK ---
-    // Uses configurable threshold from hospital escalation_config
-    if (aiResponse.status === 'error') {
-      session.consecutiveErrors = (session.consecutiveErrors || 0) + 1;
-      logger.warn(`AI Failure Detected. Consecutive Errors: ${session.consecutiveErrors}`);
-
-      // Check if auto-escalation should trigger (uses hospital-specific threshold)
-      const autoTrigger = HumanHandoffService.checkAutoTrigger(session, aiResponse, hospital);
-
-      if (autoTrigger.shouldEscalate) {
-        logger.warn(`Auto-Handoff Triggered for Session ${req.sessionID}, reason: ${autoTrigger.triggerType}`);
-        const handoffResponse = await HumanHandoffService.triggerHandoff(
-          req.sessionID,
-          'Automatic Escalation',
-          hospital,
-          session, // Pass session to set escalatedAt flag
-          autoTrigger.triggerType
-        );
-        session.consecutiveErrors = 0; // Reset after handoff
-
-        session.history.push({ role: 'user', content: message });
-        session.history.push({ role: 'assistant', content: handoffResponse.reply });
-
-        return res.json(handoffResponse);
-      }
-    } else {
-      // Reset on success
-      session.consecutiveErrors = 0;
-    }
-
-    res.json({ reply: aiResponse.reply });
-
-  } catch (error) {
-    logger.error('Server Error in /chat', error);
-    res.status(500).json({ error: 'Internal system error.' });
-  }
-});
+}, resolveHospitalContext, phiRedaction, enforceLanguage, checkConsent, conversationOrchestrator.handler());
 
 
 // ============================================================
@@ -353,6 +146,10 @@ app.use((err, req, res, next) => {
 
 const { registerResources, installShutdownHandlers } = require('./src/utils/gracefulShutdown');
 const { enforceRetentionSafe } = require('./src/services/retentionService');
+const { markNoShowsAll, NO_SHOW_CHECK_INTERVAL_MS } = require('./src/services/noShowService');
+const WaitlistService = require('./src/services/waitlistService');
+const EscalationSlaService = require('./src/services/escalationSlaService');
+const RealtimeService = require('./src/services/realtimeService');
 const { initializeDatabase } = require('./src/config/productionDb');
 // redisClient already imported at top level
 
@@ -369,6 +166,7 @@ if (require.main === module) {
     // Register resources for graceful shutdown
     registerResources({
       server,
+      realtime: RealtimeService,
       redis: redisClient
     });
 
@@ -388,6 +186,40 @@ if (require.main === module) {
 
       logger.info('Retention policy scheduled (daily)');
 
+      // Flag confirmed appointments never checked in (per-hospital grace period)
+      setInterval(async () => {
+        try {
+          await markNoShowsAll(db);
+        } catch (err) {
+          logger.error('Scheduled no-show check failed:', err);
+        }
+      }, NO_SHOW_CHECK_INTERVAL_MS);
+
+      logger.info('No-show check scheduled');
+
+      // Pass unanswered waitlist offers on to the next patient (every instance
+      // runs this; expireOffers claims each offer for exactly one of them)
+      setInterval(async () => {
+        try {
+          await WaitlistService.expireOffersAll();
+        } catch (err) {
+          logger.error('Scheduled waitlist expiry failed:', err);
+        }
+      }, WaitlistService.WAITLIST_CHECK_INTERVAL_MS);
+
+      logger.info('Waitlist offer expiry scheduled');
+
+      // Re-notify escalations nobody has acknowledged within the SLA
+      setInterval(async () => {
+        try {
+          await EscalationSlaService.checkSlaAll();
+        } catch (err) {
+          logger.error('Scheduled escalation SLA check failed:', err);
+        }
+      }, EscalationSlaService.ESCALATION_SLA_CHECK_INTERVAL_MS);
+
+      logger.info('Escalation SLA check scheduled');
+
       // Run initial retention check after short delay
       setTimeout(async () => {
         try {
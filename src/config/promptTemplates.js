@@ -0,0 +1,162 @@
+/**
+ * System Prompt Templates
+ *
+ * The AI receptionist's system prompt is rendered from a template with
+ * {{placeholders}} filled from the hospital context (see
+ * AIService.buildSystemPrompt). Hospitals can store their own versioned
+ * persona (PromptTemplateService, admin API); without one DEFAULT_TEMPLATE is used.
+ *
+ * Persona config (one version):
+ * - tone:        replaces the default "Professional, Calm, Concise."
+ * - greeting:    per language; shown after consent and available as {{greeting}}
+ * - extra_rules: hospital rules listed after the grounding rules
+ * - templates:   full prompt per language ('default' = any language)
+ *
+ * SAFETY: {{grounding_rules}} and {{appointments}} are rendered by the
+ * system and every template must include them, so a hospital template can
+ * change the persona but not drop the grounding or booking rules.
+ * Live availability is not part of the prompt: the model fetches it with
+ * the check_availability tool (see {{appointments}}).
+ */
+
+const { z } = require('zod');
+
+const LANGUAGES = ['English', 'Arabic', 'Roman Arabic'];
+
+const DEFAULT_TONE = 'Professional, Calm, Concise.';
+
+const PLACEHOLDERS = [
+    'hospital_name',
+    'location',
+    'departments',
+    'emergency_number',
+    'working_hours',
+    'doctors',
+    'services',
+    'insurance',
+    'faq',
+    'language',
+    'tone',
+    'greeting',
+    'appointments',
+    'grounding_rules',
+    'extra_rules'
+];
+
+const REQUIRED_PLACEHOLDERS = ['grounding_rules', 'appointments'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATE = `
+You are a professional Hospital Receptionist for {{hospital_name}}.
+Role: Triage, Intake, Scheduling.
+Tone: {{tone}}
+Language: User prefers {{language}}. ALWAYS reply in {{language}} (or the language the user is speaking if they switch).
+
+=== HOSPITAL INFORMATION (THIS IS YOUR ONLY SOURCE OF TRUTH) ===
+- Name: {{hospital_name}}
+- Location: {{location}}
+- Departments: {{departments}}
+- Emergency: {{emergency_number}}
+- Working Hours: {{working_hours}}
+
+=== DOCTORS ===
+{{doctors}}
+
+=== SERVICES OFFERED ===
+{{services}}
+
+=== ACCEPTED INSURANCE ===
+{{insurance}}
+
+=== FREQUENTLY ASKED QUESTIONS ===
+{{faq}}
+
+{{appointments}}
+{{grounding_rules}}{{extra_rules}}`;
+
+/**
+ * Check a template's placeholders.
+ *
+ * @param {string} template
+ * @returns {string|null} Error message or null if valid
+ */
+function checkTemplate(template) {
+    const used = [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+    const unknown = [...new Set(used.filter(name => !PLACEHOLDERS.includes(name)))];
+    if (unknown.length > 0) {
+        return `unknown placeholder(s): ${unknown.map(name => `{{${name}}}`).join(', ')}`;
+    }
+
+    const missing = REQUIRED_PLACEHOLDERS.filter(name => !used.includes(name));
+    if (missing.length > 0) {
+        return `must include ${missing.map(name => `{{${name}}}`).join(' and ')}`;
+    }
+    return null;
+}
+
+const templateSchema = z.string().trim().min(1).max(8000).superRefine((template, refinement) => {
+    const error = checkTemplate(template);
+    if (error) refinement.addIssue({ code: 'custom', message: error });
+});
+
+const perLanguage = (schema) => z.object(Object.fromEntries(LANGUAGES.map(lang => [lang, schema.optional()]))).strict();
+
+const personaSchema = z.object({
+    tone: z.string().trim().min(1).max(200).optional(),
+    greeting: perLanguage(z.string().trim().min(1).max(500)).default({}),
+    extra_rules: z.array(z.string().trim().min(1).max(300)).max(20).default([]),
+    templates: perLanguage(templateSchema).extend({ default: templateSchema.optional() }).strict().default({})
+}).strict();
+
+/**
+ * Validate a persona config.
+ *
+ * @param {Object} raw - Persona config (admin input)
+ * @returns {{config: Object}|{error: string}} Normalized config, or the validation error
+ */
+function validatePersona(raw) {
+    const parsed = personaSchema.safeParse(raw ?? {});
+    if (!parsed.success) {
+        return {
+            error: parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ')
+        };
+    }
+    return { config: parsed.data };
+}
+
+/**
+ * Template for a language: language variant → 'default' variant → built-in.
+ *
+ * @param {Object} persona - Persona config (null = built-in)
+ * @param {string} language - Session language
+ * @returns {string}
+ */
+function selectTemplate(persona, language) {
+    return persona?.templates?.[language] || persona?.templates?.default || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Fill {{placeholders}}. Unknown names are left as they are (templates are
+ * validated when saved).
+ *
+ * @param {string} template
+ * @param {Object} variables - name → text
+ * @returns {string}
+ */
+function renderTemplate(template, variables) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+        (Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match));
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_TONE,
+    DEFAULT_TEMPLATE,
+    PLACEHOLDERS,
+    REQUIRED_PLACEHOLDERS,
+    validatePersona,
+    selectTemplate,
+    renderTemplate
+};
@@ -5,6 +5,7 @@ const { logger } = require('./logger');
 let emailQueue;
 let bookingQueue;
 let smsQueue;
+let webhookQueue;
 
 /**
  * Default job options for all queues.
@@ -39,9 +40,10 @@ try {
     // Check if we are mocking
     if (redisClient.constructor.name === 'MockRedis') {
         logger.warn('Queue System Disabled: Running in Mock/Dev Mode (No real Redis).');
-        emailQueue = { add: async () => logger.warn('Queue Mock: Email job skipped.'), close: async () => { } };
-        bookingQueue = { add: async () => logger.warn('Queue Mock: Booking job skipped.'), close: async () => { } };
-        smsQueue = { add: async () => logger.warn('Queue Mock: SMS job skipped.'), close: async () => { } };
+        emailQueue = { add: async () => logger.warn('Queue Mock: Email job skipped.'), remove: async () => 0, close: async () => { } };
+        bookingQueue = { add: async () => logger.warn('Queue Mock: Booking job skipped.'), remove: async () => 0, close: async () => { } };
+        smsQueue = { add: async () => logger.warn('Queue Mock: SMS job skipped.'), remove: async () => 0, close: async () => { } };
+        webhookQueue = { add: async () => logger.warn('Queue Mock: Webhook job skipped.'), remove: async () => 0, close: async () => { } };
     } else {
         emailQueue = new Queue('emailQueue', {
             connection,
@@ -55,10 +57,16 @@ try {
             connection,
             defaultJobOptions: DEFAULT_JOB_OPTIONS
         });
+        // Jobs set their own attempts/backoff (see webhookDeliveryService)
+        webhookQueue = new Queue('webhookQueue', {
+            connection,
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
 
         emailQueue.on('error', (err) => logger.error('Email Queue Error', err));
         bookingQueue.on('error', (err) => logger.error('Booking Queue Error', err));
         smsQueue.on('error', (err) => logger.error('SMS Queue Error', err));
+        webhookQueue.on('error', (err) => logger.error('Webhook Queue Error', err));
 
         logger.info('BullMQ Queues Initialized with retry config (attempts: 3, backoff: exponential)');
     }
@@ -66,11 +74,12 @@ try {
 } catch (err) {
     logger.error('Failed to initialize Queues', err);
     // Fallback mocks to prevent crash
-    emailQueue = { add: async () => { }, close: async () => { } };
-    bookingQueue = { add: async () => { }, close: async () => { } };
-    smsQueue = { add: async () => { }, close: async () => { } };
+    emailQueue = { add: async () => { }, remove: async () => 0, close: async () => { } };
+    bookingQueue = { add: async () => { }, remove: async () => 0, close: async () => { } };
+    smsQueue = { add: async () => { }, remove: async () => 0, close: async () => { } };
+    webhookQueue = { add: async () => { }, remove: async () => 0, close: async () => { } };
 }
 
-module.exports = { emailQueue, bookingQueue, smsQueue, DEFAULT_JOB_OPTIONS };
+module.exports = { emailQueue, bookingQueue, smsQueue, webhookQueue, DEFAULT_JOB_OPTIONS };
 
 
@@ -24,10 +24,15 @@ if (process.env.REDIS_URL) {
 } else {
     logger.warn('REDIS_URL not set. Using Mock Redis (Memory) - NOT FOR PRODUCTION');
 
+    // Pub/sub within this process only (subscribing connections)
+    const subscribers = new Set();
+
     // Minimal Mock Implementation for Session & Rate Limit Fallback
     class MockRedis {
         constructor() {
             this.data = new Map();
+            this.channels = new Set();
+            this.messageListeners = [];
         }
 
         // Standard Redis commands needed for sessions/rate-limit
@@ -47,6 +52,10 @@ if (process.env.REDIS_URL) {
                 const ttl = args[args.indexOf('EX') + 1];
                 setTimeout(() => this.data.delete(key), ttl * 1000);
             }
+            if (args.includes('PX')) {
+                const ttl = args[args.indexOf('PX') + 1];
+                setTimeout(() => { if (this.data.get(key) === val) this.data.delete(key); }, ttl).unref?.();
+            }
             return 'OK';
         }
         async del(keys) {
@@ -72,11 +81,38 @@ if (process.env.REDIS_URL) {
             }
             return 0;
         }
-        async quit() { return true; }
+        async quit() {
+            subscribers.delete(this);
+            return true;
+        }
+
+        // Pub/sub (realtime push)
+        async publish(channel, message) {
+            const targets = [...subscribers].filter(s => s.channels.has(channel));
+            // Delivered asynchronously, like a real subscriber connection
+            setImmediate(() => {
+                for (const target of targets) {
+                    target.messageListeners.forEach(cb => cb(channel, message));
+                }
+            });
+            return targets.length;
+        }
+        async subscribe(...channels) {
+            channels.forEach(c => this.channels.add(c));
+            subscribers.add(this);
+            return this.channels.size;
+        }
+        async unsubscribe(...channels) {
+            channels.forEach(c => this.channels.delete(c));
+            return this.channels.size;
+        }
 
         // For connect-redis
         duplicate() { return new MockRedis(); }
-        on(event, cb) { if (event === 'connect') cb(); }
+        on(event, cb) {
+            if (event === 'connect') cb();
+            if (event === 'message') this.messageListeners.push(cb);
+        }
     }
 
     redisClient = new MockRedis();
@@ -0,0 +1,307 @@
+/**
+ * Triage Rules Loader
+ *
+ * Loads versioned triage rule sets (src/config/triage/<name>.json) and
+ * compiles them per hospital. One rule set drives triage, the pre-language
+ * and pre-consent safety bypasses and the abuse protection emergency bypass.
+ *
+ * Rule set format (version 1):
+ * - emergency:          red flags → emergency response (per language)
+ * - urgent:             same-day tier (optional) → urgent response, same-day
+ *                       slots first, booking flagged for reception
+ * - urgent_default_department: department for urgent messages that match none
+ * - safety_keywords:    distress words that must always get through the
+ *                       gates before triage (abuse limits, language, consent)
+ * - departments:        department → keywords; first match wins (file order)
+ * - department_aliases: hospital department name → rule set department
+ * - emergency_numbers:  first one is shown in the emergency response
+ * - responses:          emergency and urgent response templates
+ *                       ({emergency_number}, urgent also {hospital_phone})
+ *
+ * Phrases are regex fragments per language: 'en' and 'arabizi' are matched
+ * case-insensitively between ASCII word boundaries, 'ar' against normalized
+ * Arabic (see normalizeArabic) with optional و/ف/ب/ل/ك and ال prefixes.
+ *
+ * Per hospital: `triage_rules` in the hospital config selects the rule set
+ * (`rule_set`, default 'default') and adds phrases, departments, aliases or
+ * emergency numbers. `emergency_number` is used when no numbers are given.
+ * Invalid hospital overrides are logged and ignored (base rules still apply).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { z } = require('zod');
+const { logger } = require('./logger');
+
+const RULES_DIR = path.join(__dirname, 'triage');
+const DEFAULT_RULE_SET = 'default';
+const SUPPORTED_VERSION = 1;
+const LANGUAGES = ['en', 'ar', 'arabizi'];
+
+// Arabic letters (after normalization); used as word boundaries since \b only knows ASCII
+const AR_LETTER = '\\u0621-\\u064A';
+
+const phraseSetSchema = z.object({
+    en: z.array(z.string()).default([]),
+    ar: z.array(z.string()).default([]),
+    arabizi: z.array(z.string()).default([])
+}).strict();
+
+const responseSchema = z.object({ en: z.string().min(1), ar: z.string().min(1) });
+
+const ruleSetSchema = z.object({
+    version: z.literal(SUPPORTED_VERSION),
+    name: z.string().min(1),
+    revision: z.string().min(1),
+    description: z.string().optional(),
+    emergency_numbers: z.array(z.string().regex(/^\d{3,6}$/)).min(1),
+    emergency: phraseSetSchema,
+    urgent: phraseSetSchema.default({ en: [], ar: [], arabizi: [] }),
+    urgent_default_department: z.string().optional(),
+    safety_keywords: phraseSetSchema,
+    departments: z.record(z.string(), phraseSetSchema),
+    department_aliases: z.record(z.string(), z.string()).default({}),
+    responses: z.object({
+        emergency: responseSchema,
+        urgent: responseSchema.optional()
+    })
+}).strict();
+
+const hospitalOverrideSchema = z.object({
+    rule_set: z.string().regex(/^[a-z0-9_-]+$/).optional(),
+    emergency_numbers: z.array(z.string().regex(/^\d{3,6}$/)).min(1).optional(),
+    emergency: phraseSetSchema.partial().optional(),
+    urgent: phraseSetSchema.partial().optional(),
+    urgent_default_department: z.string().optional(),
+    safety_keywords: phraseSetSchema.partial().optional(),
+    departments: z.record(z.string(), phraseSetSchema.partial()).optional(),
+    department_aliases: z.record(z.string(), z.string()).optional()
+}).strict();
+
+const ruleSetCache = new Map();  // rule set name/path -> validated rule set
+const compiledCache = new Map(); // hospital key -> compiled rules
+
+/**
+ * Normalize Arabic spelling variants so one pattern covers them:
+ * diacritics and tatweel removed, أ إ آ → ا, ة → ه, ى → ي, ؤ → و, ئ → ي.
+ */
+function normalizeArabic(text) {
+    return text
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/ؤ/g, 'و')
+        .replace(/ئ/g, 'ي');
+}
+
+/**
+ * Compile one language's phrases into a single regex (null if none).
+ */
+function compilePhrases(phrases, language) {
+    if (!phrases || phrases.length === 0) return null;
+    const source = phrases.join('|');
+
+    if (language === 'ar') {
+        return new RegExp(`(?<![${AR_LETTER}])(?:[وفبلك])?(?:ال)?(?:${source})(?![${AR_LETTER}])`);
+    }
+    return new RegExp(`\\b(?:${source})\\b`, 'i');
+}
+
+function compilePhraseSet(phraseSet) {
+    return LANGUAGES.map(language => compilePhrases(phraseSet[language], language)).filter(Boolean);
+}
+
+function mergePhraseSets(base = {}, extra = {}) {
+    const merged = {};
+    for (const language of LANGUAGES) {
+        merged[language] = [...(base[language] || []), ...(extra[language] || [])];
+    }
+    return merged;
+}
+
+function formatIssues(error) {
+    return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+}
+
+/**
+ * Load and validate a rule set by name (src/config/triage/<name>.json) or file path.
+ *
+ * @param {string} nameOrPath - Rule set name or path to a JSON file
+ * @returns {Object} Validated rule set
+ * @throws {Error} Missing file, invalid JSON, unsupported version or invalid rules
+ */
+function loadRuleSet(nameOrPath = DEFAULT_RULE_SET) {
+    if (ruleSetCache.has(nameOrPath)) return ruleSetCache.get(nameOrPath);
+
+    const filePath = nameOrPath.endsWith('.json')
+        ? path.resolve(nameOrPath)
+        : path.join(RULES_DIR, `${nameOrPath}.json`);
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Triage rules: Cannot read ${filePath}: ${err.message}`);
+    }
+
+    if (raw.version !== SUPPORTED_VERSION) {
+        throw new Error(`Triage rules: ${filePath} has version ${raw.version}, expected ${SUPPORTED_VERSION}`);
+    }
+
+    const parsed = ruleSetSchema.safeParse(raw);
+    if (!parsed.success) {
+        throw new Error(`Triage rules: ${filePath} is invalid: ${formatIssues(parsed.error)}`);
+    }
+
+    const ruleSet = parsed.data;
+    validateRuleSet(ruleSet, filePath);
+
+    ruleSetCache.set(nameOrPath, ruleSet);
+    return ruleSet;
+}
+
+/**
+ * Checks the schema cannot express: phrases compile, aliases and the urgent
+ * department point to departments, urgent phrases come with a response.
+ */
+function validateRuleSet(ruleSet, source) {
+    const sections = [['emergency', ruleSet.emergency], ['urgent', ruleSet.urgent],
+        ['safety_keywords', ruleSet.safety_keywords],
+        ...Object.entries(ruleSet.departments).map(([dept, phrases]) => [`departments.${dept}`, phrases])];
+
+    for (const [section, phraseSet] of sections) {
+        for (const language of LANGUAGES) {
+            try {
+                compilePhrases(phraseSet[language], language);
+            } catch (err) {
+                throw new Error(`Triage rules: ${source} ${section}.${language}: ${err.message}`);
+            }
+        }
+    }
+
+    for (const [alias, department] of Object.entries(ruleSet.department_aliases)) {
+        if (!ruleSet.departments[department]) {
+            throw new Error(`Triage rules: ${source} alias '${alias}' points to unknown department '${department}'`);
+        }
+    }
+
+    const urgentDepartment = ruleSet.urgent_default_department;
+    if (urgentDepartment && !ruleSet.departments[urgentDepartment]) {
+        throw new Error(`Triage rules: ${source} urgent_default_department '${urgentDepartment}' is not a department`);
+    }
+
+    if (LANGUAGES.some(language => ruleSet.urgent[language].length > 0) && !ruleSet.responses.urgent) {
+        throw new Error(`Triage rules: ${source} has urgent phrases but no responses.urgent`);
+    }
+}
+
+/**
+ * Apply a hospital's triage_rules overrides to a rule set.
+ */
+function applyOverrides(ruleSet, overrides = {}, emergencyNumber = null) {
+    const departments = { ...ruleSet.departments };
+    for (const [dept, phrases] of Object.entries(overrides.departments || {})) {
+        departments[dept] = mergePhraseSets(departments[dept], phrases);
+    }
+
+    const merged = {
+        ...ruleSet,
+        emergency_numbers: overrides.emergency_numbers || (emergencyNumber ? [String(emergencyNumber)] : ruleSet.emergency_numbers),
+        emergency: mergePhraseSets(ruleSet.emergency, overrides.emergency),
+        urgent: mergePhraseSets(ruleSet.urgent, overrides.urgent),
+        urgent_default_department: overrides.urgent_default_department || ruleSet.urgent_default_department,
+        safety_keywords: mergePhraseSets(ruleSet.safety_keywords, overrides.safety_keywords),
+        departments,
+        department_aliases: { ...ruleSet.department_aliases, ...overrides.department_aliases }
+    };
+    validateRuleSet(merged, `hospital overrides (${ruleSet.name})`);
+    return merged;
+}
+
+/**
+ * Compile a rule set into matchers.
+ *
+ * @param {Object} ruleSet - Validated (and merged) rule set
+ * @returns {Object} { version, emergency, urgent, urgentDepartment, safety, departments, emergencyNumbers, responses }
+ */
+function compileRuleSet(ruleSet) {
+    const numbers = ruleSet.emergency_numbers.map(n => n.replace(/\D/g, '')).filter(Boolean);
+
+    // Hospital department name for each rule set department
+    const aliases = {};
+    for (const [alias, department] of Object.entries(ruleSet.department_aliases)) {
+        aliases[department] = alias;
+    }
+
+    return {
+        version: `${ruleSet.name}@${ruleSet.revision}`,
+        emergency: compilePhraseSet(ruleSet.emergency),
+        urgent: compilePhraseSet(ruleSet.urgent),
+        urgentDepartment: ruleSet.urgent_default_department
+            ? (aliases[ruleSet.urgent_default_department] || ruleSet.urgent_default_department)
+            : null,
+        safety: [
+            ...compilePhraseSet(ruleSet.safety_keywords),
+            ...(numbers.length ? [new RegExp(`\\b(?:${numbers.join('|')})\\b`)] : [])
+        ],
+        departments: Object.entries(ruleSet.departments).map(([name, phrases]) => ({
+            name: aliases[name] || name,
+            ruleDepartment: name,
+            patterns: compilePhraseSet(phrases)
+        })),
+        emergencyNumbers: numbers,
+        responses: ruleSet.responses
+    };
+}
+
+/**
+ * Compiled triage rules for a hospital (cached).
+ *
+ * @param {Object|string|null} hospital - Hospital config (or ID); null = default rules
+ * @returns {Object} Compiled rules (see compileRuleSet)
+ */
+function getTriageRules(hospital = null) {
+    if (typeof hospital === 'string') {
+        hospital = { id: hospital, ...require('./hospitalConfig').getHospitalConfig(hospital) };
+    }
+
+    const overrides = hospital?.triage_rules || null;
+    const emergencyNumber = hospital?.emergency_number || null;
+    const key = `${hospital?.id || hospital?.hospital_id || ''}|${emergencyNumber}|${overrides ? JSON.stringify(overrides) : ''}`;
+    if (compiledCache.has(key)) return compiledCache.get(key);
+
+    let compiled;
+    try {
+        const parsed = hospitalOverrideSchema.safeParse(overrides || {});
+        if (!parsed.success) throw new Error(formatIssues(parsed.error));
+
+        const base = loadRuleSet(parsed.data.rule_set || DEFAULT_RULE_SET);
+        compiled = compileRuleSet(applyOverrides(base, parsed.data, emergencyNumber));
+    } catch (err) {
+        logger.error(`Triage rules: Invalid triage_rules for hospital ${hospital?.id || 'unknown'}, using default rules: ${err.message}`);
+        compiled = compileRuleSet(applyOverrides(loadRuleSet(DEFAULT_RULE_SET), {}, emergencyNumber));
+    }
+
+    compiledCache.set(key, compiled);
+    return compiled;
+}
+
+/**
+ * Drop cached rule sets (after editing rule files).
+ */
+function clearTriageRulesCache() {
+    ruleSetCache.clear();
+    compiledCache.clear();
+}
+
+module.exports = {
+    loadRuleSet,
+    compileRuleSet,
+    applyOverrides,
+    getTriageRules,
+    clearTriageRulesCache,
+    normalizeArabic,
+    DEFAULT_RULE_SET,
+    SUPPORTED_VERSION
+};
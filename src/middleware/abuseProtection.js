@@ -23,17 +23,7 @@
 const crypto = require('crypto');
 const { logger, auditLogger } = require('../config/logger');
 const { getDefaultHospital } = require('../config/hospitalConfig');
-
-/**
- * Emergency keywords for bypass detection
- * These patterns MUST always get through, even under abuse
- */
-const EMERGENCY_PATTERNS = [
-    // English
-    /\b(emergency|urgent|heart attack|chest pain|can't breathe|cannot breathe|stroke|bleeding|unconscious|dying|severe pain|ambulance|call 911|call 997)\b/i,
-    // Arabic
-    /(طوارئ|حالة طارئة|نوبة قلبية|ألم في الصدر|لا أستطيع التنفس|سكتة|نزيف|فاقد الوعي|أموت|ألم شديد|إسعاف)/i
-];
+const triageService = require('../services/triageService');
 
 /**
  * Abuse types for audit logging
@@ -76,19 +66,14 @@ const HOSPITAL_NETWORK_CONFIG = {
  * Check if message is an emergency (ALWAYS bypass abuse checks)
  * 
  * CRITICAL: This runs FIRST. Emergency messages must NEVER be blocked.
+ * Uses the hospital's triage rules (red flags, distress keywords, emergency numbers).
  * 
  * @param {string} message - Raw message text
+ * @param {Object} hospital - Hospital configuration (default rules if null)
  * @returns {boolean}
  */
-function isEmergencyMessage(message) {
-    if (!message || typeof message !== 'string') return false;
-
-    for (const pattern of EMERGENCY_PATTERNS) {
-        if (pattern.test(message)) {
-            return true;
-        }
-    }
-    return false;
+function isEmergencyMessage(message, hospital = null) {
+    return triageService.needsSafetyBypass(message, hospital);
 }
 
 /**
@@ -286,7 +271,7 @@ const abuseProtection = async (req, res, next) => {
     // LAYER 1: EMERGENCY BYPASS (CRITICAL)
     // =========================================
     // Emergency messages ALWAYS get through, regardless of abuse state
-    if (isEmergencyMessage(message)) {
+    if (isEmergencyMessage(message, hospital && { id: hospitalId, ...hospital })) {
         logger.info(`Emergency message detected, bypassing abuse checks for session ${sessionId}`);
         return next();
     }
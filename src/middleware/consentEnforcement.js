@@ -1,11 +1,6 @@
 const { logger, auditLogger } = require('../config/logger');
 const { LANG } = require('./languageEnforcement');
-
-// Emergency keywords to bypass consent form (Safety First)
-const EMERGENCY_KEYWORDS = [
-    'heart attack', 'chest pain', 'cardiac', 'stroke', 'bleeding', 'unconscious',
-    'breathing', 'seizure', 'suicide', 'kill myself', 'hurt myself', 'poison', 'dying'
-];
+const triageService = require('../services/triageService');
 
 /**
  * Consent Enforcement Middleware
@@ -35,8 +30,9 @@ const checkConsent = (req, res, next) => {
         }
 
         // SECURITY: Emergency detected BEFORE consent
-        const isEmergency = EMERGENCY_KEYWORDS.some(k => userMessage.includes(k));
-        if (isEmergency) {
+        // Hospital's triage rules (raw message: redaction may alter it)
+        const rawMessage = res.locals.rawMessage || userMessage;
+        if (triageService.needsSafetyBypass(rawMessage, hospital)) {
             logger.warn(`Emergency Detected Pre-Consent: Session ${req.sessionID}, Hospital ${hospitalId}`);
 
             auditLogger.info({
@@ -51,15 +47,18 @@ const checkConsent = (req, res, next) => {
             });
 
             return res.json({
-                reply: "⚠️ **URGENT MEDICAL WARNING** ⚠️\n\nYour symptoms may indicate a life-threatening emergency.\n\n**PLEASE CALL EMERGENCY SERVICES (997) OR VISIT THE NEAREST ER IMMEDIATELY.**\n\nDo NOT wait for an appointment.\n\n---\n\n_This is an automated safety response. No data has been collected or processed._"
+                reply: `${triageService.getEmergencyResponse(rawMessage, hospital)}\n\n---\n\n_This is an automated safety response. No data has been collected or processed._`
             });
         }
 
         // 2. Text-based consent (legacy fallback for users who type instead of clicking buttons)
         const agreementWords = ['yes', 'agree', 'ok', 'accept', 'yeah', 'sure', 'yep'];
         const agreementRegex = new RegExp(`\\b(${agreementWords.join('|')})\\b`, 'i');
+        // \b does not match around Arabic letters, so compare whole words
+        const arabicAgreementWords = ['نعم', 'موافق', 'أوافق', 'اوافق', 'موافقة'];
+        const agreedInArabic = userMessage.split(/\s+/).some(w => arabicAgreementWords.includes(w));
 
-        if (agreementRegex.test(userMessage)) {
+        if (agreementRegex.test(userMessage) || agreedInArabic) {
             hospitalSession.consentGiven = true;
             logger.info(`Consent Granted (text): Session ${req.sessionID}, Hospital ${hospitalId}`);
 
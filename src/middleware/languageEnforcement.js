@@ -1,4 +1,5 @@
 const { logger } = require('../config/logger');
+const triageService = require('../services/triageService');
 
 // Language Codes
 const LANG = {
@@ -44,15 +45,12 @@ const enforceLanguage = (req, res, next) => {
         }
 
         // 2. Emergency Bypass (Pre-Language) -> Return safety response IMMEDIATELY
-        const EMERGENCY_KEYWORDS = [
-            'heart attack', 'chest pain', 'cardiac', 'stroke', 'bleeding', 'unconscious',
-            'breathing', 'seizure', 'suicide', 'kill myself', 'hurt myself', 'poison', 'dying',
-            'help', 'emergency', 'ambulance', '997'
-        ];
-        if (EMERGENCY_KEYWORDS.some(k => userMessage.includes(k))) {
+        // Hospital's triage rules: red flags, distress keywords, emergency numbers
+        const hospital = req.hospital || res.locals.hospital || null;
+        if (triageService.needsSafetyBypass(userMessage, hospital)) {
             logger.warn(`Emergency Detected Pre-Language: Returning safety response directly.`);
             return res.json({
-                reply: "⚠️ **URGENT MEDICAL WARNING** ⚠️\n\nYour symptoms may indicate a life-threatening emergency.\n\n**PLEASE CALL EMERGENCY SERVICES (997) OR VISIT THE NEAREST ER IMMEDIATELY.**\n\nDo NOT wait for an appointment.\n\n---\n\n_This is an automated safety response. No data has been collected or processed._"
+                reply: `${triageService.getEmergencyResponse(userMessage, hospital)}\n\n---\n\n_This is an automated safety response. No data has been collected or processed._`
             });
         }
 
@@ -76,9 +74,8 @@ const enforceLanguage = (req, res, next) => {
         }
 
         // 4. No selection -> Return needsLanguage flag so frontend shows buttons
-        const hospital = req.hospital || res.locals.hospital || {};
-        const welcomeEn = hospital.welcome_message?.en || "Welcome to Al Shifa Hospital";
-        const welcomeAr = hospital.welcome_message?.ar || "مرحبًا بكم في مستشفى الشفاء";
+        const welcomeEn = hospital?.welcome_message?.en || "Welcome to Al Shifa Hospital";
+        const welcomeAr = hospital?.welcome_message?.ar || "مرحبًا بكم في مستشفى الشفاء";
 
         return res.json({
             reply: `${welcomeEn} / ${welcomeAr}\n\nPlease select your preferred language / الرجاء اختيار اللغة`,
@@ -16,7 +16,10 @@ class AIProvider {
      * @param {Array<{role: string, content: string}>} params.messages - Conversation history (MUST be redacted)
      * @param {string} params.systemPrompt - System prompt for the AI
      * @param {Object} params.metadata - Additional metadata (language, context, etc.)
-     * @returns {Promise<{content: string, status: 'success'|'error'}>}
+     * @param {Array} params.tools - Tool definitions, OpenAI function-calling format (optional)
+     * @param {Function} params.onToken - Streaming: called with each text fragment as it arrives (optional;
+     *   providers that can't stream just return the full content)
+     * @returns {Promise<{content: string, status: 'success'|'error', toolCalls?: Array<{id: string, name: string, arguments: Object}>}>}
      */
     async generateResponse({ messages, systemPrompt, metadata }) {
         throw new Error('AIProvider.generateResponse() must be implemented by subclass');
@@ -37,6 +40,79 @@ class AIProvider {
     isConfigured() {
         return false;
     }
+
+    /**
+     * Tool calls from an OpenAI-style assistant message.
+     * Arguments that aren't valid JSON become {} (the tool reports what's missing).
+     *
+     * @param {Object} message - choices[0].message
+     * @returns {Array<{id: string, name: string, arguments: Object}>}
+     */
+    static parseToolCalls(message) {
+        return (message?.tool_calls || [])
+            .filter(call => call.function?.name)
+            .map((call, i) => {
+                let args = {};
+                try {
+                    args = JSON.parse(call.function.arguments || '{}') || {};
+                } catch (err) {
+                    args = {};
+                }
+                return { id: call.id || `call_${i + 1}`, name: call.function.name, arguments: args };
+            });
+    }
+
+    /**
+     * Read an OpenAI-style streamed completion (server-sent events,
+     * `data: {choices: [{delta}]}` ... `data: [DONE]`).
+     * Text deltas go to onToken; tool call fragments are joined by index.
+     *
+     * @param {Readable} stream - Response body
+     * @param {Function} onToken - Called with each text fragment
+     * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>}
+     * @throws {Error} If the stream reports an error or a line is not valid JSON
+     */
+    static async readChatStream(stream, onToken) {
+        const calls = [];
+        let content = '';
+        let buffer = '';
+
+        const readLine = (line) => {
+            line = line.trim();
+            if (!line.startsWith('data:')) return; // comments (": keep-alive"), blank lines
+
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') return;
+
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(`Stream error: ${chunk.error.message || chunk.error}`);
+            }
+
+            const delta = chunk.choices?.[0]?.delta || {};
+            if (typeof delta.content === 'string' && delta.content) {
+                content += delta.content;
+                onToken(delta.content);
+            }
+            for (const part of delta.tool_calls || []) {
+                const call = calls[part.index ?? calls.length] ||= { id: part.id, function: { name: '', arguments: '' } };
+                if (part.id) call.id = part.id;
+                if (part.function?.name) call.function.name += part.function.name;
+                if (part.function?.arguments) call.function.arguments += part.function.arguments;
+            }
+        };
+
+        stream.setEncoding?.('utf8');
+        for await (const chunk of stream) {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(readLine);
+        }
+        readLine(buffer);
+
+        return { content, toolCalls: AIProvider.parseToolCalls({ tool_calls: calls.filter(Boolean) }) };
+    }
 }
 
 module.exports = AIProvider;
@@ -0,0 +1,112 @@
+/**
+ * CircuitBreaker - Per-Provider Failure Isolation
+ *
+ * Stops sending chat turns to an AI provider that keeps failing, so
+ * patients don't wait out timeouts on a provider that is down.
+ *
+ * States:
+ *   CLOSED    → requests allowed; `failureThreshold` consecutive failures open it
+ *   OPEN      → requests skipped until `cooldownMs` has passed
+ *   HALF_OPEN → one trial request; success closes, failure re-opens
+ *
+ * One breaker per provider, shared by all hospitals (an outage is global).
+ */
+
+const STATES = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.cooldownMs - Time open before a trial request
+     * @param {Function} options.now - Clock (tests)
+     */
+    constructor({ failureThreshold = 3, cooldownMs = 30000, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+        this.lastFailureAt = null;
+        this.lastLatencyMs = null;
+    }
+
+    /**
+     * Whether a request may be sent now (moves OPEN → HALF_OPEN after the cooldown).
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === STATES.CLOSED) return true;
+
+        if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+
+        if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * @param {number} latencyMs - Request latency
+     */
+    recordSuccess(latencyMs) {
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastLatencyMs = latencyMs;
+    }
+
+    /**
+     * @param {string} reason - Error message (no PHI: providers only see redacted input)
+     * @param {number} latencyMs - Request latency
+     * @returns {boolean} True if this failure opened the circuit
+     */
+    recordFailure(reason, latencyMs) {
+        this.consecutiveFailures++;
+        this.lastError = reason;
+        this.lastFailureAt = new Date(this.now()).toISOString();
+        this.lastLatencyMs = latencyMs;
+        this.trialInFlight = false;
+
+        const shouldOpen = this.state === STATES.HALF_OPEN ||
+            (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold);
+
+        if (shouldOpen) {
+            this.state = STATES.OPEN;
+            this.openedAt = this.now();
+        }
+        return shouldOpen;
+    }
+
+    /**
+     * State for health checks.
+     * @returns {Object} { state, consecutive_failures, last_error, last_failure_at, last_latency_ms, retry_at }
+     */
+    getSnapshot() {
+        return {
+            state: this.state,
+            consecutive_failures: this.consecutiveFailures,
+            last_error: this.lastError,
+            last_failure_at: this.lastFailureAt,
+            last_latency_ms: this.lastLatencyMs,
+            retry_at: this.state === STATES.OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
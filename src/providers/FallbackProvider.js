@@ -0,0 +1,57 @@
+/**
+ * FallbackProvider - Canned Reply (end of the failover chain)
+ *
+ * Never calls a model: answers instantly with a hospital-specific "assistant
+ * unavailable, please call" message in the patient's language, so patients
+ * are not left waiting on timeouts when every real provider is down.
+ *
+ * The reply keeps status 'error': consecutive fallbacks still count towards
+ * the hospital's auto-handoff threshold, so staff take over a conversation
+ * when the AI is out.
+ */
+
+const AIProvider = require('./AIProvider');
+
+const MESSAGES = {
+    English: (name, phone, emergency) =>
+        `I'm sorry, our virtual assistant is temporarily unavailable. ` +
+        `Please try again in a few minutes${phone ? ` or call ${name} on ${phone}` : ''}. ` +
+        `For a medical emergency, call ${emergency} immediately.`,
+    Arabic: (name, phone, emergency) =>
+        `عذرًا، المساعد الافتراضي غير متاح مؤقتًا. ` +
+        `يرجى المحاولة مرة أخرى بعد بضع دقائق${phone ? ` أو الاتصال بـ ${name} على ${phone}` : ''}. ` +
+        `في حالة الطوارئ الطبية، اتصل بـ ${emergency} فورًا.`
+};
+
+class FallbackProvider extends AIProvider {
+    getName() {
+        return 'fallback';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Canned reply for the hospital
+     *
+     * @param {Object} params
+     * @param {Object} params.metadata - { language, hospital }
+     * @returns {Promise<{content: string, status: string}>}
+     */
+    async generateResponse({ metadata = {} }) {
+        const hospital = metadata.hospital || {};
+        const message = MESSAGES[metadata.language] || MESSAGES.English;
+
+        return {
+            content: message(
+                hospital.name || 'the hospital',
+                hospital.escalation_contact?.phone || null,
+                hospital.emergency_number || '997'
+            ),
+            status: 'error'
+        };
+    }
+}
+
+module.exports = FallbackProvider;
@@ -0,0 +1,132 @@
+/**
+ * LocalAIProvider - Local OpenAI-Compatible Server
+ *
+ * Implements AIProvider interface for a self-hosted model behind an
+ * OpenAI-compatible /chat/completions endpoint (llama.cpp server, Ollama,
+ * vLLM, LM Studio). Runs without internet access. Activate with:
+ *   AI_PROVIDER=local
+ *   LOCAL_AI_BASE_URL=http://localhost:11434/v1   (Ollama; llama.cpp: http://localhost:8080/v1)
+ *   LOCAL_AI_MODEL=llama3.1
+ *   LOCAL_AI_API_KEY=...          (optional, sent as a Bearer token)
+ *   LOCAL_AI_TIMEOUT_MS=60000     (CPU-only models can be slow)
+ *
+ * Booking needs a model served with tool-call support (e.g. llama3.1 or
+ * qwen2.5 on Ollama); other models can only answer questions.
+ * Streaming uses the same endpoint with `stream: true`.
+ *
+ * No retries or key rotation: the server is on the same host or network,
+ * so failures are reported straight away.
+ *
+ * PHI SAFETY: This provider ONLY receives sanitized (redacted) input.
+ * The safety boundary is enforced by the AIService layer.
+ */
+
+const axios = require('axios');
+const AIProvider = require('./AIProvider');
+const { logger } = require('../config/logger');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+class LocalAIProvider extends AIProvider {
+    constructor() {
+        super();
+        this.baseUrl = (process.env.LOCAL_AI_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+        this.model = process.env.LOCAL_AI_MODEL || DEFAULT_MODEL;
+        this.apiKey = process.env.LOCAL_AI_API_KEY || '';
+        this.timeout = parseInt(process.env.LOCAL_AI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+        // Own axios instance: OpenRouterProvider installs retries on the shared one
+        this.http = axios.create({ timeout: this.timeout });
+
+        if (!this.isConfigured()) {
+            logger.warn(`LocalAIProvider: Invalid LOCAL_AI_BASE_URL "${this.baseUrl}" - provider inactive`);
+        } else {
+            logger.info(`LocalAIProvider: Initialized with ${this.baseUrl}, model: ${this.model}`);
+        }
+    }
+
+    getName() {
+        return 'local';
+    }
+
+    isConfigured() {
+        try {
+            const url = new URL(this.baseUrl);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Generate response using the local server's chat completions endpoint
+     *
+     * @param {Object} params
+     * @param {Array} params.messages - REDACTED conversation messages
+     * @param {string} params.systemPrompt - System prompt
+     * @param {Object} params.metadata - Additional metadata
+     * @param {Array} params.tools - Tool definitions (optional; the model must support tool calls)
+     * @param {Function} params.onToken - Stream the reply (optional)
+     * @returns {Promise<{content: string, status: string, toolCalls?: Array}>}
+     */
+    async generateResponse({ messages, systemPrompt, metadata = {}, tools = null, onToken = null }) {
+        if (!this.isConfigured()) {
+            logger.error('LocalAIProvider: No valid base URL configured');
+            return {
+                content: "I'm currently unavailable. Please try again later or call 9200-XXXXX.",
+                status: 'error'
+            };
+        }
+
+        // Build the full message array with system prompt
+        const fullMessages = [
+            { role: 'system', content: systemPrompt },
+            ...messages
+        ];
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+        try {
+            const response = await this.http.post(`${this.baseUrl}/chat/completions`, {
+                model: this.model,
+                messages: fullMessages,
+                max_tokens: metadata.maxTokens || 150,
+                stream: Boolean(onToken),
+                ...(tools?.length && { tools })
+            }, { headers, ...(onToken && { responseType: 'stream' }) });
+
+            let content, toolCalls;
+            if (onToken) {
+                ({ content, toolCalls } = await AIProvider.readChatStream(response.data, onToken));
+            } else {
+                const message = response.data?.choices?.[0]?.message;
+                toolCalls = AIProvider.parseToolCalls(message);
+                if (typeof message?.content !== 'string' && toolCalls.length === 0) {
+                    throw new Error('Response has no choices[0].message.content');
+                }
+                content = message.content || '';
+            }
+
+            logger.info(`LocalAIProvider: Response received (${content.length} chars, ${toolCalls.length} tool call(s))`);
+
+            return {
+                content: content,
+                status: 'success',
+                ...(toolCalls.length > 0 && { toolCalls })
+            };
+
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+            logger.error(`LocalAIProvider: Request to ${this.baseUrl} failed: ${reason}`);
+            return {
+                content: "I'm currently experiencing issues. Please try again later or call 9200-XXXXX.",
+                status: 'error'
+            };
+        }
+    }
+}
+
+module.exports = LocalAIProvider;
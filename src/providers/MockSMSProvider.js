@@ -46,6 +46,14 @@ class MockSMSProvider extends SMSProvider {
         };
     }
 
+    /**
+     * Inbound webhooks are accepted without a signature (dev/test only).
+     * @returns {boolean}
+     */
+    verifyInboundRequest() {
+        return true;
+    }
+
     getName() {
         return 'MockSMSProvider';
     }
@@ -1,24 +1,35 @@
 /**
- * OpenAIProvider - OpenAI API Implementation (STUB)
- * 
- * Implements AIProvider interface for OpenAI API.
- * This is a production-ready stub that can be activated by setting:
- *   AI_PROVIDER=openai
+ * OpenAIProvider - OpenAI API Implementation
+ *
+ * Implements AIProvider interface for the OpenAI chat completions API
+ * (tool calls and streaming supported). Activate with:
+ *   AI_PROVIDER=openai          (or list it in AI_PROVIDER_CHAIN)
  *   OPENAI_API_KEY=sk-...
- * 
+ *   OPENAI_MODEL=gpt-4o-mini
+ *   OPENAI_BASE_URL=https://api.openai.com/v1   (optional: Azure / proxy endpoints)
+ *
+ * No retries: when it is part of a failover chain the next provider is
+ * tried instead.
+ *
  * PHI SAFETY: This provider ONLY receives sanitized (redacted) input.
  * The safety boundary is enforced by the AIService layer.
  */
 
+const axios = require('axios');
 const AIProvider = require('./AIProvider');
 const { logger } = require('../config/logger');
 
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
 class OpenAIProvider extends AIProvider {
     constructor() {
         super();
         this.apiKey = process.env.OPENAI_API_KEY || '';
-        this.model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
-        this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+        this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+        this.apiUrl = `${(process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, '')}/chat/completions`;
+
+        // Own axios instance: OpenRouterProvider installs retries on the shared one
+        this.http = axios.create({ timeout: 30000 });
 
         if (!this.apiKey) {
             logger.warn('OpenAIProvider: No API key provided - provider inactive');
@@ -37,14 +48,16 @@ class OpenAIProvider extends AIProvider {
 
     /**
      * Generate response using OpenAI API
-     * 
+     *
      * @param {Object} params
      * @param {Array} params.messages - REDACTED conversation messages
      * @param {string} params.systemPrompt - System prompt
      * @param {Object} params.metadata - Additional metadata
-     * @returns {Promise<{content: string, status: string}>}
+     * @param {Array} params.tools - Tool definitions (optional)
+     * @param {Function} params.onToken - Stream the reply (optional)
+     * @returns {Promise<{content: string, status: string, toolCalls?: Array}>}
      */
-    async generateResponse({ messages, systemPrompt, metadata = {} }) {
+    async generateResponse({ messages, systemPrompt, metadata = {}, tools = null, onToken = null }) {
         // If not configured, return a safe fallback message
         if (!this.isConfigured()) {
             logger.warn('OpenAIProvider: Inactive - no API key. Returning fallback.');
@@ -61,34 +74,40 @@ class OpenAIProvider extends AIProvider {
         ];
 
         try {
-            // NOTE: When activating this provider, uncomment axios import and use real API call
-            // const axios = require('axios');
-            // const response = await axios.post(this.apiUrl, {
-            //     model: this.model,
-            //     messages: fullMessages,
-            //     max_tokens: metadata.maxTokens || 150
-            // }, {
-            //     headers: {
-            //         'Authorization': `Bearer ${this.apiKey}`,
-            //         'Content-Type': 'application/json'
-            //     },
-            //     timeout: 30000
-            // });
-            // 
-            // return {
-            //     content: response.data.choices[0].message.content,
-            //     status: 'success'
-            // };
+            const response = await this.http.post(this.apiUrl, {
+                model: this.model,
+                messages: fullMessages,
+                max_tokens: metadata.maxTokens || 150,
+                ...(tools?.length && { tools }),
+                ...(onToken && { stream: true })
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                ...(onToken && { responseType: 'stream' })
+            });
+
+            let content, toolCalls;
+            if (onToken) {
+                ({ content, toolCalls } = await AIProvider.readChatStream(response.data, onToken));
+            } else {
+                const message = response.data.choices[0].message;
+                content = message.content || '';
+                toolCalls = AIProvider.parseToolCalls(message);
+            }
+
+            logger.info(`OpenAIProvider: Response received (${content.length} chars, ${toolCalls.length} tool call(s))`);
 
-            // STUB: For now, return a placeholder response
-            logger.info('OpenAIProvider: Stub mode - returning mock response');
             return {
-                content: "[OpenAI Stub Response] This provider is configured but running in stub mode. Set OPENAI_API_KEY and uncomment the API call to activate.",
-                status: 'success'
+                content: content,
+                status: 'success',
+                ...(toolCalls.length > 0 && { toolCalls })
             };
 
         } catch (error) {
-            logger.error(`OpenAIProvider: API call failed: ${error.message}`);
+            const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+            logger.error(`OpenAIProvider: API call failed: ${reason}`);
             return {
                 content: "I'm currently experiencing issues. Please try again later or call 9200-XXXXX.",
                 status: 'error'
@@ -66,9 +66,11 @@ class OpenRouterProvider extends AIProvider {
      * @param {Array} params.messages - REDACTED conversation messages
      * @param {string} params.systemPrompt - System prompt
      * @param {Object} params.metadata - Additional metadata
-     * @returns {Promise<{content: string, status: string}>}
+     * @param {Array} params.tools - Tool definitions (optional)
+     * @param {Function} params.onToken - Stream the reply (optional)
+     * @returns {Promise<{content: string, status: string, toolCalls?: Array}>}
      */
-    async generateResponse({ messages, systemPrompt, metadata = {} }) {
+    async generateResponse({ messages, systemPrompt, metadata = {}, tools = null, onToken = null }) {
         if (!this.isConfigured()) {
             logger.error('OpenRouterProvider: No API key configured');
             return {
@@ -85,6 +87,7 @@ class OpenRouterProvider extends AIProvider {
 
         let attempts = 0;
         const maxAttempts = this.apiKeys.length + 2; // All keys + 2 retries
+        let streamed = false;
 
         while (attempts < maxAttempts) {
             const currentKey = this.getKey();
@@ -92,28 +95,45 @@ class OpenRouterProvider extends AIProvider {
                 const response = await axios.post(this.apiUrl, {
                     model: this.model,
                     messages: fullMessages,
-                    max_tokens: metadata.maxTokens || 150
+                    max_tokens: metadata.maxTokens || 150,
+                    ...(tools?.length && { tools }),
+                    ...(onToken && { stream: true })
                 }, {
                     headers: {
                         'Authorization': `Bearer ${currentKey}`,
                         'Content-Type': 'application/json'
                     },
-                    timeout: 30000
+                    timeout: 30000,
+                    ...(onToken && { responseType: 'stream' })
                 });
 
-                const content = response.data.choices[0].message.content;
+                let content, toolCalls;
+                if (onToken) {
+                    ({ content, toolCalls } = await AIProvider.readChatStream(response.data, token => {
+                        streamed = true;
+                        onToken(token);
+                    }));
+                } else {
+                    const message = response.data.choices[0].message;
+                    content = message.content || '';
+                    toolCalls = AIProvider.parseToolCalls(message);
+                }
 
-                logger.info(`OpenRouterProvider: Response received (${content.length} chars)`);
+                logger.info(`OpenRouterProvider: Response received (${content.length} chars, ${toolCalls.length} tool call(s))`);
 
                 return {
                     content: content,
-                    status: 'success'
+                    status: 'success',
+                    ...(toolCalls.length > 0 && { toolCalls })
                 };
 
             } catch (error) {
                 attempts++;
                 logger.error(`OpenRouterProvider: Attempt ${attempts} failed: ${error.message}`);
 
+                // Tokens already reached the patient: a retry would repeat them
+                if (streamed) break;
+
                 // Check for key rotation conditions (401 Unauthorized, 429 Rate Limit)
                 if (error.response && (error.response.status === 401 || error.response.status === 429)) {
                     const rotated = this.rotateKey();
@@ -0,0 +1,231 @@
+/**
+ * ProviderChain - Ordered AI Provider Failover
+ *
+ * Tries each provider of the hospital's chain in order until one answers:
+ *   openrouter → openai → fallback (canned reply)
+ *
+ * - Each provider has a circuit breaker (see CircuitBreaker): providers that
+ *   keep failing are skipped until their cooldown has passed.
+ * - Each attempt has a latency budget: a provider that doesn't answer in
+ *   time counts as failed and the next one is tried. The slow request is
+ *   abandoned (its late answer is ignored).
+ * - Unconfigured providers (e.g. no API key) are skipped, not counted as failures.
+ * - Streaming: if a provider fails after sending tokens, params.onReset() is
+ *   called before the next one starts (tokens of abandoned attempts are dropped).
+ *
+ * Per hospital (hospital config `ai_config`):
+ *   { "providers": ["openrouter", "openai", "fallback"],
+ *     "latency_budgets_ms": { "openrouter": 8000 } }
+ * Default chain: AI_PROVIDER_CHAIN (comma-separated), else AI_PROVIDER + fallback.
+ *
+ * PHI SAFETY: The chain only forwards the sanitized input it received.
+ */
+
+const AIProvider = require('./AIProvider');
+const CircuitBreaker = require('./CircuitBreaker');
+const FallbackProvider = require('./FallbackProvider');
+const { STATES } = CircuitBreaker;
+const { logger } = require('../config/logger');
+
+const FALLBACK = 'fallback';
+
+// Hospital-specific "please call" reply when the chain ends without the fallback step
+const cannedReply = new FallbackProvider();
+
+// Per-attempt latency budgets (CPU-only local models are slower)
+const DEFAULT_LATENCY_BUDGETS_MS = {
+    default: 10000,
+    local: 30000,
+    fallback: 1000
+};
+
+class ProviderChain extends AIProvider {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.defaultChain - Provider names, in order
+     * @param {Function} options.getProvider - name → AIProvider (throws on unknown names)
+     * @param {Object} options.breaker - CircuitBreaker options
+     */
+    constructor({ defaultChain, getProvider, breaker = {} }) {
+        super();
+        this.defaultChain = defaultChain;
+        this.getProvider = getProvider;
+        this.breakerOptions = breaker;
+        this.breakers = new Map();
+    }
+
+    getName() {
+        return this.defaultChain.join('→');
+    }
+
+    isConfigured() {
+        return this.defaultChain.some(name => this.resolve(name)?.isConfigured());
+    }
+
+    /**
+     * Provider chain and latency budgets for a hospital.
+     *
+     * @param {Object} hospital - Hospital configuration (null = default chain)
+     * @returns {Object} { providers, budgets }
+     */
+    getChainConfig(hospital = null) {
+        const config = hospital?.ai_config || {};
+        const providers = Array.isArray(config.providers) && config.providers.length > 0
+            ? config.providers.map(name => String(name).toLowerCase().trim())
+            : this.defaultChain;
+
+        return {
+            providers,
+            budgets: { ...DEFAULT_LATENCY_BUDGETS_MS, ...config.latency_budgets_ms }
+        };
+    }
+
+    getBreaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(this.breakerOptions));
+        }
+        return this.breakers.get(name);
+    }
+
+    /**
+     * Provider instance by name, or null if it can't be created.
+     */
+    resolve(name) {
+        try {
+            return this.getProvider(name);
+        } catch (err) {
+            logger.error(`ProviderChain: Skipping provider "${name}": ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Generate a response from the first provider that answers.
+     *
+     * @param {Object} params
+     * @param {Array} params.messages - REDACTED conversation messages
+     * @param {string} params.systemPrompt - System prompt
+     * @param {Object} params.metadata - Additional metadata (hospital selects the chain)
+     * @param {Function} params.onToken - Stream the reply (optional)
+     * @param {Function} params.onReset - Discard streamed tokens (optional)
+     * @returns {Promise<{content: string, status: string, provider: string}>}
+     */
+    async generateResponse(params) {
+        const { providers, budgets } = this.getChainConfig(params.metadata?.hospital);
+        const failed = [];
+        let lastResult = null;
+
+        for (const name of providers) {
+            const provider = this.resolve(name);
+            if (!provider || !provider.isConfigured()) continue;
+
+            const breaker = name === FALLBACK ? null : this.getBreaker(name);
+            if (breaker && !breaker.canRequest()) continue;
+
+            const budgetMs = budgets[name] || budgets.default;
+            const start = Date.now();
+            let active = true;
+            let streamed = false;
+            const onToken = params.onToken && (token => {
+                if (!active) return; // late tokens of an abandoned attempt
+                streamed = true;
+                params.onToken(token);
+            });
+
+            let result;
+            try {
+                result = await withBudget(provider.generateResponse(onToken ? { ...params, onToken } : params), budgetMs);
+            } catch (err) {
+                result = { content: null, status: 'error', error: err.message };
+            } finally {
+                active = false;
+            }
+            const latencyMs = Date.now() - start;
+
+            if (result.status !== 'error') {
+                breaker?.recordSuccess(latencyMs);
+                if (failed.length > 0) {
+                    logger.warn(`ProviderChain: Answered by ${name} after ${failed.join(', ')} failed`);
+                }
+                return { ...result, provider: name };
+            }
+
+            lastResult = { ...result, provider: name };
+            if (streamed) params.onReset?.();
+            if (!breaker) continue;
+
+            failed.push(name);
+            const reason = result.error || 'provider returned an error';
+            if (breaker.recordFailure(reason, latencyMs)) {
+                logger.error(`ProviderChain: Circuit OPEN for ${name} (${reason})`);
+            } else {
+                logger.warn(`ProviderChain: ${name} failed in ${latencyMs}ms (${reason})`);
+            }
+        }
+
+        if (!lastResult) {
+            logger.error(`ProviderChain: No provider available (${providers.join(' → ')})`);
+        }
+        if (lastResult?.provider === FALLBACK) return lastResult;
+
+        // A provider's own error text is not meant for patients
+        return { ...lastResult, ...await cannedReply.generateResponse(params), provider: lastResult?.provider || null };
+    }
+
+    /**
+     * Chain health (no provider calls: circuit state and last results).
+     *
+     * UP:       first real provider of the chain is configured and its circuit closed
+     * DEGRADED: another real provider is available
+     * DOWN:     only the canned fallback (or nothing) is left
+     *
+     * @param {Object} hospital - Hospital configuration (null = default chain)
+     * @returns {Object} { status, chain, active_provider, providers }
+     */
+    getHealth(hospital = null) {
+        const { providers, budgets } = this.getChainConfig(hospital);
+
+        const details = providers.map(name => {
+            const provider = this.resolve(name);
+            const configured = Boolean(provider?.isConfigured());
+            const circuit = name === FALLBACK ? null : this.getBreaker(name).getSnapshot();
+            const available = configured && (!circuit || circuit.state !== STATES.OPEN ||
+                Date.parse(circuit.retry_at) <= Date.now());
+
+            return {
+                name,
+                configured,
+                available,
+                latency_budget_ms: budgets[name] || budgets.default,
+                circuit
+            };
+        });
+
+        const real = details.filter(d => d.name !== FALLBACK);
+        const active = details.find(d => d.available) || null;
+        let status = 'DOWN';
+        if (real[0]?.available && real[0].circuit.state === STATES.CLOSED) status = 'UP';
+        else if (real.some(d => d.available)) status = 'DEGRADED';
+
+        return {
+            status,
+            chain: providers,
+            active_provider: active?.name || null,
+            providers: details
+        };
+    }
+}
+
+/**
+ * Reject if the promise doesn't settle within budgetMs.
+ */
+function withBudget(promise, budgetMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`latency budget of ${budgetMs}ms exceeded`)), budgetMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = ProviderChain;
+module.exports.DEFAULT_LATENCY_BUDGETS_MS = DEFAULT_LATENCY_BUDGETS_MS;
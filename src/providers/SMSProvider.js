@@ -4,6 +4,9 @@
  * All SMS providers must implement this interface.
  * This ensures consistent behavior regardless of the underlying SMS service.
  * 
+ * Inbound SMS (patient replies) use the Twilio webhook format by default:
+ * form fields From, To, Body, MessageSid; the reply is returned as TwiML.
+ * 
  * PHI SAFETY: Phone numbers are passed to provider but NEVER logged.
  * Logging must redact phone numbers using maskPhone() utility.
  */
@@ -22,6 +25,57 @@ class SMSProvider {
         throw new Error('SMSProvider.sendSMS() must be implemented by subclass');
     }
 
+    /**
+     * Check that an inbound webhook request really comes from the provider.
+     * 
+     * @param {Object} params
+     * @param {string} params.url - Full URL the provider posted to
+     * @param {Object} params.body - Parsed form fields
+     * @param {Object} params.headers - Request headers
+     * @returns {boolean}
+     */
+    verifyInboundRequest({ url, body, headers }) {
+        return false;
+    }
+
+    /**
+     * Extract an inbound message from a webhook payload.
+     * 
+     * @param {Object} body - Parsed form fields
+     * @returns {{from: string, to: string, text: string, messageId: string}|null} Null if malformed
+     */
+    parseInbound(body) {
+        if (!body || typeof body.From !== 'string' || typeof body.Body !== 'string') {
+            return null;
+        }
+
+        return {
+            from: body.From,
+            to: body.To || null,
+            text: body.Body.trim(),
+            messageId: body.MessageSid || null
+        };
+    }
+
+    /**
+     * Build the webhook response that replies to the sender.
+     * 
+     * @param {string|null} message - Reply text (null = no reply)
+     * @returns {{contentType: string, body: string}}
+     */
+    formatInboundReply(message) {
+        const escape = (text) => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
+        const body = message
+            ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escape(message)}</Message></Response>`
+            : '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+        return { contentType: 'text/xml', body };
+    }
+
     /**
      * Get the provider name for logging purposes.
      * @returns {string}
@@ -0,0 +1,191 @@
+/**
+ * ScriptedProvider - Deterministic Canned Responses (tests / offline demos)
+ *
+ * Implements AIProvider interface by replaying replies from a JSON fixture
+ * keyed by conversation turn, so test suites can drive whole conversations
+ * (booking tool calls, provider errors) without a network or a model. Activate with:
+ *   AI_PROVIDER=scripted
+ *   AI_SCRIPT_FILE=src/tests/fixtures/ai/bookingConversation.json
+ *
+ * Fixture format:
+ *   {
+ *     "name": "booking-conversation",
+ *     "turns": {
+ *       "1": { "reply": "Which department would you like?" },
+ *       "2": { "expect": "cardiology", "reply": "Dr. Ahmed is free at 10:00.",
+ *              "tool_calls": [{ "name": "check_availability", "arguments": { "department": "Cardiology" } }] },
+ *       "3": { "status": "error", "reply": "I'm currently unavailable." }
+ *     },
+ *     "default": { "reply": "Could you repeat that?" }
+ *   }
+ *
+ * - Turn N is the Nth patient message in the conversation history
+ *   (metadata.turn from AIService). Messages answered before the AI
+ *   (emergencies, OTP codes) are not recorded, so they don't count.
+ * - `expect` (optional, case-insensitive regex) must match the redacted
+ *   patient message, otherwise the turn fails so a drifting test is noticed.
+ * - `tool_calls` are returned first; once their results are in the messages
+ *   (AIService ran the tools), the same turn answers with `reply`.
+ * - Turns without an entry use `default`, or fail if there is none.
+ * - When streaming (onToken), successful replies are sent word by word.
+ *
+ * Every call is recorded in `calls` (system prompt + redacted messages,
+ * including tool results).
+ *
+ * NOT FOR PRODUCTION: the environment validator rejects it there.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { z } = require('zod');
+const AIProvider = require('./AIProvider');
+const { logger } = require('../config/logger');
+
+const turnSchema = z.object({
+    reply: z.string(),
+    expect: z.string().optional(),
+    status: z.enum(['success', 'error']).default('success'),
+    tool_calls: z.array(z.object({
+        name: z.string().min(1),
+        arguments: z.record(z.string(), z.any()).default({})
+    }).strict()).optional()
+}).strict();
+
+const scriptSchema = z.object({
+    name: z.string().min(1),
+    description: z.string().optional(),
+    turns: z.record(z.string().regex(/^[1-9]\d*$/), turnSchema), // keys: "1", "2", ...
+    default: turnSchema.optional()
+}).strict();
+
+/**
+ * Load and validate a script fixture.
+ *
+ * @param {string} filePath - JSON fixture (relative to the working directory)
+ * @returns {Object} Validated script
+ * @throws {Error} Missing file, invalid JSON or invalid script
+ */
+function loadScript(filePath) {
+    const resolved = path.resolve(filePath);
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (err) {
+        throw new Error(`ScriptedProvider: Cannot read ${resolved}: ${err.message}`);
+    }
+
+    return parseScript(raw, resolved);
+}
+
+function parseScript(raw, source = 'script') {
+    const parsed = scriptSchema.safeParse(raw);
+    if (!parsed.success) {
+        const issues = parsed.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+        throw new Error(`ScriptedProvider: ${source} is invalid: ${issues}`);
+    }
+
+    for (const [turn, entry] of Object.entries(parsed.data.turns)) {
+        if (!entry.expect) continue;
+        try {
+            new RegExp(entry.expect, 'i');
+        } catch (err) {
+            throw new Error(`ScriptedProvider: ${source} turns.${turn}.expect: ${err.message}`);
+        }
+    }
+
+    return parsed.data;
+}
+
+class ScriptedProvider extends AIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.scriptFile - Fixture path (default: AI_SCRIPT_FILE)
+     * @param {Object} options.script - Inline script (instead of a file)
+     * @throws {Error} If the script is invalid
+     */
+    constructor({ scriptFile = process.env.AI_SCRIPT_FILE, script = null } = {}) {
+        super();
+        this.calls = [];
+        this.script = script ? parseScript(script) : (scriptFile ? loadScript(scriptFile) : null);
+
+        if (!this.script) {
+            logger.warn('ScriptedProvider: No AI_SCRIPT_FILE provided - provider inactive');
+        } else {
+            logger.info(`ScriptedProvider: Loaded script "${this.script.name}" (${Object.keys(this.script.turns).length} turn(s))`);
+        }
+    }
+
+    getName() {
+        return 'scripted';
+    }
+
+    isConfigured() {
+        return this.script !== null;
+    }
+
+    /**
+     * Clear recorded calls (between test cases).
+     */
+    reset() {
+        this.calls = [];
+    }
+
+    /**
+     * Replay the scripted reply for this turn
+     *
+     * @param {Object} params
+     * @param {Array} params.messages - REDACTED conversation messages
+     * @param {string} params.systemPrompt - System prompt
+     * @param {Object} params.metadata - Additional metadata (turn)
+     * @param {Array} params.tools - Tool definitions (recorded only)
+     * @param {Function} params.onToken - Stream the reply (optional)
+     * @returns {Promise<{content: string, status: string, toolCalls?: Array}>}
+     */
+    async generateResponse({ messages, systemPrompt, metadata = {}, tools = null, onToken = null }) {
+        const userMessages = messages.filter(m => m.role === 'user');
+        const turn = metadata.turn || userMessages.length;
+        const message = userMessages[userMessages.length - 1]?.content || '';
+
+        // Tool results of this turn (after the patient's message)
+        const lastUser = messages.map(m => m.role).lastIndexOf('user');
+        const toolResults = messages.slice(lastUser + 1).filter(m => m.role === 'tool');
+
+        this.calls.push({ turn, systemPrompt, messages: [...messages], tools: (tools || []).map(t => t.function.name) });
+
+        if (!this.isConfigured()) {
+            return {
+                content: "I'm currently unavailable. Please try again later or call 9200-XXXXX.",
+                status: 'error'
+            };
+        }
+
+        const entry = this.script.turns[String(turn)] || this.script.default;
+        if (!entry) {
+            logger.error(`ScriptedProvider: Script "${this.script.name}" has no reply for turn ${turn}`);
+            return { content: `[ScriptedProvider] No scripted reply for turn ${turn}.`, status: 'error' };
+        }
+
+        if (entry.expect && !new RegExp(entry.expect, 'i').test(message)) {
+            logger.error(`ScriptedProvider: Turn ${turn} expected /${entry.expect}/i`);
+            return { content: `[ScriptedProvider] Turn ${turn} expected /${entry.expect}/i.`, status: 'error' };
+        }
+
+        if (entry.tool_calls && toolResults.length === 0) {
+            return {
+                content: '',
+                status: 'success',
+                toolCalls: entry.tool_calls.map((call, i) => ({ id: `call_${turn}_${i + 1}`, name: call.name, arguments: call.arguments }))
+            };
+        }
+
+        if (onToken && entry.status === 'success') {
+            entry.reply.split(/(?<=\s)/).forEach(word => onToken(word));
+        }
+
+        return { content: entry.reply, status: entry.status };
+    }
+}
+
+module.exports = ScriptedProvider;
+module.exports.loadScript = loadScript;
@@ -8,9 +8,12 @@
  * - TWILIO_AUTH_TOKEN: Twilio auth token
  * - TWILIO_DEFAULT_FROM: Default sender (fallback if no hospital senderId)
  * 
+ * Inbound webhooks are verified with the X-Twilio-Signature header.
+ * 
  * PHI SAFETY: Phone numbers are NEVER logged.
  */
 
+const crypto = require('crypto');
 const SMSProvider = require('./SMSProvider');
 const { logger } = require('../config/logger');
 
@@ -81,6 +84,29 @@ class TwilioSMSProvider extends SMSProvider {
         }
     }
 
+    /**
+     * Verify X-Twilio-Signature: base64 HMAC-SHA1 (auth token) of the URL
+     * followed by the POST fields sorted by name, each as name + value.
+     * 
+     * @param {Object} params
+     * @param {string} params.url - Full URL configured in Twilio
+     * @param {Object} params.body - Parsed form fields
+     * @param {Object} params.headers - Request headers
+     * @returns {boolean}
+     */
+    verifyInboundRequest({ url, body, headers }) {
+        const signature = headers['x-twilio-signature'];
+        if (!this.authToken || !signature) return false;
+
+        const data = Object.keys(body || {}).sort()
+            .reduce((acc, key) => acc + key + body[key], url);
+        const expected = crypto.createHmac('sha1', this.authToken).update(data, 'utf-8').digest('base64');
+
+        const a = Buffer.from(expected);
+        const b = Buffer.from(String(signature));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
     getName() {
         return 'TwilioSMSProvider';
     }
@@ -0,0 +1,178 @@
+/**
+ * WhatsAppCloudProvider - WhatsApp Business Cloud API
+ * 
+ * Sends text messages and verifies/parses inbound webhooks.
+ * 
+ * Configuration:
+ * - WHATSAPP_ACCESS_TOKEN: System user access token
+ * - WHATSAPP_APP_SECRET: App secret (X-Hub-Signature-256 on webhooks)
+ * - WHATSAPP_VERIFY_TOKEN: Token for the webhook subscription handshake
+ * - WHATSAPP_API_BASE_URL: Graph API base (default https://graph.facebook.com/v19.0;
+ *   point at scripts/fakeWhatsAppServer.js for local testing)
+ * 
+ * The sending number is per hospital (whatsapp_config.phone_number_id).
+ * 
+ * PHI SAFETY: Phone numbers and message text are NEVER logged.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('../config/logger');
+
+const DEFAULT_API_BASE_URL = 'https://graph.facebook.com/v19.0';
+const REQUEST_TIMEOUT_MS = 10000;
+
+class WhatsAppCloudProvider {
+    constructor(options = {}) {
+        this.apiBaseUrl = (options.apiBaseUrl || process.env.WHATSAPP_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/$/, '');
+        this.accessToken = options.accessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+        this.appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+        this.verifyToken = options.verifyToken || process.env.WHATSAPP_VERIFY_TOKEN;
+
+        if (!this.isConfigured()) {
+            logger.warn('WhatsAppCloudProvider: Not configured (missing access token or app secret)');
+        }
+    }
+
+    /**
+     * Send a text message.
+     * 
+     * @param {Object} params
+     * @param {string} params.phoneNumberId - Hospital's WhatsApp phone number ID
+     * @param {string} params.to - Recipient WhatsApp ID (PHI)
+     * @param {string} params.text - Message body
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+     */
+    async sendText({ phoneNumberId, to, text }) {
+        if (!this.accessToken) {
+            return { success: false, error: 'WhatsApp access token not configured' };
+        }
+
+        try {
+            const response = await axios.post(`${this.apiBaseUrl}/${phoneNumberId}/messages`, {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to,
+                type: 'text',
+                text: { preview_url: false, body: text }
+            }, {
+                headers: { Authorization: `Bearer ${this.accessToken}` },
+                timeout: REQUEST_TIMEOUT_MS
+            });
+
+            const messageId = response.data?.messages?.[0]?.id;
+            logger.info(`WhatsAppCloudProvider: Message sent to ${this.maskPhone(to)}, ID: ${messageId}`);
+
+            return { success: true, messageId };
+        } catch (err) {
+            // PHI-safe logging: never log the recipient or body
+            logger.error(`WhatsAppCloudProvider: Failed to send to ${this.maskPhone(to)}`, {
+                error: err.message,
+                status: err.response?.status,
+                code: err.response?.data?.error?.code
+            });
+
+            return { success: false, error: err.message };
+        }
+    }
+
+    /**
+     * Verify X-Hub-Signature-256 ("sha256=" + HMAC-SHA256 of the raw body with the app secret).
+     * 
+     * @param {Buffer|string} rawBody - Raw request body
+     * @param {string} signature - Header value
+     * @returns {boolean}
+     */
+    verifySignature(rawBody, signature) {
+        if (!this.appSecret || !rawBody || typeof signature !== 'string') return false;
+
+        const expected = 'sha256=' + crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex');
+        const a = Buffer.from(expected);
+        const b = Buffer.from(signature);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Webhook subscription handshake (GET with hub.* query params).
+     * 
+     * @param {Object} query - Request query
+     * @returns {string|null} Challenge to echo back, or null if the token does not match
+     */
+    verifySubscription(query) {
+        if (query['hub.mode'] === 'subscribe' && this.verifyToken && query['hub.verify_token'] === this.verifyToken) {
+            return query['hub.challenge'] || '';
+        }
+        return null;
+    }
+
+    /**
+     * Extract inbound messages from a webhook payload.
+     * Text and reply-button messages only; delivery statuses are ignored.
+     * 
+     * @param {Object} body - Webhook JSON
+     * @returns {Array<{id: string, from: string, text: string, phoneNumberId: string}>}
+     */
+    parseWebhook(body) {
+        if (body?.object !== 'whatsapp_business_account' || !Array.isArray(body.entry)) return [];
+
+        const messages = [];
+        for (const entry of body.entry) {
+            for (const change of entry.changes || []) {
+                const value = change.value || {};
+                for (const message of value.messages || []) {
+                    const text = message.type === 'text'
+                        ? message.text?.body
+                        : message.interactive?.button_reply?.title || message.button?.text;
+
+                    if (!message.from || typeof text !== 'string') continue;
+
+                    messages.push({
+                        id: message.id,
+                        from: message.from,
+                        text,
+                        phoneNumberId: value.metadata?.phone_number_id || null
+                    });
+                }
+            }
+        }
+        return messages;
+    }
+
+    isConfigured() {
+        return !!(this.accessToken && this.appSecret);
+    }
+
+    getName() {
+        return 'WhatsAppCloudProvider';
+    }
+
+    maskPhone(phone) {
+        if (!phone || phone.length < 4) return '****';
+        return '****' + phone.slice(-4);
+    }
+}
+
+let providerInstance = null;
+
+/**
+ * Get the WhatsApp provider (singleton).
+ * 
+ * @returns {WhatsAppCloudProvider}
+ */
+function getWhatsAppProvider() {
+    if (!providerInstance) {
+        providerInstance = new WhatsAppCloudProvider();
+    }
+    return providerInstance;
+}
+
+/**
+ * Reset the provider instance (for testing).
+ */
+function resetWhatsAppProvider() {
+    providerInstance = null;
+}
+
+module.exports = WhatsAppCloudProvider;
+module.exports.getWhatsAppProvider = getWhatsAppProvider;
+module.exports.resetWhatsAppProvider = resetWhatsAppProvider;
@@ -1,38 +1,48 @@
 /**
  * Provider Factory
- * 
+ *
  * Factory for creating AI provider instances based on environment configuration.
- * Reads AI_PROVIDER env variable and returns the appropriate provider.
- * 
+ * Returns a failover chain (see ProviderChain) over the configured providers.
+ *
  * Supported providers:
  *   - openrouter (default)
  *   - openai
- * 
+ *   - local     (OpenAI-compatible server: llama.cpp, Ollama; LOCAL_AI_BASE_URL)
+ *   - scripted  (canned replies from AI_SCRIPT_FILE; tests and offline demos)
+ *   - fallback  (canned "please call" reply; end of the chain)
+ *
+ * Configuration:
+ *   AI_PROVIDER_CHAIN=openrouter,openai,fallback  (default chain, in order)
+ *   AI_PROVIDER=openrouter                        (used when no chain: AI_PROVIDER → fallback)
+ *   AI_BREAKER_FAILURES=3                         (consecutive failures that open a circuit)
+ *   AI_BREAKER_COOLDOWN_MS=30000                  (open time before a trial request)
+ * Hospitals can override the chain and latency budgets (hospital config `ai_config`).
+ *
  * Usage:
  *   const provider = require('./providerFactory');
  *   const response = await provider.generateResponse({...});
  */
 
 const { logger } = require('../config/logger');
+const ProviderChain = require('./ProviderChain');
 
 // Valid provider names
-const VALID_PROVIDERS = ['openrouter', 'openai'];
+const VALID_PROVIDERS = ['openrouter', 'openai', 'local', 'scripted', 'fallback'];
+
+// One instance per provider, shared by every hospital chain
+const instances = new Map();
 
 /**
- * Create and return the configured AI provider instance.
- * This is called once at module load time.
- * 
- * @throws {Error} If AI_PROVIDER is set to an invalid value
+ * Create a provider instance by name.
+ *
+ * @param {string} providerName - One of VALID_PROVIDERS
+ * @throws {Error} If the name is invalid (or the provider can't be created)
  * @returns {AIProvider}
  */
-function createProvider() {
-    const providerName = (process.env.AI_PROVIDER || 'openrouter').toLowerCase().trim();
-
+function createProvider(providerName) {
     // Validate provider name
     if (!VALID_PROVIDERS.includes(providerName)) {
-        const errorMsg = `Invalid AI_PROVIDER: "${providerName}". Valid options: ${VALID_PROVIDERS.join(', ')}`;
-        logger.error(errorMsg);
-        throw new Error(errorMsg);
+        throw new Error(`Invalid AI provider: "${providerName}". Valid options: ${VALID_PROVIDERS.join(', ')}`);
     }
 
     let provider;
@@ -48,6 +58,21 @@ function createProvider() {
             provider = new OpenAIProvider();
             break;
 
+        case 'local':
+            const LocalAIProvider = require('./LocalAIProvider');
+            provider = new LocalAIProvider();
+            break;
+
+        case 'scripted':
+            const ScriptedProvider = require('./ScriptedProvider');
+            provider = new ScriptedProvider();
+            break;
+
+        case 'fallback':
+            const FallbackProvider = require('./FallbackProvider');
+            provider = new FallbackProvider();
+            break;
+
         default:
             // This should never be reached due to validation above
             throw new Error(`Unhandled provider: ${providerName}`);
@@ -58,5 +83,53 @@ function createProvider() {
     return provider;
 }
 
-// Export singleton instance
-module.exports = createProvider();
+/**
+ * Shared provider instance by name (created on first use).
+ */
+function getProvider(providerName) {
+    if (!instances.has(providerName)) {
+        instances.set(providerName, createProvider(providerName));
+    }
+    return instances.get(providerName);
+}
+
+/**
+ * Create the default provider chain.
+ * This is called once at module load time; default chain providers are
+ * created up front so configuration errors stop startup.
+ *
+ * @throws {Error} If AI_PROVIDER / AI_PROVIDER_CHAIN name an invalid provider (or the script is invalid)
+ * @returns {ProviderChain}
+ */
+function createProviderChain() {
+    const providerName = (process.env.AI_PROVIDER || 'openrouter').toLowerCase().trim();
+    const defaultChain = process.env.AI_PROVIDER_CHAIN
+        ? process.env.AI_PROVIDER_CHAIN.split(',').map(n => n.toLowerCase().trim()).filter(Boolean)
+        : [...new Set([providerName, 'fallback'])];
+
+    const invalid = defaultChain.filter(name => !VALID_PROVIDERS.includes(name));
+    if (invalid.length > 0) {
+        const source = process.env.AI_PROVIDER_CHAIN ? 'AI_PROVIDER_CHAIN' : 'AI_PROVIDER';
+        const errorMsg = `Invalid ${source}: "${invalid.join(', ')}". Valid options: ${VALID_PROVIDERS.join(', ')}`;
+        logger.error(errorMsg);
+        throw new Error(errorMsg);
+    }
+
+    defaultChain.forEach(getProvider);
+
+    const chain = new ProviderChain({
+        defaultChain,
+        getProvider,
+        breaker: {
+            failureThreshold: parseInt(process.env.AI_BREAKER_FAILURES, 10) || 3,
+            cooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 30000
+        }
+    });
+
+    logger.info(`AI Provider Factory: Created provider chain = ${chain.getName()}`);
+
+    return chain;
+}
+
+// Export singleton chain
+module.exports = createProviderChain();
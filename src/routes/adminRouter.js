@@ -0,0 +1,424 @@
+/**
+ * Admin Router - Hospital Administration
+ *
+ * Mounted at /:hospital_id/api/admin.
+ *
+ * Routes:
+ * - GET /departments - List departments
+ * - POST /departments - Create department
+ * - PATCH /departments/:id - Rename department
+ * - DELETE /departments/:id - Delete department (must have no doctors)
+ * - PUT /departments/:id/slot-settings - Slot length/buffer/daily cap
+ * - GET /doctors - List doctors (incl. inactive)
+ * - POST /doctors - Create doctor
+ * - PATCH /doctors/:id - Update name/department/is_active
+ * - DELETE /doctors/:id - Deactivate doctor (no hard delete)
+ * - PUT /doctors/:id/slot-settings - Per-doctor override (null = inherit)
+ * - GET /doctors/:id/availability - Weekly windows
+ * - POST /doctors/:id/availability - Add window
+ * - PATCH /doctors/:id/availability/:availabilityId - Update window
+ * - DELETE /doctors/:id/availability/:availabilityId - Remove window
+ * - GET /schedule-exceptions - Leave/holidays/extra clinics in a date range
+ * - POST /schedule-exceptions - Add exception (returns colliding appointments)
+ * - DELETE /schedule-exceptions/:id - Remove exception
+ * - GET /webhook-deliveries - Escalation webhook delivery log (incl. dead letters)
+ * - POST /webhook-deliveries/:id/redeliver - Queue a dead-lettered delivery again
+ * - GET /escalations/report - Time-to-acknowledge/resolve, SLA breaches, by category/trigger
+ * - GET /prompt-templates - AI persona versions (active version marked)
+ * - GET /prompt-templates/:version - One version with its config
+ * - POST /prompt-templates - Save a new version (optionally activate it)
+ * - PUT /prompt-templates/active - Activate a version (null = built-in template)
+ * - POST /prompt-templates/preview - Render the system prompt (saved version or draft)
+ * - GET /ai-provider - This hospital's AI provider chain, circuit breakers and last errors
+ *
+ * SECURITY:
+ * - Staff session required (same login as the reception dashboard)
+ * - Admin/manager roles only
+ * - Hospital isolation via requireReceptionAuth + hospital-scoped queries
+ * - Every change is audited with the staff username
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const HospitalAdminService = require('../services/hospitalAdminService');
+const ScheduleExceptionService = require('../services/scheduleExceptionService');
+const WebhookDeliveryService = require('../services/webhookDeliveryService');
+const { DELIVERY_STATUS } = require('../services/webhookDeliveryService');
+const EscalationSlaService = require('../services/escalationSlaService');
+const PromptTemplateService = require('../services/promptTemplateService');
+const aiProvider = require('../providers/providerFactory');
+const { formatAppointmentTime } = require('../services/patientAppointmentService');
+const { getHospitalTimezone, todayInTimezone, addDays } = require('../utils/hospitalTime');
+const { requireReceptionAuth, requireRole } = require('../middleware/receptionAuth');
+const { logger } = require('../config/logger');
+
+const ERROR_STATUS = {
+    VALIDATION: 400,
+    NOT_FOUND: 404,
+    CONFLICT: 409
+};
+
+/**
+ * Send a service result ({ success, error?, code? }) as JSON.
+ */
+function sendResult(res, result, successStatus = 200) {
+    if (!result.success) {
+        return res.status(ERROR_STATUS[result.code] || 400).json({ error: result.error });
+    }
+    const { success, ...body } = result;
+    res.status(successStatus).json({ success: true, ...body });
+}
+
+/**
+ * Wrap a handler with a consistent 500 response.
+ */
+function handle(label, fn) {
+    return async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (err) {
+            logger.error(`Admin ${label} error`, err);
+            res.status(500).json({ error: `Failed to ${label}` });
+        }
+    };
+}
+
+const idParam = (value) => parseInt(value, 10);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Pick slot settings from a request body (absent keys stay undefined).
+ */
+function slotSettingsBody(body) {
+    const { slot_duration_minutes, buffer_minutes, max_daily_patients } = body || {};
+    return { slot_duration_minutes, buffer_minutes, max_daily_patients };
+}
+
+// Apply authentication and role check to all routes
+router.use(requireReceptionAuth);
+router.use(requireRole('admin', 'manager'));
+
+// ============================================================
+// DEPARTMENTS
+// ============================================================
+
+router.get('/departments', handle('list departments', async (req, res) => {
+    const departments = await HospitalAdminService.listDepartments(req.hospitalId);
+    res.json({ departments });
+}));
+
+router.post('/departments', handle('create department', async (req, res) => {
+    const result = await HospitalAdminService.createDepartment(
+        req.hospitalId, req.body.name, req.receptionUser.username
+    );
+    sendResult(res, result, 201);
+}));
+
+router.patch('/departments/:id', handle('update department', async (req, res) => {
+    const result = await HospitalAdminService.renameDepartment(
+        req.hospitalId, idParam(req.params.id), req.body.name, req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+router.delete('/departments/:id', handle('delete department', async (req, res) => {
+    const result = await HospitalAdminService.deleteDepartment(
+        req.hospitalId, idParam(req.params.id), req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+/**
+ * PUT /departments/:id/slot-settings
+ * Body: { slot_duration_minutes?, buffer_minutes?, max_daily_patients? }
+ */
+router.put('/departments/:id/slot-settings', handle('update slot settings', async (req, res) => {
+    const result = await HospitalAdminService.updateSlotSettings(
+        req.hospitalId, 'department', idParam(req.params.id), slotSettingsBody(req.body), req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+// ============================================================
+// DOCTORS
+// ============================================================
+
+/**
+ * GET /doctors
+ * Query params:
+ * - department_id: Filter by department
+ * - active: "true" to hide inactive doctors
+ */
+router.get('/doctors', handle('list doctors', async (req, res) => {
+    const doctors = await HospitalAdminService.listDoctors(req.hospitalId, {
+        departmentId: req.query.department_id ? idParam(req.query.department_id) : null,
+        includeInactive: req.query.active !== 'true'
+    });
+    res.json({ doctors });
+}));
+
+router.post('/doctors', handle('create doctor', async (req, res) => {
+    const result = await HospitalAdminService.createDoctor(req.hospitalId, {
+        name: req.body.name,
+        department_id: req.body.department_id
+    }, req.receptionUser.username);
+    sendResult(res, result, 201);
+}));
+
+router.patch('/doctors/:id', handle('update doctor', async (req, res) => {
+    const { name, department_id, is_active } = req.body;
+    const result = await HospitalAdminService.updateDoctor(
+        req.hospitalId, idParam(req.params.id), { name, department_id, is_active }, req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+/**
+ * DELETE /doctors/:id
+ * Doctors are deactivated, not deleted (appointments keep their doctor).
+ */
+router.delete('/doctors/:id', handle('deactivate doctor', async (req, res) => {
+    const result = await HospitalAdminService.updateDoctor(
+        req.hospitalId, idParam(req.params.id), { is_active: false }, req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+/**
+ * PUT /doctors/:id/slot-settings
+ * Body: { slot_duration_minutes?, buffer_minutes?, max_daily_patients? }
+ * null clears the override so the department value applies.
+ */
+router.put('/doctors/:id/slot-settings', handle('update slot settings', async (req, res) => {
+    const result = await HospitalAdminService.updateSlotSettings(
+        req.hospitalId, 'doctor', idParam(req.params.id), slotSettingsBody(req.body), req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+// ============================================================
+// AVAILABILITY
+// ============================================================
+
+router.get('/doctors/:id/availability', handle('list availability', async (req, res) => {
+    const doctorId = idParam(req.params.id);
+
+    if (!await HospitalAdminService.getDoctor(req.hospitalId, doctorId)) {
+        return res.status(404).json({ error: 'Doctor not found.' });
+    }
+
+    const availability = await HospitalAdminService.listAvailability(req.hospitalId, doctorId);
+    res.json({ availability });
+}));
+
+/**
+ * POST /doctors/:id/availability
+ * Body: { day_of_week (0=Sunday..6), start_time (HH:MM), end_time (HH:MM) }
+ */
+router.post('/doctors/:id/availability', handle('add availability', async (req, res) => {
+    const { day_of_week, start_time, end_time } = req.body;
+    const result = await HospitalAdminService.addAvailability(
+        req.hospitalId, idParam(req.params.id), { day_of_week, start_time, end_time }, req.receptionUser.username
+    );
+    sendResult(res, result, 201);
+}));
+
+router.patch('/doctors/:id/availability/:availabilityId', handle('update availability', async (req, res) => {
+    const { day_of_week, start_time, end_time } = req.body;
+    const result = await HospitalAdminService.updateAvailability(
+        req.hospitalId, idParam(req.params.id), idParam(req.params.availabilityId),
+        { day_of_week, start_time, end_time }, req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+router.delete('/doctors/:id/availability/:availabilityId', handle('delete availability', async (req, res) => {
+    const result = await HospitalAdminService.deleteAvailability(
+        req.hospitalId, idParam(req.params.id), idParam(req.params.availabilityId), req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+// ============================================================
+// SCHEDULE EXCEPTIONS
+// ============================================================
+
+/**
+ * GET /schedule-exceptions
+ * Query params:
+ * - from: YYYY-MM-DD (default today)
+ * - to: YYYY-MM-DD (default from + 30 days)
+ */
+router.get('/schedule-exceptions', handle('list schedule exceptions', async (req, res) => {
+    const from = req.query.from || todayInTimezone(await getHospitalTimezone(req.hospitalId));
+
+    if (!DATE_PATTERN.test(from) || (req.query.to && !DATE_PATTERN.test(req.query.to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+
+    const to = req.query.to || addDays(from, 30);
+    const exceptions = await ScheduleExceptionService.list(req.hospitalId, from, to);
+    res.json({ exceptions });
+}));
+
+/**
+ * POST /schedule-exceptions
+ * Body: { exception_type: 'closed'|'extra', doctor_id? (omit for hospital-wide),
+ *         start_date, end_date?, start_time?, end_time?, reason? }
+ *
+ * Appointments already booked inside a closure are NOT cancelled;
+ * they are returned as warnings for reception to follow up.
+ */
+router.post('/schedule-exceptions', handle('create schedule exception', async (req, res) => {
+    const { exception_type, doctor_id, start_date, end_date, start_time, end_time, reason } = req.body;
+    const result = await ScheduleExceptionService.create(req.hospitalId, {
+        exception_type, doctor_id, start_date, end_date, start_time, end_time, reason
+    }, req.receptionUser.username);
+
+    if (!result.success) {
+        return sendResult(res, result);
+    }
+
+    res.status(201).json({
+        success: true,
+        exception: result.exception,
+        warnings: result.collisions.map(c => ({
+            appointment_id: c.id,
+            doctor_name: c.doctor_name,
+            appointment_time: formatAppointmentTime(c.appointment_time),
+            status: c.status
+        }))
+    });
+}));
+
+router.delete('/schedule-exceptions/:id', handle('delete schedule exception', async (req, res) => {
+    const result = await ScheduleExceptionService.remove(
+        req.hospitalId, idParam(req.params.id), req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+// ============================================================
+// WEBHOOK DELIVERIES
+// ============================================================
+
+/**
+ * GET /webhook-deliveries
+ * Query params:
+ * - status: pending | retrying | delivered | dead_letter
+ * - limit: max rows (default 50, max 200)
+ */
+router.get('/webhook-deliveries', handle('list webhook deliveries', async (req, res) => {
+    const { status, limit } = req.query;
+
+    if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}` });
+    }
+
+    const deliveries = await WebhookDeliveryService.listDeliveries(req.hospitalId, { status, limit });
+    res.json({ deliveries });
+}));
+
+router.post('/webhook-deliveries/:id/redeliver', handle('redeliver webhook', async (req, res) => {
+    const result = await WebhookDeliveryService.redeliver(
+        req.hospitalId, idParam(req.params.id), req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+// ============================================================
+// ESCALATIONS
+// ============================================================
+
+/**
+ * GET /escalations/report
+ * Query params (hospital dates, escalations created in the range):
+ * - from: YYYY-MM-DD (default to - 29 days)
+ * - to: YYYY-MM-DD (default today)
+ */
+router.get('/escalations/report', handle('load escalation report', async (req, res) => {
+    const result = await EscalationSlaService.getReport(req.hospitalId, {
+        from: req.query.from,
+        to: req.query.to
+    });
+    sendResult(res, result);
+}));
+
+// ============================================================
+// PROMPT TEMPLATES (AI persona)
+// ============================================================
+
+router.get('/prompt-templates', handle('list prompt templates', async (req, res) => {
+    const result = await PromptTemplateService.list(req.hospitalId);
+    res.json(result);
+}));
+
+/**
+ * POST /prompt-templates/preview
+ * Body: { config? (unsaved draft) | version? (default: active),
+ *         language?, department?, urgent? }
+ */
+router.post('/prompt-templates/preview', handle('preview prompt template', async (req, res) => {
+    const { config, version, language, department, urgent } = req.body;
+    const result = await PromptTemplateService.preview(req.hospitalId, req.hospital, {
+        config, version, language, department, urgent
+    });
+    sendResult(res, result);
+}));
+
+/**
+ * PUT /prompt-templates/active
+ * Body: { version } (null = built-in template)
+ */
+router.put('/prompt-templates/active', handle('activate prompt template', async (req, res) => {
+    const result = await PromptTemplateService.activate(
+        req.hospitalId, req.body.version ?? null, req.receptionUser.username
+    );
+    sendResult(res, result);
+}));
+
+router.get('/prompt-templates/:version', handle('load prompt template', async (req, res) => {
+    const template = await PromptTemplateService.get(req.hospitalId, idParam(req.params.version));
+    if (!template) {
+        return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json({ template });
+}));
+
+/**
+ * POST /prompt-templates
+ * Body: { config: { tone?, greeting?, extra_rules?, templates? }, notes?, activate? }
+ */
+router.post('/prompt-templates', handle('save prompt template', async (req, res) => {
+    const { config, notes, activate } = req.body;
+    const result = await PromptTemplateService.create(req.hospitalId, { config, notes }, req.receptionUser.username);
+
+    if (!result.success || !activate) {
+        return sendResult(res, result, 201);
+    }
+
+    const activation = await PromptTemplateService.activate(
+        req.hospitalId, result.template.version, req.receptionUser.username
+    );
+    if (!activation.success) {
+        return sendResult(res, activation);
+    }
+    sendResult(res, { ...result, template: { ...result.template, active: true } }, 201);
+}));
+
+// ============================================================
+// AI PROVIDER
+// ============================================================
+
+/**
+ * GET /ai-provider
+ * Chain health from breaker state (the public /health/ai-provider only
+ * reports the aggregate status).
+ */
+router.get('/ai-provider', handle('load AI provider health', async (req, res) => {
+    res.json(aiProvider.getHealth(req.hospital));
+}));
+
+module.exports = router;
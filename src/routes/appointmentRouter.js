@@ -0,0 +1,239 @@
+/**
+ * Appointment Router - Patient Self-Service
+ *
+ * Mounted at /:hospital_id/appointments.
+ *
+ * Routes:
+ * - POST /verify/request - Send OTP to the booking phone number
+ * - POST /verify - Verify OTP (grants session access)
+ * - GET / - List upcoming appointments
+ * - GET /:appointmentId/slots - Available slots to move to
+ * - PATCH /:appointmentId - Reschedule to another slot
+ * - DELETE /:appointmentId - Cancel
+ *
+ * SECURITY:
+ * - All routes except verification require a verified phone (OTP)
+ * - Access lives in the hospital-scoped session, so it never crosses hospitals
+ * - Patients can only see and change appointments booked with their phone
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const PatientAppointmentService = require('../services/patientAppointmentService');
+const { formatAppointmentTime } = require('../services/patientAppointmentService');
+const { logger } = require('../config/logger');
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Require a verified patient phone in the hospital session.
+ * Sets req.patientPhone.
+ */
+function requirePatientAccess(req, res, next) {
+    const phone = PatientAppointmentService.getVerifiedPhone(req.hospitalSession);
+
+    if (!phone) {
+        return res.status(401).json({
+            error: 'Verification required',
+            code: 'PATIENT_VERIFICATION_REQUIRED'
+        });
+    }
+
+    req.patientPhone = phone;
+    next();
+}
+
+/**
+ * Format an appointment for the client.
+ */
+function toResponse(appointment) {
+    return {
+        ...appointment,
+        appointmentTime: formatAppointmentTime(appointment.appointmentTime)
+    };
+}
+
+// ============================================================
+// VERIFICATION
+// ============================================================
+
+/**
+ * POST /verify/request
+ * Send a verification code to the phone used for booking.
+ */
+router.post('/verify/request', async (req, res) => {
+    try {
+        const { phone } = req.body;
+
+        if (!phone || typeof phone !== 'string') {
+            return res.status(400).json({ error: 'phone is required' });
+        }
+
+        const result = await PatientAppointmentService.requestVerification(
+            req.hospitalSession, req.hospitalId, req.hospital, phone
+        );
+
+        if (!result.success) {
+            return res.status(429).json({ error: result.error });
+        }
+
+        res.json({ success: true, phoneLast4: result.phoneLast4 });
+
+    } catch (err) {
+        logger.error('Appointments: verification request error', err);
+        res.status(500).json({ error: 'Failed to send verification code' });
+    }
+});
+
+/**
+ * POST /verify
+ * Verify the code and grant access for this session.
+ */
+router.post('/verify', async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code || !/^\d{6}$/.test(String(code))) {
+            return res.status(400).json({ error: 'A 6-digit code is required' });
+        }
+
+        const result = await PatientAppointmentService.verify(req.hospitalSession, req.hospitalId, code);
+
+        if (!result.success) {
+            return res.status(401).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+
+    } catch (err) {
+        logger.error('Appointments: verification error', err);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
+// ============================================================
+// VERIFIED ROUTES
+// ============================================================
+
+router.use(requirePatientAccess);
+
+/**
+ * GET /
+ * List the patient's upcoming appointments.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const appointments = await PatientAppointmentService.listAppointments(req.hospitalId, req.patientPhone);
+
+        res.json({ appointments: appointments.map(toResponse) });
+
+    } catch (err) {
+        logger.error('Appointments: list error', err);
+        res.status(500).json({ error: 'Failed to load appointments' });
+    }
+});
+
+/**
+ * GET /:appointmentId/slots
+ * Available slots in the same department.
+ *
+ * Query params:
+ * - date: YYYY-MM-DD (optional, defaults to the next available days)
+ */
+router.get('/:appointmentId/slots', async (req, res) => {
+    try {
+        const { date } = req.query;
+
+        if (date && !DATE_PATTERN.test(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+
+        const result = await PatientAppointmentService.getRescheduleOptions(
+            req.hospitalId, req.patientPhone, req.params.appointmentId, { date, limit: 50 }
+        );
+
+        if (!result.success) {
+            return res.status(404).json({ error: result.error });
+        }
+
+        res.json({
+            slots: result.slots.map(s => ({
+                doctorId: s.doctor_id,
+                doctorName: s.doctor_name,
+                datetime: s.datetime
+            }))
+        });
+
+    } catch (err) {
+        logger.error('Appointments: slots error', err);
+        res.status(500).json({ error: 'Failed to load slots' });
+    }
+});
+
+/**
+ * PATCH /:appointmentId
+ * Reschedule to another slot.
+ *
+ * Body: { doctor_id, datetime }
+ */
+router.patch('/:appointmentId', async (req, res) => {
+    try {
+        const doctorId = parseInt(req.body.doctor_id, 10);
+        const { datetime } = req.body;
+
+        if (!doctorId || !datetime || !DATETIME_PATTERN.test(datetime)) {
+            return res.status(400).json({ error: 'doctor_id and datetime (YYYY-MM-DDTHH:MM:00) are required' });
+        }
+
+        const result = await PatientAppointmentService.reschedule(
+            req.hospitalId, req.hospital, req.patientPhone, req.params.appointmentId,
+            { doctorId, datetime }, req.sessionID
+        );
+
+        if (!result.success) {
+            const status = result.error === 'Appointment not found.' ? 404 : 409;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.json({
+            success: true,
+            appointment: {
+                id: result.appointment.id,
+                doctorId: result.appointment.doctor_id,
+                appointmentTime: formatAppointmentTime(result.appointment.appointment_time),
+                status: result.appointment.status
+            }
+        });
+
+    } catch (err) {
+        logger.error('Appointments: reschedule error', err);
+        res.status(500).json({ error: 'Reschedule failed. Please try again.' });
+    }
+});
+
+/**
+ * DELETE /:appointmentId
+ * Cancel an appointment.
+ */
+router.delete('/:appointmentId', async (req, res) => {
+    try {
+        const result = await PatientAppointmentService.cancel(
+            req.hospitalId, req.hospital, req.patientPhone, req.params.appointmentId
+        );
+
+        if (!result.success) {
+            const status = result.error === 'Appointment not found.' ? 404 : 409;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.json({ success: true, appointmentId: parseInt(req.params.appointmentId, 10), status: 'cancelled' });
+
+    } catch (err) {
+        logger.error('Appointments: cancel error', err);
+        res.status(500).json({ error: 'Cancellation failed. Please try again.' });
+    }
+});
+
+module.exports = router;
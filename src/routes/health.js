@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const redisClient = require('../config/redis');
 const { emailQueue, bookingQueue } = require('../config/queue');
-const axios = require('axios');
+const aiProvider = require('../providers/providerFactory');
 const { logger } = require('../config/logger');
 
 // --- Health Check Logic ---
@@ -38,20 +38,20 @@ async function checkQueue() {
     }
 }
 
-async function checkAI() {
-    const start = Date.now();
+/**
+ * AI provider chain health from circuit breaker state (no provider calls,
+ * so health checks don't spend tokens or wait on a slow provider).
+ * UP = primary provider healthy, DEGRADED = running on a backup, DOWN = canned replies only.
+ *
+ * Public: aggregate status of the default chain only. Providers, breaker
+ * state and errors per hospital are admin-only (GET /:hospital_id/api/admin/ai-provider).
+ */
+function checkAI() {
     try {
-        // Simple connectivity check to OpenRouter (metadata endpoint or just root)
-        // We use a light GET request.
-        await axios.get('https://openrouter.ai/api/v1/models', { timeout: 2000 });
-        return { status: 'UP', latency_ms: Date.now() - start };
+        return { status: aiProvider.getHealth().status };
     } catch (error) {
-        // 401 is generic if key missing, but connectivity is OK. 
-        // 200 is best. Network error is DOWN.
-        if (error.response && error.response.status < 500) {
-            return { status: 'UP', latency_ms: Date.now() - start, note: 'Authenticated/Reachability OK' };
-        }
-        return { status: 'DOWN', error: error.message, latency_ms: Date.now() - start };
+        logger.error('Health Check Failed: AI provider', error);
+        return { status: 'DOWN' };
     }
 }
 
@@ -61,7 +61,7 @@ async function checkAI() {
 router.get('/', async (req, res) => {
     const redis = await checkRedis();
     const queue = await checkQueue();
-    const ai = await checkAI();
+    const ai = checkAI();
 
     const systemStatus = (redis.status === 'UP' && queue.status === 'UP') ? 'UP' : 'DEGRADED';
 
@@ -87,9 +87,9 @@ router.get('/queue', async (req, res) => {
     res.status(status.status === 'UP' ? 200 : 503).json(status);
 });
 
-router.get('/ai-provider', async (req, res) => {
-    const status = await checkAI();
-    res.status(status.status === 'UP' ? 200 : 503).json(status);
+router.get('/ai-provider', (req, res) => {
+    const status = checkAI();
+    res.status(status.status === 'DOWN' ? 503 : 200).json(status);
 });
 
 module.exports = router;
@@ -6,8 +6,16 @@
  * 
  * Route structure:
  *   /:hospital_id/chat     - Chat endpoint
+ *   /:hospital_id/chat/stream  - Chat endpoint, AI reply streamed (Server-Sent Events)
+ *   /:hospital_id/chat/updates - Staff replies while a conversation is taken over
+ *   /:hospital_id/chat/events  - Server-Sent Events push for the widget (takeover)
  *   /:hospital_id/book     - Direct booking
+ *   /:hospital_id/appointments - Patient self-service (view/reschedule/cancel)
+ *   /:hospital_id/waitlist - Join the waitlist / accept a slot offer
+ *   /:hospital_id/sms      - Inbound SMS webhook (patient replies)
+ *   /:hospital_id/whatsapp - WhatsApp Business webhook (chat over WhatsApp)
  *   /:hospital_id/api/*    - API endpoints
+ *   /:hospital_id/api/admin - Departments, doctors, availability (admin/manager)
  *   /:hospital_id/reception - Reception dashboard
  */
 
@@ -24,14 +32,19 @@ const checkConsent = require('../middleware/consentEnforcement');
 const { logger, auditLogger } = require('../config/logger');
 
 // Services
-const triageService = require('../services/triageService');
-const aiService = require('../services/aiService');
-const bookingService = require('../services/bookingService');
-const HumanHandoffService = require('../services/humanHandoffService');
-const { getSafeAIInput } = require('../utils/safeAIInput');
+const conversationOrchestrator = require('../services/conversationOrchestrator');
+const LiveTakeoverService = require('../services/liveTakeoverService');
+const PromptTemplateService = require('../services/promptTemplateService');
+const RealtimeService = require('../services/realtimeService');
+const { AUDIENCES } = require('../services/realtimeService');
 
 // Sub-routers (Phase 6)
 const receptionRouter = require('./receptionRouter');
+const appointmentRouter = require('./appointmentRouter');
+const adminRouter = require('./adminRouter');
+const waitlistRouter = require('./waitlistRouter');
+const smsWebhookRouter = require('./smsWebhookRouter');
+const whatsappRouter = require('./whatsappRouter');
 
 // Apply hospital context resolution to ALL routes in this router
 router.use(resolveHospitalContext);
@@ -77,6 +90,21 @@ router.use((req, res, next) => {
 // Mount reception API router
 router.use('/api/reception', receptionRouter);
 
+// Mount hospital admin API router
+router.use('/api/admin', adminRouter);
+
+// Mount patient self-service router
+router.use('/appointments', rateLimitMiddleware, appointmentRouter);
+
+// Mount patient waitlist router
+router.use('/waitlist', rateLimitMiddleware, waitlistRouter);
+
+// Mount inbound SMS webhook (provider-signed, no rate limit)
+router.use('/sms', smsWebhookRouter);
+
+// Mount WhatsApp Business webhook (signed by Meta, no rate limit)
+router.use('/whatsapp', whatsappRouter);
+
 // Serve reception dashboard pages
 router.get('/reception', (req, res) => {
     res.sendFile(path.join(__dirname, '../../public/reception.html'));
@@ -153,7 +181,7 @@ router.post('/set-language', (req, res) => {
  * Dedicated endpoint for consent via buttons (Yes/No).
  * Bypasses the full chat middleware chain.
  */
-router.post('/set-consent', (req, res) => {
+router.post('/set-consent', async (req, res) => {
     const { consent } = req.body;
     const hospital = req.hospital;
     const hospitalId = req.hospitalId;
@@ -190,9 +218,12 @@ router.post('/set-consent', (req, res) => {
     req.hospitalSession.consentGiven = true;
     logger.info(`Consent granted via button for hospital ${hospitalId}`);
 
-    // Return welcome message based on language
+    // Return welcome message based on language (the hospital's persona greeting first)
+    const persona = await PromptTemplateService.getActive(hospitalId);
     let welcomeMsg;
-    if (lang === 'Arabic') {
+    if (persona?.config.greeting[lang]) {
+        welcomeMsg = persona.config.greeting[lang];
+    } else if (lang === 'Arabic') {
         welcomeMsg = `شكراً لك. أنا موظف استقبال ${hospital.name} (AI). كيف يمكنني مساعدتك اليوم؟ (يمكنك السؤال عن المواعيد، الأقسام، أو معلومات عامة).`;
     } else if (lang === 'Roman Arabic') {
         welcomeMsg = `Shukran. Ana muwazaf istiqbal ${hospital.name} (AI). Kif agdar asa3dak alyaum? (Tigdar tas'al 3an maw3id, aqsam, aw ma3lumat 3amah).`;
@@ -218,7 +249,46 @@ router.get('/session-status', (req, res) => {
     res.json({
         language: hs.preferredLanguage || null,
         consentGiven: hs.consentGiven || false,
-        hasHistory: (hs.history && hs.history.length > 0) || false
+        hasHistory: (hs.history && hs.history.length > 0) || false,
+        escalated: !!hs.escalationId
+    });
+});
+
+/**
+ * GET /:hospital_id/chat/updates?after=<message id>
+ * 
+ * Staff/system messages for an escalated conversation (polled by the widget).
+ * Returns { active, status?, messages }; active=false once staff hand the
+ * conversation back to the AI or close it.
+ */
+router.get('/chat/updates', async (req, res) => {
+    try {
+        const afterId = parseInt(req.query.after, 10) || 0;
+        const updates = await LiveTakeoverService.getPatientUpdates(req.hospitalId, req.hospitalSession, afterId);
+        res.json(updates);
+    } catch (err) {
+        logger.error('Chat updates error', err);
+        res.status(500).json({ error: 'Failed to load messages' });
+    }
+});
+
+/**
+ * GET /:hospital_id/chat/events
+ * 
+ * Server-Sent Events stream for this conversation (session cookie).
+ * Events only say that something changed (e.g. takeover.message); the
+ * widget then loads /chat/updates. 204 (EventSource stops reconnecting)
+ * unless the conversation has been escalated.
+ */
+router.get('/chat/events', async (req, res) => {
+    if (!req.hospitalSession.escalationId) {
+        return res.status(204).end();
+    }
+
+    await RealtimeService.openStream(req, res, {
+        hospitalId: req.hospitalId,
+        audience: AUDIENCES.PATIENT,
+        conversationId: req.sessionID
     });
 });
 
@@ -226,7 +296,8 @@ router.get('/session-status', (req, res) => {
 /**
  * POST /:hospital_id/chat
  * 
- * Main chat endpoint - handles AI conversation flow
+ * Main chat endpoint - runs the shared conversation pipeline
+ * (see services/conversationOrchestrator.js)
  */
 router.post('/chat',
     rateLimitMiddleware,
@@ -234,191 +305,22 @@ router.post('/chat',
     phiRedaction,
     enforceLanguage,
     checkConsent,
-    async (req, res) => {
-        try {
-            // req.body.message is now REDACTED. req.local.rawMessage is RAW.
-            const message = req.body.message;
-            const rawMessage = res.locals.rawMessage || message;
-
-            // Get hospital context (MULTI-TENANT ISOLATION)
-            // Now uses req.hospital (from URL) instead of res.locals
-            const hospitalId = req.hospitalId;
-            const hospital = req.hospital;
-
-            // AUDIT 1: Message Received (Redacted, with hospital_id)
-            auditLogger.info({
-                action: 'MESSAGE_RECEIVED',
-                hospital_id: hospitalId,
-                conversationId: req.sessionID,
-                actor: 'user',
-                data: {
-                    message_redacted: message.substring(0, 100) + (message.length > 100 ? '...' : '')
-                }
-            });
-
-            if (!message || typeof message !== 'string' || message.length > 500) {
-                return res.status(400).json({ error: 'Invalid message format.' });
-            }
-
-            // Use hospital-scoped session
-            const hospitalSession = req.hospitalSession;
-            if (!hospitalSession.history) hospitalSession.history = [];
-
-            // --- CRITICAL: AI DISENGAGEMENT CHECK ---
-            if (HumanHandoffService.isEscalated(hospitalSession)) {
-                auditLogger.info({
-                    action: 'POST_ESCALATION_MESSAGE',
-                    hospital_id: hospitalId,
-                    conversationId: req.sessionID,
-                    actor: 'user',
-                    data: { note: 'User message received after escalation, AI not invoked' }
-                });
-
-                return res.json(HumanHandoffService.getEscalatedResponse());
-            }
-
-            // --- STEP 1: HYBRID TRIAGE (Use RAW message for safety) ---
-            const triageResult = triageService.evaluate(rawMessage);
-
-            auditLogger.info({
-                action: 'TRIAGE_RESULT',
-                hospital_id: hospitalId,
-                conversationId: req.sessionID,
-                actor: 'system',
-                data: { status: triageResult.status, department: triageResult.department || 'none' }
-            });
-
-            // Emergency Bypass
-            if (triageResult.status === 'emergency') {
-                logger.warn(`Emergency bypass triggered for session ${req.sessionID}`);
-                return res.json({ reply: triageResult.response });
-            }
-
-            // --- STEP 2: CONTEXT PREP (Hospital-aware) ---
-            let contextData = {
-                hospital: hospital,
-                hospitalId: hospitalId,
-                workingHours: hospital.working_hours || null
-            };
-            if (triageResult.department) {
-                if (hospital.departments && hospital.departments.includes(triageResult.department)) {
-                    logger.info(`Context: Fetched slots for ${triageResult.department} at ${hospital.name}`);
-                    const slots = await bookingService.getAvailableSlots(triageResult.department, hospitalId);
-                    contextData.availableSlots = slots.map(s => `${s.start_time} with ${s.doctor_name}`).join('\n');
-                } else {
-                    logger.warn(`Department ${triageResult.department} not available at ${hospital.name}`);
-                    contextData.availableSlots = null;
-                }
-            }
-
-            // --- STEP 3: HUMAN ESCALATION CHECK ---
-            if (HumanHandoffService.isHandoffRequested(rawMessage)) {
-                const handoffResponse = await HumanHandoffService.triggerHandoff(
-                    req.sessionID,
-                    'User Keyword Request',
-                    hospital,
-                    hospitalSession,
-                    HumanHandoffService.TRIGGER_TYPES.USER_REQUESTED
-                );
-                hospitalSession.history.push({ role: 'user', content: message });
-                hospitalSession.history.push({ role: 'assistant', content: handoffResponse.reply });
-                return res.json(handoffResponse);
-            }
-
-            // --- STEP 4: AI EXECUTION ---
-            req._aiContext = contextData;
-            const safeInput = getSafeAIInput(req);
-            const aiResponse = await aiService.generateResponse(safeInput);
-
-            auditLogger.info({
-                action: 'AI_RESPONSE',
-                hospital_id: hospitalId,
-                conversationId: req.sessionID,
-                actor: 'ai_assistant',
-                data: { reply_length: aiResponse.reply.length }
-            });
-
-            hospitalSession.history.push({ role: 'user', content: message });
-            hospitalSession.history.push({ role: 'assistant', content: aiResponse.reply });
-
-            // --- STEP 5: BOOKING HANDLING & OTP ---
-            if (hospitalSession.pendingBooking) {
-                const otpCode = rawMessage.trim();
-                if (/^\d{6}$/.test(otpCode)) {
-                    const isValid = await require('../services/otpService').verifyOtp(req.sessionID, otpCode);
-                    if (isValid) {
-                        const { name, phone, department, date, time } = hospitalSession.pendingBooking;
-                        const exactSlot = await bookingService.findSlotByTime(department, date, time);
-
-                        if (exactSlot) {
-                            await bookingService.confirmBooking(exactSlot.id, name, phone);
-                            logger.info(`Booking Confirmed via OTP: ID ${exactSlot.id}`);
-                            hospitalSession.pendingBooking = null;
-                            return res.json({ reply: "✅ Booking Confirmed! We look forward to seeing you." });
-                        } else {
-                            hospitalSession.pendingBooking = null;
-                            return res.json({ reply: "⚠️ The slot is no longer available. Please choose another time." });
-                        }
-                    } else {
-                        return res.json({ reply: "❌ Invalid code. Please try again." });
-                    }
-                }
-            }
-
-            if (aiResponse.bookingData) {
-                const { name, phone, department, date, time } = aiResponse.bookingData;
-                const exactSlot = await bookingService.findSlotByTime(department, date, time);
-
-                if (exactSlot) {
-                    const otp = await require('../services/otpService').generateOtp(req.sessionID);
-                    hospitalSession.pendingBooking = aiResponse.bookingData;
-
-                    const { emailQueue } = require('../config/queue');
-                    emailQueue.add('send-otp', {
-                        details: { ...aiResponse.bookingData, otp }
-                    });
-
-                    res.json({ reply: `${aiResponse.reply}\n\n🔒 **Security Check**: I have sent a 6-digit verification code to the hospital admin (simulation). Please type the code here to finalize your booking.` });
-                    return;
-                } else {
-                    logger.warn(`Booking Mismatch: AI proposed ${date} ${time} but slot invalid/taken.`);
-                }
-            }
-
-            // --- STEP 6: AUTO-HANDOFF CHECK ---
-            if (aiResponse.status === 'error') {
-                hospitalSession.consecutiveErrors = (hospitalSession.consecutiveErrors || 0) + 1;
-                logger.warn(`AI Failure Detected. Consecutive Errors: ${hospitalSession.consecutiveErrors}`);
-
-                const autoTrigger = HumanHandoffService.checkAutoTrigger(hospitalSession, aiResponse, hospital);
-
-                if (autoTrigger.shouldEscalate) {
-                    logger.warn(`Auto-Handoff Triggered for Session ${req.sessionID}, reason: ${autoTrigger.triggerType}`);
-                    const handoffResponse = await HumanHandoffService.triggerHandoff(
-                        req.sessionID,
-                        'Automatic Escalation',
-                        hospital,
-                        hospitalSession,
-                        autoTrigger.triggerType
-                    );
-                    hospitalSession.consecutiveErrors = 0;
-
-                    hospitalSession.history.push({ role: 'user', content: message });
-                    hospitalSession.history.push({ role: 'assistant', content: handoffResponse.reply });
-
-                    return res.json(handoffResponse);
-                }
-            } else {
-                hospitalSession.consecutiveErrors = 0;
-            }
-
-            res.json({ reply: aiResponse.reply });
-
-        } catch (error) {
-            logger.error('Server Error in /chat', error);
-            res.status(500).json({ error: 'Internal system error.' });
-        }
-    });
+    conversationOrchestrator.handler());
+
+/**
+ * POST /:hospital_id/chat/stream
+ * 
+ * Same as POST /chat, but the AI reply is streamed as it is generated
+ * (events: token, reset, done, error). Middleware refusals (rate limit,
+ * consent, language) are still plain JSON responses.
+ */
+router.post('/chat/stream',
+    rateLimitMiddleware,
+    abuseProtection,
+    phiRedaction,
+    enforceLanguage,
+    checkConsent,
+    conversationOrchestrator.streamHandler());
 
 /**
  * GET /:hospital_id/info
@@ -11,6 +11,24 @@
  * - GET /doctors - List doctors (filterable by department)
  * - GET /bookings - Search bookings (role-aware)
  * - POST /checkin - Check-in a booking (reception only)
+ * - GET /slots - Available slots for a department/date
+ * - POST /bookings - Create a booking for a walk-in/phone patient (reception only)
+ * - PATCH /bookings/:id - Reschedule a booking (reception only)
+ * - DELETE /bookings/:id - Cancel a booking (reception only)
+ * - POST /bookings/:id/complete - Mark a visit completed (reception, or the doctor)
+ * - POST /bookings/:id/no-show - Mark a booking as no-show (reception, or the doctor)
+ * - GET /schedule-warnings - Upcoming leave/holidays that still have bookings (reception only)
+ * - GET /waitlist - Patients waiting for a slot (reception only)
+ * - POST /waitlist - Add a phone/walk-in patient to the waitlist (reception only)
+ * - DELETE /waitlist/:id - Remove a waitlist entry (reception only)
+ * - GET /escalations - Escalated conversations queue (reception only)
+ * - GET /escalations/:id - Escalation with its (redacted) transcript (reception only)
+ * - POST /escalations/:id/acknowledge - Mark an escalation as seen (stops SLA reminders)
+ * - POST /escalations/:id/claim - Take over a conversation (reception only)
+ * - POST /escalations/:id/messages - Reply to the patient (claiming staff member)
+ * - POST /escalations/:id/handback - Return the conversation to the AI (claiming staff member)
+ * - POST /escalations/:id/resolve - Resolve with a resolution category (claiming staff member if claimed)
+ * - GET /events - Server-Sent Events push (booking changes; escalations for reception)
  * 
  * SECURITY:
  * - All routes (except login/logout) require authentication
@@ -23,11 +41,60 @@ const express = require('express');
 const router = express.Router();
 
 const ReceptionAuthService = require('../services/receptionAuthService');
-const { requireReceptionAuth, requireReceptionOnly, loginRateLimiter } = require('../middleware/receptionAuth');
+const { requireReceptionAuth, requireRole, requireReceptionOnly, loginRateLimiter } = require('../middleware/receptionAuth');
 const { initializeDatabase } = require('../config/productionDb');
 const { AuditService } = require('../services/auditService');
-const { logger } = require('../config/logger');
-// ...
+const { BookingService } = require('../services/bookingService');
+const { AppointmentStatusService } = require('../services/appointmentStatusService');
+const BookingNotificationService = require('../services/bookingNotificationService');
+const SlotService = require('../services/slotService');
+const ScheduleExceptionService = require('../services/scheduleExceptionService');
+const WaitlistService = require('../services/waitlistService');
+const ReminderService = require('../services/reminderService');
+const LiveTakeoverService = require('../services/liveTakeoverService');
+const RealtimeService = require('../services/realtimeService');
+const { AUDIENCES } = require('../services/realtimeService');
+const { formatAppointmentTime } = require('../services/patientAppointmentService');
+const { logger, auditLogger } = require('../config/logger');
+const { decrypt } = require('../utils/encryption');
+const { getHospitalTimezone, todayInTimezone } = require('../utils/hospitalTime');
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Slot lock owner for staff actions.
+ * Scoped to the staff session so two desks cannot take the same slot.
+ */
+function staffLockOwner(req) {
+    return `reception:${req.receptionUser.username}:${req.sessionID}`;
+}
+
+/**
+ * Apply a status transition to a booking from the dashboard.
+ * Doctors may only change their own appointments.
+ */
+async function applyStatusTransition(req, res, toStatus) {
+    const hospitalId = req.hospitalId;
+    const { username, role, doctorId } = req.receptionUser;
+    const bookingId = parseInt(req.params.id);
+
+    const booking = await AppointmentStatusService.find(bookingId, hospitalId);
+
+    // Hide other doctors' bookings (same response as not found)
+    if (!booking || (role === 'doctor' && booking.doctor_id !== Number(doctorId))) {
+        return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const result = await AppointmentStatusService.transition(bookingId, hospitalId, toStatus, username);
+
+    if (!result.success) {
+        const status = result.code === 'CONFLICT' ? 409 : 400;
+        return res.status(status).json({ error: result.error });
+    }
+
+    res.json({ success: true, booking_id: bookingId, status: toStatus, previous_status: result.from });
+}
 
 
 
@@ -147,6 +214,20 @@ router.get('/me', (req, res) => {
     });
 });
 
+/**
+ * GET /events
+ * Server-Sent Events stream for the dashboard.
+ * booking.updated (doctors: own bookings only), escalation.updated (reception roles).
+ * Events carry IDs and statuses only; the dashboard reloads through the API.
+ */
+router.get('/events', async (req, res) => {
+    await RealtimeService.openStream(req, res, {
+        hospitalId: req.hospitalId,
+        audience: AUDIENCES.STAFF,
+        user: req.receptionUser
+    });
+});
+
 /**
  * GET /departments
  * List departments for the hospital.
@@ -229,8 +310,8 @@ router.get('/bookings', async (req, res) => {
 
         const db = await initializeDatabase();
 
-        // Default to today
-        const searchDate = date || new Date().toISOString().split('T')[0];
+        // Default to today (at the hospital)
+        const searchDate = date || todayInTimezone(await getHospitalTimezone(hospitalId));
 
         // Build query dynamically
         let conditions = [];
@@ -278,7 +359,7 @@ router.get('/bookings', async (req, res) => {
         const sql = `
             SELECT a.id, a.hospital_id, a.doctor_id, a.appointment_time, a.status,
                    a.patient_name_encrypted, a.patient_phone_encrypted,
-                   a.checked_in_at, a.checked_in_by,
+                   a.checked_in_at, a.checked_in_by, a.triage_level,
                    d.name as doctor_name, d.department_id,
                    dep.name as department_name
             FROM appointments a
@@ -306,7 +387,8 @@ router.get('/bookings', async (req, res) => {
                 appointmentTime: row.appointment_time,
                 status: row.status,
                 checkedInAt: row.checked_in_at,
-                checkedInBy: row.checked_in_by
+                checkedInBy: row.checked_in_by,
+                triageLevel: row.triage_level || null
             };
         });
 
@@ -388,16 +470,12 @@ router.post('/checkin', requireReceptionOnly, async (req, res) => {
             });
         }
 
-        // Update booking status
-        const updateSql = `UPDATE appointments 
-               SET status = 'checked_in', checked_in_at = NOW(), checked_in_by = $1
-               WHERE id = $2 AND hospital_id = $3`;
-
-        await db.execute(updateSql, [staffUsername, parseInt(booking_id), hospitalId]);
+        // Update booking status (sets checked_in_at / checked_in_by, audited)
+        const result = await AppointmentStatusService.checkIn(parseInt(booking_id), hospitalId, staffUsername);
 
-        // Audit log
-        // Audit log
-        await AuditService.logPatientCheckedIn(hospitalId, booking_id, staffUsername);
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
 
         logger.info(`Reception: Booking ${booking_id} checked in by ${staffUsername} at hospital ${hospitalId}`);
 
@@ -414,4 +492,505 @@ router.post('/checkin', requireReceptionOnly, async (req, res) => {
     }
 });
 
+/**
+ * GET /slots
+ * Available slots for a department on a date (SlotService, locks respected).
+ * 
+ * Query params:
+ * - department_id: Department (required)
+ * - date: YYYY-MM-DD (required)
+ */
+router.get('/slots', requireReceptionOnly, async (req, res) => {
+    try {
+        const hospitalId = req.hospitalId;
+        const { department_id, date } = req.query;
+
+        if (!department_id || !date || !DATE_PATTERN.test(date)) {
+            return res.status(400).json({ error: 'department_id and date (YYYY-MM-DD) are required' });
+        }
+
+        const db = await initializeDatabase();
+        const department = await db.get(
+            `SELECT name FROM departments WHERE id = $1 AND hospital_id = $2`,
+            [parseInt(department_id), hospitalId]
+        );
+
+        if (!department) {
+            return res.status(404).json({ error: 'Department not found' });
+        }
+
+        const slots = await SlotService.getAvailableSlots(hospitalId, department.name, date);
+
+        res.json({
+            slots: slots.map(s => ({
+                doctorId: s.doctor_id,
+                doctorName: s.doctor_name,
+                time: s.time,
+                datetime: s.datetime
+            }))
+        });
+
+    } catch (err) {
+        logger.error('Reception slots error', err);
+        res.status(500).json({ error: 'Failed to load slots' });
+    }
+});
+
+/**
+ * POST /bookings
+ * Create a confirmed booking on behalf of a walk-in or phone patient.
+ * 
+ * Body: { patient_name, patient_phone, patient_email?, doctor_id, datetime }
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.post('/bookings', requireReceptionOnly, async (req, res) => {
+    try {
+        const hospitalId = req.hospitalId;
+        const staffUsername = req.receptionUser.username;
+        const { patient_name, patient_phone, patient_email, datetime } = req.body;
+        const doctorId = parseInt(req.body.doctor_id);
+
+        if (!patient_name || !patient_phone || !doctorId || !datetime) {
+            return res.status(400).json({ error: 'patient_name, patient_phone, doctor_id and datetime are required' });
+        }
+
+        if (!DATETIME_PATTERN.test(datetime)) {
+            return res.status(400).json({ error: 'datetime must be YYYY-MM-DDTHH:MM:00' });
+        }
+
+        const bookingData = {
+            hospitalId,
+            doctorId,
+            datetime,
+            patientName: String(patient_name).trim(),
+            patientPhone: String(patient_phone).trim(),
+            patientEmail: patient_email ? String(patient_email).trim() : null
+        };
+
+        const result = await BookingService.createDirectBooking(bookingData, staffLockOwner(req), staffUsername);
+
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
+
+        await BookingNotificationService.queuePatientSms(
+            { ...bookingData, id: result.appointment.id },
+            req.hospital
+        );
+        await ReminderService.scheduleReminders({ ...bookingData, id: result.appointment.id }, req.hospital);
+
+        logger.info(`Reception: Booking ${result.appointment.id} created by ${staffUsername} at hospital ${hospitalId}`);
+
+        res.status(201).json({
+            success: true,
+            booking: {
+                id: result.appointment.id,
+                doctorId,
+                appointmentTime: datetime,
+                status: result.appointment.status
+            }
+        });
+
+    } catch (err) {
+        logger.error('Reception create booking error', err);
+        res.status(500).json({ error: 'Failed to create booking. Please try again.' });
+    }
+});
+
+/**
+ * PATCH /bookings/:id
+ * Move a booking to another available slot.
+ * 
+ * Body: { doctor_id, datetime }
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.patch('/bookings/:id', requireReceptionOnly, async (req, res) => {
+    try {
+        const hospitalId = req.hospitalId;
+        const staffUsername = req.receptionUser.username;
+        const bookingId = parseInt(req.params.id);
+        const doctorId = parseInt(req.body.doctor_id);
+        const { datetime } = req.body;
+
+        if (!doctorId || !datetime || !DATETIME_PATTERN.test(datetime)) {
+            return res.status(400).json({ error: 'doctor_id and datetime (YYYY-MM-DDTHH:MM:00) are required' });
+        }
+
+        const result = await BookingService.rescheduleAppointment(
+            bookingId, hospitalId, { doctorId, datetime }, staffLockOwner(req), staffUsername
+        );
+
+        if (!result.success) {
+            const status = result.error === 'Appointment not found.' ? 404 : 409;
+            return res.status(status).json({ error: result.error });
+        }
+
+        const appointment = await BookingService.getAppointment(bookingId, hospitalId);
+        await BookingNotificationService.notifyReschedule(
+            { id: bookingId, hospitalId, patientPhone: appointment?.patient_phone, datetime, language: result.language },
+            req.hospital,
+            result.previousTime
+        );
+
+        logger.info(`Reception: Booking ${bookingId} rescheduled by ${staffUsername} at hospital ${hospitalId}`);
+
+        res.json({
+            success: true,
+            booking: {
+                id: bookingId,
+                doctorId,
+                appointmentTime: datetime,
+                status: result.appointment.status
+            }
+        });
+
+    } catch (err) {
+        logger.error('Reception reschedule error', err);
+        res.status(500).json({ error: 'Reschedule failed. Please try again.' });
+    }
+});
+
+/**
+ * DELETE /bookings/:id
+ * Cancel a booking.
+ * 
+ * Body (optional): { reason }
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.delete('/bookings/:id', requireReceptionOnly, async (req, res) => {
+    try {
+        const hospitalId = req.hospitalId;
+        const staffUsername = req.receptionUser.username;
+        const bookingId = parseInt(req.params.id);
+        const reason = (req.body && req.body.reason) || 'Cancelled by reception';
+
+        const appointment = await BookingService.getAppointment(bookingId, hospitalId);
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const cancelled = await BookingService.cancelAppointment(bookingId, hospitalId, staffUsername, reason);
+
+        if (!cancelled) {
+            return res.status(400).json({
+                error: `Cannot cancel booking with status "${appointment.status}".`
+            });
+        }
+
+        await BookingNotificationService.notifyCancellation(
+            { id: bookingId, hospitalId, patientPhone: appointment.patient_phone },
+            req.hospital,
+            reason
+        );
+
+        logger.info(`Reception: Booking ${bookingId} cancelled by ${staffUsername} at hospital ${hospitalId}`);
+
+        res.json({ success: true, booking_id: bookingId, status: 'cancelled' });
+
+    } catch (err) {
+        logger.error('Reception cancel error', err);
+        res.status(500).json({ error: 'Cancellation failed. Please try again.' });
+    }
+});
+
+/**
+ * POST /bookings/:id/complete
+ * Mark a checked-in visit as completed.
+ * 
+ * ROLE: Reception/Admin, or the doctor of the appointment.
+ */
+router.post('/bookings/:id/complete', requireRole('reception', 'receptionist', 'admin', 'manager', 'doctor'), async (req, res) => {
+    try {
+        await applyStatusTransition(req, res, 'completed');
+    } catch (err) {
+        logger.error('Reception complete error', err);
+        res.status(500).json({ error: 'Failed to update booking. Please try again.' });
+    }
+});
+
+/**
+ * POST /bookings/:id/no-show
+ * Mark a confirmed booking as no-show (patient did not arrive).
+ * 
+ * ROLE: Reception/Admin, or the doctor of the appointment.
+ */
+router.post('/bookings/:id/no-show', requireRole('reception', 'receptionist', 'admin', 'manager', 'doctor'), async (req, res) => {
+    try {
+        await applyStatusTransition(req, res, 'no_show');
+    } catch (err) {
+        logger.error('Reception no-show error', err);
+        res.status(500).json({ error: 'Failed to update booking. Please try again.' });
+    }
+});
+
+/**
+ * GET /schedule-warnings
+ * Upcoming closures (doctor leave, holidays) that collide with
+ * pending/confirmed bookings, so reception can reschedule them.
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.get('/schedule-warnings', requireReceptionOnly, async (req, res) => {
+    try {
+        const warnings = await ScheduleExceptionService.getUpcomingWarnings(req.hospitalId);
+
+        res.json({
+            warnings: warnings.map(w => ({
+                exception: w.exception,
+                bookings: w.appointments.map(a => ({
+                    id: a.id,
+                    doctorName: a.doctor_name,
+                    appointmentTime: formatAppointmentTime(a.appointment_time),
+                    status: a.status
+                }))
+            }))
+        });
+
+    } catch (err) {
+        logger.error('Reception schedule warnings error', err);
+        res.status(500).json({ error: 'Failed to load schedule warnings' });
+    }
+});
+
+/**
+ * GET /waitlist
+ * Active waitlist entries (waiting or holding an offer), oldest first.
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.get('/waitlist', requireReceptionOnly, async (req, res) => {
+    try {
+        const entries = await WaitlistService.list(req.hospitalId);
+        res.json({ entries });
+
+    } catch (err) {
+        logger.error('Reception waitlist error', err);
+        res.status(500).json({ error: 'Failed to load waitlist' });
+    }
+});
+
+/**
+ * POST /waitlist
+ * Body: { department, doctor_id?, date_from?, date_to?, patient_name?, patient_phone }
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.post('/waitlist', requireReceptionOnly, async (req, res) => {
+    try {
+        const { department, doctor_id, date_from, date_to, patient_name, patient_phone } = req.body;
+
+        if (!department || !patient_phone) {
+            return res.status(400).json({ error: 'department and patient_phone are required' });
+        }
+
+        const result = await WaitlistService.join(req.hospitalId, {
+            department,
+            doctorId: doctor_id ? parseInt(doctor_id, 10) : null,
+            dateFrom: date_from,
+            dateTo: date_to,
+            patientName: patient_name || null,
+            patientPhone: patient_phone
+        }, req.receptionUser.username);
+
+        if (!result.success) {
+            return res.status(result.code === 'CONFLICT' ? 409 : 400).json({ error: result.error });
+        }
+
+        res.status(201).json({ success: true, entry: result.entry });
+
+    } catch (err) {
+        logger.error('Reception waitlist add error', err);
+        res.status(500).json({ error: 'Failed to add to waitlist' });
+    }
+});
+
+/**
+ * DELETE /waitlist/:id
+ * A slot held for the entry is passed on to the next patient.
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.delete('/waitlist/:id', requireReceptionOnly, async (req, res) => {
+    try {
+        const result = await WaitlistService.remove(
+            req.hospitalId, parseInt(req.params.id, 10), req.receptionUser.username
+        );
+
+        if (!result.success) {
+            return res.status(404).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+
+    } catch (err) {
+        logger.error('Reception waitlist remove error', err);
+        res.status(500).json({ error: 'Failed to remove waitlist entry' });
+    }
+});
+
+// ============================================================
+// LIVE TAKEOVER (escalated conversations)
+// ============================================================
+
+const ESCALATION_ERROR_STATUS = { VALIDATION: 400, NOT_FOUND: 404, CONFLICT: 409 };
+const ESCALATION_FILTERS = ['open', 'pending', 'acknowledged', 'claimed', 'returned', 'resolved'];
+
+/**
+ * Send a LiveTakeoverService result as JSON.
+ */
+function sendTakeoverResult(res, result, body = {}) {
+    if (!result.success) {
+        return res.status(ESCALATION_ERROR_STATUS[result.code] || 400).json({ error: result.error });
+    }
+    res.json({ success: true, ...body });
+}
+
+/**
+ * GET /escalations
+ * Query: status = open (pending + acknowledged + claimed, default) | pending | acknowledged |
+ *        claimed | returned | resolved
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.get('/escalations', requireReceptionOnly, async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        if (!ESCALATION_FILTERS.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${ESCALATION_FILTERS.join(', ')}` });
+        }
+
+        const escalations = await LiveTakeoverService.list(req.hospitalId, { status });
+        res.json({ escalations });
+
+    } catch (err) {
+        logger.error('Reception escalations error', err);
+        res.status(500).json({ error: 'Failed to load escalations' });
+    }
+});
+
+/**
+ * GET /escalations/:id?after=<message id>
+ * Escalation and transcript messages after the given ID (all by default).
+ * 
+ * ROLE: Reception/Admin only.
+ */
+router.get('/escalations/:id', requireReceptionOnly, async (req, res) => {
+    try {
+        const escalationId = parseInt(req.params.id, 10);
+        const escalation = await LiveTakeoverService.get(req.hospitalId, escalationId);
+        if (!escalation) {
+            return res.status(404).json({ error: 'Escalation not found' });
+        }
+
+        const messages = await LiveTakeoverService.getMessages(req.hospitalId, escalationId, {
+            afterId: parseInt(req.query.after, 10) || 0
+        });
+        res.json({ escalation, messages });
+
+    } catch (err) {
+        logger.error('Reception escalation error', err);
+        res.status(500).json({ error: 'Failed to load escalation' });
+    }
+});
+
+/**
+ * POST /escalations/:id/acknowledge
+ * 
+ * ROLE: Reception/Admin only. 409 unless the escalation is pending.
+ */
+router.post('/escalations/:id/acknowledge', requireReceptionOnly, async (req, res) => {
+    try {
+        const result = await LiveTakeoverService.acknowledge(
+            req.hospitalId, parseInt(req.params.id, 10), req.receptionUser.username
+        );
+        sendTakeoverResult(res, result, { escalation: result.escalation });
+
+    } catch (err) {
+        logger.error('Reception escalation acknowledge error', err);
+        res.status(500).json({ error: 'Failed to acknowledge escalation' });
+    }
+});
+
+/**
+ * POST /escalations/:id/claim
+ * 
+ * ROLE: Reception/Admin only. 409 if another staff member holds it.
+ */
+router.post('/escalations/:id/claim', requireReceptionOnly, async (req, res) => {
+    try {
+        const result = await LiveTakeoverService.claim(
+            req.hospitalId, parseInt(req.params.id, 10), req.receptionUser.username
+        );
+        sendTakeoverResult(res, result, { escalation: result.escalation });
+
+    } catch (err) {
+        logger.error('Reception escalation claim error', err);
+        res.status(500).json({ error: 'Failed to claim escalation' });
+    }
+});
+
+/**
+ * POST /escalations/:id/messages
+ * Body: { text }
+ * 
+ * ROLE: The staff member who claimed the conversation.
+ */
+router.post('/escalations/:id/messages', requireReceptionOnly, async (req, res) => {
+    try {
+        const result = await LiveTakeoverService.sendStaffMessage(
+            req.hospitalId, parseInt(req.params.id, 10), req.receptionUser.username, req.body.text
+        );
+        sendTakeoverResult(res, result, { message: result.message });
+
+    } catch (err) {
+        logger.error('Reception escalation message error', err);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+/**
+ * POST /escalations/:id/handback
+ * The AI answers the patient's next message.
+ * 
+ * ROLE: The staff member who claimed the conversation.
+ */
+router.post('/escalations/:id/handback', requireReceptionOnly, async (req, res) => {
+    try {
+        const result = await LiveTakeoverService.handBack(
+            req.hospitalId, parseInt(req.params.id, 10), req.receptionUser.username
+        );
+        sendTakeoverResult(res, result, { status: result.status });
+
+    } catch (err) {
+        logger.error('Reception escalation handback error', err);
+        res.status(500).json({ error: 'Failed to hand back conversation' });
+    }
+});
+
+/**
+ * POST /escalations/:id/resolve
+ * Body: { category, note? }
+ * category: appointment_booked | information_provided | callback_completed |
+ *           referred | no_response | duplicate | other
+ * 
+ * ROLE: Reception/Admin only; the claiming staff member if claimed.
+ */
+router.post('/escalations/:id/resolve', requireReceptionOnly, async (req, res) => {
+    try {
+        const { category, note } = req.body;
+        const result = await LiveTakeoverService.resolve(
+            req.hospitalId, parseInt(req.params.id, 10), req.receptionUser.username, { category, note }
+        );
+        sendTakeoverResult(res, result, { status: result.status });
+
+    } catch (err) {
+        logger.error('Reception escalation resolve error', err);
+        res.status(500).json({ error: 'Failed to resolve escalation' });
+    }
+});
+
 module.exports = router;
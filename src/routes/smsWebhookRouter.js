@@ -0,0 +1,67 @@
+/**
+ * SMS Webhook Router - Inbound SMS
+ *
+ * Mounted at /:hospital_id/sms. Configure the hospital's SMS number to post
+ * incoming messages to /:hospital_id/sms/inbound.
+ *
+ * Routes:
+ * - POST /inbound - Patient reply (Twilio-compatible form payload), answered with TwiML
+ *
+ * SECURITY:
+ * - Request signature verified by the SMS provider (X-Twilio-Signature);
+ *   MockSMSProvider accepts all requests (dev/test)
+ * - PUBLIC_BASE_URL must be the externally visible origin when behind a
+ *   proxy that rewrites the host, as the signature covers the full URL
+ * - Hospital isolation via URL context + hospital-scoped queries
+ *
+ * PHI: Message bodies and numbers are never logged.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const SmsReplyService = require('../services/smsReplyService');
+const { getSMSProvider } = require('../providers/smsProviderFactory');
+const { logger } = require('../config/logger');
+
+router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+/**
+ * POST /inbound
+ * Body (form): { From, To, Body, MessageSid }
+ */
+router.post('/inbound', async (req, res) => {
+    const provider = getSMSProvider();
+
+    try {
+        const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        const verified = provider.verifyInboundRequest({
+            url: baseUrl + req.originalUrl,
+            body: req.body,
+            headers: req.headers
+        });
+
+        if (!verified) {
+            logger.warn(`SMS Webhook: Rejected unsigned inbound request for hospital ${req.hospitalId}`);
+            return res.status(403).json({ error: 'Invalid signature' });
+        }
+
+        const message = provider.parseInbound(req.body);
+        if (!message) {
+            return res.status(400).json({ error: 'From and Body are required' });
+        }
+
+        const result = await SmsReplyService.handleInbound(req.hospitalId, req.hospital, message);
+        const reply = provider.formatInboundReply(result.reply);
+
+        res.type(reply.contentType).send(reply.body);
+
+    } catch (err) {
+        logger.error('SMS Webhook: Inbound error', err);
+        // Empty reply: the provider should not retry or text the patient an error
+        const reply = provider.formatInboundReply(null);
+        res.status(500).type(reply.contentType).send(reply.body);
+    }
+});
+
+module.exports = router;
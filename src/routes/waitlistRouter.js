@@ -0,0 +1,91 @@
+/**
+ * Waitlist Router - Patient API
+ *
+ * Mounted at /:hospital_id/waitlist.
+ *
+ * Routes:
+ * - POST / - Join the waitlist for a department (optionally a doctor) and date range
+ * - POST /accept - Book the held slot with the code from the offer SMS
+ *
+ * SECURITY:
+ * - Rate limited (hospitalRouter)
+ * - Joining needs no verification: offers only go to the given phone, and
+ *   booking requires the code sent to it
+ * - Hospital isolation via URL context + hospital-scoped queries
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const WaitlistService = require('../services/waitlistService');
+const { logger } = require('../config/logger');
+
+const ERROR_STATUS = {
+    VALIDATION: 400,
+    NOT_FOUND: 404,
+    CONFLICT: 409
+};
+
+/**
+ * POST /
+ * Body: { department, doctor_id?, date_from?, date_to?, name?, phone }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { department, doctor_id, date_from, date_to, name, phone } = req.body;
+
+        if (!department || typeof department !== 'string' || !phone || typeof phone !== 'string') {
+            return res.status(400).json({ error: 'department and phone are required' });
+        }
+        if (doctor_id !== undefined && !Number.isInteger(doctor_id)) {
+            return res.status(400).json({ error: 'doctor_id must be an integer' });
+        }
+
+        const result = await WaitlistService.join(req.hospitalId, {
+            department,
+            doctorId: doctor_id ?? null,
+            dateFrom: date_from,
+            dateTo: date_to,
+            patientName: typeof name === 'string' ? name : null,
+            patientPhone: phone
+        }, 'patient');
+
+        if (!result.success) {
+            return res.status(ERROR_STATUS[result.code] || 400).json({ error: result.error });
+        }
+
+        res.status(201).json({ success: true, entry: result.entry });
+
+    } catch (err) {
+        logger.error('Waitlist: join error', err);
+        res.status(500).json({ error: 'Failed to join the waitlist' });
+    }
+});
+
+/**
+ * POST /accept
+ * Body: { code }
+ */
+router.post('/accept', async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code || !/^\d{6}$/.test(String(code))) {
+            return res.status(400).json({ error: 'A 6-digit code is required' });
+        }
+
+        const result = await WaitlistService.acceptOffer(req.hospitalId, req.hospital, String(code));
+
+        if (!result.success) {
+            return res.status(ERROR_STATUS[result.code] || 400).json({ error: result.error });
+        }
+
+        res.json({ success: true, appointment: result.appointment });
+
+    } catch (err) {
+        logger.error('Waitlist: accept error', err);
+        res.status(500).json({ error: 'Failed to book the offered slot' });
+    }
+});
+
+module.exports = router;
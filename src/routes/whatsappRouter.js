@@ -0,0 +1,61 @@
+/**
+ * WhatsApp Router - WhatsApp Business Channel
+ *
+ * Mounted at /:hospital_id/whatsapp. Subscribe the hospital's WhatsApp
+ * Business number to /:hospital_id/whatsapp/webhook in the Meta app.
+ *
+ * Routes:
+ * - GET  /webhook - Subscription handshake (hub.verify_token → hub.challenge)
+ * - POST /webhook - Inbound messages; answered via the Cloud API, not the response
+ *
+ * SECURITY:
+ * - POST bodies must carry a valid X-Hub-Signature-256 (WHATSAPP_APP_SECRET)
+ *   over the raw body (captured by express.json in server.js)
+ * - Hospital isolation via URL context; only messages to the hospital's
+ *   own phone_number_id are handled
+ *
+ * PHI: Message bodies and numbers are never logged.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const WhatsAppService = require('../services/whatsappService');
+const { getWhatsAppProvider } = require('../providers/WhatsAppCloudProvider');
+const { logger } = require('../config/logger');
+
+/**
+ * GET /webhook
+ * Query: hub.mode, hub.verify_token, hub.challenge
+ */
+router.get('/webhook', (req, res) => {
+    const challenge = getWhatsAppProvider().verifySubscription(req.query);
+
+    if (challenge === null) {
+        logger.warn(`WhatsApp Webhook: Verification failed for hospital ${req.hospitalId}`);
+        return res.status(403).json({ error: 'Verification failed' });
+    }
+
+    res.type('text/plain').send(challenge);
+});
+
+/**
+ * POST /webhook
+ * Body: WhatsApp Cloud API webhook (object: whatsapp_business_account)
+ */
+router.post('/webhook', (req, res) => {
+    const provider = getWhatsAppProvider();
+
+    if (!provider.verifySignature(req.rawBody, req.get('x-hub-signature-256'))) {
+        logger.warn(`WhatsApp Webhook: Rejected unsigned request for hospital ${req.hospitalId}`);
+        return res.status(403).json({ error: 'Invalid signature' });
+    }
+
+    // Acknowledge at once: Meta retries slow webhooks, and AI turns can take seconds
+    res.sendStatus(200);
+
+    WhatsAppService.handleWebhook(req.hospitalId, req.hospital, req.body)
+        .catch(err => logger.error(`WhatsApp Webhook: Processing failed for hospital ${req.hospitalId}`, err));
+});
+
+module.exports = router;
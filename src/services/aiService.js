@@ -6,29 +6,23 @@
  * 2. ONLY accepts SafeAIInput (validated, redacted content)
  * 3. Has ZERO vendor-specific code
  * 4. Applies safety filters to AI output
+ * 5. Runs the model's tool calls (booking tools) in a loop
  * 
  * PHI SAFETY: This service NEVER has access to raw user input.
  * All input must come through getSafeAIInput() helper.
  */
 
-const { z } = require('zod');
 const { logger } = require('../config/logger');
 const SafetyFilter = require('../utils/safetyFilters');
+const { StreamingSafetyFilter } = SafetyFilter;
 const { validateSafeInput } = require('../utils/safeAIInput');
+const { DEFAULT_TONE, selectTemplate, renderTemplate } = require('../config/promptTemplates');
 
 // Import the provider (singleton from factory)
 const aiProvider = require('../providers/providerFactory');
 
-// Zod Schema for Booking Extraction
-const bookingSchema = z.object({
-    name: z.string().min(2),
-    phone: z.string().min(8),
-    department: z.string(),
-    date: z.string(),
-    time: z.string(),
-    patient_summary: z.string().optional(),
-    is_first_visit: z.boolean().optional()
-});
+// Tool-call rounds per patient message (model → tools → model ...)
+const MAX_TOOL_ROUNDS = 4;
 
 class AIService {
     constructor() {
@@ -39,20 +33,20 @@ class AIService {
     /**
      * Build the system prompt for the AI.
      * 
-     * MULTI-TENANT: Prompt includes hospital-specific context.
+     * MULTI-TENANT: Prompt includes hospital-specific context, rendered with
+     * the hospital's active persona (context.persona, see PromptTemplateService)
+     * or the built-in template.
      * 
-     * @param {Object} context - Context data (slots, hours, hospital, etc.)
+     * @param {Object} context - Context data (department, hours, hospital, persona, etc.)
      * @param {string} language - User's preferred language
      * @returns {string}
      */
     buildSystemPrompt(context, language) {
-        const { availableSlots, workingHours, hospital } = context;
+        const { department, workingHours, hospital, urgent, persona } = context;
 
         // Get hospital data (MULTI-TENANT: Use hospital-specific config)
-        const hospitalName = hospital?.name || 'Al Shifa Hospital';
-        const departments = hospital?.departments?.join(', ') || 'General Medicine';
+        const hospitalName = hospital?.name || 'the hospital';
         const emergencyNumber = hospital?.emergency_number || '997';
-        const location = hospital?.location || '';
 
         // Build doctors list from config
         const doctorsList = hospital?.doctors?.length
@@ -72,70 +66,76 @@ class AIService {
         // Build FAQ
         const faqList = hospital?.faq?.length
             ? hospital.faq.map(f => `- ${f}`).join('\n')
-            : '';
-
-        return `
-You are a professional Hospital Receptionist for ${hospitalName}.
-Role: Triage, Intake, Scheduling.
-Tone: Professional, Calm, Concise.
-Language: User prefers ${language}. ALWAYS reply in ${language} (or the language the user is speaking if they switch).
-
-=== HOSPITAL INFORMATION (THIS IS YOUR ONLY SOURCE OF TRUTH) ===
-- Name: ${hospitalName}
-- Location: ${location || 'Not specified'}
-- Departments: ${departments}
-- Emergency: ${emergencyNumber}
-- Working Hours: ${workingHours || 'Please check with reception'}
-
-=== DOCTORS ===
-${doctorsList}
-
-=== SERVICES OFFERED ===
-${servicesList}
-
-=== ACCEPTED INSURANCE ===
-${insuranceList}
-
-=== FREQUENTLY ASKED QUESTIONS ===
-${faqList || 'No FAQ available.'}
-
-=== AVAILABLE SLOTS FOR REQUESTED DEPT ===
-${availableSlots ? availableSlots : "No slot data loaded yet. Ask the user which department they want."}
-
-=== CRITICAL GROUNDING RULES (MUST FOLLOW) ===
+            : 'No FAQ available.';
+
+        const appointments = `=== APPOINTMENTS (USE YOUR TOOLS) ===
+${department ? `Triage suggests the ${department} department.` : 'Ask the user which department they want.'}
+- check_availability: live free slots. Call it before mentioning any time.
+- get_doctor_info: doctors by name or department.
+- hold_slot: when the user picks a time, hold it while they give their details.
+- book_appointment: after hold_slot, once the user has given their name and mobile number.
+Names and phone numbers appear as placeholders such as [PHONE_NUMBER]; that means the user has given them.
+${urgent ? `
+=== URGENT (SAME-DAY) PATIENT ===
+Triage marked this patient as urgent: they need to see a doctor TODAY.
+Check today's availability and offer the EARLIEST slot first. Do NOT suggest another day.
+If there is no slot today, ask them to call the hospital so reception can fit them in.
+` : ''}`;
+
+        const groundingRules = `=== CRITICAL GROUNDING RULES (MUST FOLLOW) ===
 1. **ONLY use the information provided above.** Do NOT invent, fabricate, or assume ANY information not listed above.
 2. If the user asks about a doctor, department, service, insurance provider, or any detail NOT listed above, respond: "I don't have that information currently. Please contact our reception directly at ${emergencyNumber} for assistance."
 3. **NEVER fabricate** doctor names, phone numbers, prices, services, departments, or insurance providers.
 4. **NEVER guess** working hours, availability, or contact details not provided above.
 5. **SCOPE**: Only discuss ${hospitalName}. Do NOT mention or compare with other hospitals.
 6. **URGENT SYMPTOMS**: If user mentions severe pain, tell them to call ${emergencyNumber} or visit the ER immediately.
-7. **BOOKING**: Only confirm if you have Name, Phone, and a Valid Slot from the list above.
-8. Check slot availability closely. If user asks "Can I come at 10?", only confirm if "10:00" appears in the Available Slots list above.
-
-**OUTPUT FORMAT**:
-If booking is complete, append this JSON block at the very end:
-###BOOKING_JSON_START###
-{
-  "name": "...",
-  "phone": "...",
-  "department": "...",
-  "date": "YYYY-MM-DD",
-  "time": "HH:MM",
-  "patient_summary": "...",
-  "is_first_visit": true/false
-}
-###BOOKING_JSON_END###
+7. **BOOKING**: Only book through the tools. Never say an appointment is booked unless book_appointment succeeded; it is confirmed once the user types the SMS code.
+8. **AVAILABILITY**: If user asks "Can I come at 10?", only agree if check_availability returned "10:00". Never offer a time the tools did not return.
 `;
+
+        const extraRules = persona?.extra_rules?.length
+            ? `\n=== ${hospitalName.toUpperCase()} RULES (the grounding rules above still apply) ===\n` +
+                persona.extra_rules.map(rule => `- ${rule}`).join('\n') + '\n'
+            : '';
+
+        return renderTemplate(selectTemplate(persona, language), {
+            hospital_name: hospitalName,
+            location: hospital?.location || 'Not specified',
+            departments: hospital?.departments?.join(', ') || 'General Medicine',
+            emergency_number: emergencyNumber,
+            working_hours: workingHours || 'Please check with reception',
+            doctors: doctorsList,
+            services: servicesList,
+            insurance: insuranceList,
+            faq: faqList,
+            language,
+            tone: persona?.tone || DEFAULT_TONE,
+            greeting: persona?.greeting?.[language] || '',
+            appointments,
+            grounding_rules: groundingRules,
+            extra_rules: extraRules
+        });
     }
 
     /**
      * Generate a response from the AI.
      * 
+     * Tool calls are run and their results sent back until the model
+     * answers in text (at most MAX_TOOL_ROUNDS rounds). Tool results must be
+     * PHI-free: they are sent to the provider but never stored in history.
+     * 
+     * When streaming, tokens are released sentence by sentence through the
+     * StreamingSafetyFilter; onReset means "discard what was shown" (provider
+     * failover, or text written before a tool call). The returned reply is
+     * the authoritative one either way.
+     * 
      * @param {SafeAIInput} safeInput - MUST be a SafeAIInput instance
-     * @returns {Promise<{reply: string, bookingData?: Object, status: string}>}
+     * @param {Object} tools - { definitions, execute(name, args) } (optional, see BookingToolService)
+     * @param {Object} stream - { onToken(text), onReset() } (optional)
+     * @returns {Promise<{reply: string, status: string, provider: string|null, toolCalls: Array<{name: string, success: boolean}>}>}
      * @throws {Error} If input is not a SafeAIInput instance
      */
-    async generateResponse(safeInput) {
+    async generateResponse(safeInput, tools = null, stream = null) {
         // PHI SAFETY: Validate that input is a SafeAIInput instance
         // This THROWS if raw input is passed
         validateSafeInput(safeInput);
@@ -151,65 +151,77 @@ If booking is complete, append this JSON block at the very end:
             { role: 'user', content: message }
         ];
 
-        // Call the provider
-        const result = await this.provider.generateResponse({
-            messages,
-            systemPrompt,
-            metadata: {
-                maxTokens: 150,
-                language
+        // Hospital selects the provider chain; turn = patient messages so far, incl. this one
+        const metadata = {
+            maxTokens: 150,
+            language,
+            turn: history.filter(m => m.role === 'user').length + 1,
+            hospital: context.hospital || null
+        };
+        const toolCalls = [];
+
+        const filter = stream ? new StreamingSafetyFilter() : null;
+        let shown = false;
+        const show = (text) => {
+            if (!text) return;
+            shown = true;
+            stream.onToken(text);
+        };
+        const resetStream = () => {
+            filter.reset();
+            if (shown) stream.onReset?.();
+            shown = false;
+        };
+
+        for (let round = 1; ; round++) {
+            const result = await this.provider.generateResponse({
+                messages,
+                systemPrompt,
+                metadata,
+                tools: tools?.definitions || null,
+                ...(stream && { onToken: token => show(filter.push(token)), onReset: resetStream })
+            });
+            const provider = result.provider || null;
+
+            // Check for errors
+            if (result.status === 'error') {
+                return { reply: result.content, status: 'error', provider, toolCalls };
             }
-        });
 
-        // Check for errors
-        if (result.status === 'error') {
-            return {
-                reply: result.content,
-                status: 'error'
-            };
-        }
-
-        // Apply safety filter to output
-        const safeReply = SafetyFilter.scanAndSanitize(result.content);
+            if (!tools || !result.toolCalls?.length) {
+                if (filter) show(filter.flush());
+                // Apply safety filter to output
+                return { reply: SafetyFilter.scanAndSanitize(result.content || ''), status: 'success', provider, toolCalls };
+            }
 
-        // Process reply for booking data
-        return this.processReply(safeReply);
-    }
+            if (round > MAX_TOOL_ROUNDS) {
+                logger.error(`AIService: Still calling tools after ${MAX_TOOL_ROUNDS} rounds, giving up`);
+                return {
+                    reply: "I'm sorry, I couldn't complete that request. Please try again or call the hospital.",
+                    status: 'error',
+                    provider,
+                    toolCalls
+                };
+            }
 
-    /**
-     * Process the AI reply to extract booking data if present.
-     * 
-     * @param {string} text - AI response text
-     * @returns {{reply: string, bookingData?: Object, status: string}}
-     */
-    processReply(text) {
-        const jsonStart = '###BOOKING_JSON_START###';
-        const jsonEnd = '###BOOKING_JSON_END###';
-
-        if (text.includes(jsonStart)) {
-            try {
-                const startStr = text.split(jsonStart)[1];
-                const jsonStr = startStr.split(jsonEnd)[0];
-                const jsonData = JSON.parse(jsonStr.trim());
-
-                // Validate with Zod
-                const validation = bookingSchema.safeParse(jsonData);
-
-                if (validation.success) {
-                    const cleanReply = text.split(jsonStart)[0].trim();
-                    return { reply: cleanReply, bookingData: validation.data, status: 'success' };
-                } else {
-                    logger.warn('AI Booking JSON Validation Failed', validation.error);
-                    return { reply: text.split(jsonStart)[0].trim(), status: 'success' };
-                }
-
-            } catch (e) {
-                logger.error('Failed to parse AI JSON', e);
-                return { reply: text.split(jsonStart)[0].trim(), status: 'success' };
+            if (filter) resetStream();
+
+            messages.push({
+                role: 'assistant',
+                content: result.content || null,
+                tool_calls: result.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                }))
+            });
+
+            for (const call of result.toolCalls) {
+                const output = await tools.execute(call.name, call.arguments);
+                toolCalls.push({ name: call.name, success: output.success !== false });
+                messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
             }
         }
-
-        return { reply: text, status: 'success' };
     }
 
     /**
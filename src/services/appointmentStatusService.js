@@ -0,0 +1,196 @@
+/**
+ * Appointment Status Service - Transition Engine
+ *
+ * Single place where persisted appointments change status
+ * (appointments.status). Uses BookingStateMachine.VALID_TRANSITIONS so
+ * drafts and appointments follow the same lifecycle:
+ *
+ *   pending → cancelled
+ *   confirmed → checked_in | no_show | cancelled
+ *   checked_in → completed
+ *   completed, no_show, cancelled → (terminal)
+ *
+ * Every transition:
+ * - Is conditional on the current status (no lost updates under concurrency)
+ * - Records status_changed_at / status_changed_by
+ * - Writes an audit event (AuditService) with from/to status
+ * - Notifies dashboards (RealtimeService)
+ *
+ * A patient confirming attendance (SMS reply) is recorded without a status
+ * change (recordPatientConfirmation).
+ *
+ * MULTI-TENANT: All updates are scoped by hospital_id.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { BookingStateMachine, BOOKING_STATES } = require('./bookingStateMachine');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const RealtimeService = require('./realtimeService');
+const { logger } = require('../config/logger');
+
+// DB status → state machine state ('pending' rows predate OTP confirmation)
+const STATUS_TO_STATE = {
+    pending: BOOKING_STATES.INITIATED,
+    confirmed: BOOKING_STATES.CONFIRMED,
+    checked_in: BOOKING_STATES.CHECKED_IN,
+    completed: BOOKING_STATES.COMPLETED,
+    no_show: BOOKING_STATES.NO_SHOW,
+    cancelled: BOOKING_STATES.CANCELLED
+};
+
+// Audit action per target status
+const STATUS_ACTIONS = {
+    checked_in: ACTIONS.PATIENT_CHECKED_IN,
+    completed: ACTIONS.APPOINTMENT_COMPLETED,
+    no_show: ACTIONS.APPOINTMENT_NO_SHOW,
+    cancelled: ACTIONS.BOOKING_CANCELLED
+};
+
+class AppointmentStatusService {
+
+    /**
+     * Get the current status of an appointment (no PHI).
+     *
+     * @param {number} appointmentId - Appointment ID
+     * @param {string} hospitalId - Hospital ID
+     * @returns {Promise<Object|null>} { id, doctor_id, status } or null
+     */
+    static async find(appointmentId, hospitalId) {
+        const db = await initializeDatabase();
+
+        return await db.get(
+            `SELECT id, doctor_id, status FROM appointments WHERE id = $1 AND hospital_id = $2`,
+            [appointmentId, hospitalId]
+        ) || null;
+    }
+
+    /**
+     * Check if an appointment status transition is allowed.
+     *
+     * @param {string} fromStatus - Current status (DB value)
+     * @param {string} toStatus - Target status (DB value)
+     * @returns {boolean} True if valid
+     */
+    static canTransition(fromStatus, toStatus) {
+        const from = STATUS_TO_STATE[fromStatus];
+        const to = STATUS_TO_STATE[toStatus];
+        if (!from || !to) return false;
+        return BookingStateMachine.isValidTransition(from, to);
+    }
+
+    /**
+     * Move an appointment to a new status.
+     *
+     * @param {number} appointmentId - Appointment ID
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} toStatus - Target status (DB value)
+     * @param {string} performedBy - Actor (staff username, 'patient' or 'system')
+     * @param {Object} metadata - Extra audit context (NO PHI), e.g. { reason }
+     * @returns {Promise<Object>} { success, from?, to?, error?, code? }
+     */
+    static async transition(appointmentId, hospitalId, toStatus, performedBy, metadata = {}) {
+        const appointment = await this.find(appointmentId, hospitalId);
+
+        if (!appointment) {
+            return { success: false, code: 'NOT_FOUND', error: 'Appointment not found.' };
+        }
+
+        const fromStatus = appointment.status;
+
+        if (!this.canTransition(fromStatus, toStatus)) {
+            logger.warn(`AppointmentStatus: Invalid transition ${fromStatus} → ${toStatus} for appointment ${appointmentId}`);
+            return {
+                success: false,
+                code: 'INVALID_TRANSITION',
+                error: `Cannot change appointment from "${fromStatus}" to "${toStatus}".`
+            };
+        }
+
+        // Check-in keeps its dedicated columns (used by the dashboard)
+        const checkInColumns = toStatus === 'checked_in'
+            ? ', checked_in_at = NOW(), checked_in_by = $5'
+            : '';
+
+        const sql = `UPDATE appointments
+               SET status = $1, status_changed_at = NOW(), status_changed_by = $5${checkInColumns}
+               WHERE id = $2 AND hospital_id = $3 AND status = $4`;
+
+        const db = await initializeDatabase();
+        const result = await db.execute(sql, [toStatus, appointmentId, hospitalId, fromStatus, performedBy]);
+
+        if (!(result.changes > 0 || result.rowCount > 0)) {
+            // Status changed between read and write
+            return { success: false, code: 'CONFLICT', error: 'Appointment was updated by someone else. Please refresh.' };
+        }
+
+        await AuditService.log({
+            hospitalId,
+            entityType: toStatus === 'checked_in' ? ENTITY_TYPES.CHECKIN : ENTITY_TYPES.BOOKING,
+            entityId: appointmentId,
+            action: STATUS_ACTIONS[toStatus],
+            performedBy,
+            metadata: { from: fromStatus, to: toStatus, ...metadata }
+        });
+
+        await RealtimeService.publishBookingUpdate(hospitalId, {
+            id: appointmentId, status: toStatus, doctorId: appointment.doctor_id
+        });
+
+        logger.info(`AppointmentStatus: Appointment ${appointmentId} ${fromStatus} → ${toStatus} by ${performedBy} at hospital ${hospitalId}`);
+
+        return { success: true, from: fromStatus, to: toStatus };
+    }
+
+    static async checkIn(appointmentId, hospitalId, performedBy) {
+        return this.transition(appointmentId, hospitalId, 'checked_in', performedBy);
+    }
+
+    static async complete(appointmentId, hospitalId, performedBy) {
+        return this.transition(appointmentId, hospitalId, 'completed', performedBy);
+    }
+
+    static async markNoShow(appointmentId, hospitalId, performedBy, metadata = {}) {
+        return this.transition(appointmentId, hospitalId, 'no_show', performedBy, metadata);
+    }
+
+    static async cancel(appointmentId, hospitalId, performedBy, reason) {
+        return this.transition(appointmentId, hospitalId, 'cancelled', performedBy, { reason });
+    }
+
+    /**
+     * Record that the patient confirmed they will attend.
+     *
+     * @param {number} appointmentId - Appointment ID
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} performedBy - Actor (usually 'patient')
+     * @param {Object} metadata - Extra audit context (NO PHI), e.g. { channel: 'sms' }
+     * @returns {Promise<Object>} { success, error?, code? }
+     */
+    static async recordPatientConfirmation(appointmentId, hospitalId, performedBy, metadata = {}) {
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `UPDATE appointments SET patient_confirmed_at = NOW()
+             WHERE id = $1 AND hospital_id = $2 AND status IN ('pending', 'confirmed')`,
+            [appointmentId, hospitalId]
+        );
+
+        if (!(result.changes > 0 || result.rowCount > 0)) {
+            return { success: false, code: 'INVALID_TRANSITION', error: 'Appointment is no longer active.' };
+        }
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.BOOKING,
+            entityId: appointmentId,
+            action: ACTIONS.APPOINTMENT_PATIENT_CONFIRMED,
+            performedBy,
+            metadata
+        });
+
+        logger.info(`AppointmentStatus: Appointment ${appointmentId} confirmed by ${performedBy} at hospital ${hospitalId}`);
+
+        return { success: true };
+    }
+}
+
+module.exports = { AppointmentStatusService, STATUS_TO_STATE };
@@ -24,6 +24,15 @@ const ENTITY_TYPES = {
     OTP: 'otp',
     CHECKIN: 'checkin',
     STAFF: 'staff',
+    DEPARTMENT: 'department',
+    DOCTOR: 'doctor',
+    AVAILABILITY: 'availability',
+    SCHEDULE_EXCEPTION: 'schedule_exception',
+    WAITLIST: 'waitlist',
+    WEBHOOK_DELIVERY: 'webhook_delivery',
+    ESCALATION: 'escalation',
+    CONVERSATION: 'conversation',
+    PROMPT_TEMPLATE: 'prompt_template',
     SYSTEM: 'system'
 };
 
@@ -34,6 +43,7 @@ const ACTIONS = {
     BOOKING_CONFIRMED: 'BOOKING_CONFIRMED',
     BOOKING_CANCELLED: 'BOOKING_CANCELLED',
     BOOKING_EXPIRED: 'BOOKING_EXPIRED',
+    BOOKING_RESCHEDULED: 'BOOKING_RESCHEDULED',
 
     // OTP
     OTP_GENERATED: 'OTP_GENERATED',
@@ -43,12 +53,51 @@ const ACTIONS = {
 
     // Check-in
     PATIENT_CHECKED_IN: 'PATIENT_CHECKED_IN',
+    APPOINTMENT_COMPLETED: 'APPOINTMENT_COMPLETED',
+    APPOINTMENT_NO_SHOW: 'APPOINTMENT_NO_SHOW',
+    APPOINTMENT_PATIENT_CONFIRMED: 'APPOINTMENT_PATIENT_CONFIRMED',
 
     // Staff
     STAFF_LOGIN: 'STAFF_LOGIN',
     STAFF_LOGOUT: 'STAFF_LOGOUT',
     STAFF_LOGIN_FAILED: 'STAFF_LOGIN_FAILED',
 
+    // Hospital administration
+    DEPARTMENT_CREATED: 'DEPARTMENT_CREATED',
+    DEPARTMENT_UPDATED: 'DEPARTMENT_UPDATED',
+    DEPARTMENT_DELETED: 'DEPARTMENT_DELETED',
+    DOCTOR_CREATED: 'DOCTOR_CREATED',
+    DOCTOR_UPDATED: 'DOCTOR_UPDATED',
+    DOCTOR_DEACTIVATED: 'DOCTOR_DEACTIVATED',
+    AVAILABILITY_CREATED: 'AVAILABILITY_CREATED',
+    AVAILABILITY_UPDATED: 'AVAILABILITY_UPDATED',
+    AVAILABILITY_DELETED: 'AVAILABILITY_DELETED',
+    SCHEDULE_EXCEPTION_CREATED: 'SCHEDULE_EXCEPTION_CREATED',
+    SCHEDULE_EXCEPTION_DELETED: 'SCHEDULE_EXCEPTION_DELETED',
+    PROMPT_TEMPLATE_CREATED: 'PROMPT_TEMPLATE_CREATED',
+    PROMPT_TEMPLATE_ACTIVATED: 'PROMPT_TEMPLATE_ACTIVATED',
+
+    // Waitlist
+    WAITLIST_JOINED: 'WAITLIST_JOINED',
+    WAITLIST_OFFERED: 'WAITLIST_OFFERED',
+    WAITLIST_OFFER_ACCEPTED: 'WAITLIST_OFFER_ACCEPTED',
+    WAITLIST_OFFER_EXPIRED: 'WAITLIST_OFFER_EXPIRED',
+    WAITLIST_REMOVED: 'WAITLIST_REMOVED',
+
+    // Escalation lifecycle / live takeover
+    ESCALATION_ACKNOWLEDGED: 'ESCALATION_ACKNOWLEDGED',
+    ESCALATION_SLA_BREACHED: 'ESCALATION_SLA_BREACHED',
+    ESCALATION_CLAIMED: 'ESCALATION_CLAIMED',
+    ESCALATION_RETURNED: 'ESCALATION_RETURNED',
+    ESCALATION_RESOLVED: 'ESCALATION_RESOLVED',
+
+    // Triage (severity tier assigned to a conversation)
+    TRIAGE_URGENT: 'TRIAGE_URGENT',
+
+    // Outbound webhooks
+    WEBHOOK_DEAD_LETTERED: 'WEBHOOK_DEAD_LETTERED',
+    WEBHOOK_REDELIVERED: 'WEBHOOK_REDELIVERED',
+
     // System
     RETENTION_PURGE: 'RETENTION_PURGE',
     SYSTEM_SHUTDOWN: 'SYSTEM_SHUTDOWN',
@@ -183,13 +232,14 @@ class AuditService {
         });
     }
 
-    static async logBookingConfirmed(hospitalId, bookingId, performedBy = 'system') {
+    static async logBookingConfirmed(hospitalId, bookingId, performedBy = 'system', metadata = {}) {
         return this.log({
             hospitalId,
             entityType: ENTITY_TYPES.BOOKING,
             entityId: bookingId,
             action: ACTIONS.BOOKING_CONFIRMED,
-            performedBy
+            performedBy,
+            metadata
         });
     }
 
@@ -214,6 +264,17 @@ class AuditService {
         });
     }
 
+    static async logBookingRescheduled(hospitalId, appointmentId, performedBy, from, to) {
+        return this.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.BOOKING,
+            entityId: appointmentId,
+            action: ACTIONS.BOOKING_RESCHEDULED,
+            performedBy,
+            metadata: { from, to }
+        });
+    }
+
     static async logPatientCheckedIn(hospitalId, appointmentId, performedBy) {
         return this.log({
             hospitalId,
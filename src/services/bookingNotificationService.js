@@ -4,12 +4,20 @@
  * Sends notifications when booking is confirmed:
  * - SMS to patient
  * - Email to hospital
+ * - Reminder SMS before the appointment (ReminderService, also on reschedule)
+ * 
+ * Also sends the booking OTP to the patient's phone.
  * 
  * Uses queues for reliable delivery.
+ * 
+ * Appointment datetimes are hospital wall-clock times and are printed as-is;
+ * "now" stamps are converted to the hospital's timezone.
  */
 
 const { emailQueue, smsQueue } = require('../config/queue');
 const { logger, auditLogger } = require('../config/logger');
+const { getZonedParts } = require('../utils/hospitalTime');
+const ReminderService = require('./reminderService');
 
 class BookingNotificationService {
 
@@ -18,12 +26,13 @@ class BookingNotificationService {
      * 
      * @param {Object} booking - Booking data
      * @param {Object} hospital - Hospital config
-     * @returns {Promise<Object>} { smsQueued: boolean, emailQueued: boolean }
+     * @returns {Promise<Object>} { smsQueued: boolean, emailQueued: boolean, remindersScheduled: number }
      */
     static async notifyConfirmation(booking, hospital) {
         const results = {
             smsQueued: false,
-            emailQueued: false
+            emailQueued: false,
+            remindersScheduled: 0
         };
 
         try {
@@ -40,6 +49,12 @@ class BookingNotificationService {
             logger.error('BookingNotification: Failed to queue email', err);
         }
 
+        try {
+            results.remindersScheduled = await ReminderService.scheduleReminders(booking, hospital);
+        } catch (err) {
+            logger.error('BookingNotification: Failed to schedule reminders', err);
+        }
+
         auditLogger.info({
             action: 'BOOKING_NOTIFICATIONS_QUEUED',
             hospital_id: booking.hospitalId,
@@ -96,6 +111,103 @@ class BookingNotificationService {
         return true;
     }
 
+    /**
+     * Queue OTP verification SMS to patient.
+     * 
+     * SECURITY: The OTP is only placed in the job payload (needed for sending),
+     * never logged or audited.
+     * 
+     * @param {Object} booking - Booking draft (from BookingStateMachine)
+     * @param {string} otp - Plaintext OTP (from BookingService.requestOtpForBooking)
+     * @param {Object} hospital - Hospital config
+     * @param {string} language - Patient's preferred language
+     * @returns {Promise<boolean>} Success
+     */
+    static async queueOtpSms(booking, otp, hospital, language = 'English') {
+        if (!booking.patientPhone) {
+            logger.warn('BookingNotification: No phone number for OTP SMS');
+            return false;
+        }
+
+        const senderId = hospital.sms_config?.sender_id || hospital.name?.substring(0, 11) || 'HOSPITAL';
+
+        await smsQueue.add('booking-otp-sms', {
+            to: booking.patientPhone,
+            message: this.formatOtpSms(otp, hospital, language),
+            senderId: senderId,
+            bookingId: booking.id,
+            hospitalId: booking.hospitalId
+        }, {
+            attempts: 3,
+            backoff: {
+                type: 'exponential',
+                delay: 2000
+            }
+        });
+
+        logger.info(`BookingNotification: OTP SMS queued for booking ${booking.id}`);
+        return true;
+    }
+
+    /**
+     * Queue a waitlist offer SMS (slot held for the patient).
+     * 
+     * SECURITY: The offer code is only placed in the job payload, never logged.
+     * 
+     * @param {Object} offer - { id (waitlist entry), hospitalId, datetime, patientPhone }
+     * @param {string} code - Plaintext offer code
+     * @param {Object} hospital - Hospital config
+     * @param {number} holdMinutes - How long the slot is held
+     * @returns {Promise<boolean>} Success
+     */
+    static async queueWaitlistOfferSms(offer, code, hospital, holdMinutes) {
+        if (!offer.patientPhone) {
+            logger.warn('BookingNotification: No phone number for waitlist offer SMS');
+            return false;
+        }
+
+        const senderId = hospital.sms_config?.sender_id || hospital.name?.substring(0, 11) || 'HOSPITAL';
+        const slot = offer.datetime.replace('T', ' ').substring(0, 16);
+
+        await smsQueue.add('waitlist-offer-sms', {
+            to: offer.patientPhone,
+            message: `${hospital.name}: a slot opened up for you on ${slot}.
+` +
+                `We are holding it for ${holdMinutes} minutes. To book it, reply "ACCEPT ${code}" to this SMS or send it in our chat.
+` +
+                `Do not share this code.`,
+            senderId: senderId,
+            waitlistEntryId: offer.id,
+            hospitalId: offer.hospitalId
+        }, {
+            attempts: 3,
+            backoff: {
+                type: 'exponential',
+                delay: 2000
+            }
+        });
+
+        logger.info(`BookingNotification: Waitlist offer SMS queued for entry ${offer.id}`);
+        return true;
+    }
+
+    /**
+     * Format OTP SMS message.
+     * 
+     * @param {string} otp - Plaintext OTP
+     * @param {Object} hospital - Hospital config
+     * @param {string} language - Patient's preferred language
+     * @returns {string} SMS text
+     */
+    static formatOtpSms(otp, hospital, language = 'English') {
+        if (language === 'Arabic') {
+            return `رمز التحقق لحجزك في ${hospital.name}: ${otp}\nصالح لمدة 5 دقائق. لا تشارك هذا الرمز مع أحد.`;
+        }
+
+        return `${hospital.name} verification code: ${otp}\n` +
+            `Valid for 5 minutes. Do not share this code.`;
+    }
+
     /**
      * Queue email to hospital.
      * 
@@ -239,7 +351,7 @@ class BookingNotificationService {
             
             <div class="detail">
                 <span class="label">Confirmed At:</span>
-                <span class="value">${new Date().toISOString()}</span>
+                <span class="value">${getZonedParts(new Date(), hospital?.timezone).timestamp}</span>
             </div>
         </div>
         <div class="footer">
@@ -254,6 +366,70 @@ class BookingNotificationService {
         return { subject, html };
     }
 
+    /**
+     * Send reschedule notification to patient.
+     * 
+     * Reminders for the old time are removed by BookingService.rescheduleAppointment;
+     * this schedules them for the new time.
+     * 
+     * @param {Object} booking - Booking data (id, hospitalId, patientPhone, datetime, language?)
+     * @param {Object} hospital - Hospital config
+     * @param {string|Date} previousDatetime - Original appointment time
+     */
+    static async notifyReschedule(booking, hospital, previousDatetime) {
+        try {
+            if (booking.patientPhone) {
+                const senderId = hospital.sms_config?.sender_id || hospital.name?.substring(0, 11) || 'HOSPITAL';
+
+                await smsQueue.add('booking-reschedule-sms', {
+                    to: booking.patientPhone,
+                    message: this.formatRescheduleSms(booking, hospital, previousDatetime),
+                    senderId: senderId,
+                    bookingId: booking.id,
+                    hospitalId: booking.hospitalId
+                });
+
+                await ReminderService.scheduleReminders(booking, hospital);
+            }
+
+            auditLogger.info({
+                action: 'BOOKING_RESCHEDULE_NOTIFICATION_QUEUED',
+                hospital_id: booking.hospitalId,
+                actor: 'system',
+                data: { booking_id: booking.id, sms_queued: !!booking.patientPhone }
+            });
+
+            logger.info(`BookingNotification: Reschedule notification queued for ${booking.id}`);
+        } catch (err) {
+            logger.error('BookingNotification: Failed to queue reschedule', err);
+        }
+    }
+
+    /**
+     * Format reschedule SMS message.
+     * 
+     * @param {Object} booking - Booking data
+     * @param {Object} hospital - Hospital config
+     * @param {string|Date} previousDatetime - Original appointment time
+     * @returns {string} SMS text
+     */
+    static formatRescheduleSms(booking, hospital, previousDatetime) {
+        const format = (value) => new Date(value).toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: true
+        });
+
+        return `🔄 Appointment Rescheduled\n\n` +
+            `${hospital.name}\n` +
+            `Was: ${format(previousDatetime)}\n` +
+            `Now: 📅 ${format(booking.datetime)}\n\n` +
+            `Booking ID: ${booking.id}`;
+    }
+
     /**
      * Send cancellation notifications.
      * 
@@ -6,6 +6,10 @@
  * Uses SlotService for dynamic slot generation.
  * Uses BookingStateMachine for lifecycle management.
  * Uses OtpService for secure OTP verification.
+ * Freed slots (cancel, reschedule) are offered to the waitlist; an abandoned
+ * draft never took its slot, so it only releases the lock.
+ * Reminders of cancelled/rescheduled appointments are removed (ReminderService).
+ * Dashboards are notified of every change (RealtimeService).
  */
 
 const { initializeDatabase } = require('../config/productionDb');
@@ -14,12 +18,22 @@ const { BookingStateMachine, BOOKING_STATES } = require('./bookingStateMachine')
 const { AuditService } = require('./auditService');
 const { OtpService } = require('./otpService');
 const BookingNotificationService = require('./bookingNotificationService');
+const ReminderService = require('./reminderService');
+const RealtimeService = require('./realtimeService');
 const { logger, auditLogger } = require('../config/logger');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { getHospitalTimezone, todayInTimezone } = require('../utils/hospitalTime');
 
 // ... existing imports ...
 
-
+/**
+ * Offer a freed slot to the next waitlisted patient.
+ * Required lazily: WaitlistService itself depends on BookingService.
+ */
+async function offerToWaitlist(hospitalId, doctorId, appointmentTime) {
+    const WaitlistService = require('./waitlistService');
+    await WaitlistService.offerFreedSlot(hospitalId, doctorId, appointmentTime);
+}
 
 class BookingService {
 
@@ -35,10 +49,9 @@ class BookingService {
      * @returns {Promise<Array>} Available slots
      */
     static async getAvailableSlots(department, hospitalId = 'default', date = null) {
-        // Default to today if no date provided
+        // Default to today (at the hospital) if no date provided
         if (!date) {
-            const today = new Date();
-            date = today.toISOString().split('T')[0];
+            date = todayInTimezone(await getHospitalTimezone(hospitalId));
         }
 
         logger.info(`BookingService: Fetching slots for ${department} at hospital ${hospitalId} on ${date}`);
@@ -64,6 +77,19 @@ class BookingService {
         return await SlotService.lockSlot(hospitalId, doctorId, datetime, sessionId);
     }
 
+    /**
+     * Extend a session's slot lock, if the session still owns it.
+     * 
+     * @param {number} doctorId - Doctor ID
+     * @param {string} datetime - Slot datetime
+     * @param {string} sessionId - Session ID (must be owner)
+     * @param {string} hospitalId - Hospital identifier
+     * @returns {Promise<boolean>} False if the lock expired or belongs to another session
+     */
+    static async refreshSlotLock(doctorId, datetime, sessionId, hospitalId = 'default') {
+        return await SlotService.transferLock(hospitalId, doctorId, datetime, sessionId, sessionId);
+    }
+
     /**
      * Unlock a slot (e.g., if user cancels before confirming).
      * 
@@ -92,17 +118,21 @@ class BookingService {
      * @param {string} bookingData.patientName - Patient name
      * @param {string} bookingData.patientPhone - Patient phone
      * @param {string} bookingData.patientEmail - Patient email (optional)
+     * @param {string} bookingData.triageLevel - 'urgent' flags the booking for reception (optional)
      * @param {string} sessionId - Session ID (for unlocking)
+     * @param {string} performedBy - Actor for the audit trail (default: system)
      * @returns {Promise<Object|null>} Appointment record or null on failure
      */
-    static async confirmBooking(bookingData, sessionId) {
+    static async confirmBooking(bookingData, sessionId, performedBy = 'system') {
         const {
             hospitalId = 'default',
             doctorId,
             datetime,
             patientName,
             patientPhone,
-            patientEmail = null
+            patientEmail = null,
+            language = null,
+            triageLevel = null
         } = bookingData;
 
         try {
@@ -127,6 +157,23 @@ class BookingService {
                 return null;
             }
 
+            // Uniqueness check: slots of different lengths can overlap without
+            // sharing a start time, and the doctor may have hit the daily cap
+            const check = await SlotService.checkBookingAllowed(hospitalId, doctorId, datetime);
+            if (!check.allowed) {
+                logger.warn(`BookingService: Slot ${datetime} rejected (${check.reason})`);
+
+                auditLogger.warn({
+                    action: 'BOOKING_SLOT_CONFLICT',
+                    hospital_id: hospitalId,
+                    actor: 'system',
+                    data: { doctor_id: doctorId, datetime, reason: check.reason }
+                });
+
+                await SlotService.unlockSlot(hospitalId, doctorId, datetime, sessionId);
+                return null;
+            }
+
             // Encrypt PHI before storage
             const encryptedName = encrypt(patientName);
             const encryptedPhone = encrypt(patientPhone);
@@ -135,8 +182,9 @@ class BookingService {
             // Insert into appointments table (PostgreSQL)
             const sql = `INSERT INTO appointments 
                    (hospital_id, doctor_id, patient_name_encrypted, patient_phone_encrypted, 
-                    patient_email_encrypted, appointment_time, status) 
-                   VALUES ($1, $2, $3, $4, $5, $6, 'confirmed')
+                    patient_email_encrypted, appointment_time, duration_minutes, preferred_language, status,
+                    triage_level) 
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'confirmed', $9)
                    RETURNING id`;
 
             const result = await db.execute(sql, [
@@ -145,7 +193,10 @@ class BookingService {
                 encryptedName,
                 encryptedPhone,
                 encryptedEmail,
-                datetime
+                datetime,
+                check.settings.slot_duration_minutes,
+                language,
+                triageLevel
             ]);
 
             // Unlock the slot (it's now booked, not locked)
@@ -155,7 +206,9 @@ class BookingService {
             const appointmentId = result.rows?.[0]?.id;
 
             // Audit log
-            await AuditService.logBookingConfirmed(hospitalId, appointmentId, 'system');
+            await AuditService.logBookingConfirmed(hospitalId, appointmentId, performedBy,
+                triageLevel ? { triage_level: triageLevel } : {});
+            await RealtimeService.publishBookingUpdate(hospitalId, { id: appointmentId, status: 'confirmed', doctorId });
 
             logger.info(`BookingService: Booking confirmed - Appointment ID ${appointmentId}`);
 
@@ -164,6 +217,7 @@ class BookingService {
                 hospital_id: hospitalId,
                 doctor_id: doctorId,
                 appointment_time: datetime,
+                duration_minutes: check.settings.slot_duration_minutes,
                 status: 'confirmed'
             };
 
@@ -224,28 +278,176 @@ class BookingService {
 
     /**
      * Cancel an appointment.
+     * Only active (pending/confirmed) appointments can be cancelled.
      * 
      * @param {number} appointmentId - Appointment ID
      * @param {string} hospitalId - Hospital ID
+     * @param {string} performedBy - Actor for the audit trail (patient, staff username, system)
+     * @param {string} reason - Cancellation reason
      * @returns {Promise<boolean>} Success
      */
-    static async cancelAppointment(appointmentId, hospitalId) {
+    static async cancelAppointment(appointmentId, hospitalId, performedBy = 'system', reason = 'User cancelled') {
         const db = await initializeDatabase();
 
-        const sql = `UPDATE appointments SET status = 'cancelled' WHERE id = $1 AND hospital_id = $2`;
+        const sql = `UPDATE appointments SET status = 'cancelled' 
+               WHERE id = $1 AND hospital_id = $2 AND status IN ('pending', 'confirmed')
+               RETURNING doctor_id, appointment_time`;
 
         try {
             const result = await db.execute(sql, [appointmentId, hospitalId]);
+            const cancelled = result.changes > 0 || result.rowCount > 0;
+
+            if (cancelled) {
+                await AuditService.logBookingCancelled(hospitalId, appointmentId, performedBy, reason);
+                await ReminderService.cancelReminders(hospitalId, appointmentId);
 
-            await AuditService.logBookingCancelled(hospitalId, appointmentId, 'system', 'User cancelled');
+                const freed = result.rows?.[0];
+                await RealtimeService.publishBookingUpdate(hospitalId, {
+                    id: appointmentId, status: 'cancelled', doctorId: freed?.doctor_id
+                });
+                if (freed) {
+                    await offerToWaitlist(hospitalId, freed.doctor_id, freed.appointment_time);
+                }
+            }
 
-            return result.changes > 0 || result.rowCount > 0;
+            return cancelled;
         } catch (err) {
             logger.error(`BookingService: Failed to cancel appointment ${appointmentId}`, err);
             return false;
         }
     }
 
+    /**
+     * Move an active appointment to another available slot.
+     * 
+     * The target slot must be offered by SlotService, and is locked for the duration of the update so a concurrent
+     * booking cannot take it. The unique active-slot index is the final guard.
+     * 
+     * @param {number} appointmentId - Appointment ID
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} slot - Target slot
+     * @param {number} slot.doctorId - Doctor ID
+     * @param {string} slot.datetime - Slot datetime (YYYY-MM-DDTHH:MM:00)
+     * @param {string} sessionId - Session ID (lock owner)
+     * @param {string} performedBy - Actor for the audit trail
+     * @returns {Promise<Object>} { success, appointment?, previousTime?, error? }
+     */
+    static async rescheduleAppointment(appointmentId, hospitalId, slot, sessionId, performedBy = 'system') {
+        const { doctorId, datetime } = slot;
+        const db = await initializeDatabase();
+
+        try {
+            const appointment = await db.get(
+                `SELECT id, doctor_id, appointment_time, status, preferred_language FROM appointments WHERE id = $1 AND hospital_id = $2`,
+                [appointmentId, hospitalId]
+            );
+
+            if (!appointment) {
+                return { success: false, error: 'Appointment not found.' };
+            }
+
+            if (!['pending', 'confirmed'].includes(appointment.status)) {
+                return { success: false, error: `Cannot reschedule - appointment is ${appointment.status}.` };
+            }
+
+            if (!await SlotService.isSlotAvailable(hospitalId, doctorId, datetime)) {
+                return { success: false, error: 'This slot is no longer available. Please choose another time.' };
+            }
+
+            const locked = await SlotService.lockSlot(hospitalId, doctorId, datetime, sessionId);
+            if (!locked) {
+                return { success: false, error: 'This slot is no longer available. Please choose another time.' };
+            }
+
+            try {
+                const { slot_duration_minutes } = await SlotService.getSlotSettings(hospitalId, doctorId);
+                const result = await db.execute(
+                    `UPDATE appointments SET doctor_id = $1, appointment_time = $2, duration_minutes = $5
+                     WHERE id = $3 AND hospital_id = $4 AND status IN ('pending', 'confirmed')`,
+                    [doctorId, datetime, appointmentId, hospitalId, slot_duration_minutes]
+                );
+
+                if (!(result.changes > 0 || result.rowCount > 0)) {
+                    return { success: false, error: 'Appointment could not be updated.' };
+                }
+            } finally {
+                await SlotService.unlockSlot(hospitalId, doctorId, datetime, sessionId);
+            }
+
+            await AuditService.logBookingRescheduled(
+                hospitalId, appointmentId, performedBy, appointment.appointment_time, datetime
+            );
+
+            logger.info(`BookingService: Appointment ${appointmentId} rescheduled to ${datetime} at hospital ${hospitalId}`);
+
+            // Both doctors' dashboards change when the appointment moves between them
+            await RealtimeService.publishBookingUpdate(hospitalId, { id: appointmentId, status: appointment.status, doctorId });
+            if (Number(appointment.doctor_id) !== Number(doctorId)) {
+                await RealtimeService.publishBookingUpdate(hospitalId, {
+                    id: appointmentId, status: appointment.status, doctorId: appointment.doctor_id
+                });
+            }
+
+            // Reminders for the new time are scheduled by notifyReschedule
+            await ReminderService.cancelReminders(hospitalId, appointmentId);
+
+            // The old slot is free now
+            await offerToWaitlist(hospitalId, appointment.doctor_id, appointment.appointment_time);
+
+            return {
+                success: true,
+                appointment: {
+                    id: appointment.id,
+                    hospital_id: hospitalId,
+                    doctor_id: doctorId,
+                    appointment_time: datetime,
+                    status: appointment.status
+                },
+                previousTime: appointment.appointment_time,
+                language: appointment.preferred_language || null
+            };
+
+        } catch (err) {
+            logger.error(`BookingService: Failed to reschedule appointment ${appointmentId}`, err);
+            return { success: false, error: 'Reschedule failed. Please try again.' };
+        }
+    }
+
+    /**
+     * Book a slot directly (no OTP), e.g. reception staff for walk-in
+     * and phone patients.
+     * 
+     * Same guarantees as the patient flow: the slot must be offered by
+     * SlotService and is locked in Redis until the insert completes.
+     * PHI is encrypted by confirmBooking.
+     * 
+     * @param {Object} bookingData - { hospitalId, doctorId, datetime, patientName, patientPhone, patientEmail }
+     * @param {string} lockOwner - Lock owner ID (e.g. reception session)
+     * @param {string} performedBy - Actor for the audit trail (staff username)
+     * @returns {Promise<Object>} { success, appointment?, error? }
+     */
+    static async createDirectBooking(bookingData, lockOwner, performedBy) {
+        const { hospitalId, doctorId, datetime } = bookingData;
+
+        if (!await SlotService.isSlotAvailable(hospitalId, doctorId, datetime)) {
+            return { success: false, error: 'This slot is no longer available. Please choose another time.' };
+        }
+
+        const locked = await SlotService.lockSlot(hospitalId, doctorId, datetime, lockOwner);
+        if (!locked) {
+            return { success: false, error: 'This slot is being booked by someone else. Please choose another time.' };
+        }
+
+        const appointment = await this.confirmBooking(bookingData, lockOwner, performedBy);
+
+        if (!appointment) {
+            await SlotService.unlockSlot(hospitalId, doctorId, datetime, lockOwner);
+            return { success: false, error: 'Failed to save booking. Please try again.' };
+        }
+
+        return { success: true, appointment };
+    }
+
     // ============================================================
     // PHASE 4: State Machine Flow Methods
     // ============================================================
@@ -254,16 +456,21 @@ class BookingService {
      * Initiate a new booking.
      * Creates booking in INITIATED state, locks the slot.
      * 
+     * A slot already held by the caller (options.heldBy, e.g. the chat's
+     * hold_slot tool) is taken over without being unlocked in between.
+     * 
      * @param {Object} bookingData - Booking details
      * @param {string} sessionId - Session ID
+     * @param {Object} options - { heldBy?: current lock owner }
      * @returns {Promise<Object>} { success, booking, error }
      */
-    static async initiateBooking(bookingData, sessionId) {
-        const { hospitalId, doctorId, datetime, patientName, patientPhone, patientEmail } = bookingData;
+    static async initiateBooking(bookingData, sessionId, { heldBy = null } = {}) {
+        const { hospitalId, doctorId, datetime, patientName, patientPhone, patientEmail, language = null, triageLevel = null } = bookingData;
 
         try {
-            // Lock the slot first
-            const locked = await SlotService.lockSlot(hospitalId, doctorId, datetime, sessionId);
+            // Lock the slot first (an expired hold can still be locked if the slot is free)
+            const locked = (heldBy && await SlotService.transferLock(hospitalId, doctorId, datetime, heldBy, sessionId)) ||
+                await SlotService.lockSlot(hospitalId, doctorId, datetime, sessionId);
 
             if (!locked) {
                 logger.warn(`BookingService: Slot already locked for ${datetime}`);
@@ -280,7 +487,9 @@ class BookingService {
                 datetime,
                 patientName,
                 patientPhone,
-                patientEmail
+                patientEmail,
+                language,
+                triageLevel
             }, sessionId);
 
             logger.info(`BookingService: Initiated booking ${booking.id}`);
@@ -383,7 +592,9 @@ class BookingService {
                 datetime: booking.datetime,
                 patientName: booking.patientName,
                 patientPhone: booking.patientPhone,
-                patientEmail: booking.patientEmail
+                patientEmail: booking.patientEmail,
+                language: booking.language,
+                triageLevel: booking.triageLevel || null
             }, booking.sessionId);
 
             if (!appointment) {
@@ -458,6 +669,11 @@ class BookingService {
             // Audit Log
             await AuditService.logBookingCancelled(booking.hospitalId, bookingId, 'system', reason);
 
+            // Only a confirmed booking took the slot; a draft's lock was never visible to the waitlist
+            if (booking.state === BOOKING_STATES.CONFIRMED) {
+                await offerToWaitlist(booking.hospitalId, booking.doctorId, booking.datetime);
+            }
+
             logger.info(`BookingService: Booking ${bookingId} cancelled`);
 
             return { success: true };
@@ -8,9 +8,14 @@
  *   AWAITING_OTP  - OTP sent, waiting for verification
  *   CONFIRMED     - OTP verified, booking confirmed
  *   CHECKED_IN    - Patient arrived for appointment
+ *   COMPLETED     - Visit finished (marked by doctor/reception)
+ *   NO_SHOW       - Patient never arrived (staff or automatic job)
  *   CANCELLED     - Booking cancelled by user/system
  *   EXPIRED       - OTP timeout, booking expired
  * 
+ * The same transition table governs persisted appointments
+ * (see AppointmentStatusService).
+ * 
  * Invalid transitions throw errors.
  */
 
@@ -23,6 +28,8 @@ const BOOKING_STATES = {
     AWAITING_OTP: 'AWAITING_OTP',
     CONFIRMED: 'CONFIRMED',
     CHECKED_IN: 'CHECKED_IN',
+    COMPLETED: 'COMPLETED',
+    NO_SHOW: 'NO_SHOW',
     CANCELLED: 'CANCELLED',
     EXPIRED: 'EXPIRED'
 };
@@ -40,9 +47,14 @@ const VALID_TRANSITIONS = {
     ],
     [BOOKING_STATES.CONFIRMED]: [
         BOOKING_STATES.CHECKED_IN,
+        BOOKING_STATES.NO_SHOW,
         BOOKING_STATES.CANCELLED
     ],
-    [BOOKING_STATES.CHECKED_IN]: [],  // Terminal state
+    [BOOKING_STATES.CHECKED_IN]: [
+        BOOKING_STATES.COMPLETED
+    ],
+    [BOOKING_STATES.COMPLETED]: [],   // Terminal state
+    [BOOKING_STATES.NO_SHOW]: [],     // Terminal state
     [BOOKING_STATES.CANCELLED]: [],   // Terminal state
     [BOOKING_STATES.EXPIRED]: []      // Terminal state
 };
@@ -297,8 +309,11 @@ class BookingStateMachine {
      * @returns {boolean} True if terminal
      */
     static isTerminalState(state) {
+        // CHECKED_IN is terminal for drafts; COMPLETED only applies to persisted appointments
         return [
             BOOKING_STATES.CHECKED_IN,
+            BOOKING_STATES.COMPLETED,
+            BOOKING_STATES.NO_SHOW,
             BOOKING_STATES.CANCELLED,
             BOOKING_STATES.EXPIRED
         ].includes(state);
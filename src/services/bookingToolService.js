@@ -0,0 +1,396 @@
+/**
+ * Booking Tool Service - AI Tool Calls for Scheduling
+ *
+ * Tools the model can call during a chat turn (OpenAI function-calling format):
+ *   check_availability → live free slots for a department and date
+ *   get_doctor_info    → doctors from the hospital config
+ *   hold_slot          → lock the slot the patient chose for this conversation
+ *   book_appointment   → booking draft from the held slot + OTP by SMS
+ *
+ * AIService runs the loop (model → tool calls → results → model); the
+ * handlers here run against the conversation context, so every call is
+ * scoped to ctx.hospitalId and ctx.conversationId.
+ *
+ * PHI SAFETY:
+ * - Arguments come from the model, which only sees REDACTED input, so no
+ *   tool takes a name or phone: book_appointment uses session.contact
+ *   (captured from RAW messages by the contactCapture stage)
+ * - Results go back to the model and never contain the patient's name,
+ *   phone or verification code
+ */
+
+const { z } = require('zod');
+const { BookingService } = require('./bookingService');
+const BookingNotificationService = require('./bookingNotificationService');
+const { getWaitlistConfig } = require('./waitlistService');
+const { getHospitalTimezone, todayInTimezone, addDays } = require('../utils/hospitalTime');
+const { logger, auditLogger } = require('../config/logger');
+
+// How far ahead the model may look for or hold slots
+const BOOKING_HORIZON_DAYS = 30;
+
+// Slots returned per check_availability call (keeps tool results short)
+const MAX_SLOTS_LISTED = 12;
+
+const DATE = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD');
+const TIME = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'time must be HH:MM (24-hour)');
+
+const ARG_SCHEMAS = {
+    check_availability: z.object({
+        department: z.string().min(1),
+        date: DATE.optional()
+    }),
+    get_doctor_info: z.object({
+        name: z.string().optional(),
+        department: z.string().optional()
+    }),
+    hold_slot: z.object({
+        department: z.string().min(1),
+        date: DATE.optional(),
+        time: TIME,
+        doctor: z.string().optional()
+    }),
+    book_appointment: z.object({})
+};
+
+const TOOL_DEFINITIONS = [
+    {
+        type: 'function',
+        function: {
+            name: 'check_availability',
+            description: 'List free appointment slots for a department on a date. Call this before offering any time.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    department: { type: 'string', description: 'Department name from the hospital information' },
+                    date: { type: 'string', description: 'Date (YYYY-MM-DD). Default: today' }
+                },
+                required: ['department']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_doctor_info',
+            description: "Look up the hospital's doctors by name and/or department.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'Doctor name (or part of it)' },
+                    department: { type: 'string', description: 'Department name' }
+                }
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'hold_slot',
+            description: 'Hold the slot the patient chose while they confirm their details (replaces any earlier hold).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    department: { type: 'string', description: 'Department name' },
+                    date: { type: 'string', description: 'Date (YYYY-MM-DD). Default: today' },
+                    time: { type: 'string', description: 'Time (HH:MM) as returned by check_availability' },
+                    doctor: { type: 'string', description: 'Doctor name, if the patient chose one' }
+                },
+                required: ['department', 'time']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'book_appointment',
+            description: 'Book the held slot once the patient has given their name and mobile number. ' +
+                'The patient is sent a verification code by SMS to confirm.',
+            parameters: { type: 'object', properties: {} }
+        }
+    }
+];
+
+const HANDLERS = {
+    check_availability: 'checkAvailability',
+    get_doctor_info: 'getDoctorInfo',
+    hold_slot: 'holdSlot',
+    book_appointment: 'bookAppointment'
+};
+
+/**
+ * Department as named in the hospital config (case-insensitive), or null.
+ */
+function resolveDepartment(hospital, name) {
+    const wanted = name.trim().toLowerCase();
+    return (hospital.departments || []).find(d => d.toLowerCase() === wanted) || null;
+}
+
+function sameDoctor(doctorName, requested) {
+    return doctorName.toLowerCase().includes(requested.trim().toLowerCase().replace(/^dr\.?\s*/, ''));
+}
+
+class BookingToolService {
+    /**
+     * Tool definitions (OpenAI function-calling format).
+     * @returns {Array}
+     */
+    static getDefinitions() {
+        return TOOL_DEFINITIONS;
+    }
+
+    /**
+     * Tools for one conversation turn (passed to AIService.generateResponse).
+     *
+     * @param {Object} ctx - Conversation context
+     * @returns {{definitions: Array, execute: Function}}
+     */
+    static forConversation(ctx) {
+        return {
+            definitions: TOOL_DEFINITIONS,
+            execute: (name, args) => BookingToolService.execute(ctx, name, args)
+        };
+    }
+
+    /**
+     * Run a tool call from the model.
+     * Invalid calls return an error result (the model can correct itself)
+     * rather than throwing.
+     *
+     * @param {Object} ctx - Conversation context
+     * @param {string} name - Tool name
+     * @param {Object} args - Arguments from the model
+     * @returns {Promise<Object>} { success, ... } (no PHI)
+     */
+    static async execute(ctx, name, args) {
+        let result;
+
+        if (!HANDLERS[name]) {
+            result = { success: false, error: `Unknown tool: ${name}` };
+        } else {
+            const parsed = ARG_SCHEMAS[name].safeParse(args || {});
+            if (!parsed.success) {
+                const issues = parsed.error.issues.map(i => `${i.path.join('.') || 'arguments'}: ${i.message}`).join('; ');
+                result = { success: false, error: `Invalid arguments: ${issues}` };
+            } else {
+                try {
+                    result = await BookingToolService[HANDLERS[name]](ctx, parsed.data);
+                } catch (err) {
+                    logger.error(`BookingToolService: ${name} failed for conversation ${ctx.conversationId}`, err);
+                    result = { success: false, error: 'The booking system is unavailable. Ask the patient to call the hospital.' };
+                }
+            }
+        }
+
+        auditLogger.info({
+            action: 'AI_TOOL_CALL',
+            hospital_id: ctx.hospitalId,
+            conversationId: ctx.conversationId,
+            actor: 'ai_assistant',
+            data: { tool: name, success: result.success }
+        });
+
+        return result;
+    }
+
+    /**
+     * Resolve a requested date (default today) within the booking horizon.
+     *
+     * @returns {Promise<{date?: string, error?: string}>}
+     */
+    static async resolveDate(hospitalId, date) {
+        const today = todayInTimezone(await getHospitalTimezone(hospitalId));
+        if (!date) return { date: today };
+
+        if (date < today) {
+            return { error: `${date} is in the past. Today is ${today}.` };
+        }
+        if (date > addDays(today, BOOKING_HORIZON_DAYS)) {
+            return { error: `Appointments can only be booked up to ${BOOKING_HORIZON_DAYS} days ahead.` };
+        }
+        return { date };
+    }
+
+    static async checkAvailability(ctx, args) {
+        const department = resolveDepartment(ctx.hospital, args.department);
+        if (!department) {
+            return { success: false, error: `${args.department} is not a department of this hospital.`, departments: ctx.hospital.departments || [] };
+        }
+
+        const { date, error } = await BookingToolService.resolveDate(ctx.hospitalId, args.date);
+        if (error) return { success: false, error };
+
+        const slots = await BookingService.getAvailableSlots(department, ctx.hospitalId, date);
+
+        // Fully booked → the patient may join the waitlist (see waitlist stage);
+        // urgent patients are asked to call instead
+        if (slots.length === 0 && ctx.triage?.status !== 'urgent' && getWaitlistConfig(ctx.hospitalId).enabled) {
+            ctx.session.waitlistDepartment = department;
+            ctx.waitlistHint = department;
+        }
+
+        return {
+            success: true,
+            department,
+            date,
+            slots: slots.slice(0, MAX_SLOTS_LISTED).map(s => ({ time: s.time, doctor: s.doctor_name })),
+            more_slots: Math.max(0, slots.length - MAX_SLOTS_LISTED)
+        };
+    }
+
+    static async getDoctorInfo(ctx, args) {
+        const doctors = (ctx.hospital.doctors || []).filter(d =>
+            (!args.name || sameDoctor(d.name, args.name)) &&
+            (!args.department || d.department?.toLowerCase() === args.department.trim().toLowerCase())
+        );
+
+        return {
+            success: true,
+            doctors: doctors.map(d => ({ name: d.name, specialty: d.specialty, department: d.department }))
+        };
+    }
+
+    /**
+     * Lock the chosen slot for this conversation (same TTL as the OTP).
+     * An earlier hold is released once the new slot is locked.
+     */
+    static async holdSlot(ctx, args) {
+        const department = resolveDepartment(ctx.hospital, args.department);
+        if (!department) {
+            return { success: false, error: `${args.department} is not a department of this hospital.` };
+        }
+
+        const { date, error } = await BookingToolService.resolveDate(ctx.hospitalId, args.date);
+        if (error) return { success: false, error };
+
+        // Already held by this conversation (held slots are no longer listed as free).
+        // The session only remembers the hold: Redis decides whether it is still ours.
+        const held = ctx.session.heldSlot;
+        if (held && held.department === department && held.date === date && held.time === args.time &&
+            (!args.doctor || sameDoctor(held.doctorName, args.doctor))) {
+            if (await BookingService.refreshSlotLock(held.doctorId, held.datetime, ctx.conversationId, ctx.hospitalId)) {
+                return { success: true, held: { department, date, time: held.time, doctor: held.doctorName } };
+            }
+            // Hold expired: lock the slot again below if it is still free
+            ctx.session.heldSlot = null;
+        }
+
+        const slots = await BookingService.getAvailableSlots(department, ctx.hospitalId, date);
+        const slot = slots.find(s => s.time === args.time && (!args.doctor || sameDoctor(s.doctor_name, args.doctor)));
+
+        if (!slot) {
+            return {
+                success: false,
+                error: `${date} ${args.time} is not available in ${department}.`,
+                alternatives: slots.slice(0, 3).map(s => ({ time: s.time, doctor: s.doctor_name }))
+            };
+        }
+
+        const locked = await BookingService.lockSlot(slot.doctor_id, slot.datetime, ctx.conversationId, ctx.hospitalId);
+        if (!locked) {
+            return { success: false, error: 'That slot was just taken. Offer another time.' };
+        }
+
+        await BookingToolService.releaseHold(ctx);
+        ctx.session.heldSlot = {
+            doctorId: slot.doctor_id,
+            doctorName: slot.doctor_name,
+            department,
+            date,
+            time: slot.time,
+            datetime: slot.datetime
+        };
+
+        return { success: true, held: { department, date, time: slot.time, doctor: slot.doctor_name } };
+    }
+
+    /**
+     * Start the booking state machine for the held slot: draft (slot lock)
+     * → OTP → SMS. The patient confirms by typing the code (bookingOtp stage).
+     */
+    static async bookAppointment(ctx) {
+        const { session } = ctx;
+        const held = session.heldSlot;
+
+        if (!held) {
+            return { success: false, error: 'No slot is held. Call hold_slot with the time the patient chose first.' };
+        }
+
+        const contact = session.contact || {};
+        if (!contact.phone) {
+            return { success: false, error: 'No mobile number yet. Ask the patient for their mobile number, then call book_appointment again.' };
+        }
+
+        const previous = session.pendingBooking;
+        if (previous) {
+            await BookingService.cancelBooking(previous.bookingId, ctx.conversationId, 'Superseded by new booking');
+            session.pendingBooking = null;
+        }
+
+        // The hold becomes the draft's slot lock without being released in between
+        // (and is kept, or taken back, if the booking cannot be started)
+        const initiated = await BookingService.initiateBooking({
+            hospitalId: ctx.hospitalId,
+            doctorId: held.doctorId,
+            datetime: held.datetime,
+            patientName: contact.name || 'Patient',
+            patientPhone: contact.phone,
+            language: session.preferredLanguage,
+            triageLevel: session.triageLevel || null
+        }, ctx.conversationId, { heldBy: ctx.conversationId });
+
+        if (!initiated.success) {
+            const stillHeld = await BookingToolService.restoreHold(ctx, held);
+            return { success: false, error: initiated.error, slot_held: stillHeld };
+        }
+
+        const booking = initiated.booking;
+        session.heldSlot = null;
+        const otpResult = await BookingService.requestOtpForBooking(booking.id);
+
+        if (!otpResult.success) {
+            await BookingService.cancelBooking(booking.id, ctx.conversationId, 'OTP request failed');
+            const stillHeld = await BookingToolService.restoreHold(ctx, held);
+            return { success: false, error: otpResult.error, slot_held: stillHeld };
+        }
+
+        await BookingNotificationService.queueOtpSms(booking, otpResult.otp, ctx.hospital, session.preferredLanguage);
+
+        // Only the draft reference lives in the session; PHI stays in the Redis draft
+        session.pendingBooking = { bookingId: booking.id };
+        ctx.booking = { bookingId: booking.id, phoneLast4: contact.phone.slice(-4) };
+
+        return {
+            success: true,
+            status: 'awaiting_verification',
+            appointment: { department: held.department, date: held.date, time: held.time, doctor: held.doctorName },
+            next_step: 'A 6-digit verification code was sent by SMS. The patient must type it here to confirm the booking.'
+        };
+    }
+
+    /**
+     * Keep (or lock again) a hold after a failed booking attempt.
+     *
+     * @returns {Promise<boolean>} True if the patient still holds the slot
+     */
+    static async restoreHold(ctx, held) {
+        const locked = await BookingService.refreshSlotLock(held.doctorId, held.datetime, ctx.conversationId, ctx.hospitalId) ||
+            await BookingService.lockSlot(held.doctorId, held.datetime, ctx.conversationId, ctx.hospitalId);
+        ctx.session.heldSlot = locked ? held : null;
+        return locked;
+    }
+
+    /**
+     * Release this conversation's held slot, if any.
+     */
+    static async releaseHold(ctx) {
+        const held = ctx.session.heldSlot;
+        if (!held) return;
+
+        await BookingService.unlockSlot(held.doctorId, held.datetime, ctx.conversationId, ctx.hospitalId);
+        ctx.session.heldSlot = null;
+    }
+}
+
+module.exports = BookingToolService;
+module.exports.TOOL_DEFINITIONS = TOOL_DEFINITIONS;
@@ -0,0 +1,239 @@
+/**
+ * Conversation Orchestrator - Shared Chat Pipeline
+ *
+ * Single entry point for a patient conversation turn, used by:
+ *   - POST /chat              (legacy route, hospital 'default')
+ *   - POST /:hospital_id/chat (hospital-scoped route)
+ *   - POST /:hospital_id/chat/stream (same, AI reply streamed as server-sent events)
+ *
+ * The turn runs through an ordered list of stages (see conversationStages.js).
+ * Stages can be added globally or for a single hospital, positioned
+ * before/after an existing stage by name.
+ *
+ * MULTI-TENANT: All state lives in the hospital-scoped session
+ * (session.hospitals[hospitalId]); nothing is read from the top-level session.
+ */
+
+const { logger } = require('../config/logger');
+const { DEFAULT_STAGES } = require('./conversationStages');
+
+/**
+ * Insert a stage into a stage list.
+ *
+ * @param {Array} stages - Existing stages (not modified)
+ * @param {Object} stage - Stage to insert ({ name, run })
+ * @param {Object} position - { before: name } or { after: name } (default: before finalReply)
+ * @returns {Array} New stage list
+ * @throws {Error} If the stage is malformed or the anchor does not exist
+ */
+function insertStage(stages, stage, position = {}) {
+    if (!stage || typeof stage.name !== 'string' || typeof stage.run !== 'function') {
+        throw new Error('ConversationOrchestrator: Stage must have a name and a run(ctx) function');
+    }
+
+    const anchor = position.before || position.after || 'finalReply';
+    const index = stages.findIndex(s => s.name === anchor);
+
+    if (index === -1) {
+        throw new Error(`ConversationOrchestrator: Unknown stage "${anchor}"`);
+    }
+
+    const insertAt = position.after ? index + 1 : index;
+    const result = [...stages];
+    result.splice(insertAt, 0, stage);
+    return result;
+}
+
+class ConversationOrchestrator {
+    /**
+     * @param {Array} stages - Base stage list (default: DEFAULT_STAGES)
+     */
+    constructor(stages = DEFAULT_STAGES) {
+        this.stages = [...stages];
+        this.hospitalStages = new Map(); // hospitalId -> [{ stage, position }]
+    }
+
+    /**
+     * Add a stage for all hospitals.
+     *
+     * @param {Object} stage - { name, run(ctx) }
+     * @param {Object} position - { before } or { after }
+     * @returns {ConversationOrchestrator} this (chainable)
+     */
+    use(stage, position = {}) {
+        this.stages = insertStage(this.stages, stage, position);
+        logger.info(`ConversationOrchestrator: Stage "${stage.name}" added`);
+        return this;
+    }
+
+    /**
+     * Add a stage for a single hospital.
+     *
+     * @param {string} hospitalId - Hospital identifier
+     * @param {Object} stage - { name, run(ctx) }
+     * @param {Object} position - { before } or { after }
+     * @returns {ConversationOrchestrator} this (chainable)
+     */
+    useForHospital(hospitalId, stage, position = {}) {
+        // Validate eagerly so misconfiguration fails at startup, not mid-conversation
+        insertStage(this.getStages(hospitalId), stage, position);
+
+        const extras = this.hospitalStages.get(hospitalId) || [];
+        extras.push({ stage, position });
+        this.hospitalStages.set(hospitalId, extras);
+
+        logger.info(`ConversationOrchestrator: Stage "${stage.name}" added for hospital ${hospitalId}`);
+        return this;
+    }
+
+    /**
+     * Resolve the stage list for a hospital.
+     *
+     * @param {string} hospitalId - Hospital identifier
+     * @returns {Array} Ordered stages
+     */
+    getStages(hospitalId) {
+        const extras = this.hospitalStages.get(hospitalId) || [];
+        return extras.reduce(
+            (stages, { stage, position }) => insertStage(stages, stage, position),
+            this.stages
+        );
+    }
+
+    /**
+     * Run one conversation turn.
+     *
+     * @param {Object} ctx - Conversation context (see createContext)
+     * @returns {Promise<{status: number, body: Object}>} Response
+     */
+    async run(ctx) {
+        for (const stage of this.getStages(ctx.hospitalId)) {
+            const result = await stage.run(ctx);
+            if (result) {
+                ctx.completedBy = stage.name;
+                return result;
+            }
+        }
+
+        // Every pipeline ends with finalReply; reaching here means it was removed
+        logger.error(`ConversationOrchestrator: No stage produced a response for ${ctx.conversationId}`);
+        return { status: 500, body: { error: 'Internal system error.' } };
+    }
+
+    /**
+     * Express handler for chat routes.
+     * Must run AFTER phiRedaction, enforceLanguage and checkConsent.
+     *
+     * @returns {Function} (req, res) handler
+     */
+    handler() {
+        return async (req, res) => {
+            try {
+                const ctx = contextFromRequest(req, res);
+                const { status, body } = await this.run(ctx);
+                res.status(status).json(body);
+            } catch (error) {
+                logger.error('Server Error in /chat', error);
+                res.status(500).json({ error: 'Internal system error.' });
+            }
+        };
+    }
+
+    /**
+     * Express handler for the streaming chat route (server-sent events).
+     * Same pipeline and middleware as handler(); the response is a stream of:
+     *   token {text}        - next part of the AI reply (already safety-filtered)
+     *   reset {}            - discard the partial reply shown so far
+     *   done {status, body} - final response, same body as POST /chat
+     *   error {error}       - unexpected failure
+     * The final reply in `done` always replaces the streamed text.
+     * The turn completes even if the client disconnects (booking, history).
+     *
+     * @returns {Function} (req, res) handler
+     */
+    streamHandler() {
+        return async (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Nginx: do not buffer the stream
+            });
+
+            const send = (event, data) => {
+                if (res.writableEnded || res.destroyed) return;
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            try {
+                const ctx = contextFromRequest(req, res, {
+                    onToken: text => send('token', { text }),
+                    onReset: () => send('reset', {})
+                });
+                const { status, body } = await this.run(ctx);
+                send('done', { status, body });
+            } catch (error) {
+                logger.error('Server Error in /chat/stream', error);
+                send('error', { error: 'Internal system error.' });
+            }
+            res.end();
+        };
+    }
+}
+
+/**
+ * Context for a web chat request.
+ * req.body.message is REDACTED; res.locals.rawMessage is RAW.
+ */
+function contextFromRequest(req, res, stream = null) {
+    return createContext({
+        conversationId: req.sessionID,
+        hospitalId: req.hospitalId || res.locals.hospitalId,
+        hospital: req.hospital || res.locals.hospital,
+        session: req.hospitalSession,
+        message: req.body.message,
+        rawMessage: res.locals.rawMessage || req.body.message,
+        channel: 'web',
+        stream
+    });
+}
+
+/**
+ * Create a conversation context for one turn.
+ *
+ * @param {Object} params
+ * @param {string} params.conversationId - Session/conversation ID
+ * @param {string} params.hospitalId - Hospital identifier
+ * @param {Object} params.hospital - Hospital configuration
+ * @param {Object} params.session - Hospital-scoped session object
+ * @param {string} params.message - REDACTED message
+ * @param {string} params.rawMessage - RAW message (internal use only)
+ * @param {string} params.channel - Channel name (web, whatsapp, ...)
+ * @param {Object} params.stream - { onToken(text), onReset() } to stream the AI reply (optional)
+ * @returns {Object} Context
+ */
+function createContext({ conversationId, hospitalId, hospital, session, message, rawMessage, channel = 'web', stream = null }) {
+    return {
+        conversationId,
+        hospitalId,
+        hospital,
+        session,
+        message,
+        rawMessage: rawMessage || message,
+        channel,
+        stream,
+        triage: null,
+        aiContext: null,
+        aiResponse: null,
+        booking: null, // set by the book_appointment tool
+        completedBy: null
+    };
+}
+
+// Export singleton instance (shared by all chat routes)
+const orchestrator = new ConversationOrchestrator();
+
+module.exports = orchestrator;
+module.exports.ConversationOrchestrator = ConversationOrchestrator;
+module.exports.createContext = createContext;
+module.exports.insertStage = insertStage;
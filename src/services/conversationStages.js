@@ -0,0 +1,642 @@
+/**
+ * Conversation Stages - Default Chat Pipeline
+ *
+ * Each stage is { name, run(ctx) }. A stage either mutates the context
+ * and returns nothing (pipeline continues) or returns a response
+ * ({ status, body }) which ends the pipeline.
+ *
+ * ORDER MATTERS:
+ *   validateMessage → escalationGuard → triage → contactCapture →
+ *   contextPrep → handoffRequest → appointmentSelfService → bookingOtp →
+ *   waitlist → aiExecution → bookingInitiation → autoHandoff → finalReply
+ *
+ * PHI SAFETY:
+ * - Triage, handoff detection, contact capture and OTP parsing use
+ *   ctx.rawMessage (internal only)
+ * - History and AI input use ctx.message (REDACTED)
+ * - The AI only ever sees redacted contact details, so the real name/phone
+ *   for a booking come from session.contact (captured from RAW messages)
+ * - The AI books through tool calls (BookingToolService); tool results
+ *   carry no PHI
+ */
+
+const { logger, auditLogger } = require('../config/logger');
+const triageService = require('./triageService');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const aiService = require('./aiService');
+const { BookingService } = require('./bookingService');
+const BookingToolService = require('./bookingToolService');
+const PatientAppointmentService = require('./patientAppointmentService');
+const { formatAppointmentTime } = require('./patientAppointmentService');
+const HumanHandoffService = require('./humanHandoffService');
+const LiveTakeoverService = require('./liveTakeoverService');
+const WaitlistService = require('./waitlistService');
+const PromptTemplateService = require('./promptTemplateService');
+const { buildSafeAIInput } = require('../utils/safeAIInput');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Same patterns as phiRedaction, so anything redacted there is captured here
+const PHONE_PATTERN = /(\+966\s?5\d{8}|\b05\d{8}\b|\b\d{10}\b)/;
+const NAME_PATTERN = /(?:my name is|i am|name:)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)/i;
+
+// Self-service intents (RAW message, English/Arabic)
+const SELF_SERVICE_INTENTS = [
+    { intent: 'cancel', pattern: /(\bcancel\b.*\bappointment|إلغاء.*موعد|الغاء.*موعد)/i },
+    { intent: 'reschedule', pattern: /(\b(reschedule|change|move)\b.*\bappointment|تغيير.*موعد|تأجيل.*موعد)/i },
+    { intent: 'view', pattern: /(\b(show|view|see|check|list|when is)\b.*\bmy appointments?\b|\bmy appointments\b|مواعيدي|متى موعدي)/i }
+];
+
+// Waitlist commands (RAW message, English/Arabic)
+const WAITLIST_JOIN_PATTERN = /^(join (the )?waitlist|waitlist|قائمة الانتظار)$/i;
+const WAITLIST_ACCEPT_PATTERN = /^(?:accept|قبول)\s*(\d{6})$/i;
+
+// OTP failures after which the booking draft is abandoned
+const FATAL_OTP_ERRORS = ['not found', 'Cannot confirm', 'expired', 'Too many', 'Failed to save'];
+
+/**
+ * Build a pipeline response.
+ *
+ * @param {Object} body - JSON body for the client
+ * @param {number} status - HTTP status (default 200)
+ * @returns {{status: number, body: Object}}
+ */
+function respond(body, status = 200) {
+    return { status, body };
+}
+
+/**
+ * Store an exchange in the hospital-scoped history (REDACTED message only).
+ *
+ * @param {Object} ctx - Conversation context
+ * @param {string} reply - Assistant reply
+ */
+function recordExchange(ctx, reply) {
+    ctx.session.history.push({ role: 'user', content: ctx.message });
+    ctx.session.history.push({ role: 'assistant', content: reply });
+}
+
+/**
+ * Reject malformed messages and audit the (redacted) message.
+ */
+const validateMessage = {
+    name: 'validateMessage',
+    async run(ctx) {
+        const { message } = ctx;
+
+        if (!message || typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH) {
+            return respond({ error: 'Invalid message format.' }, 400);
+        }
+
+        // AUDIT 1: Message Received (Redacted, with hospital_id)
+        auditLogger.info({
+            action: 'MESSAGE_RECEIVED',
+            hospital_id: ctx.hospitalId,
+            conversationId: ctx.conversationId,
+            actor: 'user',
+            data: {
+                channel: ctx.channel,
+                message_redacted: message.substring(0, 100) + (message.length > 100 ? '...' : '')
+            }
+        });
+
+        if (!ctx.session.history) ctx.session.history = [];
+    }
+};
+
+/**
+ * CRITICAL: AI DISENGAGEMENT CHECK
+ * If the conversation has been escalated, AI MUST NOT be called.
+ *
+ * While staff hold the conversation (liveTakeoverService) the patient's
+ * (REDACTED) message goes to the staff transcript instead; once staff hand
+ * it back or close it, the AI answers again.
+ */
+const escalationGuard = {
+    name: 'escalationGuard',
+    async run(ctx) {
+        if (!HumanHandoffService.isEscalated(ctx.session)) return;
+
+        let takeover = null;
+        if (ctx.session.escalationId) {
+            takeover = await LiveTakeoverService.handlePatientMessage(ctx.hospitalId, ctx.session, ctx.message);
+            if (!takeover.handled) return;
+        }
+
+        auditLogger.info({
+            action: 'POST_ESCALATION_MESSAGE',
+            hospital_id: ctx.hospitalId,
+            conversationId: ctx.conversationId,
+            actor: 'user',
+            data: { note: 'User message received after escalation, AI not invoked' }
+        });
+
+        // Staff are chatting: their replies reach the patient separately
+        if (takeover?.status === 'claimed') {
+            return respond({ escalated: true, takeover: true });
+        }
+
+        return respond({ ...HumanHandoffService.getEscalatedResponse(), ...(takeover && { takeover: true }) });
+    }
+};
+
+/**
+ * Hybrid triage on the RAW message, with emergency bypass.
+ *
+ * Urgent (same-day) tier: the patient is asked to call, the AI is told to
+ * offer today's earliest slot and session.triageLevel flags the booking for
+ * reception until it is confirmed.
+ */
+const triage = {
+    name: 'triage',
+    async run(ctx) {
+        ctx.triage = triageService.evaluate(ctx.rawMessage, ctx.hospital);
+
+        auditLogger.info({
+            action: 'TRIAGE_RESULT',
+            hospital_id: ctx.hospitalId,
+            conversationId: ctx.conversationId,
+            actor: 'system',
+            data: { status: ctx.triage.status, department: ctx.triage.department || 'none', rules_version: ctx.triage.rulesVersion }
+        });
+
+        if (ctx.triage.status === 'emergency') {
+            logger.warn(`Emergency bypass triggered for conversation ${ctx.conversationId}`);
+            return respond({ reply: ctx.triage.response });
+        }
+
+        if (ctx.triage.status === 'urgent') {
+            ctx.urgentNotice = ctx.triage.response;
+
+            if (ctx.session.triageLevel !== 'urgent') {
+                ctx.session.triageLevel = 'urgent';
+                await AuditService.log({
+                    hospitalId: ctx.hospitalId,
+                    entityType: ENTITY_TYPES.CONVERSATION,
+                    entityId: ctx.conversationId,
+                    action: ACTIONS.TRIAGE_URGENT,
+                    performedBy: 'system',
+                    metadata: { department: ctx.triage.department, rules_version: ctx.triage.rulesVersion }
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Capture patient contact details from the RAW message.
+ * Stored in the hospital-scoped session only (never sent to the AI).
+ */
+const contactCapture = {
+    name: 'contactCapture',
+    async run(ctx) {
+        const phone = ctx.rawMessage.match(PHONE_PATTERN);
+        const name = ctx.rawMessage.match(NAME_PATTERN);
+        if (!phone && !name) return;
+
+        ctx.session.contact = {
+            ...ctx.session.contact,
+            ...(phone && { phone: phone[1].replace(/\s/g, '') }),
+            ...(name && { name: name[1] })
+        };
+    }
+};
+
+/**
+ * Hospital-aware context for the AI (triaged department, urgency, persona).
+ * Availability is not pre-loaded: the AI fetches live slots with its tools.
+ */
+const contextPrep = {
+    name: 'contextPrep',
+    async run(ctx) {
+        const { hospital, hospitalId } = ctx;
+
+        // Hospital's active persona (tone, rules, prompt template); null = built-in
+        const persona = await PromptTemplateService.getActive(hospitalId);
+
+        ctx.aiContext = {
+            hospital: hospital,
+            hospitalId: hospitalId,
+            workingHours: hospital.working_hours || null,
+            persona: persona?.config || null,
+            promptVersion: persona?.version ?? null
+        };
+
+        if (ctx.triage?.status === 'urgent') ctx.aiContext.urgent = true;
+
+        const department = ctx.triage?.department;
+        if (!department) return;
+
+        if (hospital.departments && hospital.departments.includes(department)) {
+            ctx.aiContext.department = department;
+        } else {
+            logger.warn(`Department ${department} not available at ${hospital.name}`);
+        }
+    }
+};
+
+/**
+ * Explicit request for a human (bilingual keywords).
+ */
+const handoffRequest = {
+    name: 'handoffRequest',
+    async run(ctx) {
+        if (!HumanHandoffService.isHandoffRequested(ctx.rawMessage)) return;
+
+        const handoffResponse = await HumanHandoffService.triggerHandoff(
+            ctx.conversationId,
+            'User Keyword Request',
+            ctx.hospital,
+            ctx.session,
+            HumanHandoffService.TRIGGER_TYPES.USER_REQUESTED
+        );
+
+        recordExchange(ctx, handoffResponse.reply);
+        return respond(handoffResponse);
+    }
+};
+
+/**
+ * Patient self-service: view, cancel or reschedule existing appointments.
+ *
+ * Flow (state in session.selfService):
+ *   intent → phone (if unknown) → OTP → list → choose appointment → (choose slot)
+ *
+ * Runs before the AI so phone numbers, codes and appointment details are
+ * never sent to the provider or stored in history. Any reply that doesn't
+ * fit the current step ends the flow and falls through to the AI.
+ */
+const appointmentSelfService = {
+    name: 'appointmentSelfService',
+    async run(ctx) {
+        const { session } = ctx;
+        const raw = ctx.rawMessage.trim();
+        const detected = SELF_SERVICE_INTENTS.find(i => i.pattern.test(raw));
+
+        if (detected) {
+            session.selfService = { intent: detected.intent, step: null };
+            return await continueSelfService(ctx);
+        }
+
+        const state = session.selfService;
+        if (!state?.step) return;
+
+        switch (state.step) {
+            case 'awaiting_phone': {
+                const phone = raw.match(PHONE_PATTERN);
+                if (!phone) break;
+                return await sendSelfServiceOtp(ctx, phone[1]);
+            }
+            case 'awaiting_otp': {
+                if (!/^\d{6}$/.test(raw)) break;
+                const result = await PatientAppointmentService.verify(session, ctx.hospitalId, raw);
+                if (!result.success) {
+                    return respond({ reply: `❌ ${result.error}` });
+                }
+                return await continueSelfService(ctx);
+            }
+            case 'choose_appointment': {
+                const id = parseInt(raw.replace(/^#/, ''), 10);
+                if (!state.appointmentIds.includes(id)) break;
+                return state.intent === 'cancel'
+                    ? await cancelFromChat(ctx, id)
+                    : await offerRescheduleSlots(ctx, id);
+            }
+            case 'choose_slot': {
+                const index = parseInt(raw, 10) - 1;
+                const slot = state.slots[index];
+                if (!/^\d+$/.test(raw) || !slot) break;
+                return await rescheduleFromChat(ctx, state.appointmentId, slot);
+            }
+        }
+
+        // Unexpected reply → leave self-service, let the AI handle it
+        session.selfService = null;
+    }
+};
+
+/**
+ * Advance the self-service flow once the intent is known.
+ */
+async function continueSelfService(ctx) {
+    const { session } = ctx;
+    const state = session.selfService;
+    const phone = PatientAppointmentService.getVerifiedPhone(session);
+
+    if (!phone) {
+        if (session.contact?.phone) {
+            return await sendSelfServiceOtp(ctx, session.contact.phone);
+        }
+        state.step = 'awaiting_phone';
+        return respond({ reply: '📱 Please share the mobile number you used when booking.' });
+    }
+
+    const appointments = await PatientAppointmentService.listAppointments(ctx.hospitalId, phone);
+
+    if (appointments.length === 0) {
+        session.selfService = null;
+        return respond({ reply: 'You have no upcoming appointments with us.' });
+    }
+
+    const list = appointments
+        .map(a => `#${a.id} — ${a.departmentName}, ${a.doctorName}, ${formatAppointmentTime(a.appointmentTime)}`)
+        .join('\n');
+
+    if (state.intent === 'view') {
+        session.selfService = null;
+        return respond({ reply: `📅 Your upcoming appointments:\n${list}\n\nYou can ask to cancel or reschedule an appointment.` });
+    }
+
+    state.step = 'choose_appointment';
+    state.appointmentIds = appointments.map(a => a.id);
+    const action = state.intent === 'cancel' ? 'cancel' : 'reschedule';
+    return respond({ reply: `📅 Your upcoming appointments:\n${list}\n\nReply with the appointment number to ${action} (e.g. ${appointments[0].id}).` });
+}
+
+/**
+ * Send the self-service verification code by SMS.
+ */
+async function sendSelfServiceOtp(ctx, phone) {
+    const state = ctx.session.selfService;
+    const result = await PatientAppointmentService.requestVerification(ctx.session, ctx.hospitalId, ctx.hospital, phone);
+
+    if (!result.success) {
+        ctx.session.selfService = null;
+        return respond({ reply: `⚠️ ${result.error}` });
+    }
+
+    state.step = 'awaiting_otp';
+    return respond({ reply: `🔒 I have sent a 6-digit verification code by SMS to your number ending in ${result.phoneLast4}. Please type the code here.` });
+}
+
+async function cancelFromChat(ctx, appointmentId) {
+    const phone = PatientAppointmentService.getVerifiedPhone(ctx.session);
+    ctx.session.selfService = null;
+
+    if (!phone) {
+        return respond({ reply: '⏱️ Your verification has expired. Please ask again to manage your appointments.' });
+    }
+
+    const result = await PatientAppointmentService.cancel(ctx.hospitalId, ctx.hospital, phone, appointmentId);
+    if (!result.success) {
+        return respond({ reply: `⚠️ ${result.error}` });
+    }
+
+    return respond({ reply: `✅ Appointment #${appointmentId} has been cancelled. You will receive an SMS confirmation.` });
+}
+
+async function offerRescheduleSlots(ctx, appointmentId) {
+    const { session } = ctx;
+    const phone = PatientAppointmentService.getVerifiedPhone(session);
+
+    if (!phone) {
+        session.selfService = null;
+        return respond({ reply: '⏱️ Your verification has expired. Please ask again to manage your appointments.' });
+    }
+
+    const result = await PatientAppointmentService.getRescheduleOptions(ctx.hospitalId, phone, appointmentId);
+
+    if (!result.success || result.slots.length === 0) {
+        session.selfService = null;
+        return respond({ reply: result.error ? `⚠️ ${result.error}` : 'Sorry, there are no available slots in the coming days. Please call the hospital.' });
+    }
+
+    session.selfService = {
+        intent: 'reschedule',
+        step: 'choose_slot',
+        appointmentId,
+        slots: result.slots.map(s => ({ doctorId: s.doctor_id, doctorName: s.doctor_name, datetime: s.datetime }))
+    };
+
+    const options = session.selfService.slots
+        .map((s, i) => `${i + 1}. ${s.datetime.replace('T', ' ').substring(0, 16)} with ${s.doctorName}`)
+        .join('\n');
+
+    return respond({ reply: `🗓️ Available times:\n${options}\n\nReply with the option number.` });
+}
+
+async function rescheduleFromChat(ctx, appointmentId, slot) {
+    const phone = PatientAppointmentService.getVerifiedPhone(ctx.session);
+    ctx.session.selfService = null;
+
+    if (!phone) {
+        return respond({ reply: '⏱️ Your verification has expired. Please ask again to manage your appointments.' });
+    }
+
+    const result = await PatientAppointmentService.reschedule(
+        ctx.hospitalId, ctx.hospital, phone, appointmentId,
+        { doctorId: slot.doctorId, datetime: slot.datetime }, ctx.conversationId
+    );
+
+    if (!result.success) {
+        return respond({ reply: `⚠️ ${result.error}` });
+    }
+
+    return respond({ reply: `✅ Appointment #${appointmentId} moved to ${slot.datetime.replace('T', ' ').substring(0, 16)} with ${slot.doctorName}. You will receive an SMS confirmation.` });
+}
+
+/**
+ * OTP entry for a pending booking (RAW message, 6 digits).
+ * Runs before the AI so the code is never sent to the provider.
+ */
+const bookingOtp = {
+    name: 'bookingOtp',
+    async run(ctx) {
+        const pending = ctx.session.pendingBooking;
+        if (!pending) return;
+
+        const otpCode = ctx.rawMessage.trim();
+        if (!/^\d{6}$/.test(otpCode)) return;
+
+        const result = await BookingService.confirmBookingWithOtp(pending.bookingId, otpCode, ctx.hospital);
+
+        if (result.success) {
+            ctx.session.pendingBooking = null;
+            ctx.session.contact = null;
+            ctx.session.triageLevel = null;
+            logger.info(`Booking ${pending.bookingId} confirmed via chat OTP as appointment ${result.appointment.id}`);
+            return respond({
+                reply: `✅ Booking Confirmed! Your appointment reference is #${result.appointment.id}. We look forward to seeing you.`
+            });
+        }
+
+        if (FATAL_OTP_ERRORS.some(e => result.error.includes(e))) {
+            // Release the slot lock and draft; the patient has to start over
+            await BookingService.cancelBooking(pending.bookingId, ctx.conversationId, 'OTP verification failed');
+            ctx.session.pendingBooking = null;
+            return respond({ reply: `❌ ${result.error} Please ask to book again.` });
+        }
+
+        return respond({ reply: `❌ ${result.error}` });
+    }
+};
+
+/**
+ * Waitlist: join after "no availability", or accept an SMS offer.
+ * Runs before the AI so phone numbers and offer codes never reach the provider.
+ */
+const waitlist = {
+    name: 'waitlist',
+    async run(ctx) {
+        const raw = ctx.rawMessage.trim();
+
+        const accept = raw.match(WAITLIST_ACCEPT_PATTERN);
+        if (accept) {
+            const result = await WaitlistService.acceptOffer(ctx.hospitalId, ctx.hospital, accept[1]);
+            if (!result.success) {
+                return respond({ reply: `⚠️ ${result.error}` });
+            }
+            return respond({
+                reply: `✅ Booking Confirmed! Your appointment reference is #${result.appointment.id}. You will receive an SMS confirmation.`
+            });
+        }
+
+        const department = ctx.session.waitlistDepartment;
+        if (!department || !WAITLIST_JOIN_PATTERN.test(raw)) return;
+
+        const contact = ctx.session.contact || {};
+        if (!contact.phone) {
+            return respond({ reply: '📱 Please share your mobile number, then reply WAITLIST again.' });
+        }
+
+        const result = await WaitlistService.join(ctx.hospitalId, {
+            department,
+            patientName: contact.name || null,
+            patientPhone: contact.phone
+        }, 'patient');
+
+        ctx.session.waitlistDepartment = null;
+
+        if (!result.success) {
+            return respond({ reply: `⚠️ ${result.error}` });
+        }
+
+        return respond({
+            reply: `📋 You are on the waitlist for ${department} until ${result.entry.dateTo}. ` +
+                `When a slot opens up we will hold it for you and send you an SMS with a code to book it.`
+        });
+    }
+};
+
+/**
+ * AI call across the PHI safety boundary (REDACTED input only), with the
+ * booking tools bound to this conversation.
+ */
+const aiExecution = {
+    name: 'aiExecution',
+    async run(ctx) {
+        const safeInput = buildSafeAIInput(ctx.message, ctx.session, ctx.aiContext);
+        ctx.aiResponse = await aiService.generateResponse(safeInput, BookingToolService.forConversation(ctx), ctx.stream);
+
+        auditLogger.info({
+            action: 'AI_RESPONSE',
+            hospital_id: ctx.hospitalId,
+            conversationId: ctx.conversationId,
+            actor: 'ai_assistant',
+            data: {
+                reply_length: ctx.aiResponse.reply.length,
+                provider: ctx.aiResponse.provider || null,
+                prompt_version: ctx.aiContext.promptVersion,
+                tool_calls: (ctx.aiResponse.toolCalls || []).map(c => c.name)
+            }
+        });
+
+        recordExchange(ctx, ctx.aiResponse.reply);
+    }
+};
+
+/**
+ * Booking started by the book_appointment tool → ask for the SMS code.
+ *
+ * The tool already created the draft (slot lock) and queued the OTP SMS;
+ * the last digits of the number come from session.contact, not the AI.
+ */
+const bookingInitiation = {
+    name: 'bookingInitiation',
+    async run(ctx) {
+        const booking = ctx.booking;
+        if (!booking) return;
+
+        return respond({
+            reply: `${ctx.aiResponse.reply}\n\n🔒 **Security Check**: I have sent a 6-digit verification code by SMS to your number ending in ${booking.phoneLast4}. Please type the code here to finalize your booking.`,
+            bookingId: booking.bookingId
+        });
+    }
+};
+
+/**
+ * Consecutive AI failures → automatic escalation (hospital threshold).
+ */
+const autoHandoff = {
+    name: 'autoHandoff',
+    async run(ctx) {
+        const { session, aiResponse } = ctx;
+
+        if (aiResponse?.status !== 'error') {
+            session.consecutiveErrors = 0;
+            return;
+        }
+
+        session.consecutiveErrors = (session.consecutiveErrors || 0) + 1;
+        logger.warn(`AI Failure Detected. Consecutive Errors: ${session.consecutiveErrors}`);
+
+        const autoTrigger = HumanHandoffService.checkAutoTrigger(session, aiResponse, ctx.hospital);
+        if (!autoTrigger.shouldEscalate) return;
+
+        logger.warn(`Auto-Handoff Triggered for conversation ${ctx.conversationId}, reason: ${autoTrigger.triggerType}`);
+        const handoffResponse = await HumanHandoffService.triggerHandoff(
+            ctx.conversationId,
+            'Automatic Escalation',
+            ctx.hospital,
+            session,
+            autoTrigger.triggerType
+        );
+        session.consecutiveErrors = 0;
+
+        recordExchange(ctx, handoffResponse.reply);
+        return respond(handoffResponse);
+    }
+};
+
+/**
+ * Terminal stage: return the AI reply (after the urgent notice, if any).
+ */
+const finalReply = {
+    name: 'finalReply',
+    async run(ctx) {
+        let reply = ctx.aiResponse?.reply || '';
+
+        if (ctx.urgentNotice) {
+            reply = `${ctx.urgentNotice}\n\n${reply}`;
+        }
+
+        if (ctx.waitlistHint) {
+            reply += `\n\n📋 No free slots in ${ctx.waitlistHint} right now. Reply WAITLIST to be offered the next free slot by SMS.`;
+        }
+
+        return respond({ reply });
+    }
+};
+
+const DEFAULT_STAGES = [
+    validateMessage,
+    escalationGuard,
+    triage,
+    contactCapture,
+    contextPrep,
+    handoffRequest,
+    appointmentSelfService,
+    bookingOtp,
+    waitlist,
+    aiExecution,
+    bookingInitiation,
+    autoHandoff,
+    finalReply
+];
+
+module.exports = {
+    DEFAULT_STAGES,
+    respond,
+    recordExchange,
+    MAX_MESSAGE_LENGTH
+};
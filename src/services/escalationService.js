@@ -8,6 +8,7 @@
 
 const { emailQueue } = require('../config/queue');
 const { logger, auditLogger } = require('../config/logger');
+const { getZonedParts } = require('../utils/hospitalTime');
 
 class EscalationService {
 
@@ -62,12 +63,15 @@ class EscalationService {
         // Note: For privacy, we do NOT send the chat history in email yet.
         // Just a notification that ID XYZ needs help.
         try {
+            // Staff read this in the hospital's local time
+            const requestedAt = getZonedParts(new Date(), hospital?.timezone);
+
             await emailQueue.add('escalation-email', {
                 details: {
                     name: 'Escalation Alert',
                     department: 'Reception Admin',
-                    date: new Date().toISOString().split('T')[0],
-                    time: new Date().toLocaleTimeString(),
+                    date: requestedAt.date,
+                    time: requestedAt.time,
                     patient_summary: `User (Session: ${sessionId}) at ${hospitalName} requested human assistance. Reason: ${reason}. Please contact ${contactInfo.phone} or check dashboard.`
                 }
             });
@@ -0,0 +1,248 @@
+/**
+ * Escalation SLA Service - Re-notification and Reporting
+ *
+ * SLA: An escalation still pending (not acknowledged, claimed or resolved)
+ * after escalation_config.ack_sla_minutes is routed to the hospital's
+ * escalation channel again, every ack_sla_minutes, up to
+ * sla_max_notifications times. Webhooks use the 'escalation.sla_breached'
+ * event. Runs on an interval on every instance; a conditional update on
+ * sla_notifications makes sure each reminder is sent once.
+ *
+ * Reporting: time-to-acknowledge and time-to-resolve per hospital over a
+ * date range (hospital dates), by resolution category and trigger type.
+ *
+ * PHI: Re-notifications use the same PHI-safe payload as the handoff.
+ *
+ * MULTI-TENANT: Every query is scoped by hospital_id.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { getHospitalConfig, getAllHospitalIds } = require('../config/hospitalConfig');
+const HumanHandoffService = require('./humanHandoffService');
+const LiveTakeoverService = require('./liveTakeoverService');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const { logger } = require('../config/logger');
+const { getHospitalTimezone, todayInTimezone, addDays, zonedTimeToUtc } = require('../utils/hospitalTime');
+
+const { DEFAULT_ESCALATION_CONFIG } = HumanHandoffService;
+
+const ESCALATION_SLA_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * SLA settings for a hospital.
+ *
+ * @param {Object} hospital - Hospital configuration
+ * @returns {Object} { ackSlaMinutes, maxNotifications }
+ */
+function getSlaConfig(hospital) {
+    const config = { ...DEFAULT_ESCALATION_CONFIG, ...hospital?.escalation_config };
+    return {
+        ackSlaMinutes: config.ack_sla_minutes,
+        maxNotifications: config.sla_max_notifications
+    };
+}
+
+const toMinutes = (value) => (value === null || value === undefined ? null : Math.round(Number(value) * 10) / 10);
+
+class EscalationSlaService {
+
+    /**
+     * Re-notify unacknowledged escalations of one hospital.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital configuration (default: hospital config file)
+     * @returns {Promise<number>} Re-notifications sent
+     */
+    static async checkSla(hospitalId, hospital = null) {
+        hospital = hospital || { id: hospitalId, ...getHospitalConfig(hospitalId) };
+        const { ackSlaMinutes, maxNotifications } = getSlaConfig(hospital);
+        if (!ackSlaMinutes || !maxNotifications) return 0; // SLA disabled
+
+        const db = await initializeDatabase();
+        const overdue = await db.query(
+            `SELECT id, conversation_id, trigger_type, sla_notifications,
+                    FLOOR(EXTRACT(EPOCH FROM (NOW() - created_at)) / 60)::int AS pending_minutes
+             FROM escalation_records
+             WHERE hospital_id = $1 AND status = 'pending'
+               AND sla_notifications < $2
+               AND COALESCE(last_notified_at, created_at) <= NOW() - ($3 * INTERVAL '1 minute')
+             ORDER BY created_at ASC
+             LIMIT 100`,
+            [hospitalId, maxNotifications, ackSlaMinutes]
+        );
+        if (overdue.length === 0) return 0;
+
+        const timezone = hospital.timezone || await getHospitalTimezone(hospitalId);
+        let sent = 0;
+
+        for (const escalation of overdue) {
+            // Only one instance wins each reminder
+            const claimed = await db.execute(
+                `UPDATE escalation_records
+                 SET sla_notifications = sla_notifications + 1, last_notified_at = NOW(), updated_at = NOW()
+                 WHERE id = $1 AND hospital_id = $2 AND status = 'pending' AND sla_notifications = $3`,
+                [escalation.id, hospitalId, escalation.sla_notifications]
+            );
+            if (claimed.rowCount === 0) continue;
+
+            const reminder = escalation.sla_notifications + 1;
+            const safePayload = {
+                ...HumanHandoffService.buildSafePayload(escalation.conversation_id, hospitalId, escalation.trigger_type),
+                escalation_id: escalation.id,
+                sla_reminder: reminder,
+                pending_minutes: escalation.pending_minutes
+            };
+
+            try {
+                await HumanHandoffService.routeToChannel(safePayload, { ...hospital, timezone }, 'escalation.sla_breached');
+            } catch (err) {
+                logger.error(`EscalationSla: Re-notification failed for escalation ${escalation.id}`, err);
+            }
+
+            await LiveTakeoverService.notifyStaff({ id: escalation.id, hospital_id: hospitalId, status: 'pending' });
+
+            await AuditService.log({
+                hospitalId,
+                entityType: ENTITY_TYPES.ESCALATION,
+                entityId: escalation.id,
+                action: ACTIONS.ESCALATION_SLA_BREACHED,
+                performedBy: 'system',
+                metadata: { reminder, pending_minutes: escalation.pending_minutes }
+            });
+
+            sent++;
+        }
+
+        return sent;
+    }
+
+    /**
+     * Re-notify unacknowledged escalations of all hospitals (scheduled).
+     *
+     * @returns {Promise<number>} Total re-notifications sent
+     */
+    static async checkSlaAll() {
+        let total = 0;
+
+        for (const hospitalId of getAllHospitalIds()) {
+            try {
+                total += await this.checkSla(hospitalId);
+            } catch (err) {
+                logger.error(`EscalationSla: SLA check failed for hospital ${hospitalId}`, err);
+            }
+        }
+
+        if (total > 0) {
+            logger.info(`EscalationSla: Sent ${total} SLA re-notifications`);
+        }
+
+        return total;
+    }
+
+    /**
+     * Escalation report for a date range (escalations created in the range).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} range - { from?, to? } YYYY-MM-DD in hospital time (default: last 30 days)
+     * @returns {Promise<Object>} { success, report?, error?, code? }
+     */
+    static async getReport(hospitalId, { from, to } = {}) {
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return { success: false, error: 'from and to must be YYYY-MM-DD', code: 'VALIDATION' };
+        }
+
+        const timezone = await getHospitalTimezone(hospitalId);
+        const toDate = to || todayInTimezone(timezone);
+        const fromDate = from || addDays(toDate, -(DEFAULT_REPORT_DAYS - 1));
+
+        if (fromDate > toDate || addDays(fromDate, MAX_REPORT_DAYS) <= toDate) {
+            return { success: false, error: `Date range must be 1-${MAX_REPORT_DAYS} days`, code: 'VALIDATION' };
+        }
+
+        // Bounds are the hospital's midnights (UTC instants). created_at is a TIMESTAMP
+        // without time zone: compare as timestamptz, or Postgres drops the "Z"
+        const start = zonedTimeToUtc(fromDate, '00:00', timezone).toISOString();
+        const end = zonedTimeToUtc(addDays(toDate, 1), '00:00', timezone).toISOString();
+
+        const ACK_MINUTES = `EXTRACT(EPOCH FROM (acknowledged_at - created_at)) / 60`;
+        // Handing back to the AI also sets resolved_at, but is not a resolution
+        const RESOLVE_MINUTES = `CASE WHEN status = 'resolved' THEN EXTRACT(EPOCH FROM (resolved_at - created_at)) / 60 END`;
+        const RANGE = `hospital_id = $1 AND created_at >= $2::timestamptz AND created_at < $3::timestamptz`;
+
+        const db = await initializeDatabase();
+
+        const summary = await db.get(
+            `SELECT COUNT(*)::int AS total,
+                    COUNT(*) FILTER (WHERE status IN ('pending', 'acknowledged', 'claimed'))::int AS open,
+                    COUNT(*) FILTER (WHERE status = 'resolved')::int AS resolved,
+                    COUNT(*) FILTER (WHERE status = 'returned')::int AS returned_to_ai,
+                    COUNT(*) FILTER (WHERE sla_notifications > 0)::int AS sla_breached,
+                    AVG(${ACK_MINUTES}) AS avg_ack_minutes,
+                    AVG(${RESOLVE_MINUTES}) AS avg_resolve_minutes,
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${RESOLVE_MINUTES}) AS median_resolve_minutes,
+                    PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY ${RESOLVE_MINUTES}) AS p90_resolve_minutes
+             FROM escalation_records
+             WHERE ${RANGE}`,
+            [hospitalId, start, end]
+        );
+
+        const byCategory = await db.query(
+            `SELECT status, resolution_category AS category, COUNT(*)::int AS count,
+                    AVG(${RESOLVE_MINUTES}) AS avg_resolve_minutes
+             FROM escalation_records
+             WHERE ${RANGE} AND resolved_at IS NOT NULL
+             GROUP BY status, resolution_category
+             ORDER BY count DESC`,
+            [hospitalId, start, end]
+        );
+
+        const byTrigger = await db.query(
+            `SELECT trigger_type, COUNT(*)::int AS count,
+                    COUNT(*) FILTER (WHERE sla_notifications > 0)::int AS sla_breached,
+                    AVG(${RESOLVE_MINUTES}) AS avg_resolve_minutes
+             FROM escalation_records
+             WHERE ${RANGE}
+             GROUP BY trigger_type
+             ORDER BY count DESC`,
+            [hospitalId, start, end]
+        );
+
+        return {
+            success: true,
+            report: {
+                from: fromDate,
+                to: toDate,
+                timezone,
+                total: summary?.total || 0,
+                open: summary?.open || 0,
+                resolved: summary?.resolved || 0,
+                returned_to_ai: summary?.returned_to_ai || 0,
+                sla_breached: summary?.sla_breached || 0,
+                avg_ack_minutes: toMinutes(summary?.avg_ack_minutes),
+                avg_resolve_minutes: toMinutes(summary?.avg_resolve_minutes),
+                median_resolve_minutes: toMinutes(summary?.median_resolve_minutes),
+                p90_resolve_minutes: toMinutes(summary?.p90_resolve_minutes),
+                by_category: byCategory.map(row => ({
+                    // Handed back to the AI without a category
+                    category: row.category || (row.status === 'returned' ? 'returned_to_ai' : null),
+                    count: row.count,
+                    avg_resolve_minutes: toMinutes(row.avg_resolve_minutes)
+                })),
+                by_trigger: byTrigger.map(row => ({
+                    trigger_type: row.trigger_type,
+                    count: row.count,
+                    sla_breached: row.sla_breached,
+                    avg_resolve_minutes: toMinutes(row.avg_resolve_minutes)
+                }))
+            }
+        };
+    }
+}
+
+module.exports = EscalationSlaService;
+module.exports.getSlaConfig = getSlaConfig;
+module.exports.ESCALATION_SLA_CHECK_INTERVAL_MS = ESCALATION_SLA_CHECK_INTERVAL_MS;
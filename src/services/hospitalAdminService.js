@@ -0,0 +1,510 @@
+/**
+ * Hospital Admin Service
+ *
+ * Manages a hospital's departments, doctors and weekly availability
+ * (previously only seedable via scripts/seedHospitals.js or raw SQL).
+ *
+ * RULES:
+ * - Department names are unique per hospital
+ * - Departments with doctors assigned cannot be deleted
+ * - Doctors are never hard-deleted (appointments reference them);
+ *   they are deactivated via is_active and disappear from slot generation
+ * - Availability windows for a doctor must not overlap on the same day
+ * - Slot settings (length, buffer, daily cap) are set per department and
+ *   optionally overridden per doctor; null = inherit (see SlotService)
+ *
+ * Every change is written to the audit log (AuditService) with the staff username.
+ *
+ * MULTI-TENANT: Every query is scoped by hospital_id. doctor_availability
+ * has no hospital_id column, so it is always reached through doctors_v2.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const { logger } = require('../config/logger');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:00)?$/;
+
+// Allowed range per slot setting (null = inherit)
+const SLOT_SETTING_LIMITS = {
+    slot_duration_minutes: { min: 5, max: 240 },
+    buffer_minutes: { min: 0, max: 120 },
+    max_daily_patients: { min: 1, max: 500 }
+};
+
+// Tables that carry slot settings (never interpolate user input)
+const SLOT_SETTING_TABLES = {
+    department: { table: 'departments', entityType: ENTITY_TYPES.DEPARTMENT, action: ACTIONS.DEPARTMENT_UPDATED, label: 'Department' },
+    doctor: { table: 'doctors_v2', entityType: ENTITY_TYPES.DOCTOR, action: ACTIONS.DOCTOR_UPDATED, label: 'Doctor' }
+};
+
+/**
+ * Normalize a TIME value to HH:MM (Postgres returns HH:MM:SS).
+ */
+function toHHMM(value) {
+    return String(value).substring(0, 5);
+}
+
+/**
+ * Check if two [start, end) windows overlap. Times are HH:MM strings.
+ */
+function windowsOverlap(a, b) {
+    return toHHMM(a.start_time) < toHHMM(b.end_time) && toHHMM(b.start_time) < toHHMM(a.end_time);
+}
+
+function isUniqueViolation(err) {
+    return err.code === '23505' || err.message?.includes('UNIQUE');
+}
+
+class HospitalAdminService {
+
+    // ============================================================
+    // DEPARTMENTS
+    // ============================================================
+
+    static async listDepartments(hospitalId) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT dep.id, dep.name,
+                            dep.slot_duration_minutes, dep.buffer_minutes, dep.max_daily_patients,
+                            (SELECT COUNT(*) FROM doctors_v2 d WHERE d.department_id = dep.id AND d.is_active = true) as active_doctors
+                     FROM departments dep
+                     WHERE dep.hospital_id = $1
+                     ORDER BY dep.name ASC`;
+
+        return await db.query(sql, [hospitalId]) || [];
+    }
+
+    /**
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} name - Department name
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, department?, error?, code? }
+     */
+    static async createDepartment(hospitalId, name, performedBy) {
+        const cleanName = String(name || '').trim();
+        if (!cleanName) {
+            return { success: false, code: 'VALIDATION', error: 'name is required' };
+        }
+
+        const db = await initializeDatabase();
+
+        try {
+            const result = await db.execute(
+                `INSERT INTO departments (hospital_id, name) VALUES ($1, $2) RETURNING id`,
+                [hospitalId, cleanName]
+            );
+            const department = { id: result.rows?.[0]?.id, name: cleanName };
+
+            await this._audit(hospitalId, ENTITY_TYPES.DEPARTMENT, department.id, ACTIONS.DEPARTMENT_CREATED, performedBy, { name: cleanName });
+
+            return { success: true, department };
+        } catch (err) {
+            if (isUniqueViolation(err)) {
+                return { success: false, code: 'CONFLICT', error: `Department "${cleanName}" already exists.` };
+            }
+            throw err;
+        }
+    }
+
+    static async renameDepartment(hospitalId, departmentId, name, performedBy) {
+        const cleanName = String(name || '').trim();
+        if (!cleanName) {
+            return { success: false, code: 'VALIDATION', error: 'name is required' };
+        }
+
+        const db = await initializeDatabase();
+        const existing = await db.get(
+            `SELECT id, name FROM departments WHERE id = $1 AND hospital_id = $2`,
+            [departmentId, hospitalId]
+        );
+
+        if (!existing) {
+            return { success: false, code: 'NOT_FOUND', error: 'Department not found.' };
+        }
+
+        try {
+            await db.execute(
+                `UPDATE departments SET name = $1 WHERE id = $2 AND hospital_id = $3`,
+                [cleanName, departmentId, hospitalId]
+            );
+        } catch (err) {
+            if (isUniqueViolation(err)) {
+                return { success: false, code: 'CONFLICT', error: `Department "${cleanName}" already exists.` };
+            }
+            throw err;
+        }
+
+        await this._audit(hospitalId, ENTITY_TYPES.DEPARTMENT, departmentId, ACTIONS.DEPARTMENT_UPDATED, performedBy,
+            { from: existing.name, to: cleanName });
+
+        return { success: true, department: { id: departmentId, name: cleanName } };
+    }
+
+    static async deleteDepartment(hospitalId, departmentId, performedBy) {
+        const db = await initializeDatabase();
+        const existing = await db.get(
+            `SELECT id, name FROM departments WHERE id = $1 AND hospital_id = $2`,
+            [departmentId, hospitalId]
+        );
+
+        if (!existing) {
+            return { success: false, code: 'NOT_FOUND', error: 'Department not found.' };
+        }
+
+        const assigned = await db.get(
+            `SELECT COUNT(*) as count FROM doctors_v2 WHERE department_id = $1 AND hospital_id = $2`,
+            [departmentId, hospitalId]
+        );
+
+        if (parseInt(assigned?.count || 0) > 0) {
+            return { success: false, code: 'CONFLICT', error: 'Department still has doctors. Move or deactivate them first.' };
+        }
+
+        await db.execute(`DELETE FROM departments WHERE id = $1 AND hospital_id = $2`, [departmentId, hospitalId]);
+
+        await this._audit(hospitalId, ENTITY_TYPES.DEPARTMENT, departmentId, ACTIONS.DEPARTMENT_DELETED, performedBy, { name: existing.name });
+
+        return { success: true };
+    }
+
+    // ============================================================
+    // DOCTORS
+    // ============================================================
+
+    static async listDoctors(hospitalId, { departmentId = null, includeInactive = true } = {}) {
+        const db = await initializeDatabase();
+
+        const conditions = ['d.hospital_id = $1'];
+        const params = [hospitalId];
+
+        if (departmentId) {
+            params.push(departmentId);
+            conditions.push(`d.department_id = $${params.length}`);
+        }
+        if (!includeInactive) {
+            conditions.push('d.is_active = true');
+        }
+
+        const sql = `SELECT d.id, d.name, d.department_id, d.is_active, dep.name as department_name,
+                            d.slot_duration_minutes, d.buffer_minutes, d.max_daily_patients
+                     FROM doctors_v2 d
+                     LEFT JOIN departments dep ON d.department_id = dep.id
+                     WHERE ${conditions.join(' AND ')}
+                     ORDER BY d.name ASC`;
+
+        return await db.query(sql, params) || [];
+    }
+
+    static async getDoctor(hospitalId, doctorId) {
+        const db = await initializeDatabase();
+        return await db.get(
+            `SELECT id, name, department_id, is_active FROM doctors_v2 WHERE id = $1 AND hospital_id = $2`,
+            [doctorId, hospitalId]
+        ) || null;
+    }
+
+    /**
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} data - { name, department_id }
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, doctor?, error?, code? }
+     */
+    static async createDoctor(hospitalId, { name, department_id }, performedBy) {
+        const cleanName = String(name || '').trim();
+        if (!cleanName) {
+            return { success: false, code: 'VALIDATION', error: 'name is required' };
+        }
+
+        if (!await this._departmentExists(hospitalId, department_id)) {
+            return { success: false, code: 'VALIDATION', error: 'department_id must be a department of this hospital' };
+        }
+
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `INSERT INTO doctors_v2 (hospital_id, department_id, name, is_active) VALUES ($1, $2, $3, true) RETURNING id`,
+            [hospitalId, department_id, cleanName]
+        );
+        const doctor = { id: result.rows?.[0]?.id, name: cleanName, department_id, is_active: true };
+
+        await this._audit(hospitalId, ENTITY_TYPES.DOCTOR, doctor.id, ACTIONS.DOCTOR_CREATED, performedBy,
+            { name: cleanName, department_id });
+
+        return { success: true, doctor };
+    }
+
+    /**
+     * Update name, department and/or active flag.
+     *
+     * @param {Object} changes - { name?, department_id?, is_active? }
+     */
+    static async updateDoctor(hospitalId, doctorId, changes, performedBy) {
+        const existing = await this.getDoctor(hospitalId, doctorId);
+
+        if (!existing) {
+            return { success: false, code: 'NOT_FOUND', error: 'Doctor not found.' };
+        }
+
+        const updated = { ...existing };
+
+        if (changes.name !== undefined) {
+            updated.name = String(changes.name).trim();
+            if (!updated.name) {
+                return { success: false, code: 'VALIDATION', error: 'name cannot be empty' };
+            }
+        }
+        if (changes.department_id !== undefined) {
+            if (!await this._departmentExists(hospitalId, changes.department_id)) {
+                return { success: false, code: 'VALIDATION', error: 'department_id must be a department of this hospital' };
+            }
+            updated.department_id = changes.department_id;
+        }
+        if (changes.is_active !== undefined) {
+            if (typeof changes.is_active !== 'boolean') {
+                return { success: false, code: 'VALIDATION', error: 'is_active must be a boolean' };
+            }
+            updated.is_active = changes.is_active;
+        }
+
+        const db = await initializeDatabase();
+        await db.execute(
+            `UPDATE doctors_v2 SET name = $1, department_id = $2, is_active = $3 WHERE id = $4 AND hospital_id = $5`,
+            [updated.name, updated.department_id, updated.is_active, doctorId, hospitalId]
+        );
+
+        // Deactivation gets its own action so it stands out in the audit trail
+        const action = existing.is_active && !updated.is_active ? ACTIONS.DOCTOR_DEACTIVATED : ACTIONS.DOCTOR_UPDATED;
+        const changed = Object.keys(changes).filter(k => ['name', 'department_id', 'is_active'].includes(k));
+
+        await this._audit(hospitalId, ENTITY_TYPES.DOCTOR, doctorId, action, performedBy, { fields: changed });
+
+        return { success: true, doctor: updated };
+    }
+
+    // ============================================================
+    // SLOT SETTINGS
+    // ============================================================
+
+    /**
+     * Validate slot settings. Only keys present are checked.
+     *
+     * @param {Object} settings - { slot_duration_minutes?, buffer_minutes?, max_daily_patients? }
+     * @returns {string|null} Error message, or null if valid
+     */
+    static validateSlotSettings(settings) {
+        const keys = Object.keys(SLOT_SETTING_LIMITS).filter(k => settings[k] !== undefined);
+
+        if (keys.length === 0) {
+            return `Provide at least one of: ${Object.keys(SLOT_SETTING_LIMITS).join(', ')}`;
+        }
+
+        for (const key of keys) {
+            const value = settings[key];
+            const { min, max } = SLOT_SETTING_LIMITS[key];
+
+            if (value !== null && (!Number.isInteger(value) || value < min || value > max)) {
+                return `${key} must be an integer between ${min} and ${max}, or null to inherit`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Set slot length, buffer and/or daily cap for a department or doctor.
+     * Keys not provided keep their current value.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} kind - 'department' or 'doctor'
+     * @param {number} id - Department or doctor ID
+     * @param {Object} settings - { slot_duration_minutes?, buffer_minutes?, max_daily_patients? }
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, settings?, error?, code? }
+     */
+    static async updateSlotSettings(hospitalId, kind, id, settings, performedBy) {
+        const target = SLOT_SETTING_TABLES[kind];
+        const error = this.validateSlotSettings(settings || {});
+
+        if (error) {
+            return { success: false, code: 'VALIDATION', error };
+        }
+
+        const db = await initializeDatabase();
+        const existing = await db.get(
+            `SELECT id, slot_duration_minutes, buffer_minutes, max_daily_patients
+             FROM ${target.table} WHERE id = $1 AND hospital_id = $2`,
+            [id, hospitalId]
+        );
+
+        if (!existing) {
+            return { success: false, code: 'NOT_FOUND', error: `${target.label} not found.` };
+        }
+
+        const updated = {};
+        for (const key of Object.keys(SLOT_SETTING_LIMITS)) {
+            updated[key] = settings[key] !== undefined ? settings[key] : (existing[key] ?? null);
+        }
+
+        await db.execute(
+            `UPDATE ${target.table} SET slot_duration_minutes = $1, buffer_minutes = $2, max_daily_patients = $3
+             WHERE id = $4 AND hospital_id = $5`,
+            [updated.slot_duration_minutes, updated.buffer_minutes, updated.max_daily_patients, id, hospitalId]
+        );
+
+        await this._audit(hospitalId, target.entityType, id, target.action, performedBy, { slot_settings: updated });
+
+        return { success: true, settings: updated };
+    }
+
+    // ============================================================
+    // AVAILABILITY
+    // ============================================================
+
+    static async listAvailability(hospitalId, doctorId) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT da.id, da.doctor_id, da.day_of_week, da.start_time, da.end_time
+                     FROM doctor_availability da
+                     JOIN doctors_v2 d ON da.doctor_id = d.id
+                     WHERE da.doctor_id = $1 AND d.hospital_id = $2
+                     ORDER BY da.day_of_week ASC, da.start_time ASC`;
+
+        const rows = await db.query(sql, [doctorId, hospitalId]) || [];
+        return rows.map(r => ({ ...r, start_time: toHHMM(r.start_time), end_time: toHHMM(r.end_time) }));
+    }
+
+    /**
+     * Validate a weekly window and check it does not overlap the doctor's others.
+     *
+     * @param {Object} window - { day_of_week, start_time, end_time }
+     * @param {Array} existing - Doctor's current windows
+     * @param {number} ignoreId - Window being updated (excluded from overlap check)
+     * @returns {string|null} Error message or null if valid
+     */
+    static validateWindow({ day_of_week, start_time, end_time }, existing = [], ignoreId = null) {
+        if (!Number.isInteger(day_of_week) || day_of_week < 0 || day_of_week > 6) {
+            return 'day_of_week must be an integer 0 (Sunday) to 6 (Saturday)';
+        }
+        if (!TIME_PATTERN.test(start_time || '') || !TIME_PATTERN.test(end_time || '')) {
+            return 'start_time and end_time must be HH:MM';
+        }
+        if (toHHMM(start_time) >= toHHMM(end_time)) {
+            return 'start_time must be before end_time';
+        }
+
+        const clash = existing.find(w => w.id !== ignoreId && w.day_of_week === day_of_week &&
+            windowsOverlap(w, { start_time, end_time }));
+
+        if (clash) {
+            return `Overlaps existing window ${toHHMM(clash.start_time)}-${toHHMM(clash.end_time)} on the same day`;
+        }
+
+        return null;
+    }
+
+    static async addAvailability(hospitalId, doctorId, window, performedBy) {
+        if (!await this.getDoctor(hospitalId, doctorId)) {
+            return { success: false, code: 'NOT_FOUND', error: 'Doctor not found.' };
+        }
+
+        const existing = await this.listAvailability(hospitalId, doctorId);
+        const error = this.validateWindow(window, existing);
+
+        if (error) {
+            return { success: false, code: 'VALIDATION', error };
+        }
+
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `INSERT INTO doctor_availability (doctor_id, day_of_week, start_time, end_time) VALUES ($1, $2, $3, $4) RETURNING id`,
+            [doctorId, window.day_of_week, toHHMM(window.start_time), toHHMM(window.end_time)]
+        );
+
+        const created = {
+            id: result.rows?.[0]?.id,
+            doctor_id: doctorId,
+            day_of_week: window.day_of_week,
+            start_time: toHHMM(window.start_time),
+            end_time: toHHMM(window.end_time)
+        };
+
+        await this._audit(hospitalId, ENTITY_TYPES.AVAILABILITY, created.id, ACTIONS.AVAILABILITY_CREATED, performedBy,
+            { doctor_id: doctorId, day_of_week: created.day_of_week, start_time: created.start_time, end_time: created.end_time });
+
+        return { success: true, availability: created };
+    }
+
+    static async updateAvailability(hospitalId, doctorId, availabilityId, window, performedBy) {
+        const existing = await this.listAvailability(hospitalId, doctorId);
+        const current = existing.find(w => w.id === availabilityId);
+
+        if (!current) {
+            return { success: false, code: 'NOT_FOUND', error: 'Availability window not found.' };
+        }
+
+        const merged = {
+            day_of_week: window.day_of_week ?? current.day_of_week,
+            start_time: window.start_time ?? current.start_time,
+            end_time: window.end_time ?? current.end_time
+        };
+        const error = this.validateWindow(merged, existing, availabilityId);
+
+        if (error) {
+            return { success: false, code: 'VALIDATION', error };
+        }
+
+        const db = await initializeDatabase();
+        await db.execute(
+            `UPDATE doctor_availability SET day_of_week = $1, start_time = $2, end_time = $3 WHERE id = $4 AND doctor_id = $5`,
+            [merged.day_of_week, toHHMM(merged.start_time), toHHMM(merged.end_time), availabilityId, doctorId]
+        );
+
+        await this._audit(hospitalId, ENTITY_TYPES.AVAILABILITY, availabilityId, ACTIONS.AVAILABILITY_UPDATED, performedBy, {
+            doctor_id: doctorId,
+            from: { day_of_week: current.day_of_week, start_time: current.start_time, end_time: current.end_time },
+            to: { day_of_week: merged.day_of_week, start_time: toHHMM(merged.start_time), end_time: toHHMM(merged.end_time) }
+        });
+
+        return { success: true, availability: { id: availabilityId, doctor_id: doctorId, ...merged } };
+    }
+
+    static async deleteAvailability(hospitalId, doctorId, availabilityId, performedBy) {
+        const existing = await this.listAvailability(hospitalId, doctorId);
+        const current = existing.find(w => w.id === availabilityId);
+
+        if (!current) {
+            return { success: false, code: 'NOT_FOUND', error: 'Availability window not found.' };
+        }
+
+        const db = await initializeDatabase();
+        await db.execute(`DELETE FROM doctor_availability WHERE id = $1 AND doctor_id = $2`, [availabilityId, doctorId]);
+
+        await this._audit(hospitalId, ENTITY_TYPES.AVAILABILITY, availabilityId, ACTIONS.AVAILABILITY_DELETED, performedBy,
+            { doctor_id: doctorId, day_of_week: current.day_of_week, start_time: current.start_time, end_time: current.end_time });
+
+        return { success: true };
+    }
+
+    // ============================================================
+    // INTERNAL
+    // ============================================================
+
+    static async _departmentExists(hospitalId, departmentId) {
+        if (!Number.isInteger(departmentId)) return false;
+
+        const db = await initializeDatabase();
+        const row = await db.get(
+            `SELECT id FROM departments WHERE id = $1 AND hospital_id = $2`,
+            [departmentId, hospitalId]
+        );
+        return !!row;
+    }
+
+    static async _audit(hospitalId, entityType, entityId, action, performedBy, metadata) {
+        await AuditService.log({ hospitalId, entityType, entityId, action, performedBy, metadata });
+        logger.info(`HospitalAdmin: ${action} ${entityType} ${entityId} by ${performedBy} at hospital ${hospitalId}`);
+    }
+}
+
+module.exports = HospitalAdminService;
+module.exports.windowsOverlap = windowsOverlap;
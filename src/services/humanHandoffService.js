@@ -16,6 +16,9 @@
 
 const { emailQueue } = require('../config/queue');
 const { logger, auditLogger } = require('../config/logger');
+const { DEFAULT_TIMEZONE, getZonedParts } = require('../utils/hospitalTime');
+const WebhookDeliveryService = require('./webhookDeliveryService');
+const LiveTakeoverService = require('./liveTakeoverService');
 
 /**
  * Trigger types for audit logging
@@ -24,7 +27,8 @@ const TRIGGER_TYPES = {
     USER_REQUESTED: 'user_requested',
     AUTO_FAILURE: 'auto_failure',
     LOW_CONFIDENCE: 'low_confidence',
-    FRUSTRATION: 'frustration'
+    FRUSTRATION: 'frustration',
+    SMS_CALLBACK: 'sms_callback'
 };
 
 /**
@@ -35,8 +39,11 @@ const DEFAULT_ESCALATION_CONFIG = {
     channel: 'email',
     failure_threshold: 2,
     webhook_url: null,
+    ticket_url: null,
     business_hours: '08:00-18:00',
-    after_hours_channel: 'email'
+    after_hours_channel: 'email',
+    ack_sla_minutes: 15,         // Re-notify if not acknowledged within this time
+    sla_max_notifications: 3     // Re-notifications per escalation
 };
 
 /**
@@ -195,16 +202,17 @@ class HumanHandoffService {
      * 
      * CHANNEL TYPES:
      * - email: Queue email notification
-     * - whatsapp_webhook: POST to webhook URL
-     * - ticket_system: Create ticket (stub)
+     * - whatsapp_webhook: POST to webhook URL (signed, retried - see webhookDeliveryService)
+     * - ticket_system: POST to ticketing system URL (same delivery)
      * 
      * @param {Object} safePayload - PHI-safe payload
      * @param {Object} hospital - Hospital configuration
-     * @returns {Promise<void>}
+     * @param {string} event - Webhook event override (e.g. 'escalation.sla_breached' for re-notifications)
+     * @returns {Promise<string>} - Channel used
      */
-    static async routeToChannel(safePayload, hospital) {
+    static async routeToChannel(safePayload, hospital, event = null) {
         const config = hospital?.escalation_config || DEFAULT_ESCALATION_CONFIG;
-        const channel = this.getActiveChannel(config);
+        const channel = this.getActiveChannel(config, hospital?.timezone);
 
         logger.info(`Routing escalation via channel: ${channel} for hospital: ${hospital?.id || 'default'}`);
 
@@ -214,32 +222,35 @@ class HumanHandoffService {
                 break;
 
             case 'whatsapp_webhook':
-                await this.sendWebhookNotification(safePayload, config.webhook_url);
+                await this.sendWebhookNotification(safePayload, config.webhook_url, event || undefined);
                 break;
 
             case 'ticket_system':
-                await this.createTicket(safePayload, hospital);
+                await this.createTicket(safePayload, hospital, event || undefined);
                 break;
 
             default:
                 logger.warn(`Unknown escalation channel: ${channel}, falling back to email`);
                 await this.sendEmailNotification(safePayload, hospital);
+                return 'email';
         }
+
+        return channel;
     }
 
     /**
      * Determine active channel based on business hours.
+     * Business hours are the hospital's local hours, not the server's.
      * 
      * @param {Object} config - Escalation configuration
+     * @param {string} timezone - Hospital timezone (default Asia/Riyadh)
+     * @param {Date} now - Current time (injectable for tests)
      * @returns {string} - Active channel name
      */
-    static getActiveChannel(config) {
+    static getActiveChannel(config, timezone = DEFAULT_TIMEZONE, now = new Date()) {
         if (!config.business_hours) return config.channel || 'email';
 
-        const now = new Date();
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const currentTime = currentHour * 60 + currentMinute;
+        const currentTime = getZonedParts(now, timezone).minutes;
 
         // Parse business hours (format: "08:00-18:00")
         const [startStr, endStr] = config.business_hours.split('-');
@@ -265,15 +276,22 @@ class HumanHandoffService {
      * SAFETY: Only sends PHI-safe payload.
      */
     static async sendEmailNotification(safePayload, hospital) {
+        // Shown to staff in the hospital's local time
+        const requestedAt = getZonedParts(new Date(safePayload.timestamp), hospital?.timezone);
+
         try {
+            const reminder = safePayload.sla_reminder
+                ? ` NOT ACKNOWLEDGED after ${safePayload.pending_minutes} minutes (reminder ${safePayload.sla_reminder}).`
+                : '';
+
             await emailQueue.add('escalation-email', {
                 details: {
-                    name: 'Human Handoff Request',
+                    name: safePayload.sla_reminder ? 'Human Handoff Request - Reminder' : 'Human Handoff Request',
                     department: 'Reception Escalation',
-                    date: safePayload.timestamp.split('T')[0],
-                    time: new Date(safePayload.timestamp).toLocaleTimeString(),
+                    date: requestedAt.date,
+                    time: requestedAt.time,
                     // SAFETY: Only reference IDs, not content
-                    patient_summary: `Conversation ${safePayload.conversation_id} requires human assistance. Reason: ${safePayload.reason}. Hospital: ${hospital?.name || 'Unknown'}`
+                    patient_summary: `Conversation ${safePayload.conversation_id} requires human assistance. Reason: ${safePayload.reason}. Hospital: ${hospital?.name || 'Unknown'}${reminder}`
                 },
                 hospitalId: safePayload.hospital_id
             });
@@ -287,30 +305,50 @@ class HumanHandoffService {
      * Send webhook notification (for WhatsApp Business API, etc.).
      * 
      * SAFETY: Only sends PHI-safe payload.
-     * STUB: Actual HTTP call would go here.
+     * Queued for signed delivery with retries; failures to queue are logged,
+     * never thrown (the patient still gets the handoff reply).
      */
-    static async sendWebhookNotification(safePayload, webhookUrl) {
+    static async sendWebhookNotification(safePayload, webhookUrl, event = 'escalation.created') {
         if (!webhookUrl) {
             logger.warn('WhatsApp webhook URL not configured, skipping');
             return;
         }
 
-        // STUB: In production, this would make an HTTP POST
-        // const response = await axios.post(webhookUrl, safePayload);
-        logger.info(`[STUB] Would POST to webhook: ${webhookUrl}`);
-        logger.info(`[STUB] Payload: ${JSON.stringify(safePayload)}`);
+        await this.queueWebhook(safePayload, event, webhookUrl);
     }
 
     /**
      * Create ticket in ticket system.
      * 
      * SAFETY: Only sends PHI-safe payload.
-     * STUB: Actual ticket API call would go here.
+     * POSTs to escalation_config.ticket_url via the same signed delivery.
+     */
+    static async createTicket(safePayload, hospital, event = 'escalation.ticket') {
+        const ticketUrl = hospital?.escalation_config?.ticket_url;
+        if (!ticketUrl) {
+            logger.warn(`Ticket system URL not configured for hospital: ${hospital?.id}, skipping`);
+            return;
+        }
+
+        await this.queueWebhook(safePayload, event, ticketUrl);
+    }
+
+    /**
+     * Queue a PHI-safe payload for webhook delivery.
      */
-    static async createTicket(safePayload, hospital) {
-        // STUB: In production, this would call ticket system API
-        logger.info(`[STUB] Would create ticket for hospital: ${hospital?.id}`);
-        logger.info(`[STUB] Ticket data: ${JSON.stringify(safePayload)}`);
+    static async queueWebhook(safePayload, event, url) {
+        try {
+            const result = await WebhookDeliveryService.enqueue(safePayload.hospital_id, {
+                event,
+                targetUrl: url,
+                payload: safePayload
+            });
+            if (!result.success) {
+                logger.error(`Escalation ${event} not queued for conversation ${safePayload.conversation_id}: ${result.error}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to queue escalation ${event} for conversation ${safePayload.conversation_id}`, err);
+        }
     }
 
     /**
@@ -320,8 +358,9 @@ class HumanHandoffService {
      * 1. Mark session as escalated (disengages AI)
      * 2. Build PHI-safe payload
      * 3. Route to appropriate channel
-     * 4. Log audit event
-     * 5. Return confirmation to user
+     * 4. Record the escalation (staff takeover queue, see liveTakeoverService)
+     * 5. Log audit event
+     * 6. Return confirmation to user
      * 
      * @param {string} sessionId - Session/conversation ID
      * @param {string} reason - Human-readable reason
@@ -361,9 +400,23 @@ class HumanHandoffService {
         const safePayload = this.buildSafePayload(sessionId, hospitalId, triggerType);
 
         // STEP 3: Route to channel
-        await this.routeToChannel(safePayload, hospital);
+        const channel = await this.routeToChannel(safePayload, hospital);
+
+        // STEP 4: Record escalation so staff can take the conversation over
+        try {
+            const escalation = await LiveTakeoverService.open({
+                hospitalId,
+                conversationId: sessionId,
+                triggerType,
+                channel,
+                history: session?.history
+            });
+            if (session) session.escalationId = escalation.id;
+        } catch (err) {
+            logger.error(`Failed to record escalation for session ${sessionId}`, err);
+        }
 
-        // STEP 4: Audit log (COMPLIANCE REQUIREMENT)
+        // STEP 5: Audit log (COMPLIANCE REQUIREMENT)
         auditLogger.info({
             action: 'HUMAN_HANDOFF',
             hospital_id: hospitalId,
@@ -376,7 +429,7 @@ class HumanHandoffService {
             }
         });
 
-        // STEP 5: Return confirmation
+        // STEP 6: Return confirmation
         const contactInfo = hospital?.escalation_contact;
         const contactMsg = contactInfo?.phone ? ` at ${contactInfo.phone}` : '';
 
@@ -389,5 +442,6 @@ class HumanHandoffService {
 
 // Export trigger types for external use
 HumanHandoffService.TRIGGER_TYPES = TRIGGER_TYPES;
+HumanHandoffService.DEFAULT_ESCALATION_CONFIG = DEFAULT_ESCALATION_CONFIG;
 
 module.exports = HumanHandoffService;
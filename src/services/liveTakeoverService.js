@@ -0,0 +1,522 @@
+/**
+ * Live Takeover Service - Staff Chat for Escalated Conversations
+ *
+ * After a human handoff the AI is disengaged (HumanHandoffService). This
+ * service lets reception staff take the conversation over:
+ *
+ *   handoff → pending (queue) → acknowledged → claimed by a staff member → staff and patient chat
+ *           → returned (AI answers again) | resolved (with a resolution category)
+ *
+ * Pending/acknowledged escalations can also be resolved without a chat
+ * (e.g. staff called the patient back). Unacknowledged escalations are
+ * re-notified by EscalationSlaService.
+ *
+ * - Each handoff is an escalation_records row; the hospital session keeps
+ *   its ID (session.escalationId)
+ * - Transcript in escalation_messages, seeded with the REDACTED history;
+ *   patient messages during the takeover are stored REDACTED as well
+ * - Patients receive staff/system messages via the chat widget (SSE push
+ *   from RealtimeService, polling fallback) or message listeners (WhatsApp,
+ *   see whatsappService); the staff queue is pushed the same way
+ * - Only the staff member who claimed a conversation can reply, hand it
+ *   back or resolve it
+ *
+ * PHI: Message text and resolution notes encrypted at rest and never
+ * logged or audited.
+ *
+ * MULTI-TENANT: Every query is scoped by hospital_id.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const RealtimeService = require('./realtimeService');
+const { AUDIENCES } = require('./realtimeService');
+const { logger } = require('../config/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const ESCALATION_STATUS = {
+    PENDING: 'pending',
+    ACKNOWLEDGED: 'acknowledged',
+    CLAIMED: 'claimed',
+    RETURNED: 'returned',
+    RESOLVED: 'resolved'
+};
+
+const OPEN_STATUSES = [ESCALATION_STATUS.PENDING, ESCALATION_STATUS.ACKNOWLEDGED, ESCALATION_STATUS.CLAIMED];
+
+const RESOLUTION_CATEGORIES = [
+    'appointment_booked',
+    'information_provided',
+    'callback_completed',
+    'referred',
+    'no_response',
+    'duplicate',
+    'other'
+];
+
+// Redacted history carried into the transcript at handoff
+const HISTORY_SNAPSHOT_MESSAGES = 20;
+
+const MAX_STAFF_MESSAGE_LENGTH = 2000;
+const MAX_RESOLUTION_NOTE_LENGTH = 1000;
+
+/**
+ * System messages shown to the patient (bilingual, no staff names)
+ */
+const SYSTEM_MESSAGES = {
+    claimed: 'A member of our staff has joined the conversation. / انضم أحد موظفينا إلى المحادثة.',
+    returned: 'You are now chatting with our AI assistant again. / أنت الآن تتحدث مع المساعد الآلي مرة أخرى.',
+    resolved: 'This conversation has been closed by our staff. Thank you. / تم إغلاق هذه المحادثة من قبل موظفينا. شكراً لك.'
+};
+
+// Called with (hospitalId, escalation, message) for staff/system messages
+const messageListeners = [];
+
+class LiveTakeoverService {
+
+    /**
+     * Register a listener for messages the patient should receive
+     * (used by channels that push, e.g. WhatsApp).
+     *
+     * @param {Function} listener - async (hospitalId, escalation, message) => void
+     */
+    static onPatientMessage(listener) {
+        messageListeners.push(listener);
+    }
+
+    /**
+     * Record a new escalation (called by HumanHandoffService.triggerHandoff).
+     *
+     * @param {Object} params
+     * @param {string} params.hospitalId - Hospital ID
+     * @param {string} params.conversationId - Conversation/session ID
+     * @param {string} params.triggerType - Handoff trigger
+     * @param {string} params.channel - Notification channel used
+     * @param {Array} params.history - REDACTED session history ([{ role, content }])
+     * @returns {Promise<Object>} Escalation record
+     */
+    static async open({ hospitalId, conversationId, triggerType, channel, history = [] }) {
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `INSERT INTO escalation_records (hospital_id, conversation_id, trigger_type, channel, status)
+             VALUES ($1, $2, $3, $4, 'pending')
+             RETURNING id, hospital_id, conversation_id, trigger_type, channel, status, created_at`,
+            [hospitalId, conversationId, triggerType, channel]
+        );
+        const escalation = result.rows[0];
+
+        for (const entry of history.slice(-HISTORY_SNAPSHOT_MESSAGES)) {
+            if (!entry?.content) continue;
+            await this.addMessage(db, escalation, entry.role === 'user' ? 'patient' : 'ai', entry.content);
+        }
+
+        await this.notifyStaff(escalation);
+
+        logger.info(`LiveTakeover: Escalation ${escalation.id} opened for conversation ${conversationId}`);
+        return escalation;
+    }
+
+    /**
+     * Escalations for the staff queue (oldest first).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} filters - { status? ('open' = pending + acknowledged + claimed, default) }
+     * @returns {Promise<Array>} Escalations with message counts
+     */
+    static async list(hospitalId, { status = 'open' } = {}) {
+        const db = await initializeDatabase();
+        const statuses = status === 'open' ? OPEN_STATUSES : [status];
+
+        return db.query(
+            `SELECT e.id, e.conversation_id, e.trigger_type, e.channel, e.status, e.claimed_by,
+                    e.claimed_at, e.acknowledged_by, e.acknowledged_at, e.created_at, e.resolved_at,
+                    e.resolution_category, e.sla_notifications,
+                    COUNT(m.id)::int AS message_count, MAX(m.created_at) AS last_message_at
+             FROM escalation_records e
+             LEFT JOIN escalation_messages m ON m.escalation_id = e.id
+             WHERE e.hospital_id = $1 AND e.status = ANY($2)
+             GROUP BY e.id
+             ORDER BY e.created_at ASC
+             LIMIT 200`,
+            [hospitalId, statuses]
+        );
+    }
+
+    /**
+     * Get one escalation.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} escalationId - Escalation ID
+     * @returns {Promise<Object|null>} Escalation (resolution note decrypted)
+     */
+    static async get(hospitalId, escalationId) {
+        const db = await initializeDatabase();
+        const row = await db.get(
+            `SELECT id, hospital_id, conversation_id, trigger_type, channel, status, claimed_by,
+                    claimed_at, acknowledged_by, acknowledged_at, created_at, resolved_at, resolved_by,
+                    resolution_category, resolution_note_encrypted, sla_notifications
+             FROM escalation_records
+             WHERE id = $1 AND hospital_id = $2`,
+            [escalationId, hospitalId]
+        );
+        if (!row) return null;
+
+        const { resolution_note_encrypted, ...escalation } = row;
+        return { ...escalation, resolution_note: resolution_note_encrypted ? decrypt(resolution_note_encrypted) : null };
+    }
+
+    /**
+     * Transcript messages after a given message ID (decrypted).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} escalationId - Escalation ID
+     * @param {Object} options - { afterId (default 0), senders? (filter) }
+     * @returns {Promise<Array>} [{ id, sender, staff_username, text, created_at }]
+     */
+    static async getMessages(hospitalId, escalationId, { afterId = 0, senders = null } = {}) {
+        const db = await initializeDatabase();
+        const rows = await db.query(
+            `SELECT id, sender, staff_username, body_encrypted, created_at
+             FROM escalation_messages
+             WHERE escalation_id = $1 AND hospital_id = $2 AND id > $3
+             ORDER BY id ASC`,
+            [escalationId, hospitalId, afterId]
+        );
+
+        return rows
+            .filter(row => !senders || senders.includes(row.sender))
+            .map(({ body_encrypted, ...row }) => ({ ...row, text: decrypt(body_encrypted) }));
+    }
+
+    /**
+     * Acknowledge an escalation: staff have seen it (stops SLA re-notification).
+     *
+     * @returns {Promise<Object>} { success, escalation?, error?, code? }
+     */
+    static async acknowledge(hospitalId, escalationId, username) {
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `UPDATE escalation_records
+             SET status = 'acknowledged', acknowledged_by = $3, acknowledged_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2 AND status = 'pending'
+             RETURNING id, hospital_id, conversation_id, status, acknowledged_by, acknowledged_at`,
+            [escalationId, hospitalId, username]
+        );
+
+        if (result.rowCount === 0) {
+            return this.rejectAction(hospitalId, escalationId);
+        }
+
+        const escalation = result.rows[0];
+        await this.notifyStaff(escalation);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.ESCALATION,
+            entityId: escalationId,
+            action: ACTIONS.ESCALATION_ACKNOWLEDGED,
+            performedBy: username
+        });
+
+        return { success: true, escalation };
+    }
+
+    /**
+     * Claim an escalation (pending/acknowledged, or already claimed by the
+     * same staff member). Claiming also acknowledges.
+     *
+     * @returns {Promise<Object>} { success, escalation?, error?, code? }
+     */
+    static async claim(hospitalId, escalationId, username) {
+        const db = await initializeDatabase();
+        // Conditional update: two staff members claiming at once cannot both win
+        const result = await db.execute(
+            `UPDATE escalation_records
+             SET status = 'claimed', claimed_by = $3, claimed_at = NOW(),
+                 acknowledged_by = COALESCE(acknowledged_by, $3), acknowledged_at = COALESCE(acknowledged_at, NOW()),
+                 updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2 AND status IN ('pending', 'acknowledged')
+             RETURNING id, hospital_id, conversation_id, status, claimed_by, claimed_at`,
+            [escalationId, hospitalId, username]
+        );
+
+        if (result.rowCount === 0) {
+            const existing = await this.get(hospitalId, escalationId);
+            if (existing && !this.checkClaimedBy(existing, username)) {
+                return { success: true, escalation: existing };
+            }
+            return this.rejectAction(hospitalId, escalationId);
+        }
+
+        const escalation = result.rows[0];
+        await this.addMessage(db, escalation, 'system', SYSTEM_MESSAGES.claimed);
+        await this.notifyStaff(escalation);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.ESCALATION,
+            entityId: escalationId,
+            action: ACTIONS.ESCALATION_CLAIMED,
+            performedBy: username
+        });
+
+        return { success: true, escalation };
+    }
+
+    /**
+     * Send a staff reply to the patient.
+     *
+     * @returns {Promise<Object>} { success, message?, error?, code? }
+     */
+    static async sendStaffMessage(hospitalId, escalationId, username, text) {
+        const body = typeof text === 'string' ? text.trim() : '';
+        if (!body || body.length > MAX_STAFF_MESSAGE_LENGTH) {
+            return { success: false, error: `Message must be 1-${MAX_STAFF_MESSAGE_LENGTH} characters`, code: 'VALIDATION' };
+        }
+
+        const escalation = await this.get(hospitalId, escalationId);
+        const denied = this.checkClaimedBy(escalation, username);
+        if (denied) return denied;
+
+        const db = await initializeDatabase();
+        const message = await this.addMessage(db, escalation, 'staff', body, username);
+        await this.notifyStaff(escalation);
+
+        logger.info(`LiveTakeover: Staff reply on escalation ${escalationId}`);
+        return { success: true, message };
+    }
+
+    /**
+     * Hand the conversation back to the AI.
+     */
+    static async handBack(hospitalId, escalationId, username) {
+        const escalation = await this.get(hospitalId, escalationId);
+        const denied = this.checkClaimedBy(escalation, username);
+        if (denied) return denied;
+
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `UPDATE escalation_records
+             SET status = 'returned', resolved_at = NOW(), resolved_by = $3, updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2 AND status = 'claimed' AND claimed_by = $3`,
+            [escalationId, hospitalId, username]
+        );
+        if (result.rowCount === 0) {
+            return this.rejectAction(hospitalId, escalationId);
+        }
+
+        const returned = { ...escalation, status: ESCALATION_STATUS.RETURNED };
+        await this.addMessage(db, returned, 'system', SYSTEM_MESSAGES.returned);
+        await this.notifyStaff(returned);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.ESCALATION,
+            entityId: escalationId,
+            action: ACTIONS.ESCALATION_RETURNED,
+            performedBy: username
+        });
+
+        return { success: true, status: ESCALATION_STATUS.RETURNED };
+    }
+
+    /**
+     * Resolve an escalation with a resolution category.
+     * A claimed conversation can only be resolved by the staff member holding it.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} escalationId - Escalation ID
+     * @param {string} username - Staff username
+     * @param {Object} resolution - { category (RESOLUTION_CATEGORIES), note? }
+     * @returns {Promise<Object>} { success, status?, error?, code? }
+     */
+    static async resolve(hospitalId, escalationId, username, { category, note } = {}) {
+        if (!RESOLUTION_CATEGORIES.includes(category)) {
+            return { success: false, error: `category must be one of: ${RESOLUTION_CATEGORIES.join(', ')}`, code: 'VALIDATION' };
+        }
+        const noteText = typeof note === 'string' ? note.trim() : '';
+        if (noteText.length > MAX_RESOLUTION_NOTE_LENGTH) {
+            return { success: false, error: `Note must be at most ${MAX_RESOLUTION_NOTE_LENGTH} characters`, code: 'VALIDATION' };
+        }
+
+        const escalation = await this.get(hospitalId, escalationId);
+        if (escalation?.status === ESCALATION_STATUS.CLAIMED) {
+            const denied = this.checkClaimedBy(escalation, username);
+            if (denied) return denied;
+        }
+
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `UPDATE escalation_records
+             SET status = 'resolved', resolved_at = NOW(), resolved_by = $3,
+                 resolution_category = $4, resolution_note_encrypted = $5,
+                 acknowledged_by = COALESCE(acknowledged_by, $3), acknowledged_at = COALESCE(acknowledged_at, NOW()),
+                 updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2
+               AND (status IN ('pending', 'acknowledged') OR (status = 'claimed' AND claimed_by = $3))`,
+            [escalationId, hospitalId, username, category, noteText ? encrypt(noteText) : null]
+        );
+        if (result.rowCount === 0) {
+            return this.rejectAction(hospitalId, escalationId);
+        }
+
+        const resolved = { ...escalation, status: ESCALATION_STATUS.RESOLVED };
+        await this.addMessage(db, resolved, 'system', SYSTEM_MESSAGES.resolved);
+        await this.notifyStaff(resolved);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.ESCALATION,
+            entityId: escalationId,
+            action: ACTIONS.ESCALATION_RESOLVED,
+            performedBy: username,
+            metadata: { category }
+        });
+
+        return { success: true, status: ESCALATION_STATUS.RESOLVED };
+    }
+
+    /**
+     * Error result for an escalation the staff member may not act on.
+     */
+    static checkClaimedBy(escalation, username) {
+        if (!escalation) {
+            return { success: false, error: 'Escalation not found', code: 'NOT_FOUND' };
+        }
+        if (escalation.status !== ESCALATION_STATUS.CLAIMED || escalation.claimed_by !== username) {
+            return { success: false, error: 'Claim this conversation first', code: 'CONFLICT' };
+        }
+        return null;
+    }
+
+    static async rejectAction(hospitalId, escalationId) {
+        const existing = await this.get(hospitalId, escalationId);
+        if (!existing) {
+            return { success: false, error: 'Escalation not found', code: 'NOT_FOUND' };
+        }
+        return {
+            success: false,
+            error: existing.status === ESCALATION_STATUS.CLAIMED
+                ? `Already claimed by ${existing.claimed_by}`
+                : `Escalation is ${existing.status}`,
+            code: 'CONFLICT'
+        };
+    }
+
+    /**
+     * Store a transcript message and notify push channels (staff/system only).
+     *
+     * @returns {Promise<Object>} { id, sender, staff_username, text, created_at }
+     */
+    static async addMessage(db, escalation, sender, text, staffUsername = null) {
+        const result = await db.execute(
+            `INSERT INTO escalation_messages (escalation_id, hospital_id, sender, staff_username, body_encrypted)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, created_at`,
+            [escalation.id, escalation.hospital_id, sender, staffUsername, encrypt(text)]
+        );
+        const message = { ...result.rows[0], sender, staff_username: staffUsername, text };
+
+        if (sender === 'staff' || sender === 'system') {
+            await RealtimeService.publish(escalation.hospital_id, {
+                type: 'takeover.message',
+                audience: AUDIENCES.PATIENT,
+                conversationId: escalation.conversation_id,
+                data: { escalationId: escalation.id }
+            });
+
+            for (const listener of messageListeners) {
+                try {
+                    await listener(escalation.hospital_id, escalation, message);
+                } catch (err) {
+                    logger.error(`LiveTakeover: Message listener failed for escalation ${escalation.id}`, err);
+                }
+            }
+        }
+
+        return message;
+    }
+
+    /**
+     * Tell reception dashboards the queue or a transcript changed.
+     */
+    static async notifyStaff(escalation) {
+        await RealtimeService.publish(escalation.hospital_id, {
+            type: 'escalation.updated',
+            audience: AUDIENCES.RECEPTION,
+            data: { escalationId: escalation.id, status: escalation.status }
+        });
+    }
+
+    // ============================================================
+    // PATIENT SIDE (hospital-scoped session)
+    // ============================================================
+
+    /**
+     * Handle a patient message while the conversation is escalated.
+     * Called by the escalationGuard stage.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} session - Hospital-scoped session
+     * @param {string} message - REDACTED message
+     * @returns {Promise<Object>} { handled: false } once the takeover is over (AI resumes),
+     *                            otherwise { handled: true, status }
+     */
+    static async handlePatientMessage(hospitalId, session, message) {
+        const escalation = await this.get(hospitalId, session.escalationId);
+
+        if (!escalation || !OPEN_STATUSES.includes(escalation.status)) {
+            this.releaseSession(session);
+            return { handled: false };
+        }
+
+        const db = await initializeDatabase();
+        await this.addMessage(db, escalation, 'patient', message);
+        await this.notifyStaff(escalation);
+        return { handled: true, status: escalation.status };
+    }
+
+    /**
+     * Staff/system messages for the patient's widget (polling).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} session - Hospital-scoped session
+     * @param {number} afterId - Last message ID the widget has shown
+     * @returns {Promise<Object>} { active, status?, messages }
+     */
+    static async getPatientUpdates(hospitalId, session, afterId = 0) {
+        if (!session?.escalationId) {
+            return { active: false, messages: [] };
+        }
+
+        const escalationId = session.escalationId;
+        const escalation = await this.get(hospitalId, escalationId);
+        if (!escalation) {
+            this.releaseSession(session);
+            return { active: false, messages: [] };
+        }
+
+        const messages = (await this.getMessages(hospitalId, escalationId, { afterId, senders: ['staff', 'system'] }))
+            .map(({ id, sender, text, created_at }) => ({ id, sender, text, created_at }));
+
+        const active = OPEN_STATUSES.includes(escalation.status);
+        if (!active) this.releaseSession(session);
+
+        return { active, status: escalation.status, messages };
+    }
+
+    /**
+     * Re-engage the AI for a session whose takeover has ended.
+     */
+    static releaseSession(session) {
+        delete session.escalatedAt;
+        delete session.escalationReason;
+        delete session.escalationId;
+    }
+}
+
+module.exports = LiveTakeoverService;
+module.exports.ESCALATION_STATUS = ESCALATION_STATUS;
+module.exports.SYSTEM_MESSAGES = SYSTEM_MESSAGES;
+module.exports.RESOLUTION_CATEGORIES = RESOLUTION_CATEGORIES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
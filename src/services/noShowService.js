@@ -0,0 +1,118 @@
+/**
+ * No-Show Service
+ *
+ * Flags confirmed appointments whose patient never checked in as no_show
+ * once a per-hospital grace period has passed.
+ *
+ * - Per-hospital config (hospital.no_show_config)
+ * - Scheduled from server.js
+ * - Each change goes through AppointmentStatusService (audited, performed_by 'system')
+ *
+ * MULTI-TENANT: Runs hospital by hospital; queries scoped by hospital_id.
+ */
+
+const { logger } = require('../config/logger');
+const { getHospitalConfig, getAllHospitalIds } = require('../config/hospitalConfig');
+const { AppointmentStatusService } = require('./appointmentStatusService');
+const { getHospitalTimezone, getZonedParts } = require('../utils/hospitalTime');
+
+/**
+ * Default no-show settings
+ */
+const DEFAULT_NO_SHOW = {
+    enabled: true,
+    grace_minutes: 30   // Minutes after appointment time before flagging
+};
+
+const NO_SHOW_CHECK_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Get no-show config for a hospital.
+ *
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Object} - No-show configuration
+ */
+function getNoShowConfig(hospitalId) {
+    try {
+        const hospital = getHospitalConfig(hospitalId);
+        return { ...DEFAULT_NO_SHOW, ...hospital?.no_show_config };
+    } catch (err) {
+        return DEFAULT_NO_SHOW;
+    }
+}
+
+/**
+ * Mark overdue confirmed appointments as no-show for one hospital.
+ *
+ * @param {Object} db - Database adapter
+ * @param {string} hospitalId - Hospital ID
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Promise<number>} Number of appointments flagged
+ */
+async function markNoShowsForHospital(db, hospitalId, now = new Date()) {
+    const config = getNoShowConfig(hospitalId);
+
+    if (!config.enabled) {
+        return 0;
+    }
+
+    const cutoff = new Date(now.getTime() - config.grace_minutes * 60 * 1000);
+
+    const sql = `SELECT id FROM appointments
+           WHERE hospital_id = $1
+           AND status = 'confirmed'
+           AND checked_in_at IS NULL
+           AND appointment_time < $2`;
+
+    let flagged = 0;
+
+    try {
+        // appointment_time is stored as the hospital's wall-clock time
+        const timezone = await getHospitalTimezone(hospitalId);
+        const rows = await db.query(sql, [hospitalId, getZonedParts(cutoff, timezone).timestamp]) || [];
+
+        for (const row of rows) {
+            const result = await AppointmentStatusService.markNoShow(
+                row.id, hospitalId, 'system', { grace_minutes: config.grace_minutes }
+            );
+            if (result.success) flagged++;
+        }
+
+        if (flagged > 0) {
+            logger.info(`NoShow: Flagged ${flagged} appointments as no-show for hospital ${hospitalId}`);
+        }
+    } catch (err) {
+        logger.error(`NoShow: Failed to process hospital ${hospitalId}:`, err);
+    }
+
+    return flagged;
+}
+
+/**
+ * Mark overdue appointments as no-show for all hospitals.
+ * Should be called via scheduled job.
+ *
+ * @param {Object} db - Database adapter
+ * @returns {Promise<Object>} - Summary { hospitals, totalFlagged }
+ */
+async function markNoShowsAll(db) {
+    const summary = { hospitals: 0, totalFlagged: 0 };
+
+    for (const hospitalId of getAllHospitalIds()) {
+        const flagged = await markNoShowsForHospital(db, hospitalId);
+        if (flagged > 0) {
+            summary.hospitals++;
+            summary.totalFlagged += flagged;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    getNoShowConfig,
+    markNoShowsForHospital,
+    markNoShowsAll,
+    DEFAULT_NO_SHOW,
+    NO_SHOW_CHECK_INTERVAL_MS
+};
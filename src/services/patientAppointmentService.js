@@ -0,0 +1,320 @@
+/**
+ * Patient Appointment Service - Self-Service
+ *
+ * Lets a patient view, cancel and reschedule their own appointments,
+ * from the chat widget or the /:hospital_id/appointments API.
+ *
+ * VERIFICATION:
+ * - Patient proves phone ownership with an OTP (OtpService, rate-limited per phone)
+ * - Verified access is stored in the hospital-scoped session only
+ *   (session.patientAccess) and expires after ACCESS_TTL_MS
+ *
+ * MULTI-TENANT: Every query is scoped by hospital_id.
+ * PHI: Phone numbers are encrypted at rest, so matching is done after
+ * decryption (same approach as the reception search).
+ */
+
+const crypto = require('crypto');
+const { initializeDatabase } = require('../config/productionDb');
+const { OtpService } = require('./otpService');
+const { BookingService } = require('./bookingService');
+const BookingNotificationService = require('./bookingNotificationService');
+const SlotService = require('./slotService');
+const { logger, auditLogger } = require('../config/logger');
+const { decrypt } = require('../utils/encryption');
+const { getHospitalTimezone, getZonedParts, todayInTimezone } = require('../utils/hospitalTime');
+
+// Configuration
+const ACCESS_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const RESCHEDULE_SEARCH_DAYS = 7;
+const DEFAULT_RESCHEDULE_OPTIONS = 5;
+
+/**
+ * Normalize a phone number for comparison (Saudi formats).
+ * +966 5XXXXXXXX and 05XXXXXXXX are treated as the same number.
+ *
+ * @param {string} phone - Phone number
+ * @returns {string} Normalized phone
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/[^\d]/g, '');
+    if (digits.startsWith('9665') && digits.length === 12) {
+        return '0' + digits.substring(3);
+    }
+    return digits;
+}
+
+/**
+ * Format an appointment time as YYYY-MM-DD HH:MM (local time, as stored).
+ *
+ * @param {string|Date} value - Appointment time
+ * @returns {string} Formatted time
+ */
+function formatAppointmentTime(value) {
+    const d = new Date(value);
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+class PatientAppointmentService {
+
+    /**
+     * Send a verification OTP to the patient's phone.
+     *
+     * @param {Object} session - Hospital-scoped session
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config (for SMS sender)
+     * @param {string} phone - Phone number used for booking
+     * @returns {Promise<Object>} { success, phoneLast4?, error? }
+     */
+    static async requestVerification(session, hospitalId, hospital, phone) {
+        const normalized = normalizePhone(phone);
+
+        if (normalized.length < 8) {
+            return { success: false, error: 'Please provide a valid mobile number.' };
+        }
+
+        // OTPs are keyed by an opaque lookup ID (not the phone)
+        const lookupId = `lookup_${crypto.randomBytes(8).toString('hex')}`;
+        const otpResult = await OtpService.generateOtp(lookupId, normalized);
+
+        if (!otpResult.success) {
+            return { success: false, error: otpResult.error };
+        }
+
+        await BookingNotificationService.queueOtpSms(
+            { id: lookupId, hospitalId, patientPhone: normalized },
+            otpResult.otp,
+            hospital,
+            session.preferredLanguage
+        );
+
+        session.patientLookup = { lookupId, phone: normalized };
+        session.patientAccess = null;
+
+        return { success: true, phoneLast4: normalized.slice(-4) };
+    }
+
+    /**
+     * Verify the OTP and grant access to the patient's appointments.
+     *
+     * @param {Object} session - Hospital-scoped session
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} code - OTP entered by the patient
+     * @returns {Promise<Object>} { success, error? }
+     */
+    static async verify(session, hospitalId, code) {
+        const lookup = session.patientLookup;
+
+        if (!lookup) {
+            return { success: false, error: 'No verification in progress. Please request a new code.' };
+        }
+
+        const result = await OtpService.verifyOtp(lookup.lookupId, String(code || ''));
+
+        if (!result.valid) {
+            return { success: false, error: result.error };
+        }
+
+        session.patientLookup = null;
+        session.patientAccess = {
+            phone: lookup.phone,
+            expiresAt: Date.now() + ACCESS_TTL_MS
+        };
+
+        auditLogger.info({
+            action: 'PATIENT_VERIFIED',
+            hospital_id: hospitalId,
+            actor: 'patient',
+            data: { phone_last4: lookup.phone.slice(-4) }
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * Get the verified phone for this session, if still valid.
+     *
+     * @param {Object} session - Hospital-scoped session
+     * @returns {string|null} Verified phone or null
+     */
+    static getVerifiedPhone(session) {
+        const access = session?.patientAccess;
+        if (!access || access.expiresAt < Date.now()) return null;
+        return access.phone;
+    }
+
+    /**
+     * List upcoming active appointments for a phone number.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} phone - Verified phone
+     * @returns {Promise<Array>} Appointments (no PHI beyond the patient's own data)
+     */
+    static async listAppointments(hospitalId, phone) {
+        const db = await initializeDatabase();
+        const normalized = normalizePhone(phone);
+
+        const sql = `
+            SELECT a.id, a.doctor_id, a.appointment_time, a.status, a.patient_phone_encrypted,
+                   d.name as doctor_name, dep.name as department_name
+            FROM appointments a
+            LEFT JOIN doctors_v2 d ON a.doctor_id = d.id
+            LEFT JOIN departments dep ON d.department_id = dep.id
+            WHERE a.hospital_id = $1
+            AND a.status IN ('pending', 'confirmed')
+            AND a.appointment_time >= $2
+            ORDER BY a.appointment_time ASC
+        `;
+
+        try {
+            // appointment_time is hospital wall-clock time, so compare with "now" there
+            const now = getZonedParts(new Date(), await getHospitalTimezone(hospitalId)).timestamp;
+            const rows = await db.query(sql, [hospitalId, now]) || [];
+
+            // Filter post-query (phone is encrypted with a random IV)
+            return rows
+                .filter(row => normalizePhone(decrypt(row.patient_phone_encrypted)) === normalized)
+                .map(row => ({
+                    id: row.id,
+                    doctorId: row.doctor_id,
+                    doctorName: row.doctor_name || 'Unknown',
+                    departmentName: row.department_name || 'Unknown',
+                    appointmentTime: row.appointment_time,
+                    status: row.status
+                }));
+        } catch (err) {
+            logger.error(`PatientAppointment: Failed to list appointments at hospital ${hospitalId}`, err);
+            return [];
+        }
+    }
+
+    /**
+     * Find one of the patient's appointments (ownership check).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} phone - Verified phone
+     * @param {number} appointmentId - Appointment ID
+     * @returns {Promise<Object|null>} Appointment or null
+     */
+    static async findOwnAppointment(hospitalId, phone, appointmentId) {
+        const appointments = await this.listAppointments(hospitalId, phone);
+        return appointments.find(a => a.id === parseInt(appointmentId, 10)) || null;
+    }
+
+    /**
+     * Cancel one of the patient's appointments.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config
+     * @param {string} phone - Verified phone
+     * @param {number} appointmentId - Appointment ID
+     * @returns {Promise<Object>} { success, error? }
+     */
+    static async cancel(hospitalId, hospital, phone, appointmentId) {
+        const appointment = await this.findOwnAppointment(hospitalId, phone, appointmentId);
+
+        if (!appointment) {
+            return { success: false, error: 'Appointment not found.' };
+        }
+
+        const reason = 'Cancelled by patient';
+        const cancelled = await BookingService.cancelAppointment(appointment.id, hospitalId, 'patient', reason);
+
+        if (!cancelled) {
+            return { success: false, error: 'Cancellation failed. Please try again.' };
+        }
+
+        await BookingNotificationService.notifyCancellation(
+            { id: appointment.id, hospitalId, patientPhone: normalizePhone(phone) },
+            hospital,
+            reason
+        );
+
+        logger.info(`PatientAppointment: Appointment ${appointment.id} cancelled by patient at hospital ${hospitalId}`);
+        return { success: true };
+    }
+
+    /**
+     * Get available slots to move an appointment to (same department).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} phone - Verified phone
+     * @param {number} appointmentId - Appointment ID
+     * @param {Object} options
+     * @param {string} options.date - Specific date (YYYY-MM-DD); otherwise the next days are searched
+     * @param {number} options.limit - Maximum number of slots
+     * @returns {Promise<Object>} { success, slots?, error? }
+     */
+    static async getRescheduleOptions(hospitalId, phone, appointmentId, { date = null, limit = DEFAULT_RESCHEDULE_OPTIONS } = {}) {
+        const appointment = await this.findOwnAppointment(hospitalId, phone, appointmentId);
+
+        if (!appointment) {
+            return { success: false, error: 'Appointment not found.' };
+        }
+
+        const dates = [];
+        if (date) {
+            dates.push(date);
+        } else {
+            const timezone = await getHospitalTimezone(hospitalId);
+            for (let i = 0; i < RESCHEDULE_SEARCH_DAYS; i++) {
+                dates.push(todayInTimezone(timezone, i));
+            }
+        }
+
+        const slots = [];
+        for (const day of dates) {
+            const available = await SlotService.getAvailableSlots(hospitalId, appointment.departmentName, day);
+            slots.push(...available);
+            if (slots.length >= limit) break;
+        }
+
+        return { success: true, slots: slots.slice(0, limit) };
+    }
+
+    /**
+     * Move one of the patient's appointments to another slot.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config
+     * @param {string} phone - Verified phone
+     * @param {number} appointmentId - Appointment ID
+     * @param {Object} slot - { doctorId, datetime } from getRescheduleOptions
+     * @param {string} sessionId - Session ID (slot lock owner)
+     * @returns {Promise<Object>} { success, appointment?, error? }
+     */
+    static async reschedule(hospitalId, hospital, phone, appointmentId, slot, sessionId) {
+        const appointment = await this.findOwnAppointment(hospitalId, phone, appointmentId);
+
+        if (!appointment) {
+            return { success: false, error: 'Appointment not found.' };
+        }
+
+        // Only a slot getRescheduleOptions would offer: same department, any of its doctors
+        const offered = await SlotService.getAvailableSlots(hospitalId, appointment.departmentName, slot.datetime.split('T')[0]);
+        if (!offered.some(s => s.doctor_id === slot.doctorId && s.datetime === slot.datetime)) {
+            return { success: false, error: 'This slot is no longer available. Please choose another time.' };
+        }
+
+        const result = await BookingService.rescheduleAppointment(
+            appointment.id, hospitalId, slot, sessionId, 'patient'
+        );
+
+        if (!result.success) {
+            return result;
+        }
+
+        await BookingNotificationService.notifyReschedule(
+            { id: appointment.id, hospitalId, patientPhone: normalizePhone(phone), datetime: slot.datetime, language: result.language },
+            hospital,
+            result.previousTime
+        );
+
+        return result;
+    }
+}
+
+module.exports = PatientAppointmentService;
+module.exports.normalizePhone = normalizePhone;
+module.exports.formatAppointmentTime = formatAppointmentTime;
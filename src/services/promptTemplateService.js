@@ -0,0 +1,299 @@
+/**
+ * Prompt Template Service
+ *
+ * Versioned AI receptionist persona per hospital: tone, greetings, extra
+ * rules and system prompt templates per language (format and placeholders:
+ * config/promptTemplates.js).
+ *
+ * - Versions are immutable: saving creates version N+1
+ * - One version is active (hospitals.prompt_template_version); none = built-in template
+ * - Preview renders a saved version or an unsaved draft with the hospital's
+ *   context, so admins can check a prompt before activating it
+ *
+ * The active persona is cached per process for ACTIVE_CACHE_TTL_MS.
+ *
+ * MULTI-TENANT: All queries are scoped by hospital_id.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const { logger } = require('../config/logger');
+const { LANGUAGES, validatePersona } = require('../config/promptTemplates');
+const aiService = require('./aiService');
+
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+
+const activeCache = new Map(); // hospitalId -> { persona, expiresAt }
+
+/**
+ * Normalize a prompt_templates row for callers.
+ */
+function toTemplate(row, activeVersion) {
+    return {
+        version: row.version,
+        active: row.version === activeVersion,
+        notes: row.notes || null,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        ...(row.config !== undefined && {
+            config: typeof row.config === 'string' ? JSON.parse(row.config) : row.config
+        })
+    };
+}
+
+const isVersion = (value) => Number.isInteger(value) && value > 0;
+
+class PromptTemplateService {
+
+    /**
+     * Active persona of a hospital (used for every AI turn).
+     * Falls back to the built-in template (null) if none is active, the
+     * lookup fails or the stored config no longer validates.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @returns {Promise<{version: number, config: Object}|null>}
+     */
+    static async getActive(hospitalId) {
+        const cached = activeCache.get(hospitalId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.persona;
+        }
+
+        let persona = null;
+
+        try {
+            const db = await initializeDatabase();
+            const row = await db.get(
+                `SELECT t.version, t.config FROM hospitals h
+                   JOIN prompt_templates t ON t.hospital_id = h.hospital_id AND t.version = h.prompt_template_version
+                   WHERE h.hospital_id = $1`,
+                [hospitalId]
+            );
+
+            if (row?.config) {
+                const { config, error } = validatePersona(typeof row.config === 'string' ? JSON.parse(row.config) : row.config);
+                if (error) {
+                    logger.error(`PromptTemplate: Active version ${row.version} of ${hospitalId} is invalid (${error}), using built-in template`);
+                } else {
+                    persona = { version: row.version, config };
+                }
+            }
+        } catch (err) {
+            logger.warn(`PromptTemplate: Lookup failed for ${hospitalId}, using built-in template`, err.message);
+        }
+
+        activeCache.set(hospitalId, { persona, expiresAt: Date.now() + ACTIVE_CACHE_TTL_MS });
+        return persona;
+    }
+
+    /**
+     * Drop cached personas (all hospitals if no ID).
+     */
+    static clearCache(hospitalId = null) {
+        if (hospitalId) activeCache.delete(hospitalId);
+        else activeCache.clear();
+    }
+
+    // ============================================================
+    // MANAGEMENT
+    // ============================================================
+
+    /**
+     * List versions (newest first, without their config).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @returns {Promise<{active_version: number|null, versions: Array}>}
+     */
+    static async list(hospitalId) {
+        const db = await initializeDatabase();
+
+        const activeVersion = await this.getActiveVersion(db, hospitalId);
+        const rows = await db.query(
+            `SELECT version, notes, created_by, created_at FROM prompt_templates
+               WHERE hospital_id = $1 ORDER BY version DESC`,
+            [hospitalId]
+        ) || [];
+
+        return { active_version: activeVersion, versions: rows.map(row => toTemplate(row, activeVersion)) };
+    }
+
+    /**
+     * Get one version with its config.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} version - Version number
+     * @returns {Promise<Object|null>} Template or null if not found
+     */
+    static async get(hospitalId, version) {
+        if (!isVersion(version)) return null;
+
+        const db = await initializeDatabase();
+        const row = await db.get(
+            `SELECT version, config, notes, created_by, created_at FROM prompt_templates
+               WHERE hospital_id = $1 AND version = $2`,
+            [hospitalId, version]
+        );
+        if (!row) return null;
+
+        return toTemplate(row, await this.getActiveVersion(db, hospitalId));
+    }
+
+    static async getActiveVersion(db, hospitalId) {
+        const row = await db.get(`SELECT prompt_template_version FROM hospitals WHERE hospital_id = $1`, [hospitalId]);
+        return row?.prompt_template_version ?? null;
+    }
+
+    /**
+     * Save a new version (not active until activated).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} data - { config, notes? }
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, template?, error?, code? }
+     */
+    static async create(hospitalId, { config: raw, notes }, performedBy) {
+        const { config, error } = validatePersona(raw);
+        if (error) {
+            return { success: false, code: 'VALIDATION', error };
+        }
+
+        const db = await initializeDatabase();
+        const note = notes ? String(notes).substring(0, 200) : null;
+
+        let result;
+        try {
+            result = await db.execute(
+                `INSERT INTO prompt_templates (hospital_id, version, config, notes, created_by)
+                   SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4 FROM prompt_templates WHERE hospital_id = $1
+                   RETURNING version, created_at`,
+                [hospitalId, JSON.stringify(config), note, performedBy]
+            );
+        } catch (err) {
+            if (err.code === '23505') {
+                return { success: false, code: 'CONFLICT', error: 'Another version was saved at the same time. Please try again.' };
+            }
+            throw err;
+        }
+
+        const row = result.rows?.[0] || {};
+        const template = { version: row.version, active: false, notes: note, created_by: performedBy, created_at: row.created_at, config };
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.PROMPT_TEMPLATE,
+            entityId: template.version,
+            action: ACTIONS.PROMPT_TEMPLATE_CREATED,
+            performedBy,
+            metadata: {
+                version: template.version,
+                languages: Object.keys(config.templates),
+                extra_rules: config.extra_rules.length
+            }
+        });
+
+        logger.info(`PromptTemplate: Version ${template.version} saved by ${performedBy} at hospital ${hospitalId}`);
+
+        return { success: true, template };
+    }
+
+    /**
+     * Activate a version (null = back to the built-in template).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number|null} version - Version number
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, active_version?, error?, code? }
+     */
+    static async activate(hospitalId, version, performedBy) {
+        if (version !== null && !isVersion(version)) {
+            return { success: false, code: 'VALIDATION', error: 'version must be a positive integer or null' };
+        }
+
+        const db = await initializeDatabase();
+
+        if (version !== null) {
+            const row = await db.get(
+                `SELECT version FROM prompt_templates WHERE hospital_id = $1 AND version = $2`,
+                [hospitalId, version]
+            );
+            if (!row) {
+                return { success: false, code: 'NOT_FOUND', error: `Version ${version} not found` };
+            }
+        }
+
+        const previousVersion = await this.getActiveVersion(db, hospitalId);
+        const result = await db.execute(
+            `UPDATE hospitals SET prompt_template_version = $2 WHERE hospital_id = $1`,
+            [hospitalId, version]
+        );
+        if (!result.rowCount) {
+            return { success: false, code: 'NOT_FOUND', error: 'Hospital not found' };
+        }
+
+        this.clearCache(hospitalId);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.PROMPT_TEMPLATE,
+            entityId: version,
+            action: ACTIONS.PROMPT_TEMPLATE_ACTIVATED,
+            performedBy,
+            metadata: { version, previous_version: previousVersion }
+        });
+
+        logger.info(`PromptTemplate: Version ${version ?? 'built-in'} activated by ${performedBy} at hospital ${hospitalId}`);
+
+        return { success: true, active_version: version };
+    }
+
+    /**
+     * Render the system prompt a patient would get.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital configuration
+     * @param {Object} options
+     * @param {Object} options.config - Unsaved draft to render (optional)
+     * @param {number} options.version - Saved version to render (default: active)
+     * @param {string} options.language - Session language (default English)
+     * @param {string} options.department - Triage department (optional)
+     * @param {boolean} options.urgent - Urgent (same-day) patient
+     * @returns {Promise<Object>} { success, version?, draft?, language?, prompt?, error?, code? }
+     */
+    static async preview(hospitalId, hospital, { config: draft, version, language = 'English', department, urgent = false } = {}) {
+        if (!LANGUAGES.includes(language)) {
+            return { success: false, code: 'VALIDATION', error: `language must be one of: ${LANGUAGES.join(', ')}` };
+        }
+        if (department && !(hospital.departments || []).includes(department)) {
+            return { success: false, code: 'VALIDATION', error: `department must be one of: ${(hospital.departments || []).join(', ')}` };
+        }
+
+        let persona = null;
+        if (draft !== undefined) {
+            const { config, error } = validatePersona(draft);
+            if (error) {
+                return { success: false, code: 'VALIDATION', error };
+            }
+            persona = { version: null, config };
+        } else if (version !== undefined && version !== null) {
+            const template = await this.get(hospitalId, version);
+            if (!template) {
+                return { success: false, code: 'NOT_FOUND', error: `Version ${version} not found` };
+            }
+            persona = { version: template.version, config: template.config };
+        } else {
+            persona = await this.getActive(hospitalId);
+        }
+
+        const prompt = aiService.buildSystemPrompt({
+            hospital,
+            workingHours: hospital.working_hours || null,
+            department: department || undefined,
+            urgent: Boolean(urgent),
+            persona: persona?.config || null
+        }, language);
+
+        return { success: true, version: persona?.version ?? null, draft: draft !== undefined, language, prompt };
+    }
+}
+
+module.exports = PromptTemplateService;
@@ -0,0 +1,231 @@
+/**
+ * Realtime Service - Server-Sent Events Push
+ *
+ * Pushes hospital-scoped events to the chat widget and the reception
+ * dashboard so they no longer have to poll:
+ *
+ *   service → publish() → Redis channel realtime:<hospitalId>
+ *           → every app instance (PM2 cluster) → open SSE streams of that hospital
+ *
+ * Audiences:
+ * - patient:   widget streams of one conversation (event.conversationId)
+ * - staff:     all dashboard streams (doctors only for their own bookings, event.doctorId)
+ * - reception: dashboard streams of reception roles
+ *
+ * Streams are authenticated by the existing session cookie when opened
+ * (see the /chat/events and /api/reception/events routes) and closed
+ * after STREAM_MAX_AGE_MS; EventSource reconnects, re-checking the session.
+ *
+ * PHI: Events are notifications only (IDs and statuses). Clients fetch the
+ * content through the existing authenticated endpoints. Never publish
+ * names, phone numbers or message text.
+ */
+
+const redisClient = require('../config/redis');
+const { logger } = require('../config/logger');
+
+const CHANNEL_PREFIX = 'realtime:';
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;      // Keeps proxies from closing idle streams
+const STREAM_MAX_AGE_MS = 15 * 60 * 1000;     // Forces a reconnect (session re-check)
+const CLIENT_RETRY_MS = 5000;                 // EventSource reconnect delay
+const MAX_STREAMS = 1000;                     // Per instance
+
+const AUDIENCES = {
+    PATIENT: 'patient',
+    STAFF: 'staff',
+    RECEPTION: 'reception'
+};
+
+const RECEPTION_ROLES = ['reception', 'receptionist', 'admin', 'manager'];
+
+const streams = new Map(); // hospitalId -> Set of stream clients
+let subscriber = null;     // Dedicated Redis connection (subscribe mode)
+
+function channelFor(hospitalId) {
+    return `${CHANNEL_PREFIX}${hospitalId}`;
+}
+
+function countStreams() {
+    let count = 0;
+    for (const set of streams.values()) count += set.size;
+    return count;
+}
+
+class RealtimeService {
+
+    /**
+     * Publish an event to a hospital's streams on all instances.
+     * Never throws: a lost notification must not fail the action that caused it.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} event
+     * @param {string} event.type - Event name (e.g. 'booking.updated')
+     * @param {string} event.audience - AUDIENCES value
+     * @param {string} event.conversationId - Target conversation (patient audience)
+     * @param {number} event.doctorId - Booking's doctor (doctors see only their own)
+     * @param {Object} event.data - Non-PHI payload (IDs, statuses)
+     */
+    static async publish(hospitalId, { type, audience, conversationId = null, doctorId = null, data = {} }) {
+        try {
+            await redisClient.publish(channelFor(hospitalId), JSON.stringify({ type, audience, conversationId, doctorId, data }));
+        } catch (err) {
+            logger.error(`Realtime: Failed to publish ${type} for hospital ${hospitalId}`, err);
+        }
+    }
+
+    /**
+     * Notify dashboards that a booking changed (created, status, time).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} booking - { id, status, doctorId }
+     */
+    static async publishBookingUpdate(hospitalId, { id, status, doctorId = null }) {
+        return this.publish(hospitalId, {
+            type: 'booking.updated',
+            audience: AUDIENCES.STAFF,
+            doctorId,
+            data: { bookingId: id, status }
+        });
+    }
+
+    /**
+     * Open an SSE stream (the caller has already authenticated the request).
+     *
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} options
+     * @param {string} options.hospitalId - Hospital ID
+     * @param {string} options.audience - AUDIENCES.PATIENT or AUDIENCES.STAFF
+     * @param {string} options.conversationId - Patient streams: conversation/session ID
+     * @param {Object} options.user - Staff streams: { role, doctorId }
+     */
+    static async openStream(req, res, { hospitalId, audience, conversationId = null, user = null }) {
+        if (countStreams() >= MAX_STREAMS) {
+            logger.warn(`Realtime: Stream limit reached, rejecting stream for hospital ${hospitalId}`);
+            return res.status(503).json({ error: 'Too many open connections. Please try again later.' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Nginx: do not buffer the stream
+        });
+        res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+        const client = { res, audience, conversationId, role: user?.role || null, doctorId: user?.doctorId || null };
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        const maxAge = setTimeout(() => res.end(), STREAM_MAX_AGE_MS);
+
+        let closed = false;
+        const cleanup = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            clearTimeout(maxAge);
+            this.removeStream(hospitalId, client);
+        };
+        req.on('close', cleanup);
+        res.on('close', cleanup);
+
+        await this.addStream(hospitalId, client);
+        this.send(client, 'ready', {});
+    }
+
+    /**
+     * Register a stream; subscribes to the hospital's channel for its first stream.
+     */
+    static async addStream(hospitalId, client) {
+        if (!streams.has(hospitalId)) {
+            streams.set(hospitalId, new Set());
+            try {
+                await this.getSubscriber().subscribe(channelFor(hospitalId));
+            } catch (err) {
+                logger.error(`Realtime: Subscribe failed for hospital ${hospitalId}`, err);
+            }
+        }
+        streams.get(hospitalId).add(client);
+    }
+
+    static removeStream(hospitalId, client) {
+        const set = streams.get(hospitalId);
+        if (!set) return;
+
+        set.delete(client);
+        if (set.size === 0) {
+            streams.delete(hospitalId);
+            this.getSubscriber().unsubscribe(channelFor(hospitalId)).catch(err =>
+                logger.error(`Realtime: Unsubscribe failed for hospital ${hospitalId}`, err));
+        }
+    }
+
+    static getSubscriber() {
+        if (!subscriber) {
+            subscriber = redisClient.duplicate();
+            subscriber.on('message', (channel, message) => {
+                if (!channel.startsWith(CHANNEL_PREFIX)) return;
+                try {
+                    this.dispatch(channel.slice(CHANNEL_PREFIX.length), JSON.parse(message));
+                } catch (err) {
+                    logger.error('Realtime: Invalid event received', err);
+                }
+            });
+        }
+        return subscriber;
+    }
+
+    /**
+     * Deliver an event to this instance's matching streams.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} event - Published event
+     * @returns {number} Streams the event was written to
+     */
+    static dispatch(hospitalId, event) {
+        let delivered = 0;
+        for (const client of streams.get(hospitalId) || []) {
+            if (this.matches(client, event)) {
+                this.send(client, event.type, event.data);
+                delivered++;
+            }
+        }
+        return delivered;
+    }
+
+    static matches(client, event) {
+        switch (event.audience) {
+            case AUDIENCES.PATIENT:
+                return client.audience === AUDIENCES.PATIENT && !!event.conversationId &&
+                    client.conversationId === event.conversationId;
+            case AUDIENCES.STAFF:
+                if (client.audience !== AUDIENCES.STAFF) return false;
+                // Same rule as the bookings list: doctors only see their own
+                return client.role !== 'doctor' || (event.doctorId != null && Number(client.doctorId) === Number(event.doctorId));
+            case AUDIENCES.RECEPTION:
+                return client.audience === AUDIENCES.STAFF && RECEPTION_ROLES.includes(client.role);
+            default:
+                return false;
+        }
+    }
+
+    static send(client, type, data) {
+        client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * End all streams (graceful shutdown: server.close waits for open connections).
+     */
+    static async close() {
+        for (const set of streams.values()) {
+            for (const client of set) client.res.end();
+        }
+        streams.clear();
+        if (subscriber) {
+            await subscriber.quit();
+            subscriber = null;
+        }
+    }
+}
+
+module.exports = RealtimeService;
+module.exports.AUDIENCES = AUDIENCES;
@@ -0,0 +1,196 @@
+/**
+ * Reminder Service
+ *
+ * Appointment reminders (e.g. 24h and 2h before) sent as delayed jobs on
+ * smsQueue. Scheduled when a booking is confirmed or rescheduled, removed
+ * when it is cancelled or rescheduled.
+ *
+ * TIMING: appointment_time is hospital wall-clock time, converted to the
+ * real instant with the hospital's timezone (utils/hospitalTime) before
+ * computing job delays. Reminders whose send time has passed are skipped.
+ *
+ * The job IDs of an appointment's reminders are kept in Redis, so they can
+ * be removed even after the hospital changes its reminder offsets.
+ *
+ * PHI: Phone and message only in the job payload; logs carry IDs only.
+ */
+
+const { smsQueue } = require('../config/queue');
+const redisClient = require('../config/redis');
+const { logger, auditLogger } = require('../config/logger');
+const { getHospitalTimezone, zonedTimeToUtc } = require('../utils/hospitalTime');
+
+/**
+ * Default reminder templates.
+ * Placeholders: {hospital}, {date}, {time}, {booking_id}
+ */
+const DEFAULT_TEMPLATES = {
+    English: 'Reminder: your appointment at {hospital} is on {date} at {time}.\n' +
+        'Booking ID: {booking_id}\n' +
+        'Reply CONFIRM {booking_id} to confirm, CANCEL {booking_id} to cancel or CALL ME to talk to us.',
+    Arabic: 'تذكير: موعدك في {hospital} بتاريخ {date} الساعة {time}.\n' +
+        'رقم الحجز: {booking_id}\n' +
+        'أرسل "تأكيد {booking_id}" للتأكيد، أو "إلغاء {booking_id}" للإلغاء، أو "اتصل بي" للتحدث معنا.'
+};
+
+/**
+ * Default reminder settings
+ */
+const DEFAULT_REMINDERS = {
+    enabled: true,
+    offsets_minutes: [24 * 60, 2 * 60], // Minutes before the appointment
+    default_language: 'English',
+    templates: {}                       // Per-language overrides of DEFAULT_TEMPLATES
+};
+
+// Kept a day past the last possible reminder
+const REMINDER_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+function getReminderKey(hospitalId, appointmentId) {
+    return `reminders:${hospitalId}:${appointmentId}`;
+}
+
+// BullMQ custom job IDs must not contain ':'
+function getReminderJobId(hospitalId, appointmentId, offsetMinutes) {
+    return `reminder-${hospitalId}-${appointmentId}-${offsetMinutes}`;
+}
+
+/**
+ * Get reminder config for a hospital.
+ *
+ * @param {Object} hospital - Hospital config
+ * @returns {Object} - Reminder configuration (templates merged with defaults)
+ */
+function getReminderConfig(hospital) {
+    const config = { ...DEFAULT_REMINDERS, ...hospital?.reminder_config };
+    return { ...config, templates: { ...DEFAULT_TEMPLATES, ...config.templates } };
+}
+
+class ReminderService {
+
+    /**
+     * Render a reminder message.
+     *
+     * @param {Object} booking - { id, datetime }
+     * @param {Object} hospital - Hospital config
+     * @param {string} language - 'English' or 'Arabic' (falls back to the hospital default)
+     * @returns {string} SMS text
+     */
+    static formatReminderSms(booking, hospital, language) {
+        const config = getReminderConfig(hospital);
+        const template = config.templates[language] || config.templates[config.default_language] || DEFAULT_TEMPLATES.English;
+        const [date, time] = booking.datetime.split('T');
+
+        const values = {
+            hospital: hospital.name,
+            date,
+            time: time.substring(0, 5),
+            booking_id: booking.id
+        };
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+    }
+
+    /**
+     * Schedule reminders for a confirmed appointment.
+     *
+     * @param {Object} booking - { id, hospitalId, datetime, patientPhone, language? }
+     * @param {Object} hospital - Hospital config
+     * @param {Date} now - Current time (injectable for tests)
+     * @returns {Promise<number>} Number of reminders scheduled
+     */
+    static async scheduleReminders(booking, hospital, now = new Date()) {
+        const config = getReminderConfig(hospital);
+
+        if (!config.enabled || hospital.sms_config?.enabled === false) {
+            return 0;
+        }
+        if (!booking.patientPhone || !booking.datetime) {
+            logger.warn(`ReminderService: No phone or time for booking ${booking.id}, reminders skipped`);
+            return 0;
+        }
+
+        const timezone = await getHospitalTimezone(booking.hospitalId);
+        const [date, time] = booking.datetime.split('T');
+        const appointmentAt = zonedTimeToUtc(date, time, timezone).getTime();
+
+        const message = this.formatReminderSms(booking, hospital, booking.language);
+        const senderId = hospital.sms_config?.sender_id || hospital.name?.substring(0, 11) || 'HOSPITAL';
+        const jobIds = [];
+
+        for (const offset of config.offsets_minutes) {
+            const delay = appointmentAt - offset * 60 * 1000 - now.getTime();
+            if (delay <= 0) continue;
+
+            const jobId = getReminderJobId(booking.hospitalId, booking.id, offset);
+
+            await smsQueue.add('appointment-reminder-sms', {
+                to: booking.patientPhone,
+                message,
+                senderId,
+                bookingId: booking.id,
+                hospitalId: booking.hospitalId
+            }, {
+                jobId,
+                delay,
+                attempts: 3,
+                backoff: {
+                    type: 'exponential',
+                    delay: 2000
+                }
+            });
+
+            jobIds.push(jobId);
+        }
+
+        if (jobIds.length > 0) {
+            const ttl = Math.ceil((appointmentAt - now.getTime()) / 1000) + REMINDER_KEY_TTL_SECONDS;
+            await redisClient.set(getReminderKey(booking.hospitalId, booking.id), JSON.stringify(jobIds), 'EX', ttl);
+        }
+
+        auditLogger.info({
+            action: 'BOOKING_REMINDERS_SCHEDULED',
+            hospital_id: booking.hospitalId,
+            actor: 'system',
+            data: { booking_id: booking.id, reminders: jobIds.length }
+        });
+
+        logger.info(`ReminderService: ${jobIds.length} reminders scheduled for booking ${booking.id}`);
+        return jobIds.length;
+    }
+
+    /**
+     * Remove an appointment's pending reminders.
+     * Never throws: cancellations must not fail because of reminders.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} appointmentId - Appointment ID
+     * @returns {Promise<number>} Number of reminder jobs removed
+     */
+    static async cancelReminders(hospitalId, appointmentId) {
+        const key = getReminderKey(hospitalId, appointmentId);
+
+        try {
+            const stored = await redisClient.get(key);
+            if (!stored) return 0;
+
+            let removed = 0;
+            for (const jobId of JSON.parse(stored)) {
+                // Returns 0 for jobs already sent
+                removed += await smsQueue.remove(jobId) ? 1 : 0;
+            }
+
+            await redisClient.del(key);
+
+            logger.info(`ReminderService: ${removed} reminders removed for booking ${appointmentId}`);
+            return removed;
+        } catch (err) {
+            logger.error(`ReminderService: Failed to remove reminders for booking ${appointmentId}`, err);
+            return 0;
+        }
+    }
+}
+
+module.exports = ReminderService;
+module.exports.getReminderConfig = getReminderConfig;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
@@ -0,0 +1,366 @@
+/**
+ * Schedule Exception Service
+ *
+ * One-off changes on top of the weekly doctor_availability schedule:
+ * - closed: doctor leave, or a hospital-wide holiday when doctor_id is null
+ *           (whole day, or a start_time-end_time range)
+ * - extra:  additional clinic hours for one doctor (e.g. an extra Saturday clinic)
+ *
+ * SlotService applies these when generating slots. Existing appointments are
+ * never changed automatically: a closure that collides with pending/confirmed
+ * appointments is reported back as warnings so reception can reschedule.
+ *
+ * MULTI-TENANT: All queries are scoped by hospital_id.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const { logger, auditLogger } = require('../config/logger');
+const { getHospitalTimezone, todayInTimezone } = require('../utils/hospitalTime');
+
+const EXCEPTION_TYPES = ['closed', 'extra'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:00)?$/;
+const WARNING_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Normalize a DATE value to YYYY-MM-DD (pg returns DATE as a local Date).
+ */
+function toDateString(value) {
+    if (value instanceof Date) {
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).substring(0, 10);
+}
+
+/**
+ * Convert a TIME value (HH:MM or HH:MM:SS) to minutes since midnight.
+ */
+function timeToMinutes(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Normalize an exception row for callers.
+ */
+function toException(row) {
+    return {
+        id: row.id,
+        doctor_id: row.doctor_id ?? null,
+        exception_type: row.exception_type,
+        start_date: toDateString(row.start_date),
+        end_date: toDateString(row.end_date),
+        start_time: row.start_time ? String(row.start_time).substring(0, 5) : null,
+        end_time: row.end_time ? String(row.end_time).substring(0, 5) : null,
+        reason: row.reason || null
+    };
+}
+
+class ScheduleExceptionService {
+
+    // ============================================================
+    // SLOT GENERATION HELPERS
+    // ============================================================
+
+    /**
+     * Get all exceptions that apply on a date (any doctor).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Array>} Exceptions
+     */
+    static async getExceptionsForDate(hospitalId, date) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT * FROM schedule_exceptions
+               WHERE hospital_id = $1 AND start_date <= $2 AND end_date >= $2`;
+
+        try {
+            const rows = await db.query(sql, [hospitalId, date]) || [];
+            return rows.map(toException);
+        } catch (err) {
+            logger.error(`ScheduleException: Failed to load exceptions for ${hospitalId} on ${date}`, err);
+            return [];
+        }
+    }
+
+    /**
+     * Exceptions relevant to one doctor (their own + hospital-wide).
+     */
+    static forDoctor(exceptions, doctorId) {
+        return exceptions.filter(e => e.doctor_id === null || e.doctor_id === doctorId);
+    }
+
+    /**
+     * True if the doctor is off for the whole day.
+     */
+    static isClosedAllDay(exceptions) {
+        return exceptions.some(e => e.exception_type === 'closed' && !e.start_time);
+    }
+
+    /**
+     * Extra availability windows in doctor_availability shape.
+     */
+    static getExtraWindows(exceptions) {
+        return exceptions
+            .filter(e => e.exception_type === 'extra')
+            .map(e => ({ start_time: e.start_time, end_time: e.end_time }));
+    }
+
+    /**
+     * Check if a slot falls into a closure.
+     *
+     * @param {Array} exceptions - Doctor's exceptions for the day
+     * @param {string} slotTime - Slot start (HH:MM)
+     * @param {number} durationMinutes - Slot duration
+     * @returns {boolean} True if blocked
+     */
+    static isBlocked(exceptions, slotTime, durationMinutes) {
+        const start = timeToMinutes(slotTime);
+        const end = start + durationMinutes;
+
+        return exceptions.some(e => {
+            if (e.exception_type !== 'closed') return false;
+            if (!e.start_time) return true;
+            return start < timeToMinutes(e.end_time) && timeToMinutes(e.start_time) < end;
+        });
+    }
+
+    // ============================================================
+    // MANAGEMENT
+    // ============================================================
+
+    /**
+     * List exceptions overlapping a date range.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {string} from - Start date (YYYY-MM-DD)
+     * @param {string} to - End date (YYYY-MM-DD)
+     * @returns {Promise<Array>} Exceptions
+     */
+    static async list(hospitalId, from, to) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT * FROM schedule_exceptions
+               WHERE hospital_id = $1 AND end_date >= $2 AND start_date <= $3
+               ORDER BY start_date ASC, id ASC`;
+
+        const rows = await db.query(sql, [hospitalId, from, to]) || [];
+        return rows.map(toException);
+    }
+
+    /**
+     * Validate exception input.
+     *
+     * @returns {string|null} Error message or null if valid
+     */
+    static validate({ doctor_id, exception_type, start_date, end_date, start_time, end_time }) {
+        if (!EXCEPTION_TYPES.includes(exception_type)) {
+            return `exception_type must be one of: ${EXCEPTION_TYPES.join(', ')}`;
+        }
+        if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '')) {
+            return 'start_date and end_date must be YYYY-MM-DD';
+        }
+        if (start_date > end_date) {
+            return 'start_date must not be after end_date';
+        }
+        if ((start_time == null) !== (end_time == null)) {
+            return 'start_time and end_time must be given together';
+        }
+        if (start_time != null) {
+            if (!TIME_PATTERN.test(start_time) || !TIME_PATTERN.test(end_time)) {
+                return 'start_time and end_time must be HH:MM';
+            }
+            if (start_time.substring(0, 5) >= end_time.substring(0, 5)) {
+                return 'start_time must be before end_time';
+            }
+        }
+        if (exception_type === 'extra' && (doctor_id == null || start_time == null)) {
+            return 'extra hours need a doctor_id, start_time and end_time';
+        }
+        return null;
+    }
+
+    /**
+     * Create an exception and report collisions with existing appointments.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} data - { doctor_id?, exception_type, start_date, end_date, start_time?, end_time?, reason? }
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, exception?, collisions?, error?, code? }
+     */
+    static async create(hospitalId, data, performedBy) {
+        const input = {
+            doctor_id: data.doctor_id ?? null,
+            exception_type: data.exception_type,
+            start_date: data.start_date,
+            end_date: data.end_date || data.start_date,
+            start_time: data.start_time ?? null,
+            end_time: data.end_time ?? null,
+            reason: data.reason ? String(data.reason).substring(0, 200) : null
+        };
+
+        const error = this.validate(input);
+        if (error) {
+            return { success: false, code: 'VALIDATION', error };
+        }
+
+        const db = await initializeDatabase();
+
+        if (input.doctor_id !== null) {
+            const doctor = await db.get(
+                `SELECT id FROM doctors_v2 WHERE id = $1 AND hospital_id = $2`,
+                [input.doctor_id, hospitalId]
+            );
+            if (!doctor) {
+                return { success: false, code: 'VALIDATION', error: 'doctor_id must be a doctor of this hospital' };
+            }
+        }
+
+        const result = await db.execute(
+            `INSERT INTO schedule_exceptions
+               (hospital_id, doctor_id, exception_type, start_date, end_date, start_time, end_time, reason, created_by)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+            [hospitalId, input.doctor_id, input.exception_type, input.start_date, input.end_date,
+                input.start_time, input.end_time, input.reason, performedBy]
+        );
+
+        const exception = toException({ id: result.rows?.[0]?.id, ...input });
+        const { id, ...details } = exception;
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.SCHEDULE_EXCEPTION,
+            entityId: id,
+            action: ACTIONS.SCHEDULE_EXCEPTION_CREATED,
+            performedBy,
+            metadata: details
+        });
+
+        const collisions = await this.findCollisions(hospitalId, exception);
+
+        if (collisions.length > 0) {
+            auditLogger.warn({
+                action: 'SCHEDULE_EXCEPTION_COLLISION',
+                hospital_id: hospitalId,
+                actor: performedBy,
+                data: { exception_id: exception.id, appointment_ids: collisions.map(c => c.id) }
+            });
+        }
+
+        logger.info(`ScheduleException: ${exception.exception_type} ${exception.start_date}..${exception.end_date} created by ${performedBy} at hospital ${hospitalId} (${collisions.length} collisions)`);
+
+        return { success: true, exception, collisions };
+    }
+
+    static async remove(hospitalId, exceptionId, performedBy) {
+        const db = await initializeDatabase();
+        const row = await db.get(
+            `SELECT * FROM schedule_exceptions WHERE id = $1 AND hospital_id = $2`,
+            [exceptionId, hospitalId]
+        );
+
+        if (!row) {
+            return { success: false, code: 'NOT_FOUND', error: 'Schedule exception not found.' };
+        }
+
+        await db.execute(`DELETE FROM schedule_exceptions WHERE id = $1 AND hospital_id = $2`, [exceptionId, hospitalId]);
+
+        const { id, ...details } = toException(row);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.SCHEDULE_EXCEPTION,
+            entityId: id,
+            action: ACTIONS.SCHEDULE_EXCEPTION_DELETED,
+            performedBy,
+            metadata: details
+        });
+
+        return { success: true };
+    }
+
+    // ============================================================
+    // COLLISIONS
+    // ============================================================
+
+    /**
+     * Find pending/confirmed appointments that fall into a closure.
+     * Extra hours never collide.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} exception - Normalized exception
+     * @returns {Promise<Array>} [{ id, doctor_id, doctor_name, appointment_time, status }] (no PHI)
+     */
+    static async findCollisions(hospitalId, exception) {
+        if (exception.exception_type !== 'closed') return [];
+
+        const db = await initializeDatabase();
+
+        const params = [hospitalId, exception.start_date, exception.end_date];
+        let doctorFilter = '';
+        if (exception.doctor_id !== null) {
+            params.push(exception.doctor_id);
+            doctorFilter = 'AND a.doctor_id = $4';
+        }
+
+        const sql = `SELECT a.id, a.doctor_id, a.appointment_time, a.status, d.name as doctor_name
+               FROM appointments a
+               LEFT JOIN doctors_v2 d ON a.doctor_id = d.id
+               WHERE a.hospital_id = $1
+               AND a.status IN ('pending', 'confirmed')
+               AND date(a.appointment_time) >= $2 AND date(a.appointment_time) <= $3
+               ${doctorFilter}
+               ORDER BY a.appointment_time ASC`;
+
+        try {
+            const rows = await db.query(sql, params) || [];
+
+            return rows
+                .filter(row => {
+                    if (!exception.start_time) return true;
+                    const time = new Date(row.appointment_time);
+                    const minutes = time.getHours() * 60 + time.getMinutes();
+                    return minutes >= timeToMinutes(exception.start_time) && minutes < timeToMinutes(exception.end_time);
+                })
+                .map(row => ({
+                    id: row.id,
+                    doctor_id: row.doctor_id,
+                    doctor_name: row.doctor_name || 'Unknown',
+                    appointment_time: row.appointment_time,
+                    status: row.status
+                }));
+        } catch (err) {
+            logger.error(`ScheduleException: Failed to check collisions at hospital ${hospitalId}`, err);
+            return [];
+        }
+    }
+
+    /**
+     * Upcoming closures that still have appointments booked in them.
+     * Shown to reception as warnings.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} days - Days to look ahead
+     * @returns {Promise<Array>} [{ exception, appointments }]
+     */
+    static async getUpcomingWarnings(hospitalId, days = WARNING_LOOKAHEAD_DAYS) {
+        const timezone = await getHospitalTimezone(hospitalId);
+
+        const exceptions = await this.list(hospitalId, todayInTimezone(timezone), todayInTimezone(timezone, days));
+        const warnings = [];
+
+        for (const exception of exceptions) {
+            const appointments = await this.findCollisions(hospitalId, exception);
+            if (appointments.length > 0) {
+                warnings.push({ exception, appointments });
+            }
+        }
+
+        return warnings;
+    }
+}
+
+module.exports = ScheduleExceptionService;
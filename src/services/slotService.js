@@ -2,20 +2,26 @@
  * Slot Service - Phase 3
  * 
  * Dynamic slot generation from doctor_availability.
+ * Schedule exceptions (leave, holidays, extra clinics) are applied on top.
  * Redis-based slot locking with OTP-expiry-matched TTL.
  * 
  * DESIGN:
  * - Slots are NOT stored permanently - computed on demand
  * - Locks are stored in Redis with 10-minute TTL (matches OTP expiry)
  * - Each slot is identified by: hospital_id:doctor_id:datetime
+ * - Slot length, buffer and daily cap come from the doctor, else the
+ *   department, else the defaults below (see resolveSlotSettings)
  */
 
 const { initializeDatabase } = require('../config/productionDb');
 const redisClient = require('../config/redis');
 const { logger } = require('../config/logger');
+const ScheduleExceptionService = require('./scheduleExceptionService');
+const { getHospitalTimezone, getZonedParts, dayOfWeekForDate } = require('../utils/hospitalTime');
 
 // Configuration
 const DEFAULT_SLOT_DURATION_MINUTES = 15;
+const DEFAULT_BUFFER_MINUTES = 0;
 const SLOT_LOCK_TTL_SECONDS = 600; // 10 minutes - matches OTP expiry
 
 /**
@@ -41,13 +47,51 @@ function formatMinutesToTime(minutes) {
 
 /**
  * Get day of week (0=Sunday, 6=Saturday) for a date.
- * @param {Date} date - Date object
+ * Uses the calendar date, so the server's timezone cannot shift it.
+ * @param {string} date - Date (YYYY-MM-DD)
  * @returns {number} Day of week
  */
 function getDayOfWeek(date) {
-    return date.getDay();
+    return dayOfWeekForDate(date);
 }
 
+/**
+ * Resolve slot settings for a doctor row (doctor → department → default).
+ * Department values are expected as dept_* columns.
+ * 
+ * @param {Object} row - Doctor row from getDoctorsForDepartment/getSlotSettings
+ * @returns {Object} { slot_duration_minutes, buffer_minutes, max_daily_patients }
+ */
+function resolveSlotSettings(row) {
+    const pick = (...values) => values.find(v => Number.isInteger(v) && v >= 0) ?? null;
+    const r = row || {};
+
+    return {
+        slot_duration_minutes: pick(r.slot_duration_minutes, r.dept_slot_duration_minutes) || DEFAULT_SLOT_DURATION_MINUTES,
+        buffer_minutes: pick(r.buffer_minutes, r.dept_buffer_minutes) ?? DEFAULT_BUFFER_MINUTES,
+        max_daily_patients: pick(r.max_daily_patients, r.dept_max_daily_patients) || null
+    };
+}
+
+/**
+ * Check if two appointments overlap, each followed by the buffer.
+ * 
+ * @param {number} startA - Start (minutes since midnight)
+ * @param {number} lengthA - Length in minutes (including buffer)
+ * @param {number} startB - Start (minutes since midnight)
+ * @param {number} lengthB - Length in minutes (including buffer)
+ * @returns {boolean} True if they overlap
+ */
+function intervalsOverlap(startA, lengthA, startB, lengthB) {
+    return startA < startB + lengthB && startB < startA + lengthA;
+}
+
+// Slot settings columns (doctor + department) for doctors_v2 dv JOIN departments d
+const SLOT_SETTINGS_COLUMNS = `dv.slot_duration_minutes, dv.buffer_minutes, dv.max_daily_patients,
+                      d.slot_duration_minutes as dept_slot_duration_minutes,
+                      d.buffer_minutes as dept_buffer_minutes,
+                      d.max_daily_patients as dept_max_daily_patients`;
+
 /**
  * Generate slot key for Redis.
  * @param {string} hospitalId - Hospital ID
@@ -67,14 +111,16 @@ class SlotService {
      * @param {string} startTime - Start time (HH:MM)
      * @param {string} endTime - End time (HH:MM)
      * @param {number} slotDurationMinutes - Duration per slot
+     * @param {number} bufferMinutes - Gap after each slot (not bookable)
      * @returns {Array<string>} Array of slot start times (HH:MM)
      */
-    static generateSlotsFromWindow(startTime, endTime, slotDurationMinutes = DEFAULT_SLOT_DURATION_MINUTES) {
+    static generateSlotsFromWindow(startTime, endTime, slotDurationMinutes = DEFAULT_SLOT_DURATION_MINUTES, bufferMinutes = DEFAULT_BUFFER_MINUTES) {
         const slots = [];
         const startMinutes = parseTimeToMinutes(startTime);
         const endMinutes = parseTimeToMinutes(endTime);
+        const step = slotDurationMinutes + bufferMinutes;
 
-        for (let current = startMinutes; current + slotDurationMinutes <= endMinutes; current += slotDurationMinutes) {
+        for (let current = startMinutes; current + slotDurationMinutes <= endMinutes; current += step) {
             slots.push(formatMinutesToTime(current));
         }
 
@@ -112,7 +158,8 @@ class SlotService {
     static async getDoctorsForDepartment(hospitalId, departmentName) {
         const db = await initializeDatabase();
 
-        const sql = `SELECT dv.id, dv.name, dv.hospital_id, d.name as department_name
+        const sql = `SELECT dv.id, dv.name, dv.hospital_id, d.name as department_name,
+                      ${SLOT_SETTINGS_COLUMNS}
                FROM doctors_v2 dv
                JOIN departments d ON dv.department_id = d.id
                WHERE dv.hospital_id = $1 AND d.name = $2 AND dv.is_active = true`;
@@ -126,39 +173,103 @@ class SlotService {
         }
     }
 
+    /**
+     * Get slot settings for one doctor.
+     * 
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} doctorId - Doctor ID
+     * @returns {Promise<Object>} { slot_duration_minutes, buffer_minutes, max_daily_patients }
+     */
+    static async getSlotSettings(hospitalId, doctorId) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT ${SLOT_SETTINGS_COLUMNS}
+               FROM doctors_v2 dv
+               LEFT JOIN departments d ON dv.department_id = d.id
+               WHERE dv.id = $1 AND dv.hospital_id = $2`;
+
+        try {
+            return resolveSlotSettings(await db.get(sql, [doctorId, hospitalId]));
+        } catch (err) {
+            logger.error(`SlotService: Failed to get slot settings for doctor ${doctorId}`, err);
+            return resolveSlotSettings(null);
+        }
+    }
+
     /**
      * Get booked appointments for a doctor on a date.
+     * Includes checked-in and completed visits (they still used the time).
      * 
      * @param {number} doctorId - Doctor ID
      * @param {string} date - Date (YYYY-MM-DD)
-     * @returns {Promise<Set<string>>} Set of booked times (HH:MM)
+     * @returns {Promise<Array>} [{ start (minutes since midnight), duration (minutes or null) }]
      */
-    static async getBookedSlots(doctorId, date) {
+    static async getBookedIntervals(doctorId, date) {
         const db = await initializeDatabase();
 
-        const sql = `SELECT appointment_time FROM appointments 
+        const sql = `SELECT appointment_time, duration_minutes FROM appointments 
                WHERE doctor_id = $1 
                AND date(appointment_time) = date($2)
-               AND status IN ('pending', 'confirmed')`;
+               AND status IN ('pending', 'confirmed', 'checked_in', 'completed')`;
 
         try {
             const result = await db.query(sql, [doctorId, date]) || [];
-            const bookedTimes = new Set();
 
-            for (const row of result) {
+            return result.map(row => {
                 // Extract time from datetime
                 const datetime = new Date(row.appointment_time);
-                const timeStr = `${datetime.getHours().toString().padStart(2, '0')}:${datetime.getMinutes().toString().padStart(2, '0')}`;
-                bookedTimes.add(timeStr);
-            }
-
-            return bookedTimes;
+                return {
+                    start: datetime.getHours() * 60 + datetime.getMinutes(),
+                    duration: Number.isInteger(row.duration_minutes) ? row.duration_minutes : null
+                };
+            });
         } catch (err) {
             logger.error(`SlotService: Failed to get booked slots for doctor ${doctorId}`, err);
-            return new Set();
+            return [];
         }
     }
 
+    /**
+     * Check a slot against a doctor's bookings (overlap incl. buffer, daily cap).
+     * 
+     * @param {Array} booked - From getBookedIntervals
+     * @param {number} slotStart - Slot start (minutes since midnight)
+     * @param {Object} settings - From resolveSlotSettings
+     * @returns {string|null} Reason the slot is taken, or null if free
+     */
+    static getSlotConflict(booked, slotStart, settings) {
+        const { slot_duration_minutes, buffer_minutes, max_daily_patients } = settings;
+
+        if (max_daily_patients && booked.length >= max_daily_patients) {
+            return 'DAILY_LIMIT';
+        }
+
+        const taken = booked.some(b => intervalsOverlap(
+            slotStart, slot_duration_minutes + buffer_minutes,
+            b.start, (b.duration || slot_duration_minutes) + buffer_minutes
+        ));
+
+        return taken ? 'OVERLAP' : null;
+    }
+
+    /**
+     * Booking uniqueness check before insert: the exact-time unique index
+     * cannot see overlaps between slots of different lengths.
+     * 
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} doctorId - Doctor ID
+     * @param {string} datetime - Slot datetime (YYYY-MM-DDTHH:MM:00)
+     * @returns {Promise<Object>} { allowed, reason?, settings }
+     */
+    static async checkBookingAllowed(hospitalId, doctorId, datetime) {
+        const settings = await this.getSlotSettings(hospitalId, doctorId);
+        const [date, time] = datetime.split('T');
+        const booked = await this.getBookedIntervals(doctorId, date);
+        const reason = this.getSlotConflict(booked, parseTimeToMinutes(time), settings);
+
+        return { allowed: !reason, reason, settings };
+    }
+
     /**
      * Check if a slot is locked in Redis.
      * 
@@ -185,14 +296,15 @@ class SlotService {
      * @param {number} doctorId - Doctor ID
      * @param {string} datetime - Slot datetime (ISO format)
      * @param {string} sessionId - Session ID claiming the lock
+     * @param {number} ttlSeconds - Lock lifetime (default 10 minutes; waitlist holds use their own)
      * @returns {Promise<boolean>} True if lock acquired, false if already locked
      */
-    static async lockSlot(hospitalId, doctorId, datetime, sessionId) {
+    static async lockSlot(hospitalId, doctorId, datetime, sessionId, ttlSeconds = SLOT_LOCK_TTL_SECONDS) {
         const key = getSlotLockKey(hospitalId, doctorId, datetime);
 
         try {
             // SET NX EX - Set only if Not eXists, with EXpiry
-            const result = await redisClient.set(key, sessionId, 'NX', 'EX', SLOT_LOCK_TTL_SECONDS);
+            const result = await redisClient.set(key, sessionId, 'NX', 'EX', ttlSeconds);
 
             if (result === 'OK') {
                 logger.info(`SlotService: Slot locked - ${datetime} for doctor ${doctorId} at ${hospitalId} by session ${sessionId}`);
@@ -260,6 +372,53 @@ class SlotService {
         }
     }
 
+    /**
+     * Hand a slot lock over to another owner atomically (same owner = extend it).
+     * 
+     * Lua compare-and-set: the lock is never released in between, so no other
+     * session can take the slot during the handover.
+     * 
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} doctorId - Doctor ID
+     * @param {string} datetime - Slot datetime
+     * @param {string} fromOwner - Session ID that must own the lock now
+     * @param {string} toOwner - Session ID that owns it afterwards
+     * @param {number} ttlSeconds - New lock lifetime
+     * @returns {Promise<boolean>} True if transferred, false if fromOwner no longer held it
+     */
+    static async transferLock(hospitalId, doctorId, datetime, fromOwner, toOwner, ttlSeconds = SLOT_LOCK_TTL_SECONDS) {
+        const key = getSlotLockKey(hospitalId, doctorId, datetime);
+
+        try {
+            // KEYS[1] = lock key, ARGV[1] = current owner, ARGV[2] = new owner, ARGV[3] = TTL
+            const TRANSFER_SCRIPT = `
+                if redis.call("get", KEYS[1]) == ARGV[1] then
+                    redis.call("set", KEYS[1], ARGV[2], "EX", ARGV[3])
+                    return 1
+                else
+                    return 0
+                end
+            `;
+
+            let transferred;
+            if (typeof redisClient.eval === 'function') {
+                transferred = await redisClient.eval(TRANSFER_SCRIPT, 1, key, fromOwner, toOwner, ttlSeconds) === 1;
+            } else {
+                // Fallback for MockRedis (dev/test) - non-atomic but acceptable for testing
+                transferred = await redisClient.get(key) === fromOwner &&
+                    await redisClient.set(key, toOwner, 'EX', ttlSeconds) === 'OK';
+            }
+
+            if (!transferred) {
+                logger.warn(`SlotService: Cannot transfer slot lock - ${datetime} for doctor ${doctorId} not held by session ${fromOwner}`);
+            }
+            return transferred;
+        } catch (err) {
+            logger.error(`SlotService: Failed to transfer slot lock`, err);
+            return false;
+        }
+    }
+
     /**
      * Verify that a session still owns a slot lock.
      * 
@@ -292,16 +451,16 @@ class SlotService {
     /**
      * Get available slots for a department on a specific date.
      * 
-     * This is the main method - dynamically generates slots from doctor availability,
-     * then filters out booked and locked slots.
+     * This is the main method - dynamically generates slots from doctor availability
+     * plus extra hours, then filters out closures, booked and locked slots.
      * 
      * @param {string} hospitalId - Hospital ID
      * @param {string} departmentName - Department name
      * @param {string} date - Date (YYYY-MM-DD)
-     * @param {number} slotDurationMinutes - Slot duration (default 15)
+     * @param {number} slotDurationMinutes - Override slot duration (default: per doctor/department)
      * @returns {Promise<Array>} Available slots with doctor info
      */
-    static async getAvailableSlots(hospitalId, departmentName, date, slotDurationMinutes = DEFAULT_SLOT_DURATION_MINUTES) {
+    static async getAvailableSlots(hospitalId, departmentName, date, slotDurationMinutes = null) {
         logger.info(`SlotService: Getting available slots for ${departmentName} at ${hospitalId} on ${date}`);
 
         // 1. Get doctors for this department
@@ -313,40 +472,61 @@ class SlotService {
         }
 
         // 2. Get day of week for the requested date
-        const requestedDate = new Date(date);
-        const dayOfWeek = getDayOfWeek(requestedDate);
+        const dayOfWeek = getDayOfWeek(date);
 
-        // 3. Current time (for filtering past slots)
-        const now = new Date();
-        const isToday = requestedDate.toDateString() === now.toDateString();
-        const currentMinutes = isToday ? (now.getHours() * 60 + now.getMinutes()) : 0;
+        // 3. Current time at the hospital (for filtering past slots)
+        const now = getZonedParts(new Date(), await getHospitalTimezone(hospitalId));
+        const isToday = date === now.date;
+        const currentMinutes = isToday ? now.minutes : 0;
 
         const availableSlots = [];
 
+        // Leave, holidays and extra clinics on this date
+        const exceptions = await ScheduleExceptionService.getExceptionsForDate(hospitalId, date);
+
         // 4. For each doctor, generate their slots
         for (const doctor of doctors) {
-            // Get availability for this day
-            const availabilities = await this.getDoctorAvailability(doctor.id, dayOfWeek);
+            const doctorExceptions = ScheduleExceptionService.forDoctor(exceptions, doctor.id);
+            if (ScheduleExceptionService.isClosedAllDay(doctorExceptions)) continue;
+
+            // Get availability for this day (weekly schedule + extra hours)
+            const availabilities = [
+                ...await this.getDoctorAvailability(doctor.id, dayOfWeek),
+                ...ScheduleExceptionService.getExtraWindows(doctorExceptions)
+            ];
 
             if (availabilities.length === 0) continue;
 
-            // Get booked slots
-            const bookedSlots = await this.getBookedSlots(doctor.id, date);
+            // Slot length, buffer and daily cap for this doctor
+            const settings = resolveSlotSettings(doctor);
+            if (slotDurationMinutes) settings.slot_duration_minutes = slotDurationMinutes;
+            const duration = settings.slot_duration_minutes;
+
+            // Get booked appointments
+            const booked = await this.getBookedIntervals(doctor.id, date);
+            if (settings.max_daily_patients && booked.length >= settings.max_daily_patients) continue;
+
+            const seenSlots = new Set(); // Extra hours may overlap the weekly schedule
 
             // Generate slots for each availability window
             for (const avail of availabilities) {
                 const startTime = avail.start_time;
                 const endTime = avail.end_time;
 
-                const slots = this.generateSlotsFromWindow(startTime, endTime, slotDurationMinutes);
+                const slots = this.generateSlotsFromWindow(startTime, endTime, duration, settings.buffer_minutes);
 
                 for (const slotTime of slots) {
                     // Skip if in the past (for today)
                     const slotMinutes = parseTimeToMinutes(slotTime);
                     if (isToday && slotMinutes <= currentMinutes) continue;
 
-                    // Skip if already booked
-                    if (bookedSlots.has(slotTime)) continue;
+                    // Skip if closed (leave/holiday) or already generated
+                    if (seenSlots.has(slotTime)) continue;
+                    seenSlots.add(slotTime);
+                    if (ScheduleExceptionService.isBlocked(doctorExceptions, slotTime, duration)) continue;
+
+                    // Skip if already booked (overlap incl. buffer)
+                    if (this.getSlotConflict(booked, slotMinutes, settings)) continue;
 
                     // Check if locked in Redis
                     const datetime = `${date}T${slotTime}:00`;
@@ -361,7 +541,7 @@ class SlotService {
                         date: date,
                         time: slotTime,
                         datetime: datetime,
-                        duration_minutes: slotDurationMinutes
+                        duration_minutes: duration
                     });
                 }
             }
@@ -390,6 +570,37 @@ class SlotService {
         const slots = await this.getAvailableSlots(hospitalId, departmentName, date);
         return slots.find(s => s.time === time) || null;
     }
+
+    /**
+     * Check that a specific doctor slot is currently offered.
+     * Used by direct bookings and reschedules, which pick a slot explicitly.
+     * 
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} doctorId - Doctor ID
+     * @param {string} datetime - Slot datetime (YYYY-MM-DDTHH:MM:00)
+     * @returns {Promise<boolean>} True if the slot is available
+     */
+    static async isSlotAvailable(hospitalId, doctorId, datetime) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT d.name as department_name
+               FROM doctors_v2 dv
+               JOIN departments d ON dv.department_id = d.id
+               WHERE dv.id = $1 AND dv.hospital_id = $2 AND dv.is_active = true`;
+
+        try {
+            const doctor = await db.get(sql, [doctorId, hospitalId]);
+            if (!doctor) return false;
+
+            const date = datetime.split('T')[0];
+            const slots = await this.getAvailableSlots(hospitalId, doctor.department_name, date);
+            return slots.some(s => s.doctor_id === doctorId && s.datetime === datetime);
+        } catch (err) {
+            logger.error(`SlotService: Failed to check slot availability for doctor ${doctorId}`, err);
+            return false;
+        }
+    }
 }
 
 module.exports = SlotService;
+module.exports.resolveSlotSettings = resolveSlotSettings;
@@ -0,0 +1,198 @@
+/**
+ * SMS Reply Service - Two-Way SMS
+ *
+ * Handles patient replies to reminders (inbound SMS webhook):
+ * - CONFIRM [id]  → record that the patient will attend
+ * - CANCEL [id]   → cancel the appointment (frees the slot for the waitlist)
+ * - CALL ME       → open a human handoff for the appointment
+ * - ACCEPT <code> → book a slot offered from the waitlist
+ *
+ * Arabic and English keywords. The sender's number is mapped to their
+ * upcoming appointments; without a booking ID the next one is used.
+ *
+ * Replies are returned to the webhook (sent back by the provider) in the
+ * patient's language.
+ *
+ * PHI: Message text and phone numbers are never logged or audited.
+ */
+
+const redisClient = require('../config/redis');
+const { logger, auditLogger } = require('../config/logger');
+const { BookingService } = require('./bookingService');
+const { AppointmentStatusService } = require('./appointmentStatusService');
+const PatientAppointmentService = require('./patientAppointmentService');
+const { formatAppointmentTime } = require('./patientAppointmentService');
+const HumanHandoffService = require('./humanHandoffService');
+const WaitlistService = require('./waitlistService');
+
+// Keyword, optionally followed by a booking ID ("CONFIRM 42", "إلغاء 42")
+const REPLY_PATTERNS = {
+    confirm: /^(?:confirm|yes|تأكيد|تاكيد|أؤكد|اؤكد|نعم)(?:\s+#?(\d+))?$/i,
+    cancel: /^(?:cancel|إلغاء|الغاء|ألغي|الغي)(?:\s+#?(\d+))?$/i,
+    call_me: /^(?:call me|call|call back|callback|اتصل بي|اتصلوا بي|كلموني)(?:\s+#?(\d+))?$/i
+};
+const ACCEPT_PATTERN = /^(?:accept|قبول)\s*(\d{6})$/i;
+
+const ARABIC_PATTERN = /[\u0600-\u06FF]/;
+
+// Providers retry webhooks; each message is handled once
+const INBOUND_DEDUP_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Reply texts (patient-facing)
+ */
+const REPLIES = {
+    English: {
+        help: 'Sorry, we did not understand. Reply CONFIRM, CANCEL or CALL ME.',
+        notFound: 'We could not find an upcoming appointment for this number.',
+        confirmed: (time) => `Thank you. Your appointment on ${time} is confirmed.`,
+        cancelled: (time) => `Your appointment on ${time} has been cancelled.`,
+        callBack: (hospital) => `We have asked our staff at ${hospital.name} to call you.`,
+        callUs: (hospital) => `Please call ${hospital.name}${hospital.escalation_contact?.phone ? ` at ${hospital.escalation_contact.phone}` : ''}.`,
+        failed: 'We could not update your appointment. Please call us.',
+        accepted: (time) => `Your appointment on ${time} is booked.`
+    },
+    Arabic: {
+        help: 'عذراً، لم نفهم رسالتك. أرسل "تأكيد" أو "إلغاء" أو "اتصل بي".',
+        notFound: 'لم نجد موعداً قادماً لهذا الرقم.',
+        confirmed: (time) => `شكراً لك. تم تأكيد موعدك بتاريخ ${time}.`,
+        cancelled: (time) => `تم إلغاء موعدك بتاريخ ${time}.`,
+        callBack: (hospital) => `طلبنا من موظفي ${hospital.name} الاتصال بك.`,
+        callUs: (hospital) => `يرجى الاتصال بـ ${hospital.name}${hospital.escalation_contact?.phone ? ` على ${hospital.escalation_contact.phone}` : ''}.`,
+        failed: 'تعذر تحديث موعدك. يرجى الاتصال بنا.',
+        accepted: (time) => `تم حجز موعدك بتاريخ ${time}.`
+    }
+};
+
+class SmsReplyService {
+
+    /**
+     * Parse a reply into an intent.
+     *
+     * @param {string} text - SMS body
+     * @returns {Object} { intent: 'confirm'|'cancel'|'call_me'|'accept'|null, appointmentId?, code?, language }
+     */
+    static parseReply(text) {
+        const raw = String(text || '').trim().replace(/[.!؟?]+$/, '').replace(/\s+/g, ' ');
+        const language = ARABIC_PATTERN.test(raw) ? 'Arabic' : 'English';
+
+        const accept = raw.match(ACCEPT_PATTERN);
+        if (accept) {
+            return { intent: 'accept', code: accept[1], language };
+        }
+
+        for (const [intent, pattern] of Object.entries(REPLY_PATTERNS)) {
+            const match = raw.match(pattern);
+            if (match) {
+                return { intent, appointmentId: match[1] ? parseInt(match[1], 10) : null, language };
+            }
+        }
+
+        return { intent: null, language };
+    }
+
+    /**
+     * Handle an inbound SMS.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config
+     * @param {Object} message - { from, text, messageId } from SMSProvider.parseInbound
+     * @returns {Promise<Object>} { intent, reply (null = duplicate, don't reply), appointmentId? }
+     */
+    static async handleInbound(hospitalId, hospital, { from, text, messageId }) {
+        if (messageId) {
+            const first = await redisClient.set(`sms-inbound:${hospitalId}:${messageId}`, '1', 'NX', 'EX', INBOUND_DEDUP_TTL_SECONDS);
+            if (first !== 'OK') {
+                logger.info(`SmsReply: Duplicate inbound message ${messageId} ignored`);
+                return { intent: null, reply: null };
+            }
+        }
+
+        const parsed = this.parseReply(text);
+        const replies = REPLIES[parsed.language];
+        const result = await this.applyIntent(hospitalId, hospital, from, parsed, replies);
+
+        auditLogger.info({
+            action: 'SMS_REPLY_RECEIVED',
+            hospital_id: hospitalId,
+            actor: 'patient',
+            data: {
+                message_id: messageId,
+                intent: parsed.intent,
+                booking_id: result.appointmentId || null,
+                outcome: result.outcome
+            }
+        });
+
+        return { intent: parsed.intent, reply: result.reply, appointmentId: result.appointmentId };
+    }
+
+    /**
+     * Carry out a parsed reply.
+     * @returns {Promise<Object>} { reply, outcome, appointmentId? }
+     */
+    static async applyIntent(hospitalId, hospital, from, parsed, replies) {
+        if (!parsed.intent) {
+            return { reply: replies.help, outcome: 'unrecognised' };
+        }
+
+        if (parsed.intent === 'accept') {
+            const accepted = await WaitlistService.acceptOffer(hospitalId, hospital, parsed.code);
+            if (!accepted.success) {
+                return { reply: accepted.error, outcome: 'failed' };
+            }
+            return {
+                reply: replies.accepted(formatAppointmentTime(accepted.appointment.appointment_time)),
+                outcome: 'booked',
+                appointmentId: accepted.appointment.id
+            };
+        }
+
+        const upcoming = await PatientAppointmentService.listAppointments(hospitalId, from);
+        const appointment = parsed.appointmentId
+            ? upcoming.find(a => a.id === parsed.appointmentId)
+            : upcoming[0];
+
+        if (!appointment) {
+            return {
+                reply: parsed.intent === 'call_me' ? replies.callUs(hospital) : replies.notFound,
+                outcome: 'not_found'
+            };
+        }
+
+        const time = formatAppointmentTime(appointment.appointmentTime);
+
+        switch (parsed.intent) {
+            case 'confirm': {
+                const confirmed = await AppointmentStatusService.recordPatientConfirmation(
+                    appointment.id, hospitalId, 'patient', { channel: 'sms' }
+                );
+                return confirmed.success
+                    ? { reply: replies.confirmed(time), outcome: 'confirmed', appointmentId: appointment.id }
+                    : { reply: replies.failed, outcome: 'failed', appointmentId: appointment.id };
+            }
+
+            case 'cancel': {
+                const cancelled = await BookingService.cancelAppointment(
+                    appointment.id, hospitalId, 'patient', 'Cancelled by SMS reply'
+                );
+                return cancelled
+                    ? { reply: replies.cancelled(time), outcome: 'cancelled', appointmentId: appointment.id }
+                    : { reply: replies.failed, outcome: 'failed', appointmentId: appointment.id };
+            }
+
+            case 'call_me':
+                // Staff find the patient from the booking ID (payload carries no PHI)
+                await HumanHandoffService.triggerHandoff(
+                    `sms-booking-${appointment.id}`,
+                    'Patient asked for a call back by SMS',
+                    hospital,
+                    null,
+                    HumanHandoffService.TRIGGER_TYPES.SMS_CALLBACK
+                );
+                return { reply: replies.callBack(hospital), outcome: 'handoff', appointmentId: appointment.id };
+        }
+    }
+}
+
+module.exports = SmsReplyService;
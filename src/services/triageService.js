@@ -1,60 +1,161 @@
 const { logger } = require('../config/logger');
+const { getTriageRules, normalizeArabic } = require('../config/triageRules');
+const { getHospitalConfig } = require('../config/hospitalConfig');
 
+/**
+ * Triage Service - Emergency detection and department routing
+ *
+ * Severity tiers, most severe first:
+ * - emergency: red flags → emergency response, no booking
+ * - urgent:    needs a doctor today (e.g. high fever in an infant, moderate
+ *              bleeding) → urgent response, same-day slots first, booking
+ *              flagged for reception
+ * - routine:   department routing only
+ *
+ * Rules come from the hospital's triage rule set (see config/triageRules.js):
+ * English, Arabic and Arabizi (Roman Arabic, with the digit letters
+ * 2 = ء, 3 = ع, 5 = خ, 6 = ط, 7 = ح, 9 = ص). Arabic is matched against
+ * normalized text, so spelling variants (ألم / الم, جلطة / جلطه) need no
+ * separate rules.
+ */
 class TriageService {
-    constructor() {
-        // 1. Emergency Red Flags (Regex Patterns)
-        this.emergencyPatterns = [
-            /\b(chest pain|heart attack|cardiac arrest)\b/i,
-            /\b(severe bleeding|uncontrolled bleeding|hemorrhage)\b/i,
-            /\b(difficulty breathing|shortness of breath|can't breathe|choking)\b/i,
-            /\b(stroke|slurred speech|face drooping|numbness in arm)\b/i,
-            /\b(loss of consciousness|passed out|fainted)\b/i,
-            /\b(anaphylaxis|swollen tongue|swollen throat)\b/i,
-            /\b(head trauma|severe head injury)\b/i,
-            /\b(overdose|poisoning)\b/i,
-            /\b(suicidal|kill myself|hurt myself)\b/i,
-            /\b(seizure|convulsing)\b/i
-        ];
-
-        // 2. Department Keywords (Fallback Routing)
-        this.deptPatterns = {
-            'Cardiology': [/\b(heart|palpitations|blood pressure)\b/i],
-            'Dentistry': [/\b(tooth|teeth|gum|jaw|molar|cavity)\b/i],
-            'Dermatology': [/\b(skin|rash|acne|mole|dermatitis)\b/i],
-            'Orthopedics': [/\b(bone|fracture|joint|knee|back pain|spine)\b/i],
-            'Pediatrics': [/\b(child|baby|kid|infant|fever)\b/i],
-            'General Medicine': [/\b(sick|cold|flu|infection|fever|cough)\b/i]
-        };
-    }
 
     /**
      * Assess the message for emergency or routing.
-     * @param {string} message 
-     * @returns {Object} { status: 'emergency'|'routine'|'unknown', response: string|null, department: string|null }
+     * @param {string} message
+     * @param {Object|string} hospital - Hospital config (or ID); default rules if omitted
+     * @returns {Object} { status: 'emergency'|'urgent'|'routine'|'unknown', response: string|null, department: string|null, rulesVersion }
      */
-    evaluate(message) {
+    evaluate(message, hospital = null) {
         if (!message) return { status: 'unknown', response: null };
 
+        const rules = getTriageRules(hospital);
+        const result = this.classify(message, rules);
+
+        if (result.status === 'emergency') {
+            logger.warn(`Emergency Detected: "${message}"`);
+            return {
+                status: 'emergency',
+                response: this.getEmergencyResponse(message, hospital),
+                rulesVersion: rules.version
+            };
+        }
+
+        if (result.status === 'urgent') {
+            logger.warn(`Urgent triage: department ${result.department}`);
+            return {
+                status: 'urgent',
+                department: result.department,
+                response: this.getUrgentResponse(message, hospital),
+                rulesVersion: rules.version
+            };
+        }
+
+        if (result.status === 'routine') {
+            return { status: 'routine', department: result.department, rulesVersion: rules.version };
+        }
+
+        return { status: 'unknown', rulesVersion: rules.version };
+    }
+
+    /**
+     * Match a message against compiled rules (no logging, no response).
+     * Used by evaluate() and the triage corpus harness.
+     * @param {string} message
+     * @param {Object} rules - Compiled rules (see triageRules.compileRuleSet)
+     * @returns {Object} { status, department?, ruleDepartment? }
+     */
+    classify(message, rules) {
+        const text = normalizeArabic(message || '');
+
         // Check Emergencies First
-        for (const pattern of this.emergencyPatterns) {
-            if (pattern.test(message)) {
-                logger.warn(`Emergency Detected: "${message}"`);
+        if (rules.emergency.some(pattern => pattern.test(text))) {
+            return { status: 'emergency' };
+        }
+
+        const urgent = rules.urgent.some(pattern => pattern.test(text));
+
+        // Check Department Routing (hospital's name for aliased departments)
+        for (const department of rules.departments) {
+            if (department.patterns.some(p => p.test(text))) {
                 return {
-                    status: 'emergency',
-                    response: "⚠️ **URGENT MEDICAL WARNING** ⚠️\n\nYour symptoms may indicate a life-threatening emergency.\n\nPLEASE CALL EMERGENCY SERVICES (997) OR VISIT THE NEAREST ER IMMEDIATELY.\n\nDo NOT wait for an appointment."
+                    status: urgent ? 'urgent' : 'routine',
+                    department: department.name,
+                    ruleDepartment: department.ruleDepartment
                 };
             }
         }
 
-        // Check Department Routing
-        for (const [dept, patterns] of Object.entries(this.deptPatterns)) {
-            if (patterns.some(p => p.test(message))) {
-                return { status: 'routine', department: dept };
-            }
+        // Urgent without a department keyword: the rule set's urgent department
+        if (urgent) {
+            return { status: 'urgent', department: rules.urgentDepartment };
         }
 
         return { status: 'unknown' };
     }
+
+    /**
+     * Emergency red flag check only.
+     * @param {string} message
+     * @param {Object|string} hospital - Hospital config (or ID)
+     * @returns {boolean}
+     */
+    isEmergency(message, hospital = null) {
+        if (!message || typeof message !== 'string') return false;
+        const text = normalizeArabic(message);
+        return getTriageRules(hospital).emergency.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Red flags, distress keywords or an emergency number: messages that must
+     * get through the gates before triage (abuse limits, language, consent).
+     * @param {string} message
+     * @param {Object|string} hospital - Hospital config (or ID)
+     * @returns {boolean}
+     */
+    needsSafetyBypass(message, hospital = null) {
+        if (!message || typeof message !== 'string') return false;
+        const text = normalizeArabic(message);
+        const rules = getTriageRules(hospital);
+        return rules.emergency.some(pattern => pattern.test(text)) ||
+            rules.safety.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Emergency response in the message's script, with the hospital's number.
+     * @param {string} message
+     * @param {Object|string} hospital - Hospital config (or ID)
+     * @returns {string}
+     */
+    getEmergencyResponse(message, hospital = null) {
+        const rules = getTriageRules(hospital);
+        const template = /[\u0600-\u06FF]/.test(message || '')
+            ? rules.responses.emergency.ar
+            : rules.responses.emergency.en;
+        return template.replace(/\{emergency_number\}/g, rules.emergencyNumbers[0]);
+    }
+
+    /**
+     * Urgent (same-day) response in the message's script: asks the patient to
+     * call the hospital and keeps the emergency number as a fallback.
+     * @param {string} message
+     * @param {Object|string} hospital - Hospital config (or ID)
+     * @returns {string|null} null when the rule set has no urgent response
+     */
+    getUrgentResponse(message, hospital = null) {
+        const rules = getTriageRules(hospital);
+        if (!rules.responses.urgent) return null;
+
+        const arabic = /[\u0600-\u06FF]/.test(message || '');
+        const template = arabic ? rules.responses.urgent.ar : rules.responses.urgent.en;
+        const config = typeof hospital === 'string' ? getHospitalConfig(hospital) : hospital;
+        const phone = config?.escalation_contact?.phone;
+
+        return template
+            .replace(/\{hospital_phone\}/g, phone ? (arabic ? ` على ${phone}` : ` on ${phone}`) : '')
+            .replace(/\{emergency_number\}/g, rules.emergencyNumbers[0]);
+    }
 }
 
 module.exports = new TriageService();
+module.exports.normalizeArabic = normalizeArabic;
@@ -0,0 +1,499 @@
+/**
+ * Waitlist Service
+ *
+ * Patients join a waitlist when a department (or a specific doctor) has no
+ * free slots. When a slot frees up, the oldest matching entry is offered the
+ * slot by SMS and the slot is held for them with the Redis slot lock.
+ *
+ * FREED SLOTS (offerFreedSlot):
+ * - BookingService.cancelAppointment / rescheduleAppointment (old slot)
+ * - BookingService.cancelBooking (confirmed bookings only; a cancelled draft never took the slot)
+ * - expireOffers (offer not accepted in time → next patient in line)
+ *
+ * RULES:
+ * - First come, first served per department; an entry for a specific doctor
+ *   only matches that doctor
+ * - One offer per entry; an offer not accepted within hold_minutes expires the entry
+ * - The patient accepts with the 6-digit code from the SMS (chat or API),
+ *   which also proves they own the phone
+ *
+ * PHI: Name/phone encrypted at rest, offer codes stored as hashes,
+ * audit entries carry IDs only.
+ *
+ * MULTI-TENANT: Every query is scoped by hospital_id.
+ */
+
+const crypto = require('crypto');
+const { initializeDatabase } = require('../config/productionDb');
+const { getHospitalConfig, getAllHospitalIds } = require('../config/hospitalConfig');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const { BookingService } = require('./bookingService');
+const BookingNotificationService = require('./bookingNotificationService');
+const SlotService = require('./slotService');
+const { normalizePhone } = require('./patientAppointmentService');
+const { logger } = require('../config/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { getHospitalTimezone, todayInTimezone, addDays } = require('../utils/hospitalTime');
+
+/**
+ * Default waitlist settings
+ */
+const DEFAULT_WAITLIST = {
+    enabled: true,
+    hold_minutes: 30,   // How long an offered slot is held for the patient
+    default_days: 14,   // Date range when the patient gives none
+    max_days: 60        // Furthest ahead a patient may wait for
+};
+
+const WAITLIST_CHECK_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get waitlist config for a hospital.
+ *
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Object} - Waitlist configuration
+ */
+function getWaitlistConfig(hospitalId) {
+    try {
+        const hospital = getHospitalConfig(hospitalId);
+        return { ...DEFAULT_WAITLIST, ...hospital?.waitlist_config };
+    } catch (err) {
+        return DEFAULT_WAITLIST;
+    }
+}
+
+/**
+ * Normalize a stored appointment time to a slot datetime (YYYY-MM-DDTHH:MM:00).
+ * appointment_time is hospital wall-clock time (see utils/hospitalTime).
+ */
+function toSlotDatetime(value) {
+    if (value instanceof Date) {
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T` +
+            `${pad(value.getHours())}:${pad(value.getMinutes())}:00`;
+    }
+    return `${String(value).replace(' ', 'T').substring(0, 16)}:00`;
+}
+
+/**
+ * Normalize a DATE value to YYYY-MM-DD.
+ */
+function toDateString(value) {
+    return toSlotDatetime(value).substring(0, 10);
+}
+
+function hashOfferCode(hospitalId, code) {
+    return crypto.createHash('sha256').update(`${hospitalId}:${code}`).digest('hex');
+}
+
+// Lock owner for a held slot
+const holdOwner = (entryId) => `waitlist:${entryId}`;
+
+class WaitlistService {
+
+    /**
+     * Add a patient to the waitlist.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} data - { department, doctorId?, dateFrom?, dateTo?, patientName?, patientPhone }
+     * @param {string} performedBy - Actor for the audit trail (patient or staff username)
+     * @returns {Promise<Object>} { success, entry?, error?, code? }
+     */
+    static async join(hospitalId, data, performedBy = 'patient') {
+        const config = getWaitlistConfig(hospitalId);
+        if (!config.enabled) {
+            return { success: false, code: 'VALIDATION', error: 'The waitlist is not available at this hospital.' };
+        }
+
+        const { department, doctorId = null, patientName = null, patientPhone } = data;
+        const phone = normalizePhone(patientPhone);
+
+        if (phone.length < 9) {
+            return { success: false, code: 'VALIDATION', error: 'A valid mobile number is required.' };
+        }
+
+        const db = await initializeDatabase();
+
+        const dept = await db.get(
+            `SELECT id, name FROM departments WHERE hospital_id = $1 AND name = $2`,
+            [hospitalId, department]
+        );
+        if (!dept) {
+            return { success: false, code: 'VALIDATION', error: 'Unknown department.' };
+        }
+
+        if (doctorId !== null) {
+            const doctor = await db.get(
+                `SELECT id FROM doctors_v2 WHERE id = $1 AND hospital_id = $2 AND department_id = $3 AND is_active = true`,
+                [doctorId, hospitalId, dept.id]
+            );
+            if (!doctor) {
+                return { success: false, code: 'VALIDATION', error: 'Doctor not found in this department.' };
+            }
+        }
+
+        // Date range in the hospital's calendar
+        const today = todayInTimezone(await getHospitalTimezone(hospitalId));
+        const dateFrom = data.dateFrom || today;
+        const dateTo = data.dateTo || addDays(dateFrom, config.default_days - 1);
+
+        if (!DATE_PATTERN.test(dateFrom) || !DATE_PATTERN.test(dateTo)) {
+            return { success: false, code: 'VALIDATION', error: 'Dates must be YYYY-MM-DD.' };
+        }
+        if (dateFrom < today || dateTo < dateFrom) {
+            return { success: false, code: 'VALIDATION', error: 'The date range must start today or later and end after it starts.' };
+        }
+        if (dateTo > addDays(today, config.max_days)) {
+            return { success: false, code: 'VALIDATION', error: `You can wait for at most ${config.max_days} days ahead.` };
+        }
+
+        // One active entry per phone and department (phone is encrypted with a random IV)
+        const active = await db.query(
+            `SELECT id, patient_phone_encrypted FROM waitlist_entries
+             WHERE hospital_id = $1 AND department_id = $2 AND status IN ('waiting', 'offered')`,
+            [hospitalId, dept.id]
+        ) || [];
+        if (active.some(row => normalizePhone(decrypt(row.patient_phone_encrypted)) === phone)) {
+            return { success: false, code: 'CONFLICT', error: 'You are already on the waitlist for this department.' };
+        }
+
+        const result = await db.execute(
+            `INSERT INTO waitlist_entries
+                (hospital_id, department_id, doctor_id, date_from, date_to,
+                 patient_name_encrypted, patient_phone_encrypted, status, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'waiting', $8)
+             RETURNING id`,
+            [hospitalId, dept.id, doctorId, dateFrom, dateTo, patientName ? encrypt(patientName) : null, encrypt(phone), performedBy]
+        );
+        const entry = { id: result.rows?.[0]?.id, department: dept.name, doctorId, dateFrom, dateTo, status: 'waiting' };
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.WAITLIST,
+            entityId: entry.id,
+            action: ACTIONS.WAITLIST_JOINED,
+            performedBy,
+            metadata: { department_id: dept.id, doctor_id: doctorId, date_from: dateFrom, date_to: dateTo }
+        });
+
+        logger.info(`Waitlist: Entry ${entry.id} joined ${dept.name} at hospital ${hospitalId}`);
+
+        return { success: true, entry };
+    }
+
+    /**
+     * Oldest waiting entry that a slot of this doctor on this date satisfies.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} doctorId - Doctor of the freed slot
+     * @param {string} date - Slot date (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Entry row or null
+     */
+    static async findNextEntry(hospitalId, doctorId, date) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT w.id, w.patient_phone_encrypted
+               FROM waitlist_entries w
+               JOIN doctors_v2 dv ON dv.department_id = w.department_id AND dv.hospital_id = w.hospital_id
+               WHERE w.hospital_id = $1 AND dv.id = $2
+               AND w.status = 'waiting'
+               AND (w.doctor_id IS NULL OR w.doctor_id = $2)
+               AND w.date_from <= $3 AND w.date_to >= $3
+               ORDER BY w.created_at ASC, w.id ASC
+               LIMIT 1`;
+
+        return await db.get(sql, [hospitalId, doctorId, date]) || null;
+    }
+
+    /**
+     * Offer a freed slot to the next patient on the waitlist.
+     * Never throws: callers (cancellations) must not fail because of the waitlist.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} doctorId - Doctor ID
+     * @param {string|Date} appointmentTime - Freed slot time
+     * @returns {Promise<Object|null>} { entryId, doctorId, datetime, expiresAt } or null if not offered
+     */
+    static async offerFreedSlot(hospitalId, doctorId, appointmentTime) {
+        const config = getWaitlistConfig(hospitalId);
+        if (!config.enabled) return null;
+
+        const datetime = toSlotDatetime(appointmentTime);
+
+        try {
+            const entry = await this.findNextEntry(hospitalId, doctorId, datetime.split('T')[0]);
+            if (!entry) return null;
+
+            // Still bookable (not in the past, closed or taken by someone else)?
+            if (!await SlotService.isSlotAvailable(hospitalId, doctorId, datetime)) return null;
+
+            const held = await SlotService.lockSlot(hospitalId, doctorId, datetime, holdOwner(entry.id), config.hold_minutes * 60);
+            if (!held) return null;
+
+            const code = crypto.randomInt(100000, 1000000).toString();
+            const expiresAt = new Date(Date.now() + config.hold_minutes * 60 * 1000);
+
+            const db = await initializeDatabase();
+            const result = await db.execute(
+                `UPDATE waitlist_entries
+                 SET status = 'offered', offered_doctor_id = $1, offered_time = $2, offer_code_hash = $3,
+                     offer_expires_at = $4, updated_at = NOW()
+                 WHERE id = $5 AND hospital_id = $6 AND status = 'waiting'`,
+                [doctorId, datetime, hashOfferCode(hospitalId, code), expiresAt, entry.id, hospitalId]
+            );
+
+            if (!(result.changes > 0 || result.rowCount > 0)) {
+                await SlotService.unlockSlot(hospitalId, doctorId, datetime, holdOwner(entry.id));
+                return null;
+            }
+
+            const hospital = getHospitalConfig(hospitalId) || { id: hospitalId, name: 'Hospital' };
+            await BookingNotificationService.queueWaitlistOfferSms(
+                { id: entry.id, hospitalId, datetime, patientPhone: decrypt(entry.patient_phone_encrypted) },
+                code, hospital, config.hold_minutes
+            );
+
+            await AuditService.log({
+                hospitalId,
+                entityType: ENTITY_TYPES.WAITLIST,
+                entityId: entry.id,
+                action: ACTIONS.WAITLIST_OFFERED,
+                performedBy: 'system',
+                metadata: { doctor_id: doctorId, datetime, hold_minutes: config.hold_minutes }
+            });
+
+            logger.info(`Waitlist: Slot ${datetime} (doctor ${doctorId}) offered to entry ${entry.id} at hospital ${hospitalId}`);
+
+            return { entryId: entry.id, doctorId, datetime, expiresAt };
+        } catch (err) {
+            logger.error(`Waitlist: Failed to offer slot ${datetime} at hospital ${hospitalId}`, err);
+            return null;
+        }
+    }
+
+    /**
+     * Book the held slot for the patient holding the offer code.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config (for the confirmation SMS)
+     * @param {string} code - 6-digit code from the offer SMS
+     * @returns {Promise<Object>} { success, appointment?, error?, code? }
+     */
+    static async acceptOffer(hospitalId, hospital, code) {
+        const db = await initializeDatabase();
+
+        const entry = await db.get(
+            `SELECT id, offered_doctor_id, offered_time, offer_expires_at, patient_name_encrypted, patient_phone_encrypted
+             FROM waitlist_entries
+             WHERE hospital_id = $1 AND status = 'offered' AND offer_code_hash = $2`,
+            [hospitalId, hashOfferCode(hospitalId, String(code || '').trim())]
+        );
+
+        if (!entry) {
+            return { success: false, code: 'NOT_FOUND', error: 'Offer not found or already used.' };
+        }
+
+        if (new Date(entry.offer_expires_at) <= new Date()) {
+            return { success: false, code: 'CONFLICT', error: 'This offer has expired.' };
+        }
+
+        const datetime = toSlotDatetime(entry.offered_time);
+        const booking = {
+            hospitalId,
+            doctorId: entry.offered_doctor_id,
+            datetime,
+            patientName: entry.patient_name_encrypted ? decrypt(entry.patient_name_encrypted) : 'Patient',
+            patientPhone: decrypt(entry.patient_phone_encrypted)
+        };
+
+        // verifyLock inside confirmBooking checks the hold is still ours
+        const appointment = await BookingService.confirmBooking(booking, holdOwner(entry.id), 'patient');
+
+        if (!appointment) {
+            return { success: false, code: 'CONFLICT', error: 'This slot is no longer available.' };
+        }
+
+        await db.execute(
+            `UPDATE waitlist_entries SET status = 'booked', appointment_id = $1, offer_code_hash = NULL, updated_at = NOW()
+             WHERE id = $2 AND hospital_id = $3`,
+            [appointment.id, entry.id, hospitalId]
+        );
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.WAITLIST,
+            entityId: entry.id,
+            action: ACTIONS.WAITLIST_OFFER_ACCEPTED,
+            performedBy: 'patient',
+            metadata: { appointment_id: appointment.id }
+        });
+
+        await BookingNotificationService.notifyConfirmation({ ...booking, id: appointment.id }, hospital);
+
+        return { success: true, appointment };
+    }
+
+    /**
+     * Expire offers not accepted in time (passing the slot on) and entries
+     * whose date range has passed.
+     *
+     * Runs on every server instance: the expiring UPDATE claims the offers, so
+     * each one is expired and passed on by exactly one instance.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Date} now - Current time (injectable for tests)
+     * @returns {Promise<number>} Number of offers expired
+     */
+    static async expireOffers(hospitalId, now = new Date()) {
+        const db = await initializeDatabase();
+        let expired = 0;
+
+        try {
+            const result = await db.execute(
+                `UPDATE waitlist_entries SET status = 'expired', offer_code_hash = NULL, updated_at = NOW()
+                 WHERE hospital_id = $1 AND status = 'offered' AND offer_expires_at < $2
+                 RETURNING id, offered_doctor_id, offered_time`,
+                [hospitalId, now]
+            );
+            const offers = result.rows || [];
+
+            for (const offer of offers) {
+                expired++;
+                const datetime = toSlotDatetime(offer.offered_time);
+                await SlotService.unlockSlot(hospitalId, offer.offered_doctor_id, datetime, holdOwner(offer.id));
+
+                await AuditService.log({
+                    hospitalId,
+                    entityType: ENTITY_TYPES.WAITLIST,
+                    entityId: offer.id,
+                    action: ACTIONS.WAITLIST_OFFER_EXPIRED,
+                    performedBy: 'system',
+                    metadata: { doctor_id: offer.offered_doctor_id, datetime }
+                });
+
+                // Pass the slot on to the next patient
+                await this.offerFreedSlot(hospitalId, offer.offered_doctor_id, datetime);
+            }
+
+            // Entries whose whole date range has passed
+            const today = todayInTimezone(await getHospitalTimezone(hospitalId));
+            await db.execute(
+                `UPDATE waitlist_entries SET status = 'expired', updated_at = NOW()
+                 WHERE hospital_id = $1 AND status = 'waiting' AND date_to < $2`,
+                [hospitalId, today]
+            );
+        } catch (err) {
+            logger.error(`Waitlist: Failed to expire offers for hospital ${hospitalId}:`, err);
+        }
+
+        return expired;
+    }
+
+    /**
+     * Expire offers for all hospitals.
+     * Should be called via scheduled job.
+     *
+     * @returns {Promise<number>} Total offers expired
+     */
+    static async expireOffersAll() {
+        let total = 0;
+
+        for (const hospitalId of getAllHospitalIds()) {
+            total += await this.expireOffers(hospitalId);
+        }
+
+        if (total > 0) {
+            logger.info(`Waitlist: Expired ${total} unanswered offers`);
+        }
+
+        return total;
+    }
+
+    /**
+     * Active waitlist for reception (decrypted, hospital-scoped).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @returns {Promise<Array>} Entries, oldest first
+     */
+    static async list(hospitalId) {
+        const db = await initializeDatabase();
+
+        const sql = `SELECT w.id, w.doctor_id, w.date_from, w.date_to, w.status, w.offered_time,
+                            w.offer_expires_at, w.created_at, w.patient_name_encrypted, w.patient_phone_encrypted,
+                            dep.name as department_name, dv.name as doctor_name
+                     FROM waitlist_entries w
+                     JOIN departments dep ON w.department_id = dep.id
+                     LEFT JOIN doctors_v2 dv ON w.doctor_id = dv.id
+                     WHERE w.hospital_id = $1 AND w.status IN ('waiting', 'offered')
+                     ORDER BY w.created_at ASC, w.id ASC`;
+
+        const rows = await db.query(sql, [hospitalId]) || [];
+
+        return rows.map(row => ({
+            id: row.id,
+            department: row.department_name,
+            doctorId: row.doctor_id,
+            doctorName: row.doctor_name || null,
+            dateFrom: toDateString(row.date_from),
+            dateTo: toDateString(row.date_to),
+            status: row.status,
+            offeredTime: row.offered_time ? toSlotDatetime(row.offered_time) : null,
+            offerExpiresAt: row.offer_expires_at || null,
+            patientName: row.patient_name_encrypted ? decrypt(row.patient_name_encrypted) : null,
+            patientPhone: decrypt(row.patient_phone_encrypted),
+            createdAt: row.created_at
+        }));
+    }
+
+    /**
+     * Remove an entry (patient no longer needs a slot).
+     * A slot held for the entry is released and passed on.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} entryId - Entry ID
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, error?, code? }
+     */
+    static async remove(hospitalId, entryId, performedBy) {
+        const db = await initializeDatabase();
+
+        const entry = await db.get(
+            `SELECT id, status, offered_doctor_id, offered_time FROM waitlist_entries
+             WHERE id = $1 AND hospital_id = $2 AND status IN ('waiting', 'offered')`,
+            [entryId, hospitalId]
+        );
+
+        if (!entry) {
+            return { success: false, code: 'NOT_FOUND', error: 'Waitlist entry not found.' };
+        }
+
+        await db.execute(
+            `UPDATE waitlist_entries SET status = 'cancelled', offer_code_hash = NULL, updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2`,
+            [entryId, hospitalId]
+        );
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.WAITLIST,
+            entityId: entryId,
+            action: ACTIONS.WAITLIST_REMOVED,
+            performedBy,
+            metadata: { previous_status: entry.status }
+        });
+
+        if (entry.status === 'offered') {
+            const datetime = toSlotDatetime(entry.offered_time);
+            await SlotService.unlockSlot(hospitalId, entry.offered_doctor_id, datetime, holdOwner(entryId));
+            await this.offerFreedSlot(hospitalId, entry.offered_doctor_id, datetime);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = WaitlistService;
+module.exports.getWaitlistConfig = getWaitlistConfig;
+module.exports.WAITLIST_CHECK_INTERVAL_MS = WAITLIST_CHECK_INTERVAL_MS;
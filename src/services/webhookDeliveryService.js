@@ -0,0 +1,311 @@
+/**
+ * Webhook Delivery Service - Outbound Escalation Webhooks
+ *
+ * Delivers PHI-safe escalation payloads (HumanHandoffService.buildSafePayload)
+ * to a hospital's on-call bot (escalation_config.webhook_url) and ticketing
+ * system (escalation_config.ticket_url).
+ *
+ * FLOW:
+ * - enqueue() records the delivery in webhook_deliveries and queues a job
+ * - webhookWorker calls attemptDelivery() for each attempt
+ * - 2xx → delivered; 5xx/408/429/network → retried with exponential backoff;
+ *   other 4xx or the last failed attempt → dead_letter
+ * - Dead letters stay in the log and can be redelivered by an admin
+ *
+ * REQUEST:
+ *   POST <url>
+ *   Content-Type: application/json
+ *   X-Webhook-Id: <delivery id>      (same on every retry - dedupe on it)
+ *   X-Webhook-Event: escalation.created | escalation.ticket
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ *   { "id": 12, "event": "...", "hospital_id": "...", "created_at": "...", "data": { ...payload } }
+ *
+ * Signing secret: escalation_config.webhook_secret, else WEBHOOK_SIGNING_SECRET.
+ * Deliveries are never sent unsigned.
+ *
+ * PHI: Payloads carry IDs only; receiver response bodies are never stored or logged.
+ *
+ * MULTI-TENANT: Every query is scoped by hospital_id.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { UnrecoverableError } = require('bullmq');
+const { initializeDatabase } = require('../config/productionDb');
+const { getHospitalConfig } = require('../config/hospitalConfig');
+const { webhookQueue } = require('../config/queue');
+const { AuditService, ENTITY_TYPES, ACTIONS } = require('./auditService');
+const { logger } = require('../config/logger');
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    RETRYING: 'retrying',
+    DELIVERED: 'delivered',
+    DEAD_LETTER: 'dead_letter'
+};
+
+/**
+ * Retry schedule: 10s, 20s, 40s, 80s, 160s (~5 minutes before dead-lettering)
+ */
+const WEBHOOK_JOB_OPTIONS = {
+    attempts: 6,
+    backoff: { type: 'exponential', delay: 10000 },
+    removeOnComplete: 100,
+    removeOnFail: 50
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Receiver errors worth retrying; any other 4xx will fail again
+const RETRYABLE_STATUS = [408, 429];
+
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Signing secret for a hospital's webhooks.
+ *
+ * @param {string} hospitalId - Hospital ID
+ * @returns {string|null}
+ */
+function getSigningSecret(hospitalId) {
+    const hospital = getHospitalConfig(hospitalId);
+    return hospital?.escalation_config?.webhook_secret || process.env.WEBHOOK_SIGNING_SECRET || null;
+}
+
+class WebhookDeliveryService {
+
+    /**
+     * Sign a request body.
+     *
+     * @param {string} body - Exact JSON body sent
+     * @param {string} secret - Signing secret
+     * @param {number} timestamp - Unix seconds (part of the signed content, prevents replay)
+     * @returns {string} "sha256=<hex>"
+     */
+    static signPayload(body, secret, timestamp) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Record a delivery and queue it.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} params
+     * @param {string} params.event - Event type (escalation.created, escalation.ticket)
+     * @param {string} params.targetUrl - Receiver URL
+     * @param {Object} params.payload - PHI-safe payload
+     * @returns {Promise<Object>} { success, delivery?, error?, code? }
+     */
+    static async enqueue(hospitalId, { event, targetUrl, payload }) {
+        if (!/^https?:\/\//i.test(targetUrl || '')) {
+            return { success: false, error: 'Webhook URL must be http(s)', code: 'VALIDATION' };
+        }
+
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `INSERT INTO webhook_deliveries (hospital_id, event_type, target_url, payload, status)
+             VALUES ($1, $2, $3, $4, 'pending')
+             RETURNING id, hospital_id, event_type, status, created_at`,
+            [hospitalId, event, targetUrl, JSON.stringify(payload)]
+        );
+        const delivery = result.rows[0];
+
+        await this.queueAttempts(delivery.id, hospitalId, `webhook-${delivery.id}`);
+
+        logger.info(`WebhookDelivery: Queued ${event} delivery ${delivery.id} for hospital ${hospitalId}`);
+        return { success: true, delivery };
+    }
+
+    static async queueAttempts(deliveryId, hospitalId, jobId) {
+        await webhookQueue.add('webhook-delivery', { deliveryId, hospitalId }, { ...WEBHOOK_JOB_OPTIONS, jobId });
+    }
+
+    /**
+     * Make one delivery attempt (called by the webhook worker).
+     *
+     * Throws to request a retry; throws UnrecoverableError when retrying is pointless.
+     *
+     * @param {number} deliveryId - Delivery ID
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} options - { attempt (1-based), maxAttempts }
+     * @returns {Promise<Object>} { delivered: true, statusCode }
+     */
+    static async attemptDelivery(deliveryId, hospitalId, { attempt = 1, maxAttempts = WEBHOOK_JOB_OPTIONS.attempts } = {}) {
+        const db = await initializeDatabase();
+        const delivery = await db.get(
+            'SELECT * FROM webhook_deliveries WHERE id = $1 AND hospital_id = $2',
+            [deliveryId, hospitalId]
+        );
+
+        if (!delivery) {
+            throw new UnrecoverableError(`Webhook delivery ${deliveryId} not found`);
+        }
+        if (delivery.status === DELIVERY_STATUS.DELIVERED || delivery.status === DELIVERY_STATUS.DEAD_LETTER) {
+            return { delivered: delivery.status === DELIVERY_STATUS.DELIVERED, skipped: true };
+        }
+
+        const secret = getSigningSecret(hospitalId);
+        if (!secret) {
+            await this.deadLetter(db, delivery, { error: 'No webhook signing secret configured' });
+            throw new UnrecoverableError('No webhook signing secret configured');
+        }
+
+        const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event_type,
+            hospital_id: delivery.hospital_id,
+            created_at: new Date(delivery.created_at).toISOString(),
+            data: payload
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        let statusCode = null;
+        let error = null;
+        try {
+            const response = await axios.post(delivery.target_url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': String(delivery.id),
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': this.signPayload(body, secret, timestamp)
+                },
+                timeout: REQUEST_TIMEOUT_MS,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+            statusCode = response.status;
+            if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+        } catch (err) {
+            error = err.code || err.message;
+        }
+
+        if (!error) {
+            await db.execute(
+                `UPDATE webhook_deliveries
+                 SET status = 'delivered', attempts = attempts + 1, last_status_code = $3, last_error = NULL,
+                     last_attempt_at = NOW(), delivered_at = NOW(), updated_at = NOW()
+                 WHERE id = $1 AND hospital_id = $2`,
+                [delivery.id, hospitalId, statusCode]
+            );
+            logger.info(`WebhookDelivery: Delivery ${delivery.id} delivered (attempt ${attempt}, HTTP ${statusCode})`);
+            return { delivered: true, statusCode };
+        }
+
+        const permanent = statusCode !== null && statusCode >= 400 && statusCode < 500 && !RETRYABLE_STATUS.includes(statusCode);
+
+        if (permanent || attempt >= maxAttempts) {
+            await this.deadLetter(db, delivery, { statusCode, error, attempted: true });
+            throw new UnrecoverableError(`Webhook delivery ${delivery.id} dead-lettered: ${error}`);
+        }
+
+        await db.execute(
+            `UPDATE webhook_deliveries
+             SET status = 'retrying', attempts = attempts + 1, last_status_code = $3, last_error = $4,
+                 last_attempt_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2`,
+            [delivery.id, hospitalId, statusCode, String(error).substring(0, MAX_ERROR_LENGTH)]
+        );
+        logger.warn(`WebhookDelivery: Delivery ${delivery.id} failed (attempt ${attempt}/${maxAttempts}): ${error}`);
+        throw new Error(`Webhook delivery ${delivery.id} failed: ${error}`);
+    }
+
+    /**
+     * Move a delivery to the dead-letter state.
+     */
+    static async deadLetter(db, delivery, { statusCode = null, error, attempted = false }) {
+        await db.execute(
+            `UPDATE webhook_deliveries
+             SET status = 'dead_letter', attempts = attempts + $3, last_status_code = $4, last_error = $5,
+                 last_attempt_at = CASE WHEN $3 > 0 THEN NOW() ELSE last_attempt_at END,
+                 dead_lettered_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2`,
+            [delivery.id, delivery.hospital_id, attempted ? 1 : 0, statusCode, String(error).substring(0, MAX_ERROR_LENGTH)]
+        );
+
+        await AuditService.log({
+            hospitalId: delivery.hospital_id,
+            entityType: ENTITY_TYPES.WEBHOOK_DELIVERY,
+            entityId: delivery.id,
+            action: ACTIONS.WEBHOOK_DEAD_LETTERED,
+            performedBy: 'system',
+            metadata: { event_type: delivery.event_type, status_code: statusCode, error }
+        });
+
+        logger.error(`WebhookDelivery: Delivery ${delivery.id} dead-lettered for hospital ${delivery.hospital_id}: ${error}`);
+    }
+
+    /**
+     * Delivery log for a hospital (newest first).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} filters - { status?, limit? (max 200) }
+     * @returns {Promise<Array>} Deliveries
+     */
+    static async listDeliveries(hospitalId, { status = null, limit = 50 } = {}) {
+        const db = await initializeDatabase();
+        const params = [hospitalId];
+        let sql = `SELECT id, event_type, target_url, payload, status, attempts, last_status_code, last_error,
+                          last_attempt_at, delivered_at, dead_lettered_at, created_at
+                   FROM webhook_deliveries
+                   WHERE hospital_id = $1`;
+
+        if (status) {
+            params.push(status);
+            sql += ` AND status = $${params.length}`;
+        }
+
+        params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+        sql += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length}`;
+
+        return db.query(sql, params);
+    }
+
+    /**
+     * Queue a dead-lettered delivery again (same ID, so receivers can still dedupe).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {number} deliveryId - Delivery ID
+     * @param {string} performedBy - Staff username
+     * @returns {Promise<Object>} { success, error?, code? }
+     */
+    static async redeliver(hospitalId, deliveryId, performedBy) {
+        const db = await initializeDatabase();
+        const result = await db.execute(
+            `UPDATE webhook_deliveries
+             SET status = 'pending', dead_lettered_at = NULL, updated_at = NOW()
+             WHERE id = $1 AND hospital_id = $2 AND status = 'dead_letter'
+             RETURNING id`,
+            [deliveryId, hospitalId]
+        );
+
+        if (result.rowCount === 0) {
+            const existing = await db.get(
+                'SELECT status FROM webhook_deliveries WHERE id = $1 AND hospital_id = $2',
+                [deliveryId, hospitalId]
+            );
+            return existing
+                ? { success: false, error: `Only dead-lettered deliveries can be redelivered (status: ${existing.status})`, code: 'CONFLICT' }
+                : { success: false, error: 'Delivery not found', code: 'NOT_FOUND' };
+        }
+
+        await this.queueAttempts(deliveryId, hospitalId, `webhook-${deliveryId}-${Date.now()}`);
+
+        await AuditService.log({
+            hospitalId,
+            entityType: ENTITY_TYPES.WEBHOOK_DELIVERY,
+            entityId: deliveryId,
+            action: ACTIONS.WEBHOOK_REDELIVERED,
+            performedBy
+        });
+
+        return { success: true };
+    }
+}
+
+module.exports = WebhookDeliveryService;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.WEBHOOK_JOB_OPTIONS = WEBHOOK_JOB_OPTIONS;
@@ -0,0 +1,426 @@
+/**
+ * WhatsApp Service - WhatsApp Business Channel
+ *
+ * Runs patient WhatsApp messages through the same conversation pipeline as
+ * POST /:hospital_id/chat: language selection, consent, triage, booking.
+ *
+ * - Conversation state is keyed by the sender's phone (there is no browser
+ *   session): Redis key whatsapp:session:<hospitalId>:<sha256(phone)>,
+ *   kept for the 24h WhatsApp customer-service window.
+ * - The sender's number is pre-filled as the booking contact phone.
+ * - Replies are sent back with the WhatsApp Cloud API; the web chat's
+ *   language/consent buttons become text prompts.
+ * - Messages from the same number are handled one at a time: in arrival
+ *   order within a process, and under a Redis lock on the session key
+ *   across processes (PM2 cluster workers), so two turns never race on the
+ *   same session.
+ * - Per-sender throttling: the abuse protection layer runs on the stored
+ *   session, i.e. keyed on the sender's phone hash. The web chat's IP rate
+ *   limit is not used (every webhook call comes from Meta's IPs).
+ * - During a staff takeover (liveTakeoverService) staff replies are pushed
+ *   to the patient's WhatsApp; the sender is remembered per escalation
+ *   (encrypted) for the 24h window.
+ *
+ * Hospital config (whatsapp_config):
+ *   { "phone_number_id": "1234567890" }
+ *
+ * PHI: Phone numbers and message text are never logged or audited.
+ */
+
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+const { logger, auditLogger } = require('../config/logger');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { getWhatsAppProvider } = require('../providers/WhatsAppCloudProvider');
+const { normalizePhone } = require('./patientAppointmentService');
+const LiveTakeoverService = require('./liveTakeoverService');
+const conversationOrchestrator = require('./conversationOrchestrator');
+const { createContext } = require('./conversationOrchestrator');
+const { sanitizeInput } = require('../middleware/security');
+const phiRedaction = require('../middleware/phiRedaction');
+const { enforceLanguage } = require('../middleware/languageEnforcement');
+const checkConsent = require('../middleware/consentEnforcement');
+const abuseProtection = require('../middleware/abuseProtection');
+
+// WhatsApp allows free-form replies for 24h after the patient's last message
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+// Meta retries webhooks; each message is handled once
+const INBOUND_DEDUP_TTL_SECONDS = 24 * 60 * 60;
+
+// WhatsApp text body limit
+const MAX_TEXT_LENGTH = 4096;
+
+// One turn holds the session lock at most this long (longer than an AI turn)
+const TURN_LOCK_TTL_MS = 60 * 1000;
+const TURN_LOCK_RETRY_MS = 100;
+const TURN_LOCK_WAIT_MS = 2 * TURN_LOCK_TTL_MS;
+
+// Same pre-pipeline checks as the web chat route (and server-wide sanitizing), in the same order.
+// The IP rate limit is left out: abuseProtection throttles per sender instead.
+const CHAT_MIDDLEWARE = [sanitizeInput, abuseProtection, phiRedaction, enforceLanguage, checkConsent];
+
+const PROMPT_HINTS = {
+    needsLanguage: 'Reply *English*, *العربية* or *Arabizi*.',
+    needsConsent: 'Reply *YES* to agree / أرسل *نعم* للموافقة'
+};
+
+const ERROR_REPLY = 'Sorry, something went wrong. Please try again or call the hospital. / عذراً، حدث خطأ. يرجى المحاولة مرة أخرى أو الاتصال بالمستشفى.';
+
+const BUSY_REPLY = 'We are still working on your previous message. Please send this one again in a moment. / ما زلنا نعالج رسالتك السابقة. يرجى إرسال هذه الرسالة مرة أخرى بعد قليل.';
+
+// Per-conversation queues keep arrival order within this process
+const conversationQueues = new Map(); // sessionKey -> Promise
+
+// Atomic check-and-delete: only the lock owner releases it
+const UNLOCK_SCRIPT = `
+    if redis.call("get", KEYS[1]) == ARGV[1] then
+        return redis.call("del", KEYS[1])
+    else
+        return 0
+    end
+`;
+
+/**
+ * Run an Express middleware against a request/response shim.
+ *
+ * @returns {Promise<Object|null>} Response { status, body } if the middleware answered, null if it called next()
+ */
+function runMiddleware(middleware, req, res) {
+    return new Promise((resolve, reject) => {
+        res.json = (body) => resolve({ status: res.statusCode, body });
+        try {
+            middleware(req, res, (err) => (err ? reject(err) : resolve(null)));
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+class WhatsAppService {
+
+    /**
+     * WhatsApp settings for a hospital.
+     *
+     * @param {Object} hospital - Hospital config
+     * @returns {Object} { enabled, phoneNumberId }
+     */
+    static getWhatsAppConfig(hospital) {
+        const phoneNumberId = hospital?.whatsapp_config?.phone_number_id || null;
+        return {
+            enabled: !!phoneNumberId && hospital.whatsapp_config.enabled !== false,
+            phoneNumberId: phoneNumberId ? String(phoneNumberId) : null
+        };
+    }
+
+    /**
+     * Redis key for a sender's conversation (phone is hashed, never stored in the key).
+     */
+    static sessionKey(hospitalId, phone) {
+        const hash = crypto.createHash('sha256').update(normalizePhone(phone)).digest('hex');
+        return `whatsapp:session:${hospitalId}:${hash}`;
+    }
+
+    /**
+     * Redis key for the lock held while a turn runs on a session.
+     */
+    static turnLockKey(sessionKey) {
+        return `${sessionKey}:lock`;
+    }
+
+    /**
+     * Acquire the turn lock of a session (SET NX PX, retried until TURN_LOCK_WAIT_MS).
+     *
+     * @param {string} sessionKey - Session key
+     * @returns {Promise<string|null>} Lock token, or null if the wait timed out
+     */
+    static async acquireTurnLock(sessionKey) {
+        const lockKey = this.turnLockKey(sessionKey);
+        const token = crypto.randomUUID();
+        const deadline = Date.now() + TURN_LOCK_WAIT_MS;
+
+        while (Date.now() < deadline) {
+            const result = await redisClient.set(lockKey, token, 'NX', 'PX', TURN_LOCK_TTL_MS);
+            if (result === 'OK') return token;
+            await new Promise(resolve => setTimeout(resolve, TURN_LOCK_RETRY_MS));
+        }
+        return null;
+    }
+
+    /**
+     * Release a turn lock (only if this turn still owns it).
+     */
+    static async releaseTurnLock(sessionKey, token) {
+        const lockKey = this.turnLockKey(sessionKey);
+        try {
+            if (typeof redisClient.eval === 'function') {
+                await redisClient.eval(UNLOCK_SCRIPT, 1, lockKey, token);
+            } else if (await redisClient.get(lockKey) === token) {
+                // MockRedis (dev/test) - no Lua
+                await redisClient.del(lockKey);
+            }
+        } catch (err) {
+            logger.error('WhatsApp: Failed to release turn lock', err);
+        }
+    }
+
+    /**
+     * Redis key for the WhatsApp sender of an escalated conversation.
+     */
+    static escalationKey(hospitalId, escalationId) {
+        return `whatsapp:escalation:${hospitalId}:${escalationId}`;
+    }
+
+    /**
+     * Push a staff/system takeover message to the patient's WhatsApp
+     * (registered as a LiveTakeoverService listener).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} escalation - Escalation record
+     * @param {Object} message - { sender, text }
+     */
+    static async deliverTakeoverMessage(hospitalId, escalation, message) {
+        const stored = await redisClient.get(this.escalationKey(hospitalId, escalation.id));
+        if (!stored) return; // Not a WhatsApp conversation (or window expired)
+
+        const { to, phoneNumberId } = JSON.parse(decrypt(stored));
+        const result = await getWhatsAppProvider().sendText({
+            phoneNumberId,
+            to,
+            text: this.formatReply({ reply: message.text })
+        });
+        if (!result.success) {
+            logger.error(`WhatsApp: Takeover message for escalation ${escalation.id} not delivered`);
+        }
+    }
+
+    /**
+     * Load a sender's hospital-scoped session (same shape as the web session).
+     *
+     * @param {string} key - Session key
+     * @returns {Promise<Object>} Session
+     */
+    static async loadSession(key) {
+        const stored = await redisClient.get(key);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (err) {
+                logger.warn('WhatsApp: Discarding unreadable session');
+            }
+        }
+
+        return {
+            history: [],
+            preferredLanguage: null,
+            consentGiven: false,
+            pendingBooking: null,
+            consecutiveErrors: 0
+        };
+    }
+
+    static async saveSession(key, session) {
+        await redisClient.set(key, JSON.stringify(session), 'EX', SESSION_TTL_SECONDS);
+    }
+
+    /**
+     * Handle a webhook payload (may carry several messages).
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config
+     * @param {Object} payload - Webhook JSON
+     * @returns {Promise<number>} Messages handled
+     */
+    static async handleWebhook(hospitalId, hospital, payload) {
+        const config = this.getWhatsAppConfig(hospital);
+        const messages = getWhatsAppProvider().parseWebhook(payload)
+            // A hospital's webhook only answers for its own number
+            .filter(m => !m.phoneNumberId || m.phoneNumberId === config.phoneNumberId);
+
+        for (const message of messages) {
+            await this.handleInbound(hospitalId, hospital, message);
+        }
+        return messages.length;
+    }
+
+    /**
+     * Handle one inbound message: run a conversation turn and send the reply.
+     *
+     * @param {string} hospitalId - Hospital ID
+     * @param {Object} hospital - Hospital config
+     * @param {Object} message - { id, from, text } from WhatsAppCloudProvider.parseWebhook
+     * @returns {Promise<Object>} { reply (null = not answered), completedBy? }
+     */
+    static async handleInbound(hospitalId, hospital, message) {
+        const config = this.getWhatsAppConfig(hospital);
+        if (!config.enabled) {
+            logger.warn(`WhatsApp: Message received for hospital ${hospitalId} without whatsapp_config`);
+            return { reply: null };
+        }
+
+        if (message.id) {
+            const first = await redisClient.set(`whatsapp-inbound:${hospitalId}:${message.id}`, '1', 'NX', 'EX', INBOUND_DEDUP_TTL_SECONDS);
+            if (first !== 'OK') {
+                logger.info(`WhatsApp: Duplicate inbound message ${message.id} ignored`);
+                return { reply: null };
+            }
+        }
+
+        const key = this.sessionKey(hospitalId, message.from);
+        const previous = conversationQueues.get(key) || Promise.resolve();
+        const current = previous.then(() => this.processLocked(hospitalId, hospital, config, key, message));
+
+        const settled = current.catch(() => {});
+        conversationQueues.set(key, settled);
+        settled.then(() => {
+            if (conversationQueues.get(key) === settled) conversationQueues.delete(key);
+        });
+
+        return current;
+    }
+
+    /**
+     * Run one turn under the session's turn lock (other workers may hold it).
+     * A turn never runs without the lock: if the wait times out the message
+     * is not processed and the patient is asked to send it again.
+     */
+    static async processLocked(hospitalId, hospital, config, key, message) {
+        const token = await this.acquireTurnLock(key);
+        if (!token) {
+            // Lock TTL is shorter than the wait: only reached under sustained contention
+            logger.warn(`WhatsApp: Turn lock wait timed out at hospital ${hospitalId}, message not processed`);
+            await getWhatsAppProvider().sendText({ phoneNumberId: config.phoneNumberId, to: message.from, text: BUSY_REPLY });
+            return { reply: null, completedBy: 'lock_timeout' };
+        }
+
+        try {
+            return await this.processMessage(hospitalId, hospital, config, key, message);
+        } finally {
+            await this.releaseTurnLock(key, token);
+        }
+    }
+
+    /**
+     * Run one turn for a sender (serialized per conversation by handleInbound).
+     */
+    static async processMessage(hospitalId, hospital, config, key, message) {
+        const session = await this.loadSession(key);
+        const conversationId = `wa-${key.split(':').pop().substring(0, 16)}`;
+
+        // The sender's own number is the natural contact for bookings
+        const phone = normalizePhone(message.from);
+        if (!session.contact?.phone) {
+            session.contact = { ...session.contact, phone };
+        }
+
+        let result;
+        try {
+            result = await this.runTurn({ conversationId, hospitalId, hospital, session, text: message.text });
+        } catch (err) {
+            logger.error(`WhatsApp: Conversation turn failed for ${conversationId}`, err);
+            result = { status: 500, body: { reply: ERROR_REPLY }, completedBy: 'error' };
+        }
+
+        await this.saveSession(key, session);
+
+        if (session.escalationId) {
+            const recipient = JSON.stringify({ to: message.from, phoneNumberId: config.phoneNumberId });
+            await redisClient.set(this.escalationKey(hospitalId, session.escalationId), encrypt(recipient), 'EX', SESSION_TTL_SECONDS);
+        }
+
+        // Staff are chatting: nothing to send for the patient's own message
+        if (result.body?.takeover && !result.body.reply) {
+            return { reply: null, completedBy: result.completedBy };
+        }
+
+        const reply = this.formatReply(result.body);
+        const sent = await getWhatsAppProvider().sendText({
+            phoneNumberId: config.phoneNumberId,
+            to: message.from,
+            text: reply
+        });
+
+        auditLogger.info({
+            action: 'WHATSAPP_MESSAGE_RECEIVED',
+            hospital_id: hospitalId,
+            conversationId,
+            actor: 'patient',
+            data: {
+                message_id: message.id,
+                completed_by: result.completedBy,
+                reply_sent: sent.success
+            }
+        });
+
+        return { reply, completedBy: result.completedBy, sent: sent.success };
+    }
+
+    /**
+     * Run the chat middleware and conversation pipeline for one message.
+     *
+     * @returns {Promise<Object>} { status, body, completedBy }
+     */
+    static async runTurn({ conversationId, hospitalId, hospital, session, text }) {
+        const req = {
+            body: { message: text },
+            hospitalId,
+            hospital,
+            hospitalSession: session,
+            session,
+            sessionID: conversationId,
+            headers: { 'x-hospital-id': hospitalId }
+        };
+        const res = {
+            statusCode: 200,
+            locals: { hospitalId, hospital, hospitalSession: session },
+            status(code) {
+                this.statusCode = code;
+                return this;
+            }
+        };
+
+        for (const [index, middleware] of CHAT_MIDDLEWARE.entries()) {
+            const answered = await runMiddleware(middleware, req, res);
+            if (answered) {
+                return { ...answered, completedBy: middleware.name || `middleware${index}` };
+            }
+        }
+
+        const ctx = createContext({
+            conversationId,
+            hospitalId,
+            hospital,
+            session,
+            message: req.body.message,
+            rawMessage: res.locals.rawMessage || req.body.message,
+            channel: 'whatsapp'
+        });
+
+        const { status, body } = await conversationOrchestrator.run(ctx);
+        return { status, body, completedBy: ctx.completedBy };
+    }
+
+    /**
+     * Turn a chat response body into WhatsApp text.
+     * Web buttons become text prompts; **bold** becomes WhatsApp *bold*.
+     *
+     * @param {Object} body - Chat response body
+     * @returns {string} Message text
+     */
+    static formatReply(body = {}) {
+        let text = body.reply || body.error || ERROR_REPLY;
+
+        for (const [flag, hint] of Object.entries(PROMPT_HINTS)) {
+            if (body[flag]) text += `\n\n${hint}`;
+        }
+
+        text = text.replace(/\*\*(.+?)\*\*/g, '*$1*');
+
+        return text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH - 1) + '…' : text;
+    }
+}
+
+LiveTakeoverService.onPatientMessage((hospitalId, escalation, message) =>
+    WhatsAppService.deliverTakeoverMessage(hospitalId, escalation, message));
+
+module.exports = WhatsAppService;
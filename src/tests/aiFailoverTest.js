@@ -0,0 +1,430 @@
+/**
+ * AI Provider Failover - Test Suite
+ *
+ * Tests:
+ * A. Circuit breaker - open after consecutive failures, cooldown, half-open trial
+ * B. Provider chain - failover order, latency budgets, skipped providers, per-hospital chains, fallback reply
+ * C. Health - chain status (UP / DEGRADED / DOWN), public aggregate /health/ai-provider
+ *    without provider calls, per-hospital details for admins only
+ */
+
+const http = require('http');
+const express = require('express');
+
+// Required by encryption util (loaded via the admin router)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     AI Provider Failover - Test Suite                     ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// FAKE LOCAL MODEL SERVER (fails every request)
+// ============================================================
+
+let serverRequests = 0;
+
+const fakeServer = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+        serverRequests++;
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: 'model not loaded' }));
+    });
+});
+
+const AIProvider = require('../providers/AIProvider');
+const CircuitBreaker = require('../providers/CircuitBreaker');
+const ProviderChain = require('../providers/ProviderChain');
+const FallbackProvider = require('../providers/FallbackProvider');
+const { STATES } = CircuitBreaker;
+
+/**
+ * Provider double: answers with `behaviour` ('ok' | 'error' | 'throw' | 'slow').
+ */
+class FakeProvider extends AIProvider {
+    constructor(name, behaviour = 'ok', { configured = true, delayMs = 200 } = {}) {
+        super();
+        this.name = name;
+        this.behaviour = behaviour;
+        this.configured = configured;
+        this.delayMs = delayMs;
+        this.calls = 0;
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    isConfigured() {
+        return this.configured;
+    }
+
+    async generateResponse() {
+        this.calls++;
+        if (this.behaviour === 'throw') throw new Error(`${this.name} exploded`);
+        if (this.behaviour === 'error') return { content: 'Provider error', status: 'error', error: `${this.name} HTTP 503` };
+        if (this.behaviour === 'slow') {
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        return { content: `Reply from ${this.name}`, status: 'success' };
+    }
+}
+
+/**
+ * Chain over fake providers (unknown names throw, like the factory).
+ */
+function buildChain(defaultChain, providers, breaker = {}) {
+    return new ProviderChain({
+        defaultChain,
+        getProvider: name => {
+            if (!providers[name]) throw new Error(`Invalid AI provider: "${name}"`);
+            return providers[name];
+        },
+        breaker
+    });
+}
+
+const PARAMS = { messages: [{ role: 'user', content: 'Hello' }], systemPrompt: 'You are a receptionist.', metadata: {} };
+
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ port, path: urlPath }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+async function runTests() {
+    // ============================================================
+    // TEST GROUP A: CIRCUIT BREAKER
+    // ============================================================
+
+    console.log("\n━━━ Test Group A: Circuit Breaker ━━━");
+
+    // A1: Opens after the threshold of consecutive failures; success resets the count
+    {
+        let clock = 1000;
+        const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 5000, now: () => clock });
+
+        breaker.recordFailure('HTTP 503', 120);
+        breaker.recordFailure('HTTP 503', 110);
+        breaker.recordSuccess(90);
+        const resetCount = breaker.getSnapshot().consecutive_failures;
+
+        const opened = [1, 2, 3].map(() => breaker.recordFailure('timeout', 100));
+        const snapshot = breaker.getSnapshot();
+
+        const passed = resetCount === 0 && opened.join() === 'false,false,true' &&
+            snapshot.state === STATES.OPEN && snapshot.last_error === 'timeout' &&
+            snapshot.retry_at === new Date(6000).toISOString() && !breaker.canRequest();
+        recordTest('A1', 'Breaker opens after consecutive failures', passed, JSON.stringify(snapshot));
+    }
+
+    // A2: After the cooldown one trial request is allowed; failure re-opens, success closes
+    {
+        let clock = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 5000, now: () => clock });
+        breaker.recordFailure('HTTP 500', 50);
+
+        clock = 4999;
+        const beforeCooldown = breaker.canRequest();
+        clock = 5000;
+        const trial = breaker.canRequest();
+        const secondTrial = breaker.canRequest();
+        const halfOpen = breaker.state;
+
+        const reopened = breaker.recordFailure('HTTP 500', 50);
+        const blockedAgain = !breaker.canRequest();
+
+        clock = 10000;
+        const nextTrial = breaker.canRequest();
+        breaker.recordSuccess(40);
+
+        const passed = !beforeCooldown && trial && !secondTrial && halfOpen === STATES.HALF_OPEN &&
+            reopened && blockedAgain && nextTrial &&
+            breaker.state === STATES.CLOSED && breaker.canRequest() && breaker.getSnapshot().retry_at === null;
+        recordTest('A2', 'Half-open trial after cooldown', passed,
+            JSON.stringify({ beforeCooldown, trial, secondTrial, halfOpen, reopened, nextTrial, state: breaker.state }));
+    }
+
+    // ============================================================
+    // TEST GROUP B: PROVIDER CHAIN
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Provider Chain ━━━");
+
+    // B1: Fails over in order; errors and thrown exceptions both count
+    {
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'error'),
+            openai: new FakeProvider('openai', 'throw'),
+            local: new FakeProvider('local', 'ok'),
+            fallback: new FallbackProvider()
+        };
+        const chain = buildChain(['openrouter', 'openai', 'local', 'fallback'], providers);
+        const result = await chain.generateResponse(PARAMS);
+
+        const passed = result.status === 'success' && result.provider === 'local' &&
+            result.content === 'Reply from local' &&
+            providers.openrouter.calls === 1 && providers.openai.calls === 1 &&
+            chain.getBreaker('openrouter').getSnapshot().last_error === 'openrouter HTTP 503' &&
+            chain.getBreaker('openai').getSnapshot().last_error === 'openai exploded' &&
+            chain.getBreaker('local').getSnapshot().consecutive_failures === 0 &&
+            chain.getName() === 'openrouter→openai→local→fallback';
+        recordTest('B1', 'Chain fails over in order', passed, JSON.stringify(result));
+    }
+
+    // B2: A provider over its latency budget is abandoned for the next one
+    {
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'slow', { delayMs: 300 }),
+            openai: new FakeProvider('openai', 'ok')
+        };
+        const chain = buildChain(['openrouter', 'openai'], providers);
+        const hospital = { ai_config: { latency_budgets_ms: { openrouter: 50 } } };
+
+        const start = Date.now();
+        const result = await chain.generateResponse({ ...PARAMS, metadata: { hospital } });
+        const elapsed = Date.now() - start;
+        const snapshot = chain.getBreaker('openrouter').getSnapshot();
+
+        const passed = result.provider === 'openai' && elapsed < 250 &&
+            /latency budget of 50ms exceeded/.test(snapshot.last_error) && snapshot.consecutive_failures === 1;
+        recordTest('B2', 'Latency budget moves on to the next provider', passed,
+            JSON.stringify({ elapsed, result, snapshot }));
+    }
+
+    // B3: Open circuits are skipped without a call; a trial goes through after the cooldown
+    {
+        let clock = 0;
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'error'),
+            openai: new FakeProvider('openai', 'ok')
+        };
+        const chain = buildChain(['openrouter', 'openai'], providers,
+            { failureThreshold: 2, cooldownMs: 30000, now: () => clock });
+
+        await chain.generateResponse(PARAMS);
+        await chain.generateResponse(PARAMS);
+        const callsWhenOpened = providers.openrouter.calls;
+        const state = chain.getBreaker('openrouter').getSnapshot().state;
+
+        const skipped = await chain.generateResponse(PARAMS);
+        const callsWhileOpen = providers.openrouter.calls;
+
+        clock = 30000;
+        providers.openrouter.behaviour = 'ok';
+        const recovered = await chain.generateResponse(PARAMS);
+
+        const passed = callsWhenOpened === 2 && state === STATES.OPEN &&
+            skipped.provider === 'openai' && callsWhileOpen === 2 &&
+            recovered.provider === 'openrouter' && providers.openrouter.calls === 3 &&
+            chain.getBreaker('openrouter').getSnapshot().state === STATES.CLOSED;
+        recordTest('B3', 'Open circuit skipped, recovers after cooldown', passed,
+            JSON.stringify({ callsWhenOpened, state, skipped: skipped.provider, recovered: recovered.provider }));
+    }
+
+    // B4: Unconfigured and unknown providers are skipped without counting as failures
+    {
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'ok', { configured: false }),
+            openai: new FakeProvider('openai', 'ok')
+        };
+        const chain = buildChain(['openrouter', 'openai'], providers);
+        const hospital = { ai_config: { providers: ['Mystery', 'OpenRouter', 'openai'] } };
+        const result = await chain.generateResponse({ ...PARAMS, metadata: { hospital } });
+
+        const passed = result.provider === 'openai' && providers.openrouter.calls === 0 &&
+            chain.getBreaker('openrouter').getSnapshot().consecutive_failures === 0 &&
+            chain.getChainConfig(hospital).providers.join() === 'mystery,openrouter,openai';
+        recordTest('B4', 'Unconfigured and unknown providers skipped', passed, JSON.stringify(result));
+    }
+
+    // B5: Per-hospital chain and budgets override the default
+    {
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'ok'),
+            local: new FakeProvider('local', 'ok'),
+            fallback: new FallbackProvider()
+        };
+        const chain = buildChain(['openrouter', 'fallback'], providers);
+        const hospital = { ai_config: { providers: ['local', 'fallback'], latency_budgets_ms: { local: 45000 } } };
+
+        const result = await chain.generateResponse({ ...PARAMS, metadata: { hospital } });
+        const defaultResult = await chain.generateResponse(PARAMS);
+        const { budgets } = chain.getChainConfig(hospital);
+
+        const passed = result.provider === 'local' && defaultResult.provider === 'openrouter' &&
+            providers.local.calls === 1 && providers.openrouter.calls === 1 &&
+            budgets.local === 45000 && budgets.default === ProviderChain.DEFAULT_LATENCY_BUDGETS_MS.default;
+        recordTest('B5', 'Per-hospital chain and latency budgets', passed,
+            JSON.stringify({ result: result.provider, defaultResult: defaultResult.provider, budgets }));
+    }
+
+    // B6: Everything down → hospital-specific canned reply in the patient's language, still an error
+    {
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'error'),
+            fallback: new FallbackProvider()
+        };
+        const chain = buildChain(['openrouter', 'fallback'], providers);
+        const hospital = {
+            name: 'Al Noor Hospital',
+            emergency_number: '997',
+            escalation_contact: { phone: '011-555-0100' }
+        };
+
+        const english = await chain.generateResponse({ ...PARAMS, metadata: { hospital, language: 'English' } });
+        const arabic = await chain.generateResponse({ ...PARAMS, metadata: { hospital, language: 'Arabic' } });
+        // No provider could be tried, or the chain has no fallback step: same hospital-specific message
+        const empty = await buildChain(['openrouter'], { openrouter: new FakeProvider('openrouter', 'ok', { configured: false }) })
+            .generateResponse({ ...PARAMS, metadata: { hospital, language: 'English' } });
+        const noFallback = await buildChain(['openrouter'], { openrouter: new FakeProvider('openrouter', 'error') })
+            .generateResponse({ ...PARAMS, metadata: { hospital, language: 'Arabic' } });
+
+        const passed = english.status === 'error' && english.provider === 'fallback' &&
+            english.content.includes('Al Noor Hospital on 011-555-0100') && english.content.includes('997') &&
+            arabic.status === 'error' && arabic.content.includes('011-555-0100') && /[؀-ۿ]/.test(arabic.content) &&
+            empty.status === 'error' && empty.provider === null && empty.content === english.content &&
+            noFallback.status === 'error' && noFallback.provider === 'openrouter' && noFallback.content === arabic.content;
+        recordTest('B6', 'Canned fallback reply when every provider fails', passed,
+            JSON.stringify({ english: english.content, arabic: arabic.content, empty, noFallback }));
+    }
+
+    // ============================================================
+    // TEST GROUP C: HEALTH
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Health ━━━");
+
+    // C1: Chain status follows the breakers: UP → DEGRADED → DOWN
+    {
+        const providers = {
+            openrouter: new FakeProvider('openrouter', 'error'),
+            openai: new FakeProvider('openai', 'error'),
+            fallback: new FallbackProvider()
+        };
+        const chain = buildChain(['openrouter', 'openai', 'fallback'], providers, { failureThreshold: 1 });
+
+        const up = chain.getHealth();
+        chain.getBreaker('openrouter').recordFailure('HTTP 503', 100);
+        const degraded = chain.getHealth();
+        chain.getBreaker('openai').recordFailure('HTTP 503', 100);
+        const down = chain.getHealth();
+
+        const passed = up.status === 'UP' && up.active_provider === 'openrouter' &&
+            degraded.status === 'DEGRADED' && degraded.active_provider === 'openai' &&
+            degraded.providers[0].circuit.state === STATES.OPEN && !degraded.providers[0].available &&
+            down.status === 'DOWN' && down.active_provider === 'fallback' &&
+            down.providers[2].circuit === null &&
+            providers.openrouter.calls === 0 && providers.openai.calls === 0;
+        recordTest('C1', 'Chain health UP / DEGRADED / DOWN', passed,
+            JSON.stringify({ up: up.status, degraded: degraded.status, down: down.status }));
+    }
+
+    // C2: Public /health/ai-provider reports only the aggregate status and never calls the provider
+    await new Promise(resolve => fakeServer.listen(0, '127.0.0.1', resolve));
+    process.env.AI_PROVIDER_CHAIN = 'local,fallback';
+    process.env.LOCAL_AI_BASE_URL = `http://127.0.0.1:${fakeServer.address().port}/v1`;
+    process.env.AI_BREAKER_FAILURES = '2';
+
+    const aiProvider = require('../providers/providerFactory');
+    const adminRouter = require('../routes/adminRouter');
+
+    let staffUser = null;
+    const app = express();
+    app.use('/health', require('../routes/health'));
+    app.use('/default/api/admin', (req, res, next) => {
+        req.hospitalId = 'default';
+        req.hospital = { id: 'default', name: 'Default Hospital' };
+        req.session = { receptionUser: staffUser };
+        next();
+    }, adminRouter);
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, () => resolve(s));
+    });
+    const port = server.address().port;
+
+    try {
+        const before = await get(port, '/health/ai-provider');
+        const combined = await get(port, '/health');
+        const requestsAfterChecks = serverRequests;
+
+        await aiProvider.generateResponse(PARAMS);
+        const last = await aiProvider.generateResponse(PARAMS);
+        const after = await get(port, '/health/ai-provider?hospital_id=default');
+
+        const passed = before.status === 200 && JSON.stringify(before.body) === '{"status":"UP"}' &&
+            JSON.stringify(combined.body.checks.ai) === '{"status":"UP"}' && requestsAfterChecks === 0 &&
+            last.provider === 'fallback' && serverRequests === 2 &&
+            after.status === 503 && JSON.stringify(after.body) === '{"status":"DOWN"}';
+        recordTest('C2', 'Public /health/ai-provider is aggregate only', passed,
+            JSON.stringify({ before: before.body, after: after.body, serverRequests }));
+
+        // C3: Per-hospital chain, breaker state and errors behind admin auth
+        const anonymous = await get(port, '/default/api/admin/ai-provider');
+        staffUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'default' };
+        const receptionist = await get(port, '/default/api/admin/ai-provider');
+        staffUser = { id: 2, username: 'admin1', role: 'admin', hospitalId: 'default' };
+        const admin = await get(port, '/default/api/admin/ai-provider');
+
+        const detailsPassed = anonymous.status === 401 && receptionist.status === 403 &&
+            admin.status === 200 && admin.body.status === 'DOWN' &&
+            admin.body.chain.join() === 'local,fallback' && admin.body.active_provider === 'fallback' &&
+            admin.body.providers[0].circuit.state === STATES.OPEN && admin.body.providers[0].circuit.last_error &&
+            serverRequests === 2;
+        recordTest('C3', 'Chain details for admins only', detailsPassed,
+            JSON.stringify({ anonymous: anonymous.status, receptionist: receptionist.status, admin: admin.body }));
+    } finally {
+        server.close();
+        fakeServer.close();
+    }
+}
+
+runTests().then(() => {
+    // ============================================================
+    // SUMMARY
+    // ============================================================
+
+    console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+
+    console.log(`Total: ${results.length}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed === 0) {
+        console.log("\n🎉 ALL TESTS PASSED - AI Provider Failover Complete!\n");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️ Some tests failed. Review output above.\n");
+        process.exit(1);
+    }
+}).catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
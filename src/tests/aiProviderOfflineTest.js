@@ -0,0 +1,329 @@
+/**
+ * Offline AI Providers - Test Suite
+ *
+ * Tests:
+ * A. Selection - AI_PROVIDER=local|scripted, environment validation
+ * B. Local provider - OpenAI-compatible request/response, failures
+ * C. Scripted provider - turn replay, tool calls, expectations, full offline conversation
+ */
+
+const path = require('path');
+const http = require('http');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const FACTORY_PATH = path.join(ROOT, 'src/providers/providerFactory.js');
+const ENV_VALIDATOR_PATH = path.join(ROOT, 'src/utils/envValidator.js');
+const SCRIPT_PATH = path.join(ROOT, 'src/tests/fixtures/ai/bookingConversation.json');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Offline AI Providers - Test Suite                     ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+/**
+ * Run fn with temporary environment variables (restored afterwards).
+ */
+function withEnv(vars, fn) {
+    const saved = {};
+    for (const [key, value] of Object.entries(vars)) {
+        saved[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    try {
+        return fn();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+/**
+ * Load a module fresh (modules that read the environment at load time).
+ */
+function freshRequire(modulePath) {
+    delete require.cache[require.resolve(modulePath)];
+    return require(modulePath);
+}
+
+/**
+ * Run the environment validator; returns true if it would exit.
+ */
+function envFails(vars) {
+    return withEnv(vars, () => {
+        const exit = process.exit;
+        let exited = false;
+        process.exit = () => { exited = true; };
+        try {
+            freshRequire(ENV_VALIDATOR_PATH)();
+        } finally {
+            process.exit = exit;
+        }
+        return exited;
+    });
+}
+
+const LocalAIProvider = require('../providers/LocalAIProvider');
+const ScriptedProvider = require('../providers/ScriptedProvider');
+
+// ============================================================
+// FAKE OPENAI-COMPATIBLE SERVER (llama.cpp / Ollama style)
+// ============================================================
+
+const requests = [];
+let serverMode = 'ok';
+
+const fakeServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+        res.setHeader('Content-Type', 'application/json');
+
+        if (serverMode === 'error') {
+            res.statusCode = 500;
+            return res.end(JSON.stringify({ error: 'model not loaded' }));
+        }
+        if (serverMode === 'malformed') {
+            return res.end(JSON.stringify({ choices: [] }));
+        }
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Local model reply.' } }] }));
+    });
+});
+
+const BASE_ENV = {
+    SESSION_SECRET: 'test-secret-must-be-very-long-to-pass-validation-32',
+    ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef',
+    ADMIN_SECRET: 'admin-secret-1234',
+    OPENROUTER_API_KEY: undefined,
+    NODE_ENV: 'test'
+};
+
+async function runTests() {
+    // ============================================================
+    // TEST GROUP A: SELECTION
+    // ============================================================
+
+    console.log("\n━━━ Test Group A: Selection ━━━");
+
+    // A1: Factory creates the local and scripted providers
+    {
+        const local = withEnv({ AI_PROVIDER: 'local' }, () => freshRequire(FACTORY_PATH));
+        const scripted = withEnv({ AI_PROVIDER: 'scripted', AI_SCRIPT_FILE: SCRIPT_PATH }, () => freshRequire(FACTORY_PATH));
+        let invalidScript = null;
+        try {
+            withEnv({ AI_PROVIDER: 'scripted', AI_SCRIPT_FILE: FACTORY_PATH }, () => freshRequire(FACTORY_PATH));
+        } catch (err) {
+            invalidScript = err.message;
+        }
+        const passed = local.getName() === 'local→fallback' && local.isConfigured() &&
+            scripted.getName() === 'scripted→fallback' && scripted.isConfigured() &&
+            /Cannot read .*providerFactory\.js/.test(invalidScript);
+        recordTest('A1', 'AI_PROVIDER=local|scripted selected', passed, invalidScript);
+    }
+
+    // A2: No OpenRouter key needed offline; scripted blocked in production
+    {
+        const local = envFails({ ...BASE_ENV, AI_PROVIDER: 'local' });
+        const scripted = envFails({ ...BASE_ENV, AI_PROVIDER: 'scripted', AI_SCRIPT_FILE: SCRIPT_PATH });
+        const scriptedNoFile = envFails({ ...BASE_ENV, AI_PROVIDER: 'scripted', AI_SCRIPT_FILE: undefined });
+        const scriptedProduction = envFails({
+            ...BASE_ENV, NODE_ENV: 'production', DATABASE_URL: 'postgres://db/test',
+            AI_PROVIDER: 'scripted', AI_SCRIPT_FILE: SCRIPT_PATH
+        });
+        const openrouter = envFails({ ...BASE_ENV, AI_PROVIDER: undefined });
+        const passed = !local && !scripted && scriptedNoFile && scriptedProduction && openrouter;
+        recordTest('A2', 'Environment validation per provider', passed,
+            JSON.stringify({ local, scripted, scriptedNoFile, scriptedProduction, openrouter }));
+    }
+
+    // ============================================================
+    // TEST GROUP B: LOCAL PROVIDER
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Local Provider ━━━");
+
+    await new Promise(resolve => fakeServer.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${fakeServer.address().port}/v1/`;
+    const local = withEnv({ LOCAL_AI_BASE_URL: baseUrl, LOCAL_AI_MODEL: 'qwen2.5', LOCAL_AI_API_KEY: 'local-key' },
+        () => new LocalAIProvider());
+    const params = {
+        systemPrompt: 'You are a receptionist.',
+        messages: [{ role: 'user', content: 'Hello [PATIENT_NAME]' }],
+        metadata: { maxTokens: 99 }
+    };
+
+    // B1: OpenAI-compatible request and reply
+    {
+        const result = await local.generateResponse(params);
+        const request = requests[0];
+        const passed = result.status === 'success' && result.content === 'Local model reply.' &&
+            request.method === 'POST' && request.url === '/v1/chat/completions' &&
+            request.headers.authorization === 'Bearer local-key' &&
+            request.body.model === 'qwen2.5' && request.body.max_tokens === 99 && request.body.stream === false &&
+            request.body.messages[0].role === 'system' && request.body.messages[1].content === 'Hello [PATIENT_NAME]';
+        recordTest('B1', 'Chat completions request to the local server', passed, JSON.stringify({ result, request }));
+    }
+
+    // B2: Server errors and malformed replies → error status, no retries
+    {
+        requests.length = 0;
+        serverMode = 'error';
+        const serverError = await local.generateResponse(params);
+        serverMode = 'malformed';
+        const malformed = await local.generateResponse(params);
+        serverMode = 'ok';
+        const passed = serverError.status === 'error' && malformed.status === 'error' && requests.length === 2;
+        recordTest('B2', 'Server errors reported without retries', passed, JSON.stringify({ serverError, malformed }));
+    }
+
+    // B3: Unreachable server and invalid URL → error status
+    {
+        await new Promise(resolve => fakeServer.close(resolve));
+        const unreachable = await local.generateResponse(params);
+        const invalid = withEnv({ LOCAL_AI_BASE_URL: 'not a url' }, () => new LocalAIProvider());
+        const invalidResult = await invalid.generateResponse(params);
+        const passed = unreachable.status === 'error' && !invalid.isConfigured() && invalidResult.status === 'error';
+        recordTest('B3', 'Unreachable or misconfigured server', passed, JSON.stringify({ unreachable, invalidResult }));
+    }
+
+    // ============================================================
+    // TEST GROUP C: SCRIPTED PROVIDER
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Scripted Provider ━━━");
+
+    // C1: Replies keyed by turn; tool calls before the reply; expectations and missing turns fail
+    {
+        const provider = new ScriptedProvider({
+            script: {
+                name: 'unit',
+                turns: {
+                    '1': { reply: 'first' },
+                    '2': { expect: 'cardio', reply: 'second', tool_calls: [{ name: 'check_availability', arguments: { department: 'Cardiology' } }] }
+                }
+            }
+        });
+        const ask = (turn, content, extra = []) => provider.generateResponse({
+            systemPrompt: 'prompt', messages: [{ role: 'user', content }, ...extra], metadata: { turn }
+        });
+        const first = await ask(1, 'hello');
+        const toolTurn = await ask(2, 'Cardiology please');
+        const second = await ask(2, 'Cardiology please', [
+            { role: 'assistant', content: null, tool_calls: [] },
+            { role: 'tool', tool_call_id: 'call_2_1', content: '{"success":true}' }
+        ]);
+        const drift = await ask(2, 'dermatology');
+        const missing = await ask(3, 'anything');
+        let invalid = null;
+        try {
+            new ScriptedProvider({ script: { name: 'bad', turns: { 'one': { reply: 'x' } } } });
+        } catch (err) {
+            invalid = err.message;
+        }
+        const passed = first.content === 'first' && second.content === 'second' &&
+            toolTurn.toolCalls?.[0]?.id === 'call_2_1' && toolTurn.toolCalls[0].name === 'check_availability' &&
+            toolTurn.toolCalls[0].arguments.department === 'Cardiology' &&
+            drift.status === 'error' && missing.status === 'error' && provider.calls.length === 5 &&
+            /turns\.one/.test(invalid);
+        recordTest('C1', 'Turn replay, tool calls, expectations, validation', passed, JSON.stringify({ first, toolTurn, second, drift, missing, invalid }));
+    }
+
+    // C2: Full conversation offline through the chat pipeline
+    {
+        const { BookingService } = require('../services/bookingService');
+        const BookingNotificationService = require('../services/bookingNotificationService');
+        const aiService = require('../services/aiService');
+        const { createContext, ConversationOrchestrator } = require('../services/conversationOrchestrator');
+
+        const initiated = [];
+        BookingService.getAvailableSlots = async (department, hospitalId, date) => [
+            { doctor_id: 7, doctor_name: 'Dr. Ahmed', department, date, time: '10:00', datetime: `${date}T10:00:00` }
+        ];
+        BookingService.lockSlot = async () => true;
+        BookingService.unlockSlot = async () => true;
+        BookingService.initiateBooking = async (data) => {
+            initiated.push(data);
+            return { success: true, booking: { id: 'BK-SCRIPT', hospitalId: data.hospitalId, patientPhone: data.patientPhone } };
+        };
+        BookingService.requestOtpForBooking = async () => ({ success: true, otp: '123456' });
+        BookingNotificationService.queueOtpSms = async () => true;
+
+        const provider = new ScriptedProvider({ scriptFile: SCRIPT_PATH });
+        aiService.provider = provider;
+
+        const orchestrator = new ConversationOrchestrator();
+        const hospital = { id: 'test_hospital', name: 'Test Hospital', departments: ['Cardiology'], emergency_number: '997' };
+        const session = { history: [] };
+        const send = (message, rawMessage = message) => orchestrator.run(createContext({
+            conversationId: 'sess-scripted', hospitalId: 'test_hospital', hospital, session, message, rawMessage
+        }));
+
+        const r1 = await send('I need a heart doctor');
+        const emergency = await send('I have chest pain');
+        const r2 = await send('yes, 10:00 works');
+        const r3 = await send('my name is [PATIENT_NAME], phone [PHONE_NUMBER]', 'my name is Sara Ali, phone 0551234567');
+
+        const passed = r1.body.reply.includes('Dr. Ahmed') && emergency.body.reply.includes('997') &&
+            r2.body.reply.includes('name and mobile') && r3.body.bookingId === 'BK-SCRIPT' &&
+            initiated[0]?.patientPhone === '0551234567' && initiated[0]?.patientName === 'Sara Ali' &&
+            provider.calls.map(c => c.turn).join() === '1,1,2,2,3,3' &&
+            provider.calls[0].tools.join() === 'check_availability,get_doctor_info,hold_slot,book_appointment' &&
+            /"time":"10:00","doctor":"Dr\. Ahmed"/.test(provider.calls[1].messages.find(m => m.role === 'tool')?.content) &&
+            !JSON.stringify(provider.calls).includes('0551234567');
+        recordTest('C2', 'Scripted booking conversation end to end', passed,
+            JSON.stringify({ r1: r1.body, r2: r2.body, r3: r3.body, turns: provider.calls.map(c => c.turn) }));
+    }
+}
+
+runTests().then(() => {
+    // ============================================================
+    // SUMMARY
+    // ============================================================
+
+    console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+
+    console.log(`Total: ${results.length}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed === 0) {
+        console.log("\n🎉 ALL TESTS PASSED - Offline AI Providers Complete!\n");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️ Some tests failed. Review output above.\n");
+        process.exit(1);
+    }
+}).catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,362 @@
+/**
+ * Streaming AI Replies - Test Suite
+ *
+ * Tests:
+ * A. Incremental safety filter - sentence hold-back, drug redaction, advice blocking
+ * B. Providers - OpenAI-style SSE streams, tool call fragments, failover resets
+ * C. Chat stream - AIService tokens, POST /:hospital_id/chat/stream events
+ */
+
+const http = require('http');
+const express = require('express');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Streaming AI Replies - Test Suite                     ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const mockDb = {
+    query: async () => [],
+    get: async (sql) => (sql.includes('FROM hospitals') ? { timezone: 'Asia/Riyadh' } : null),
+    execute: async () => ({ rows: [], rowCount: 1 })
+};
+
+productionDb.initializeDatabase = async () => mockDb;
+
+const SafetyFilter = require('../utils/safetyFilters');
+const { StreamingSafetyFilter } = SafetyFilter;
+const LocalAIProvider = require('../providers/LocalAIProvider');
+const OpenAIProvider = require('../providers/OpenAIProvider');
+const ProviderChain = require('../providers/ProviderChain');
+const aiService = require('../services/aiService');
+const { ConversationOrchestrator } = require('../services/conversationOrchestrator');
+const { buildSafeAIInput } = require('../utils/safeAIInput');
+
+// ============================================================
+// FAKE OPENAI-COMPATIBLE SERVER (streams server-sent events)
+// ============================================================
+
+const requests = [];
+let streamChunks = [];
+
+const fakeServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+        const parsed = JSON.parse(body || '{}');
+        requests.push({ url: req.url, auth: req.headers.authorization, body: parsed });
+
+        if (!parsed.stream) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Plain answer.' } }] }));
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(': keep-alive\n\n');
+        for (const chunk of streamChunks) {
+            // Split mid-line to check that partial lines are buffered
+            const line = `data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`;
+            res.write(line.slice(0, 7));
+            await wait(5);
+            res.write(line.slice(7));
+        }
+        res.end('data: [DONE]\n\n');
+    });
+});
+
+const delta = (d) => ({ choices: [{ index: 0, delta: d }] });
+
+/**
+ * Fake provider that streams its reply token by token (or fails after some tokens).
+ */
+function fakeProvider(name, { tokens = [], failAfter = null, delayMs = 0 } = {}) {
+    return {
+        getName: () => name,
+        isConfigured: () => true,
+        generateResponse: async ({ onToken }) => {
+            for (let i = 0; i < tokens.length; i++) {
+                if (failAfter !== null && i === failAfter) {
+                    return { content: 'provider error', status: 'error' };
+                }
+                if (delayMs) await wait(delayMs);
+                onToken?.(tokens[i]);
+            }
+            return { content: tokens.join(''), status: 'success' };
+        }
+    };
+}
+
+/**
+ * POST to the stream endpoint and parse the server-sent events.
+ */
+function postStream(port, message) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            path: '/test_hospital/chat/stream',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, (res) => {
+            let raw = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { raw += chunk; });
+            res.on('end', () => {
+                const events = raw.split('\n\n').filter(Boolean).map(block => ({
+                    type: block.match(/^event: (.+)$/m)?.[1],
+                    data: JSON.parse(block.match(/^data: (.*)$/m)?.[1] || 'null')
+                }));
+                resolve({ status: res.statusCode, contentType: res.headers['content-type'], events });
+            });
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify({ message }));
+    });
+}
+
+async function runTests() {
+    // ============================================================
+    // TEST GROUP A: INCREMENTAL SAFETY FILTER
+    // ============================================================
+
+    console.log("\n━━━ Test Group A: Incremental Safety Filter ━━━");
+
+    // A1: Text released per complete sentence, drug names redacted
+    {
+        const filter = new StreamingSafetyFilter();
+        const out = ['Hello', ' there.', ' Ask Dr. Omar about Pan', 'adol', ' at the desk. Then'].map(t => filter.push(t));
+        const rest = filter.flush();
+        const arabic = new StreamingSafetyFilter();
+        const ar = [arabic.push('مرحبا؟'), arabic.push(' كيف')];
+        const passed = out[0] === '' && out[1] === '' && out[2] === 'Hello there.' && out[3] === '' &&
+            out[4] === ' Ask Dr. Omar about [MEDICAL_ADVICE_REDACTED] at the desk.' && rest === ' Then' &&
+            ar[0] === '' && ar[1] === 'مرحبا؟';
+        recordTest('A1', 'Sentences held back until complete, drugs redacted', passed, JSON.stringify({ out, rest, ar }));
+    }
+
+    // A2: Advice stops the stream; reset starts over
+    {
+        const filter = new StreamingSafetyFilter();
+        const first = filter.push('Sorry to hear that. You should take two tablets daily. ');
+        const after = filter.push('More text. ');
+        const flushed = filter.flush();
+        const blocked = filter.blocked;
+        filter.reset();
+        const again = filter.push('Fine now. ');
+        const passed = first === '' && after === '' && flushed === '' && blocked === true && again === 'Fine now.' &&
+            SafetyFilter.hasAdvice('you should take 2 pills') && !SafetyFilter.hasAdvice('Please call us.');
+        recordTest('A2', 'Advice blocks further tokens', passed, JSON.stringify({ first, after, flushed, again }));
+    }
+
+    // ============================================================
+    // TEST GROUP B: PROVIDERS
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Providers ━━━");
+
+    await new Promise(resolve => fakeServer.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${fakeServer.address().port}/v1`;
+
+    // B1: Local provider streams text deltas and joins tool call fragments
+    {
+        process.env.LOCAL_AI_BASE_URL = baseUrl;
+        streamChunks = [
+            delta({ role: 'assistant', content: '' }),
+            delta({ content: 'Let me ' }),
+            delta({ content: 'check.' }),
+            delta({ tool_calls: [{ index: 0, id: 'call_x', type: 'function', function: { name: 'check_availability', arguments: '{"depart' } }] }),
+            delta({ tool_calls: [{ index: 0, function: { arguments: 'ment":"Cardiology"}' } }] })
+        ];
+        const tokens = [];
+        const result = await new LocalAIProvider().generateResponse({
+            messages: [{ role: 'user', content: 'heart doctor' }],
+            systemPrompt: 'prompt',
+            onToken: t => tokens.push(t)
+        });
+        const passed = result.status === 'success' && result.content === 'Let me check.' &&
+            tokens.join('|') === 'Let me |check.' &&
+            result.toolCalls.length === 1 && result.toolCalls[0].id === 'call_x' &&
+            result.toolCalls[0].arguments.department === 'Cardiology' &&
+            requests[0].body.stream === true && requests[0].url === '/v1/chat/completions';
+        recordTest('B1', 'SSE stream parsed (text and tool call fragments)', passed, JSON.stringify({ result, tokens }));
+    }
+
+    // B2: OpenAI provider makes real calls (stream and non-stream); stream errors fail the attempt
+    {
+        requests.length = 0;
+        process.env.OPENAI_API_KEY = 'sk-test';
+        process.env.OPENAI_BASE_URL = `${baseUrl}/`;
+        const provider = new OpenAIProvider();
+        streamChunks = [delta({ content: 'Hi' }), delta({ content: ' there.' })];
+        const tokens = [];
+        const streamed = await provider.generateResponse({ messages: [], systemPrompt: 'prompt', onToken: t => tokens.push(t) });
+        const plain = await provider.generateResponse({ messages: [], systemPrompt: 'prompt' });
+        streamChunks = [delta({ content: 'Hi' }), { error: { message: 'overloaded' } }];
+        const broken = await provider.generateResponse({ messages: [], systemPrompt: 'prompt', onToken: () => {} });
+        delete process.env.OPENAI_API_KEY;
+        delete process.env.OPENAI_BASE_URL;
+        const passed = streamed.status === 'success' && streamed.content === 'Hi there.' && tokens.length === 2 &&
+            plain.status === 'success' && plain.content === 'Plain answer.' &&
+            broken.status === 'error' &&
+            requests[0].auth === 'Bearer sk-test' && requests[0].url === '/v1/chat/completions' &&
+            requests[0].body.stream === true && requests[1].body.stream === undefined;
+        recordTest('B2', 'OpenAI provider streams from OPENAI_BASE_URL', passed, JSON.stringify({ streamed, plain, broken }));
+    }
+
+    fakeServer.close();
+
+    // B3: Failover after streamed tokens resets the client; late tokens of an abandoned attempt dropped
+    {
+        const providers = {
+            first: fakeProvider('first', { tokens: ['Dr. ', 'Ahmed ', 'is'], failAfter: 2 }),
+            slow: fakeProvider('slow', { tokens: ['late ', 'tokens'], delayMs: 60 }),
+            third: fakeProvider('third', { tokens: ['Please ', 'call us.'] })
+        };
+        const chain = new ProviderChain({ defaultChain: ['first', 'slow', 'third'], getProvider: name => providers[name] });
+        const events = [];
+        const result = await chain.generateResponse({
+            messages: [],
+            systemPrompt: 'prompt',
+            metadata: { hospital: { ai_config: { latency_budgets_ms: { slow: 90 } } } },
+            onToken: t => events.push(t),
+            onReset: () => events.push('<reset>')
+        });
+        await wait(150); // the slow provider finishes after its budget
+        const passed = result.status === 'success' && result.provider === 'third' &&
+            events.join('|') === 'Dr. |Ahmed |<reset>|late |<reset>|Please |call us.';
+        recordTest('B3', 'Chain resets the stream on failover', passed, JSON.stringify({ result, events }));
+    }
+
+    // ============================================================
+    // TEST GROUP C: CHAT STREAM
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Chat Stream ━━━");
+
+    const realProvider = aiService.provider;
+    const hospital = { id: 'test_hospital', name: 'Test Hospital', departments: ['Cardiology'] };
+
+    // C1: AIService streams filtered sentences; text before a tool call is discarded
+    {
+        let round = 0;
+        aiService.provider = {
+            getName: () => 'fake',
+            generateResponse: async ({ onToken }) => {
+                round++;
+                if (round === 1) {
+                    ['Let me ', 'check. '].forEach(onToken);
+                    return { content: 'Let me check.', status: 'success', toolCalls: [{ id: 't1', name: 'get_doctor_info', arguments: {} }] };
+                }
+                ['Dr. Ahmed is free at 10:00.', ' Avoid Panadol before', ' the visit.'].forEach(onToken);
+                return { content: 'Dr. Ahmed is free at 10:00. Avoid Panadol before the visit.', status: 'success' };
+            }
+        };
+        const events = [];
+        const tools = { definitions: [], execute: async () => ({ success: true, doctors: [] }) };
+        const result = await aiService.generateResponse(
+            buildSafeAIInput('heart doctor', { history: [] }, { hospital }),
+            tools,
+            { onToken: t => events.push(t), onReset: () => events.push('<reset>') }
+        );
+        const passed = result.status === 'success' && result.reply.includes('[MEDICAL_ADVICE_REDACTED]') &&
+            events.join('|') === 'Let me check.|<reset>|Dr. Ahmed is free at 10:00.| Avoid [MEDICAL_ADVICE_REDACTED] before the visit.';
+        recordTest('C1', 'AIService streams safe sentences, resets before tool calls', passed, JSON.stringify({ result, events }));
+    }
+
+    // C2: POST /chat/stream sends token events and a final done event with the /chat body
+    const app = express();
+    app.use(express.json());
+    const session = { history: [], preferredLanguage: 'English', consentGiven: true };
+    app.post('/:hospital_id/chat/stream', (req, res, next) => {
+        req.sessionID = 'sess-stream';
+        req.hospitalId = req.params.hospital_id;
+        req.hospital = hospital;
+        req.hospitalSession = session;
+        next();
+    }, new ConversationOrchestrator().streamHandler());
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const port = server.address().port;
+
+    try {
+        aiService.provider = fakeProvider('fake', { tokens: ['Our clinic ', 'opens at 8.', ' Anything else?'] });
+        const response = await postStream(port, 'When do you open?');
+        const tokens = response.events.filter(e => e.type === 'token').map(e => e.data.text);
+        const done = response.events.find(e => e.type === 'done');
+        const passed = response.status === 200 && response.contentType.startsWith('text/event-stream') &&
+            tokens.join('|') === 'Our clinic opens at 8.| Anything else?' &&
+            response.events[response.events.length - 1].type === 'done' &&
+            done.data.status === 200 && done.data.body.reply.startsWith('Our clinic opens at 8. Anything else?') &&
+            session.history.some(m => m.role === 'assistant' && m.content.startsWith('Our clinic'));
+        recordTest('C2', 'Stream endpoint emits tokens then the final reply', passed, JSON.stringify(response.events));
+    } finally {
+        server.close();
+    }
+
+    // C3: Stream route registered with the same middleware chain as /chat
+    {
+        const hospitalRouter = require('../routes/hospitalRouter');
+        const route = (path) => hospitalRouter.stack.find(l => l.route?.path === path && l.route.methods.post)?.route;
+        const chat = route('/chat');
+        const stream = route('/chat/stream');
+        const names = (r) => r?.stack.slice(0, -1).map(l => l.name).join();
+        const passed = Boolean(stream) && names(stream) === names(chat);
+        recordTest('C3', 'POST /:hospital_id/chat/stream uses the chat middleware', passed, JSON.stringify({ chat: names(chat), stream: names(stream) }));
+    }
+
+    aiService.provider = realProvider;
+}
+
+runTests().then(() => {
+    // ============================================================
+    // SUMMARY
+    // ============================================================
+
+    console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+
+    console.log(`Total: ${results.length}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed === 0) {
+        console.log("\n🎉 ALL TESTS PASSED - Streaming AI Replies Complete!\n");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️ Some tests failed. Review output above.\n");
+        process.exit(1);
+    }
+}).catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
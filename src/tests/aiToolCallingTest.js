@@ -0,0 +1,487 @@
+/**
+ * AI Booking Tool Calls - Test Suite
+ *
+ * Tests:
+ * A. Tool definitions - names, argument validation, hospital scoping
+ * B. Tool handlers - live availability, slot holds, booking with OTP, no PHI in results,
+ *    hold handed to the booking without a gap, kept when a booking cannot be started,
+ *    remembered holds re-checked in Redis, owner-checked slot lock handover
+ * C. Tool loop - AIService rounds, round limit, OpenAI-style tool_calls parsing
+ */
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const AI_SERVICE_PATH = path.join(ROOT, 'src/services/aiService.js');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     AI Booking Tool Calls - Test Suite                    ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const mockDb = {
+    query: async () => [],
+    get: async (sql) => (sql.includes('FROM hospitals') ? { timezone: 'Asia/Riyadh' } : null),
+    execute: async () => ({ rows: [], rowCount: 1 })
+};
+
+productionDb.initializeDatabase = async () => mockDb;
+
+const { BookingService } = require('../services/bookingService');
+const SlotService = require('../services/slotService');
+const BookingNotificationService = require('../services/bookingNotificationService');
+const BookingToolService = require('../services/bookingToolService');
+const aiService = require('../services/aiService');
+const LocalAIProvider = require('../providers/LocalAIProvider');
+const { buildSafeAIInput } = require('../utils/safeAIInput');
+const { todayInTimezone, addDays } = require('../utils/hospitalTime');
+
+// ============================================================
+// STUBBED BOOKING SERVICES
+// ============================================================
+
+const calls = [];
+let slots = [];
+let lockResult = true;
+let refreshResult = true;
+let initiateResult = null;
+
+BookingService.getAvailableSlots = async (department, hospitalId, date) => {
+    calls.push({ fn: 'getAvailableSlots', department, hospitalId, date });
+    return slots.map(s => ({ ...s, department, date, datetime: `${date}T${s.time}:00` }));
+};
+BookingService.lockSlot = async (doctorId, datetime, sessionId, hospitalId) => {
+    calls.push({ fn: 'lockSlot', doctorId, datetime, sessionId, hospitalId });
+    return lockResult;
+};
+BookingService.refreshSlotLock = async (doctorId, datetime, sessionId, hospitalId) => {
+    calls.push({ fn: 'refreshSlotLock', doctorId, datetime, sessionId, hospitalId });
+    return refreshResult;
+};
+BookingService.unlockSlot = async (doctorId, datetime, sessionId, hospitalId) => {
+    calls.push({ fn: 'unlockSlot', doctorId, datetime, sessionId, hospitalId });
+    return true;
+};
+BookingService.initiateBooking = async (data, sessionId, options) => {
+    calls.push({ fn: 'initiateBooking', data, sessionId, options });
+    if (initiateResult) return initiateResult;
+    return { success: true, booking: { id: 'BK-TOOL', hospitalId: data.hospitalId, patientPhone: data.patientPhone } };
+};
+BookingService.requestOtpForBooking = async () => ({ success: true, otp: '654321' });
+BookingService.cancelBooking = async (bookingId, sessionId, reason) => {
+    calls.push({ fn: 'cancelBooking', bookingId, reason });
+    return { success: true };
+};
+BookingNotificationService.queueOtpSms = async (booking, otp) => {
+    calls.push({ fn: 'queueOtpSms', to: booking.patientPhone, otp });
+    return true;
+};
+
+const hospital = {
+    id: 'tool_hospital',
+    name: 'Tool Hospital',
+    departments: ['Cardiology', 'Pediatrics'],
+    doctors: [
+        { name: 'Dr. Ahmed Saleh', specialty: 'Cardiologist', department: 'Cardiology' },
+        { name: 'Dr. Lina Haddad', specialty: 'Pediatrician', department: 'Pediatrics' }
+    ]
+};
+
+function makeContext(session = { history: [] }) {
+    return { conversationId: 'sess-tools', hospitalId: 'tool_hospital', hospital, session, triage: null };
+}
+
+const DAY_SLOTS = [
+    { doctor_id: 7, doctor_name: 'Dr. Ahmed Saleh', time: '09:00' },
+    { doctor_id: 7, doctor_name: 'Dr. Ahmed Saleh', time: '10:00' },
+    { doctor_id: 9, doctor_name: 'Dr. Omar Nasser', time: '10:00' }
+];
+
+// ============================================================
+// FAKE OPENAI-COMPATIBLE SERVER (returns a tool call)
+// ============================================================
+
+const requests = [];
+
+const fakeServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push(JSON.parse(body || '{}'));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            choices: [{
+                message: {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_a', type: 'function', function: { name: 'check_availability', arguments: '{"department":"Cardiology"}' } },
+                        { id: 'call_b', type: 'function', function: { name: 'get_doctor_info', arguments: '{not json' } }
+                    ]
+                }
+            }]
+        }));
+    });
+});
+
+async function runTests() {
+    const today = todayInTimezone('Asia/Riyadh');
+
+    // ============================================================
+    // TEST GROUP A: TOOL DEFINITIONS
+    // ============================================================
+
+    console.log("\n━━━ Test Group A: Tool Definitions ━━━");
+
+    // A1: Four function tools; bad calls come back as errors the model can act on
+    {
+        const names = BookingToolService.getDefinitions().map(t => t.type === 'function' && t.function.name);
+        const ctx = makeContext();
+        const unknown = await BookingToolService.execute(ctx, 'delete_appointment', {});
+        const badTime = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '10am' });
+        const missing = await BookingToolService.execute(ctx, 'check_availability', null);
+
+        const passed = names.join() === 'check_availability,get_doctor_info,hold_slot,book_appointment' &&
+            unknown.success === false && /Unknown tool/.test(unknown.error) &&
+            badTime.success === false && /time must be HH:MM/.test(badTime.error) &&
+            missing.success === false && /department/.test(missing.error) &&
+            !calls.some(c => c.fn === 'lockSlot');
+        recordTest('A1', 'Definitions and argument validation', passed, JSON.stringify({ names, unknown, badTime, missing }));
+    }
+
+    // A2: Only this hospital's departments, only within the booking horizon
+    {
+        const ctx = makeContext();
+        const otherDepartment = await BookingToolService.execute(ctx, 'check_availability', { department: 'Dermatology' });
+        const past = await BookingToolService.execute(ctx, 'check_availability', { department: 'Cardiology', date: addDays(today, -1) });
+        const farAhead = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', date: addDays(today, 31), time: '10:00' });
+
+        const passed = otherDepartment.success === false && otherDepartment.departments.join() === 'Cardiology,Pediatrics' &&
+            past.success === false && past.error.includes(`Today is ${today}`) &&
+            farAhead.success === false && /30 days ahead/.test(farAhead.error) &&
+            !calls.some(c => c.fn === 'getAvailableSlots');
+        recordTest('A2', 'Hospital departments and date horizon enforced', passed, JSON.stringify({ otherDepartment, past, farAhead }));
+    }
+
+    // ============================================================
+    // TEST GROUP B: TOOL HANDLERS
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Tool Handlers ━━━");
+
+    // B1: Availability is fetched live on every call, scoped to the hospital
+    {
+        const ctx = makeContext();
+        slots = DAY_SLOTS;
+        const first = await BookingToolService.execute(ctx, 'check_availability', { department: 'cardiology' });
+        slots = Array.from({ length: 15 }, (_, i) => ({ doctor_id: 7, doctor_name: 'Dr. Ahmed Saleh', time: `${String(8 + Math.floor(i / 2)).padStart(2, '0')}:${i % 2 ? '30' : '00'}` }));
+        const second = await BookingToolService.execute(ctx, 'check_availability', { department: 'Cardiology', date: addDays(today, 2) });
+        const fetches = calls.filter(c => c.fn === 'getAvailableSlots');
+
+        const passed = first.success && first.department === 'Cardiology' && first.date === today &&
+            first.slots.length === 3 && first.slots[1].time === '10:00' && first.slots[1].doctor === 'Dr. Ahmed Saleh' &&
+            second.slots.length === 12 && second.more_slots === 3 && second.date === addDays(today, 2) &&
+            fetches.length === 2 && fetches.every(f => f.hospitalId === 'tool_hospital');
+        recordTest('B1', 'check_availability returns live slots', passed, JSON.stringify({ first, second: second.more_slots, fetches }));
+    }
+
+    // B2: hold_slot locks for the conversation, releases an earlier hold, reports unavailable times
+    {
+        calls.length = 0;
+        slots = DAY_SLOTS;
+        const session = { history: [] };
+        const ctx = makeContext(session);
+
+        const held = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '10:00', doctor: 'Omar' });
+        const again = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '10:00' });
+        const moved = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '09:00' });
+        const unavailable = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '11:00' });
+        lockResult = false;
+        const taken = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '10:00', doctor: 'Dr. Ahmed' });
+        lockResult = true;
+
+        const locks = calls.filter(c => c.fn === 'lockSlot');
+        const unlocks = calls.filter(c => c.fn === 'unlockSlot');
+        const refreshes = calls.filter(c => c.fn === 'refreshSlotLock');
+        const passed = held.success && held.held.doctor === 'Dr. Omar Nasser' && again.success &&
+            refreshes.length === 1 && refreshes[0].doctorId === 9 && refreshes[0].sessionId === 'sess-tools' &&
+            moved.success && moved.held.time === '09:00' &&
+            locks.length === 3 && locks[0].doctorId === 9 && locks[0].datetime === `${today}T10:00:00` &&
+            locks[0].sessionId === 'sess-tools' && locks[0].hospitalId === 'tool_hospital' &&
+            unlocks.length === 1 && unlocks[0].doctorId === 9 &&
+            !unavailable.success && unavailable.alternatives.length === 3 &&
+            !taken.success && /just taken/.test(taken.error) &&
+            session.heldSlot.doctorId === 7 && session.heldSlot.time === '09:00';
+        recordTest('B2', 'hold_slot locks and replaces holds', passed, JSON.stringify({ held, moved, unavailable, taken, locks, unlocks }));
+    }
+
+    // B3: book_appointment needs a hold and a captured phone; starts the OTP flow without PHI in the result
+    {
+        calls.length = 0;
+        slots = DAY_SLOTS;
+        const session = { history: [], preferredLanguage: 'English', pendingBooking: { bookingId: 'BK-OLD' } };
+        const ctx = makeContext(session);
+
+        const noHold = await BookingToolService.execute(ctx, 'book_appointment', {});
+        await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '10:00', doctor: 'Ahmed' });
+        const noPhone = await BookingToolService.execute(ctx, 'book_appointment', {});
+        session.contact = { name: 'Sara Ali', phone: '0551234567' };
+        const booked = await BookingToolService.execute(ctx, 'book_appointment', {});
+
+        const init = calls.find(c => c.fn === 'initiateBooking');
+        const order = calls.map(c => c.fn).filter(fn => fn !== 'getAvailableSlots').join();
+        const passed = !noHold.success && /hold_slot/.test(noHold.error) &&
+            !noPhone.success && /mobile number/.test(noPhone.error) &&
+            booked.success && booked.status === 'awaiting_verification' && booked.appointment.time === '10:00' &&
+            order === 'lockSlot,cancelBooking,initiateBooking,queueOtpSms' && init.options.heldBy === 'sess-tools' &&
+            init.data.patientPhone === '0551234567' && init.data.patientName === 'Sara Ali' &&
+            init.data.doctorId === 7 && init.data.hospitalId === 'tool_hospital' && init.sessionId === 'sess-tools' &&
+            session.pendingBooking.bookingId === 'BK-TOOL' && session.heldSlot === null &&
+            ctx.booking.phoneLast4 === '4567' &&
+            !/0551234567|Sara|654321/.test(JSON.stringify([noHold, noPhone, booked]));
+        recordTest('B3', 'book_appointment starts the OTP flow, result has no PHI', passed, JSON.stringify({ booked, order }));
+    }
+
+    // B4: Doctor lookup from the hospital config
+    {
+        const ctx = makeContext();
+        const byName = await BookingToolService.execute(ctx, 'get_doctor_info', { name: 'dr. lina' });
+        const byDepartment = await BookingToolService.execute(ctx, 'get_doctor_info', { department: 'cardiology' });
+        const none = await BookingToolService.execute(ctx, 'get_doctor_info', { name: 'House' });
+
+        const passed = byName.doctors.length === 1 && byName.doctors[0].department === 'Pediatrics' &&
+            byDepartment.doctors.map(d => d.name).join() === 'Dr. Ahmed Saleh' &&
+            none.success && none.doctors.length === 0;
+        recordTest('B4', 'get_doctor_info filters by name and department', passed, JSON.stringify({ byName, byDepartment }));
+    }
+
+    // B5: A booking that cannot be started keeps the patient's hold
+    {
+        slots = DAY_SLOTS;
+        const session = { history: [], preferredLanguage: 'English', contact: { phone: '0551234567' } };
+        const ctx = makeContext(session);
+        await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '09:00' });
+
+        calls.length = 0;
+        initiateResult = { success: false, error: 'Daily booking limit reached.' };
+        const failed = await BookingToolService.execute(ctx, 'book_appointment', {});
+        const kept = session.heldSlot && session.heldSlot.time === '09:00';
+        refreshResult = false;
+        lockResult = false;
+        const lost = await BookingToolService.execute(ctx, 'book_appointment', {});
+        refreshResult = true;
+        lockResult = true;
+        initiateResult = null;
+
+        const order = calls.map(c => c.fn).join();
+        const passed = !failed.success && failed.error === 'Daily booking limit reached.' && failed.slot_held === true && kept &&
+            !lost.success && lost.slot_held === false && session.heldSlot === null &&
+            order === 'initiateBooking,refreshSlotLock,initiateBooking,refreshSlotLock,lockSlot' &&
+            calls.filter(c => c.fn !== 'initiateBooking').every(c => c.doctorId === 7 && c.sessionId === 'sess-tools');
+        recordTest('B5', 'Failed booking keeps the hold', passed, JSON.stringify({ failed, lost, order }));
+    }
+
+    // B6: A remembered hold whose lock expired is locked again (or reported taken)
+    {
+        slots = DAY_SLOTS;
+        const session = { history: [] };
+        const ctx = makeContext(session);
+        await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '09:00' });
+
+        calls.length = 0;
+        refreshResult = false;
+        const relocked = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '09:00' });
+        const relockOrder = calls.map(c => c.fn).join();
+        lockResult = false;
+        const taken = await BookingToolService.execute(ctx, 'hold_slot', { department: 'Cardiology', time: '09:00' });
+        refreshResult = true;
+        lockResult = true;
+
+        const passed = relocked.success && relocked.held.time === '09:00' &&
+            relockOrder === 'refreshSlotLock,getAvailableSlots,lockSlot' &&
+            !taken.success && /just taken/.test(taken.error) && session.heldSlot === null &&
+            !calls.some(c => c.fn === 'unlockSlot');
+        recordTest('B6', 'Expired hold re-checked and locked again', passed, JSON.stringify({ relocked, taken, relockOrder }));
+    }
+
+    // B7: Slot lock handover is owner-checked and never frees the slot
+    {
+        const datetime = `${today}T14:00:00`;
+        await SlotService.lockSlot('tool_hospital', 7, datetime, 'sess-a');
+        const stolen = await SlotService.transferLock('tool_hospital', 7, datetime, 'sess-b', 'sess-b');
+        const ownerAfterSteal = await SlotService.isSlotLocked('tool_hospital', 7, datetime);
+        const handed = await SlotService.transferLock('tool_hospital', 7, datetime, 'sess-a', 'draft-a');
+        const ownerAfterHandover = await SlotService.isSlotLocked('tool_hospital', 7, datetime);
+        const grabbed = await SlotService.lockSlot('tool_hospital', 7, datetime, 'sess-b');
+        await SlotService.unlockSlot('tool_hospital', 7, datetime, 'draft-a');
+        const expired = await SlotService.transferLock('tool_hospital', 7, datetime, 'draft-a', 'draft-a');
+
+        const passed = !stolen && ownerAfterSteal === 'sess-a' && handed && ownerAfterHandover === 'draft-a' &&
+            !grabbed && !expired;
+        recordTest('B7', 'Slot lock transferred atomically by its owner only', passed,
+            JSON.stringify({ stolen, ownerAfterSteal, handed, ownerAfterHandover, grabbed, expired }));
+    }
+
+    // ============================================================
+    // TEST GROUP C: TOOL LOOP
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Tool Loop ━━━");
+
+    const realProvider = aiService.provider;
+
+    // C1: Tool calls run and their results go back to the model; history untouched
+    {
+        const seen = [];
+        aiService.provider = {
+            getName: () => 'fake',
+            generateResponse: async (params) => {
+                seen.push({ tools: params.tools, messages: [...params.messages], turn: params.metadata.turn });
+                if (seen.length === 1) {
+                    return { content: '', status: 'success', provider: 'fake', toolCalls: [
+                        { id: 't1', name: 'check_availability', arguments: { department: 'Cardiology' } },
+                        { id: 't2', name: 'get_doctor_info', arguments: { department: 'Cardiology' } }
+                    ] };
+                }
+                return { content: 'Dr. Ahmed is free at 09:00 or 10:00.', status: 'success', provider: 'fake' };
+            }
+        };
+
+        slots = DAY_SLOTS;
+        const session = { history: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'Hello!' }] };
+        const executedTools = [];
+        const tools = {
+            definitions: BookingToolService.getDefinitions(),
+            execute: async (name, args) => {
+                executedTools.push(name);
+                return BookingToolService.execute(makeContext(), name, args);
+            }
+        };
+        const result = await aiService.generateResponse(buildSafeAIInput('I need a heart doctor', session, { hospital }), tools);
+
+        const followUp = seen[1]?.messages || [];
+        const assistant = followUp.find(m => m.role === 'assistant' && m.tool_calls);
+        const toolMessages = followUp.filter(m => m.role === 'tool');
+        const passed = result.status === 'success' && result.reply === 'Dr. Ahmed is free at 09:00 or 10:00.' &&
+            result.provider === 'fake' &&
+            result.toolCalls.map(c => `${c.name}:${c.success}`).join() === 'check_availability:true,get_doctor_info:true' &&
+            seen.length === 2 && seen[0].tools.length === 4 && seen[1].turn === 2 &&
+            assistant.tool_calls[0].function.arguments === '{"department":"Cardiology"}' &&
+            toolMessages.map(m => m.tool_call_id).join() === 't1,t2' &&
+            JSON.parse(toolMessages[0].content).slots.length === 3 &&
+            executedTools.join() === 'check_availability,get_doctor_info' &&
+            session.history.length === 2;
+        recordTest('C1', 'Tool results sent back until the model answers', passed,
+            JSON.stringify({ result, rounds: seen.length, toolMessages }));
+    }
+
+    // C2: A model that keeps calling tools is stopped; no tools → plain reply
+    {
+        let rounds = 0;
+        aiService.provider = {
+            getName: () => 'fake',
+            generateResponse: async () => {
+                rounds++;
+                return { content: '', status: 'success', toolCalls: [{ id: `t${rounds}`, name: 'get_doctor_info', arguments: {} }] };
+            }
+        };
+        const executed = [];
+        const tools = { definitions: [], execute: async (name) => { executed.push(name); return { success: true }; } };
+        const looping = await aiService.generateResponse(buildSafeAIInput('hello', { history: [] }, { hospital }), tools);
+
+        aiService.provider = {
+            getName: () => 'fake',
+            generateResponse: async (params) => ({ content: `tools=${params.tools}`, status: 'success' })
+        };
+        const plain = await aiService.generateResponse(buildSafeAIInput('hello', { history: [] }, { hospital }));
+
+        const passed = looping.status === 'error' && rounds === 5 && executed.length === 4 &&
+            looping.toolCalls.length === 4 && plain.reply === 'tools=null' && plain.status === 'success';
+        recordTest('C2', 'Tool rounds capped', passed, JSON.stringify({ looping, rounds, plain }));
+    }
+
+    aiService.provider = realProvider;
+
+    // C3: OpenAI-style tool_calls parsed from an OpenAI-compatible server; text protocol gone
+    await new Promise(resolve => fakeServer.listen(0, '127.0.0.1', resolve));
+    process.env.LOCAL_AI_BASE_URL = `http://127.0.0.1:${fakeServer.address().port}/v1`;
+    try {
+        const local = new LocalAIProvider();
+        const result = await local.generateResponse({
+            messages: [{ role: 'user', content: 'heart doctor' }],
+            systemPrompt: 'prompt',
+            tools: BookingToolService.getDefinitions()
+        });
+        const aiSource = fs.readFileSync(AI_SERVICE_PATH, 'utf-8');
+        const prompt = aiService.buildSystemPrompt({ hospital, department: 'Cardiology' }, 'English');
+
+        const passed = result.status === 'success' && result.content === '' &&
+            result.toolCalls.length === 2 && result.toolCalls[0].id === 'call_a' &&
+            result.toolCalls[0].arguments.department === 'Cardiology' &&
+            JSON.stringify(result.toolCalls[1].arguments) === '{}' &&
+            requests[0].tools.length === 4 && requests[0].tools[0].function.name === 'check_availability' &&
+            !aiSource.includes('BOOKING_JSON') && !prompt.includes('BOOKING_JSON') &&
+            prompt.includes('Triage suggests the Cardiology department') && prompt.includes('check_availability');
+        recordTest('C3', 'tool_calls parsed; BOOKING_JSON protocol removed', passed, JSON.stringify({ result, tools: requests[0]?.tools?.length }));
+    } finally {
+        fakeServer.close();
+    }
+}
+
+runTests().then(() => {
+    // ============================================================
+    // SUMMARY
+    // ============================================================
+
+    console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+
+    console.log(`Total: ${results.length}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed === 0) {
+        console.log("\n🎉 ALL TESTS PASSED - AI Booking Tool Calls Complete!\n");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️ Some tests failed. Review output above.\n");
+        process.exit(1);
+    }
+}).catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,312 @@
+/**
+ * Appointment Status - Test Suite
+ *
+ * Tests:
+ * A. Lifecycle - completed/no_show states and transitions
+ * B. Transition engine - conditional update, audit, invalid transitions
+ * C. Dashboard endpoints - complete/no-show, doctor ownership
+ * D. No-show job - per-hospital grace period
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const SERVER_PATH = path.join(ROOT, 'server.js');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/007_appointment_status_tracking.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Appointment Status - Test Suite                       ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+const { loadHospitals, getHospitalConfig } = require('../config/hospitalConfig');
+
+const executed = [];
+const appointments = {
+    1: { id: 1, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07 09:00:00', status: 'confirmed' },
+    2: { id: 2, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07 09:15:00', status: 'checked_in' },
+    3: { id: 3, hospital_id: 'test_hospital', doctor_id: 8, appointment_time: '2030-01-07 09:30:00', status: 'confirmed' },
+    4: { id: 4, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07 09:45:00', status: 'cancelled' }
+};
+
+const mockDb = {
+    query: async (sql, params) => Object.values(appointments).filter(a =>
+        a.hospital_id === params[0] && a.status === 'confirmed' && a.appointment_time < params[1]),
+    get: async (sql, params) => {
+        const a = appointments[params[0]];
+        return a && a.hospital_id === params[1] ? { ...a } : null;
+    },
+    execute: async (sql, params) => {
+        executed.push({ sql, params });
+        if (sql.includes('UPDATE appointments')) {
+            const a = appointments[params[1]];
+            if (!a || a.hospital_id !== params[2] || a.status !== params[3]) return { rowCount: 0 };
+            a.status = params[0];
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const { BookingStateMachine, BOOKING_STATES } = require('../services/bookingStateMachine');
+const { AppointmentStatusService } = require('../services/appointmentStatusService');
+const { markNoShowsForHospital, getNoShowConfig } = require('../services/noShowService');
+const { zonedTimeToUtc } = require('../utils/hospitalTime');
+const receptionRouter = require('../routes/receptionRouter');
+
+// Per-hospital no-show config (mutates the loaded hospitals cache)
+loadHospitals().test_hospital = { id: 'test_hospital', no_show_config: { grace_minutes: 60 } };
+
+const auditFor = (action, id) => executed.find(e =>
+    e.sql.includes('audit_logs') && e.params[3] === action && e.params[2] === id);
+
+// ============================================================
+// TEST APP (fake hospital context + staff session)
+// ============================================================
+
+let currentUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.hospitalId = 'test_hospital';
+    req.hospital = { id: 'test_hospital', name: 'Test Hospital' };
+    req.session = { receptionUser: currentUser };
+    next();
+});
+app.use('/api/reception', receptionRouter);
+
+// ============================================================
+// TEST GROUP A: LIFECYCLE
+// ============================================================
+
+console.log("\n━━━ Test Group A: Lifecycle ━━━");
+
+// A1: New states exist and are terminal
+{
+    const passed = BOOKING_STATES.COMPLETED === 'COMPLETED' && BOOKING_STATES.NO_SHOW === 'NO_SHOW' &&
+        BookingStateMachine.isTerminalState(BOOKING_STATES.COMPLETED) &&
+        BookingStateMachine.isTerminalState(BOOKING_STATES.NO_SHOW);
+    recordTest('A1', 'COMPLETED and NO_SHOW are terminal states', passed);
+}
+
+// A2: Allowed transitions
+{
+    const passed = AppointmentStatusService.canTransition('confirmed', 'no_show') &&
+        AppointmentStatusService.canTransition('checked_in', 'completed') &&
+        AppointmentStatusService.canTransition('confirmed', 'checked_in');
+    recordTest('A2', 'confirmed → no_show and checked_in → completed allowed', passed);
+}
+
+// A3: Disallowed transitions
+{
+    const passed = !AppointmentStatusService.canTransition('confirmed', 'completed') &&
+        !AppointmentStatusService.canTransition('no_show', 'checked_in') &&
+        !AppointmentStatusService.canTransition('cancelled', 'no_show') &&
+        !AppointmentStatusService.canTransition('confirmed', 'expired');
+    recordTest('A3', 'Skipping check-in or leaving terminal states rejected', passed);
+}
+
+// A4: Migration and scheduler present
+{
+    const migration = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const server = fs.readFileSync(SERVER_PATH, 'utf-8');
+    const passed = migration && migration.includes('status_changed_at') && migration.includes('status_changed_by') &&
+        server.includes('markNoShowsAll(db)');
+    recordTest('A4', 'Status tracking migration and no-show schedule', passed);
+}
+
+const server = app.listen(0, async () => {
+    const base = `http://localhost:${server.address().port}/api/reception`;
+    const call = (method, url, body) => fetch(base + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    try {
+        // ============================================================
+        // TEST GROUP B: TRANSITION ENGINE
+        // ============================================================
+
+        console.log("\n━━━ Test Group B: Transition Engine ━━━");
+
+        // B1: Conditional update records actor, audit has from/to
+        {
+            executed.length = 0;
+            const result = await AppointmentStatusService.complete(2, 'test_hospital', 'dr_a');
+            const update = executed.find(e => e.sql.includes('UPDATE appointments'));
+            const audit = auditFor('APPOINTMENT_COMPLETED', 2);
+            const passed = result.success && appointments[2].status === 'completed' &&
+                update.sql.includes('status_changed_by') && update.params[3] === 'checked_in' &&
+                audit && audit.params[4] === 'dr_a' &&
+                audit.params[6].from === 'checked_in' && audit.params[6].to === 'completed';
+            recordTest('B1', 'Transition updates conditionally and audits from/to', passed);
+        }
+
+        // B2: Invalid transition → no update, no audit
+        {
+            executed.length = 0;
+            const result = await AppointmentStatusService.markNoShow(4, 'test_hospital', 'desk1');
+            const passed = !result.success && result.code === 'INVALID_TRANSITION' &&
+                appointments[4].status === 'cancelled' && executed.length === 0;
+            recordTest('B2', 'Invalid transition rejected without writes', passed);
+        }
+
+        // B3: Concurrent change → conflict, no audit
+        {
+            executed.length = 0;
+            const originalGet = mockDb.get;
+            mockDb.get = async (sql, params) => ({ ...(await originalGet(sql, params)), status: 'confirmed' });
+            appointments[1].status = 'checked_in';
+            const result = await AppointmentStatusService.markNoShow(1, 'test_hospital', 'desk1');
+            mockDb.get = originalGet;
+            appointments[1].status = 'confirmed';
+            const passed = !result.success && result.code === 'CONFLICT' &&
+                !executed.some(e => e.sql.includes('audit_logs'));
+            recordTest('B3', 'Status changed elsewhere → conflict', passed);
+        }
+
+        // B4: Other hospital cannot change status
+        {
+            const result = await AppointmentStatusService.markNoShow(1, 'other_hospital', 'desk1');
+            recordTest('B4', 'Hospital isolation on transitions',
+                !result.success && result.code === 'NOT_FOUND' && appointments[1].status === 'confirmed');
+        }
+
+        // ============================================================
+        // TEST GROUP C: DASHBOARD ENDPOINTS
+        // ============================================================
+
+        console.log("\n━━━ Test Group C: Dashboard Endpoints ━━━");
+
+        // C1: Doctor cannot mark another doctor's appointment
+        {
+            currentUser = { id: 2, username: 'dr_a', role: 'doctor', doctorId: 7, hospitalId: 'test_hospital' };
+            const res = await call('POST', '/bookings/3/no-show');
+            recordTest('C1', "Doctor blocked from other doctor's booking", res.status === 404 && appointments[3].status === 'confirmed');
+        }
+
+        // C2: Doctor marks own appointment as no-show
+        {
+            executed.length = 0;
+            const res = await call('POST', '/bookings/1/no-show');
+            const body = await res.json();
+            const audit = auditFor('APPOINTMENT_NO_SHOW', 1);
+            const passed = res.status === 200 && body.status === 'no_show' && body.previous_status === 'confirmed' &&
+                appointments[1].status === 'no_show' && audit && audit.params[4] === 'dr_a';
+            recordTest('C2', 'Doctor marks own booking no-show (audited)', passed);
+        }
+
+        // C3: Completing a no-show is rejected
+        {
+            const res = await call('POST', '/bookings/1/complete');
+            recordTest('C3', 'Complete after no-show rejected (400)', res.status === 400 && appointments[1].status === 'no_show');
+        }
+
+        // C4: Check-in goes through the engine
+        {
+            currentUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            executed.length = 0;
+            const res = await call('POST', '/checkin', { booking_id: 3 });
+            const update = executed.find(e => e.sql.includes('UPDATE appointments'));
+            const passed = res.status === 200 && appointments[3].status === 'checked_in' &&
+                update.sql.includes('checked_in_by') && !!auditFor('PATIENT_CHECKED_IN', 3);
+            recordTest('C4', 'Check-in uses transition engine', passed);
+        }
+
+        // ============================================================
+        // TEST GROUP D: NO-SHOW JOB
+        // ============================================================
+
+        console.log("\n━━━ Test Group D: No-Show Job ━━━");
+
+        appointments[5] = { id: 5, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07 10:00:00', status: 'confirmed' };
+
+        // D1: Per-hospital grace period
+        {
+            recordTest('D1', 'Hospital grace period overrides default',
+                getNoShowConfig('test_hospital').grace_minutes === 60 && getNoShowConfig('unknown').grace_minutes === 30);
+        }
+
+        // D2: Within grace period → untouched
+        {
+            const flagged = await markNoShowsForHospital(mockDb, 'test_hospital', zonedTimeToUtc('2030-01-07', '10:45', 'Asia/Riyadh'));
+            recordTest('D2', 'Within grace period not flagged', flagged === 0 && appointments[5].status === 'confirmed');
+        }
+
+        // D3: After grace period → no_show by system, checked-in untouched
+        {
+            executed.length = 0;
+            const flagged = await markNoShowsForHospital(mockDb, 'test_hospital', zonedTimeToUtc('2030-01-07', '11:01', 'Asia/Riyadh'));
+            const audit = auditFor('APPOINTMENT_NO_SHOW', 5);
+            const passed = flagged === 1 && appointments[5].status === 'no_show' &&
+                appointments[3].status === 'checked_in' && audit && audit.params[4] === 'system';
+            recordTest('D3', 'Overdue confirmed booking flagged by system', passed);
+        }
+
+        // D4: Disabled per hospital
+        {
+            getHospitalConfig('test_hospital').no_show_config.enabled = false;
+            appointments[6] = { id: 6, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07 10:00:00', status: 'confirmed' };
+            const flagged = await markNoShowsForHospital(mockDb, 'test_hospital', new Date(2030, 0, 8));
+            recordTest('D4', 'Job skipped when disabled for hospital', flagged === 0 && appointments[6].status === 'confirmed');
+        }
+    } catch (err) {
+        recordTest('X0', 'Runtime tests completed', false, err.message);
+    } finally {
+        server.close();
+
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Appointment Status Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    }
+});
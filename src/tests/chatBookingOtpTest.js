@@ -0,0 +1,250 @@
+/**
+ * Chat Booking OTP Flow - Test Suite
+ *
+ * Tests:
+ * A. Stages use the booking state machine (no legacy signatures)
+ * B. Booking initiation - slot lock, OTP by SMS, PHI kept from the AI
+ * C. OTP entry - confirmation, retries, abandoned drafts
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const STAGES_PATH = path.join(ROOT, 'src/services/conversationStages.js');
+const TOOLS_PATH = path.join(ROOT, 'src/services/bookingToolService.js');
+const NOTIFICATION_PATH = path.join(ROOT, 'src/services/bookingNotificationService.js');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Chat Booking OTP Flow - Test Suite                    ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// TEST GROUP A: STATE MACHINE WIRING
+// ============================================================
+
+console.log("\n━━━ Test Group A: State Machine Wiring ━━━");
+
+const stagesContent = fs.readFileSync(STAGES_PATH, 'utf-8');
+
+// A1: Legacy calls removed
+{
+    const passed = !stagesContent.includes("require('./otpService')") &&
+        !stagesContent.includes('hospital admin (simulation)') &&
+        !stagesContent.includes("'send-otp'");
+    recordTest('A1', 'Legacy OTP/email simulation removed', passed);
+}
+
+// A2: State machine flow used (drafts are started by the book_appointment tool)
+{
+    const toolsContent = fs.readFileSync(TOOLS_PATH, 'utf-8');
+    const passed = toolsContent.includes('BookingService.initiateBooking') &&
+        toolsContent.includes('BookingService.requestOtpForBooking') &&
+        stagesContent.includes('BookingService.confirmBookingWithOtp');
+    recordTest('A2', 'initiateBooking → requestOtpForBooking → confirmBookingWithOtp', passed);
+}
+
+// A3: OTP SMS goes through smsQueue
+{
+    const content = fs.readFileSync(NOTIFICATION_PATH, 'utf-8');
+    const passed = content.includes('static async queueOtpSms') &&
+        content.includes("smsQueue.add('booking-otp-sms'");
+    recordTest('A3', 'OTP SMS queued via smsQueue', passed);
+}
+
+// ============================================================
+// RUNTIME SETUP (stubbed services, no Redis/DB needed)
+// ============================================================
+
+const { BookingService } = require('../services/bookingService');
+const BookingNotificationService = require('../services/bookingNotificationService');
+const aiService = require('../services/aiService');
+const { createContext, ConversationOrchestrator } = require('../services/conversationOrchestrator');
+
+const orchestrator = new ConversationOrchestrator();
+const hospital = { id: 'test_hospital', name: 'Test Hospital', departments: ['Cardiology'] };
+const calls = [];
+
+BookingService.getAvailableSlots = async (department, hospitalId, date) => [
+    { doctor_id: 7, doctor_name: 'Dr. A', department, date, time: '10:00', datetime: `${date}T10:00:00` }
+];
+BookingService.lockSlot = async () => true;
+BookingService.unlockSlot = async () => true;
+BookingService.initiateBooking = async (data, sessionId) => {
+    calls.push({ fn: 'initiateBooking', data, sessionId });
+    return { success: true, booking: { id: 'BK-TEST', hospitalId: data.hospitalId, patientPhone: data.patientPhone } };
+};
+BookingService.requestOtpForBooking = async (bookingId) => {
+    calls.push({ fn: 'requestOtpForBooking', bookingId });
+    return { success: true, otp: '123456' };
+};
+BookingService.cancelBooking = async (bookingId, sessionId, reason) => {
+    calls.push({ fn: 'cancelBooking', bookingId, reason });
+    return { success: true };
+};
+BookingService.confirmBookingWithOtp = async (bookingId, code) => {
+    calls.push({ fn: 'confirmBookingWithOtp', bookingId, code });
+    if (code === '123456') return { success: true, appointment: { id: 42 } };
+    if (code === '000000') return { success: false, error: 'Too many failed attempts. Please request a new OTP.' };
+    return { success: false, error: 'Invalid code. 2 attempts remaining.' };
+};
+BookingNotificationService.queueOtpSms = async (booking, otp) => {
+    calls.push({ fn: 'queueOtpSms', to: booking.patientPhone, otp });
+    return true;
+};
+
+let aiCalls = 0;
+aiService.generateResponse = async (input, tools) => {
+    aiCalls++;
+    // AI only sees redacted input, so the booking tools take no contact details
+    await tools.execute('hold_slot', { department: 'Cardiology', time: '10:00' });
+    const booked = await tools.execute('book_appointment', {});
+    return { reply: booked.success ? 'Booking Cardiology at 10:00.' : booked.error, status: 'success' };
+};
+
+function makeContext(session, message, rawMessage = message) {
+    return createContext({
+        conversationId: 'sess-1',
+        hospitalId: 'test_hospital',
+        hospital,
+        session,
+        message,
+        rawMessage
+    });
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: BOOKING INITIATION
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Booking Initiation ━━━");
+
+    const session = { history: [] };
+
+    // B1: No phone yet → ask for it, nothing initiated
+    {
+        const res = await orchestrator.run(makeContext(session, 'book me please'));
+        const passed = res.body.reply.includes('mobile number') &&
+            !calls.some(c => c.fn === 'initiateBooking');
+        recordTest('B1', 'Missing phone asks for number, no draft created', passed);
+    }
+
+    // B2: Raw phone captured, AI placeholder replaced, OTP sent by SMS
+    {
+        const res = await orchestrator.run(makeContext(session,
+            'my name is [PATIENT_NAME], phone [PHONE_NUMBER]',
+            'my name is Sara Ali, phone 0551234567'));
+        const init = calls.find(c => c.fn === 'initiateBooking');
+        const sms = calls.find(c => c.fn === 'queueOtpSms');
+        const passed = init && init.data.patientPhone === '0551234567' &&
+            init.data.patientName === 'Sara Ali' &&
+            init.data.doctorId === 7 && init.sessionId === 'sess-1' &&
+            sms && sms.to === '0551234567' && sms.otp === '123456' &&
+            session.pendingBooking.bookingId === 'BK-TEST' &&
+            res.body.reply.includes('4567') && !res.body.reply.includes('123456');
+        recordTest('B2', 'Draft initiated and OTP queued by SMS', passed);
+    }
+
+    // B3: Session stores only the draft reference
+    {
+        const passed = Object.keys(session.pendingBooking).join() === 'bookingId';
+        recordTest('B3', 'pendingBooking holds no PHI', passed);
+    }
+
+    // B4: Raw contact details never reach history
+    {
+        const passed = !JSON.stringify(session.history).includes('0551234567');
+        recordTest('B4', 'Raw phone not stored in history', passed);
+    }
+
+    // ============================================================
+    // TEST GROUP C: OTP ENTRY
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: OTP Entry ━━━");
+
+    // C1: Wrong code keeps draft, AI not called
+    {
+        const before = aiCalls;
+        const res = await orchestrator.run(makeContext(session, '111111'));
+        const passed = res.body.reply.includes('2 attempts remaining') &&
+            session.pendingBooking && aiCalls === before;
+        recordTest('C1', 'Invalid code keeps draft and skips AI', passed);
+    }
+
+    // C2: Correct code confirms
+    {
+        const ctx = makeContext(session, '123456');
+        const res = await orchestrator.run(ctx);
+        const passed = res.body.reply.includes('#42') && session.pendingBooking === null &&
+            ctx.completedBy === 'bookingOtp';
+        recordTest('C2', 'Correct code confirms via confirmBookingWithOtp', passed);
+    }
+
+    // C3: Fatal OTP error releases the draft
+    {
+        const s2 = { history: [], pendingBooking: { bookingId: 'BK-OLD' } };
+        await orchestrator.run(makeContext(s2, '000000'));
+        const cancelled = calls.find(c => c.fn === 'cancelBooking' && c.bookingId === 'BK-OLD');
+        recordTest('C3', 'Exhausted attempts cancel the draft', !!cancelled && s2.pendingBooking === null);
+    }
+
+    // C4: New booking supersedes an unconfirmed draft
+    {
+        const s3 = { history: [], contact: { phone: '0559876543' }, pendingBooking: { bookingId: 'BK-STALE' } };
+        await orchestrator.run(makeContext(s3, 'another time please'));
+        const cancelled = calls.find(c => c.fn === 'cancelBooking' && c.bookingId === 'BK-STALE');
+        recordTest('C4', 'Previous draft cancelled on re-booking', !!cancelled && s3.pendingBooking.bookingId === 'BK-TEST');
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Chat Booking OTP Flow Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
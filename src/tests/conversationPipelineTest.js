@@ -0,0 +1,224 @@
+/**
+ * Conversation Pipeline - Test Suite
+ *
+ * Tests:
+ * A. Single pipeline - both chat routes use the orchestrator
+ * B. Stage ordering - default stages and insertion
+ * C. Per-hospital stages - isolated from other hospitals
+ * D. Short-circuit behavior - validation, escalation, emergency
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const SERVER_PATH = path.join(ROOT, 'server.js');
+const ROUTER_PATH = path.join(ROOT, 'src/routes/hospitalRouter.js');
+const ORCHESTRATOR_PATH = path.join(ROOT, 'src/services/conversationOrchestrator.js');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Conversation Pipeline - Test Suite                    ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// TEST GROUP A: SINGLE PIPELINE
+// ============================================================
+
+console.log("\n━━━ Test Group A: Single Pipeline ━━━");
+
+// A1: Orchestrator exists
+{
+    recordTest('A1', 'Orchestrator module exists', fs.existsSync(ORCHESTRATOR_PATH));
+}
+
+// A2: Legacy route uses orchestrator
+{
+    const content = fs.readFileSync(SERVER_PATH, 'utf-8');
+    const passed = content.includes('conversationOrchestrator.handler()') &&
+        !content.includes('aiService.generateResponse');
+    recordTest('A2', 'Legacy /chat uses orchestrator', passed);
+}
+
+// A3: Hospital route uses orchestrator
+{
+    const content = fs.readFileSync(ROUTER_PATH, 'utf-8');
+    const passed = content.includes('conversationOrchestrator.handler()') &&
+        !content.includes('aiService.generateResponse');
+    recordTest('A3', 'Hospital /chat uses orchestrator', passed);
+}
+
+// ============================================================
+// TEST GROUP B: STAGE ORDERING
+// ============================================================
+
+console.log("\n━━━ Test Group B: Stage Ordering ━━━");
+
+const orchestrator = require(ORCHESTRATOR_PATH);
+const { ConversationOrchestrator, createContext, insertStage } = orchestrator;
+
+const noop = (name) => ({ name, run: async () => { } });
+
+// B1: Default stages in order
+{
+    const names = orchestrator.getStages('any').map(s => s.name);
+    const expected = ['validateMessage', 'escalationGuard', 'triage', 'contactCapture', 'contextPrep',
+        'handoffRequest', 'appointmentSelfService', 'bookingOtp', 'waitlist', 'aiExecution', 'bookingInitiation',
+        'autoHandoff', 'finalReply'];
+    const passed = JSON.stringify(names) === JSON.stringify(expected);
+    recordTest('B1', 'Default stages in expected order', passed, names.join(' → '));
+}
+
+// B2: Insert before/after
+{
+    const base = [noop('a'), noop('finalReply')];
+    const before = insertStage(base, noop('x'), { before: 'a' }).map(s => s.name);
+    const after = insertStage(base, noop('y'), { after: 'a' }).map(s => s.name);
+    const dflt = insertStage(base, noop('z')).map(s => s.name);
+    const passed = before.join() === 'x,a,finalReply' &&
+        after.join() === 'a,y,finalReply' &&
+        dflt.join() === 'a,z,finalReply' &&
+        base.length === 2;
+    recordTest('B2', 'insertStage respects before/after/default', passed);
+}
+
+// B3: Unknown anchor rejected
+{
+    let threw = false;
+    try {
+        insertStage([noop('finalReply')], noop('x'), { after: 'missing' });
+    } catch (e) {
+        threw = e.message.includes('Unknown stage');
+    }
+    recordTest('B3', 'Unknown anchor stage throws', threw);
+}
+
+// B4: Malformed stage rejected
+{
+    let threw = false;
+    try {
+        insertStage([noop('finalReply')], { name: 'bad' });
+    } catch (e) {
+        threw = true;
+    }
+    recordTest('B4', 'Stage without run() throws', threw);
+}
+
+// ============================================================
+// TEST GROUP C: PER-HOSPITAL STAGES
+// ============================================================
+
+console.log("\n━━━ Test Group C: Per-Hospital Stages ━━━");
+
+// C1: Hospital-specific stage only applies to that hospital
+{
+    const local = new ConversationOrchestrator([noop('a'), noop('finalReply')]);
+    local.useForHospital('hospital_a', noop('custom'), { after: 'a' });
+
+    const a = local.getStages('hospital_a').map(s => s.name).join();
+    const b = local.getStages('hospital_b').map(s => s.name).join();
+    recordTest('C1', 'Per-hospital stage is isolated', a === 'a,custom,finalReply' && b === 'a,finalReply');
+}
+
+// ============================================================
+// TEST GROUP D: SHORT-CIRCUIT BEHAVIOR
+// ============================================================
+
+console.log("\n━━━ Test Group D: Short-Circuit Behavior ━━━");
+
+const hospital = { id: 'test_hospital', name: 'Test Hospital', departments: ['Cardiology'] };
+
+function makeContext(message, session = {}) {
+    return createContext({
+        conversationId: 'test-session',
+        hospitalId: 'test_hospital',
+        hospital,
+        session: { history: [], ...session },
+        message,
+        rawMessage: message
+    });
+}
+
+async function runRuntimeTests() {
+    // D1: Invalid message → 400
+    {
+        const res = await orchestrator.run(makeContext(''));
+        recordTest('D1', 'Empty message rejected with 400', res.status === 400);
+    }
+
+    // D2: Escalated session → static response, AI not called
+    {
+        const ctx = makeContext('hello', { escalatedAt: Date.now() });
+        const res = await orchestrator.run(ctx);
+        recordTest('D2', 'Escalated session short-circuits',
+            res.body.escalated === true && ctx.completedBy === 'escalationGuard' && ctx.aiResponse === null);
+    }
+
+    // D3: Emergency → triage response, AI not called
+    {
+        const ctx = makeContext('I have chest pain');
+        const res = await orchestrator.run(ctx);
+        recordTest('D3', 'Emergency bypasses AI',
+            res.body.reply.includes('URGENT') && ctx.completedBy === 'triage' && ctx.aiResponse === null);
+    }
+
+    // D4: Stage can end the pipeline with its own response
+    {
+        const local = new ConversationOrchestrator([
+            { name: 'stop', run: async () => ({ status: 200, body: { reply: 'stopped' } }) },
+            { name: 'finalReply', run: async () => ({ status: 200, body: { reply: 'final' } }) }
+        ]);
+        const ctx = makeContext('hi');
+        const res = await local.run(ctx);
+        recordTest('D4', 'First responding stage wins', res.body.reply === 'stopped' && ctx.completedBy === 'stop');
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('D0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Conversation Pipeline Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
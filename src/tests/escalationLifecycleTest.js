@@ -0,0 +1,348 @@
+/**
+ * Escalation Lifecycle - Test Suite
+ *
+ * Tests:
+ * A. Schema & config - migration, SLA defaults
+ * B. Lifecycle - acknowledge, resolve with category, claim after acknowledge
+ * C. SLA - unacknowledged escalations re-notified once per interval
+ * D. Reporting - time-to-resolve per hospital via /api/admin
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/015_escalation_lifecycle.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Escalation Lifecycle - Test Suite                     ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const escalations = [];
+const audits = [];
+const queries = [];
+let overdueRows = [];
+let reportSummary = null;
+let reportCategories = [];
+let slaUpdateRowCount = 1;
+
+const find = (params) => escalations.find(e => e.id === params[0] && e.hospital_id === params[1]);
+
+function addEscalation(fields = {}) {
+    const row = {
+        id: escalations.length + 1, hospital_id: 'test_hospital', conversation_id: `conv-${escalations.length + 1}`,
+        trigger_type: 'user_requested', channel: 'email', status: 'pending', claimed_by: null,
+        resolution_note_encrypted: null, sla_notifications: 0, created_at: new Date(), ...fields
+    };
+    escalations.push(row);
+    return row;
+}
+
+const mockDb = {
+    query: async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes("status = 'pending'") && sql.includes('sla_notifications <')) return overdueRows;
+        if (sql.includes('GROUP BY status, resolution_category')) return reportCategories;
+        if (sql.includes('GROUP BY trigger_type')) return [{ trigger_type: 'user_requested', count: 3, sla_breached: 1, avg_resolve_minutes: '20' }];
+        return [];
+    },
+    get: async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('FROM hospitals')) return { timezone: 'Asia/Riyadh' };
+        if (sql.includes('PERCENTILE_CONT')) return reportSummary;
+        if (sql.includes('FROM escalation_records')) {
+            const e = find(params);
+            return e ? { ...e } : null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('INSERT INTO audit_logs')) {
+            audits.push({ action: params[3], entityId: params[2], performedBy: params[4], metadata: params[6] });
+            return { rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO escalation_messages')) {
+            return { rows: [{ id: 1, created_at: new Date() }], rowCount: 1 };
+        }
+        if (sql.includes('SET sla_notifications = sla_notifications + 1')) {
+            return { rowCount: slaUpdateRowCount };
+        }
+        const e = find(params);
+        if (sql.includes("SET status = 'acknowledged'")) {
+            if (!e || e.status !== 'pending') return { rows: [], rowCount: 0 };
+            Object.assign(e, { status: 'acknowledged', acknowledged_by: params[2] });
+            return { rows: [{ ...e }], rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'claimed'")) {
+            if (!e || !['pending', 'acknowledged'].includes(e.status)) return { rows: [], rowCount: 0 };
+            Object.assign(e, { status: 'claimed', claimed_by: params[2], acknowledged_by: e.acknowledged_by || params[2] });
+            return { rows: [{ ...e }], rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'resolved'")) {
+            const allowed = e && (['pending', 'acknowledged'].includes(e.status) ||
+                (e.status === 'claimed' && e.claimed_by === params[2]));
+            if (!allowed) return { rowCount: 0 };
+            Object.assign(e, {
+                status: 'resolved', resolved_by: params[2], resolution_category: params[3], resolution_note_encrypted: params[4]
+            });
+            return { rowCount: 1 };
+        }
+        return { rowCount: 0 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const LiveTakeoverService = require('../services/liveTakeoverService');
+const HumanHandoffService = require('../services/humanHandoffService');
+const EscalationSlaService = require('../services/escalationSlaService');
+const { getSlaConfig } = require('../services/escalationSlaService');
+const adminRouter = require('../routes/adminRouter');
+
+// Capture re-notifications
+const routed = [];
+HumanHandoffService.routeToChannel = async (safePayload, hospital, event) => {
+    routed.push({ safePayload, hospital, event });
+    return 'email';
+};
+
+// ============================================================
+// TEST GROUP A: SCHEMA & CONFIG
+// ============================================================
+
+console.log("\n━━━ Test Group A: Schema & Config ━━━");
+
+// A1: Migration adds lifecycle and SLA columns
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && ['acknowledged_at', 'resolution_category', 'resolution_note_encrypted', 'sla_notifications', 'last_notified_at']
+        .every(column => content.includes(`ADD COLUMN IF NOT EXISTS ${column}`)) &&
+        content.includes("'callback_completed'");
+    recordTest('A1', 'Migration adds lifecycle columns', passed);
+}
+
+// A2: SLA defaults, overridable per hospital
+{
+    const defaults = getSlaConfig(null);
+    const custom = getSlaConfig({ escalation_config: { channel: 'email', ack_sla_minutes: 5 } });
+    const passed = defaults.ackSlaMinutes === 15 && defaults.maxNotifications === 3 &&
+        custom.ackSlaMinutes === 5 && custom.maxNotifications === 3;
+    recordTest('A2', 'SLA config defaults and overrides', passed, JSON.stringify({ defaults, custom }));
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: LIFECYCLE
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Lifecycle ━━━");
+
+    // B1: Acknowledge once; audited
+    {
+        const e = addEscalation();
+        const first = await LiveTakeoverService.acknowledge('test_hospital', e.id, 'desk1');
+        const again = await LiveTakeoverService.acknowledge('test_hospital', e.id, 'desk2');
+        const otherHospital = await LiveTakeoverService.acknowledge('other_hospital', e.id, 'desk2');
+        const passed = first.success && e.status === 'acknowledged' && e.acknowledged_by === 'desk1' &&
+            again.code === 'CONFLICT' && otherHospital.code === 'NOT_FOUND' &&
+            audits.some(a => a.action === 'ESCALATION_ACKNOWLEDGED' && a.entityId === e.id);
+        recordTest('B1', 'Acknowledge pending escalation', passed, JSON.stringify(again));
+    }
+
+    // B2: Acknowledged escalation can still be claimed
+    {
+        const e = addEscalation({ status: 'acknowledged', acknowledged_by: 'desk1' });
+        const result = await LiveTakeoverService.claim('test_hospital', e.id, 'desk2');
+        recordTest('B2', 'Claim after acknowledge', result.success && e.status === 'claimed' && e.claimed_by === 'desk2');
+    }
+
+    // B3: Resolve requires a known category; note encrypted
+    {
+        const e = addEscalation({ status: 'acknowledged' });
+        const missing = await LiveTakeoverService.resolve('test_hospital', e.id, 'desk1', {});
+        const unknown = await LiveTakeoverService.resolve('test_hospital', e.id, 'desk1', { category: 'fixed' });
+        const result = await LiveTakeoverService.resolve('test_hospital', e.id, 'desk1', {
+            category: 'callback_completed', note: 'Called back, booked for Tuesday'
+        });
+        const stored = await LiveTakeoverService.get('test_hospital', e.id);
+        const passed = missing.code === 'VALIDATION' && unknown.code === 'VALIDATION' && result.success &&
+            e.resolution_category === 'callback_completed' && !e.resolution_note_encrypted.includes('Tuesday') &&
+            stored.resolution_note === 'Called back, booked for Tuesday' && !('resolution_note_encrypted' in stored) &&
+            audits.some(a => a.action === 'ESCALATION_RESOLVED' && a.entityId === e.id);
+        recordTest('B3', 'Resolve with category and encrypted note', passed, JSON.stringify(stored));
+    }
+
+    // B4: A claimed conversation is resolved only by its owner
+    {
+        const e = addEscalation({ status: 'claimed', claimed_by: 'desk1' });
+        const other = await LiveTakeoverService.resolve('test_hospital', e.id, 'desk2', { category: 'other' });
+        const owner = await LiveTakeoverService.resolve('test_hospital', e.id, 'desk1', { category: 'appointment_booked' });
+        recordTest('B4', 'Claimed escalation resolved by owner only',
+            other.code === 'CONFLICT' && owner.success && e.status === 'resolved');
+    }
+
+    // ============================================================
+    // TEST GROUP C: SLA
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: SLA ━━━");
+
+    const HOSPITAL = { id: 'test_hospital', name: 'Test Hospital', timezone: 'Asia/Riyadh', escalation_config: { channel: 'whatsapp_webhook', ack_sla_minutes: 10 } };
+
+    // C1: Overdue escalation re-notified with a PHI-safe payload
+    {
+        overdueRows = [{ id: 42, conversation_id: 'conv-42', trigger_type: 'frustration', sla_notifications: 0, pending_minutes: 12 }];
+        queries.length = 0;
+        const sent = await EscalationSlaService.checkSla('test_hospital', HOSPITAL);
+        const scan = queries.find(q => q.sql.includes('sla_notifications <'));
+        const r = routed[0];
+        const passed = sent === 1 && scan.params[1] === 3 && scan.params[2] === 10 &&
+            r.event === 'escalation.sla_breached' && r.safePayload.escalation_id === 42 &&
+            r.safePayload.sla_reminder === 1 && r.safePayload.pending_minutes === 12 &&
+            r.safePayload.conversation_id === 'conv-42' && !('message' in r.safePayload) &&
+            audits.some(a => a.action === 'ESCALATION_SLA_BREACHED' && a.entityId === 42 && a.performedBy === 'system');
+        recordTest('C1', 'Unacknowledged escalation re-notified', passed, JSON.stringify(r));
+    }
+
+    // C2: Another instance already sent this reminder → skipped
+    {
+        slaUpdateRowCount = 0;
+        const before = routed.length;
+        const sent = await EscalationSlaService.checkSla('test_hospital', HOSPITAL);
+        slaUpdateRowCount = 1;
+        recordTest('C2', 'Reminder sent once across instances', sent === 0 && routed.length === before);
+    }
+
+    // C3: SLA disabled → no scan
+    {
+        queries.length = 0;
+        const sent = await EscalationSlaService.checkSla('test_hospital', {
+            id: 'test_hospital', escalation_config: { ack_sla_minutes: 0 }
+        });
+        recordTest('C3', 'SLA disabled with ack_sla_minutes 0', sent === 0 && queries.length === 0);
+        overdueRows = [];
+    }
+
+    // ============================================================
+    // TEST GROUP D: REPORTING
+    // ============================================================
+
+    console.log("\n━━━ Test Group D: Reporting ━━━");
+
+    reportSummary = {
+        total: 5, open: 1, resolved: 3, returned_to_ai: 1, sla_breached: 1,
+        avg_ack_minutes: '4.2666', avg_resolve_minutes: '31.25', median_resolve_minutes: '25', p90_resolve_minutes: '58.04'
+    };
+    reportCategories = [
+        { status: 'resolved', category: 'callback_completed', count: 2, avg_resolve_minutes: '40.5' },
+        { status: 'resolved', category: 'information_provided', count: 1, avg_resolve_minutes: '10' },
+        { status: 'returned', category: null, count: 1, avg_resolve_minutes: null }
+    ];
+
+    let currentUser = { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' };
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.hospitalId = 'test_hospital';
+        req.session = { receptionUser: currentUser };
+        next();
+    });
+    app.use('/api/admin', adminRouter);
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/api/admin/escalations/report`;
+
+    try {
+        // D1: Summary and breakdowns, minutes rounded
+        {
+            queries.length = 0;
+            const res = await fetch(`${base}?from=2030-01-01&to=2030-01-31`);
+            const { report } = await res.json();
+            const summaryQuery = queries.find(q => q.sql.includes('PERCENTILE_CONT'));
+            const passed = res.status === 200 && report.total === 5 && report.avg_ack_minutes === 4.3 &&
+                report.avg_resolve_minutes === 31.3 && report.p90_resolve_minutes === 58 &&
+                report.by_category.length === 3 && report.by_category[2].category === 'returned_to_ai' &&
+                report.by_category[2].avg_resolve_minutes === null &&
+                // Hand-backs (status 'returned', resolved_at set) stay out of resolution times
+                summaryQuery.sql.includes("PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY CASE WHEN status = 'resolved' THEN") &&
+                report.by_trigger[0].avg_resolve_minutes === 20 &&
+                // Riyadh midnight (UTC+3) as the range bounds, end exclusive
+                summaryQuery.params[1] === '2029-12-31T21:00:00.000Z' &&
+                summaryQuery.params[2] === '2030-01-31T21:00:00.000Z' &&
+                summaryQuery.params[0] === 'test_hospital' &&
+                // created_at is a naive TIMESTAMP: bounds compared as instants
+                summaryQuery.sql.includes('created_at >= $2::timestamptz AND created_at < $3::timestamptz');
+            recordTest('D1', 'Time-to-resolve report per hospital', passed, JSON.stringify({ report, params: summaryQuery?.params }));
+        }
+
+        // D2: Invalid ranges rejected; reception staff cannot see the report
+        {
+            const badDate = await fetch(`${base}?from=01-01-2030`);
+            const reversed = await fetch(`${base}?from=2030-02-01&to=2030-01-01`);
+            currentUser = { id: 2, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            const forbidden = await fetch(base);
+            const passed = badDate.status === 400 && reversed.status === 400 && forbidden.status === 403;
+            recordTest('D2', 'Report validation and admin-only access', passed,
+                `${badDate.status} ${reversed.status} ${forbidden.status}`);
+        }
+    } finally {
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Escalation Lifecycle Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
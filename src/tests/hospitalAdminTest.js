@@ -0,0 +1,298 @@
+/**
+ * Hospital Admin API - Test Suite
+ *
+ * Tests:
+ * A. Routing - /:hospital_id/api/admin mounted, admin/manager only
+ * B. Departments & doctors - CRUD, deactivation, audit
+ * C. Availability - validation, overlap detection, audit
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const HOSPITAL_ROUTER_PATH = path.join(ROOT, 'src/routes/hospitalRouter.js');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Hospital Admin API - Test Suite                       ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before routes are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const departments = [
+    { id: 1, hospital_id: 'test_hospital', name: 'Cardiology' },
+    { id: 2, hospital_id: 'other_hospital', name: 'Cardiology' }
+];
+const doctors = [
+    { id: 7, hospital_id: 'test_hospital', department_id: 1, name: 'Dr. A', is_active: true },
+    { id: 9, hospital_id: 'other_hospital', department_id: 2, name: 'Dr. Other', is_active: true }
+];
+const availability = [
+    { id: 1, doctor_id: 7, day_of_week: 0, start_time: '09:00:00', end_time: '12:00:00' }
+];
+const audits = [];
+let nextId = 100;
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM doctor_availability')) {
+            const doctor = doctors.find(d => d.id === params[0] && d.hospital_id === params[1]);
+            return doctor ? availability.filter(a => a.doctor_id === doctor.id) : [];
+        }
+        if (sql.includes('FROM doctors_v2 d')) return doctors.filter(d => d.hospital_id === params[0]);
+        if (sql.includes('FROM departments')) return departments.filter(d => d.hospital_id === params[0]);
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('COUNT(*)')) {
+            return { count: doctors.filter(d => d.department_id === params[0] && d.hospital_id === params[1]).length };
+        }
+        if (sql.includes('FROM departments')) return departments.find(d => d.id === params[0] && d.hospital_id === params[1]) || null;
+        if (sql.includes('FROM doctors_v2')) {
+            const d = doctors.find(x => x.id === params[0] && x.hospital_id === params[1]);
+            return d ? { ...d } : null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('audit_logs')) {
+            audits.push({ action: params[3], entityType: params[1], performedBy: params[4], metadata: params[6] });
+        } else if (sql.includes('INSERT INTO departments')) {
+            if (departments.some(d => d.hospital_id === params[0] && d.name === params[1])) {
+                const err = new Error('duplicate key'); err.code = '23505'; throw err;
+            }
+            departments.push({ id: ++nextId, hospital_id: params[0], name: params[1] });
+            return { rows: [{ id: nextId }], rowCount: 1 };
+        } else if (sql.includes('DELETE FROM departments')) {
+            departments.splice(departments.findIndex(d => d.id === params[0]), 1);
+        } else if (sql.includes('INSERT INTO doctors_v2')) {
+            doctors.push({ id: ++nextId, hospital_id: params[0], department_id: params[1], name: params[2], is_active: true });
+            return { rows: [{ id: nextId }], rowCount: 1 };
+        } else if (sql.includes('UPDATE doctors_v2')) {
+            Object.assign(doctors.find(d => d.id === params[3]), { name: params[0], department_id: params[1], is_active: params[2] });
+        } else if (sql.includes('INSERT INTO doctor_availability')) {
+            availability.push({ id: ++nextId, doctor_id: params[0], day_of_week: params[1], start_time: `${params[2]}:00`, end_time: `${params[3]}:00` });
+            return { rows: [{ id: nextId }], rowCount: 1 };
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const adminRouter = require('../routes/adminRouter');
+
+// ============================================================
+// TEST APP (fake hospital context + staff session)
+// ============================================================
+
+let currentUser = { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.hospitalId = 'test_hospital';
+    req.session = { receptionUser: currentUser };
+    next();
+});
+app.use('/api/admin', adminRouter);
+
+const lastAudit = () => audits[audits.length - 1];
+
+// ============================================================
+// TEST GROUP A: ROUTING
+// ============================================================
+
+console.log("\n━━━ Test Group A: Routing ━━━");
+
+// A1: Mounted under hospital context
+{
+    const content = fs.readFileSync(HOSPITAL_ROUTER_PATH, 'utf-8');
+    recordTest('A1', 'Admin router mounted at /api/admin', content.includes("router.use('/api/admin', adminRouter)"));
+}
+
+const server = app.listen(0, async () => {
+    const base = `http://localhost:${server.address().port}/api/admin`;
+    const call = (method, url, body) => fetch(base + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    try {
+        // A2: Receptionist denied
+        {
+            currentUser = { id: 2, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            const res = await call('POST', '/departments', { name: 'Dentistry' });
+            recordTest('A2', 'Receptionist gets 403', res.status === 403 && !departments.some(d => d.name === 'Dentistry'));
+        }
+
+        // A3: Staff of another hospital denied
+        {
+            currentUser = { id: 3, username: 'admin_other', role: 'admin', hospitalId: 'other_hospital' };
+            const res = await call('GET', '/departments');
+            recordTest('A3', 'Cross-hospital admin gets 403', res.status === 403);
+        }
+
+        currentUser = { id: 1, username: 'admin1', role: 'manager', hospitalId: 'test_hospital' };
+
+        // ============================================================
+        // TEST GROUP B: DEPARTMENTS & DOCTORS
+        // ============================================================
+
+        console.log("\n━━━ Test Group B: Departments & Doctors ━━━");
+
+        let dentistryId;
+
+        // B1: Create department (audited)
+        {
+            const res = await call('POST', '/departments', { name: 'Dentistry' });
+            const body = await res.json();
+            dentistryId = body.department?.id;
+            const passed = res.status === 201 && lastAudit().action === 'DEPARTMENT_CREATED' &&
+                lastAudit().performedBy === 'admin1';
+            recordTest('B1', 'Department created and audited', passed);
+        }
+
+        // B2: Duplicate department rejected
+        {
+            const res = await call('POST', '/departments', { name: 'Dentistry' });
+            recordTest('B2', 'Duplicate department → 409', res.status === 409);
+        }
+
+        // B3: Doctor needs a department of this hospital
+        {
+            const res = await call('POST', '/doctors', { name: 'Dr. X', department_id: 2 });
+            recordTest('B3', "Other hospital's department rejected", res.status === 400);
+        }
+
+        // B4: Create doctor
+        let newDoctorId;
+        {
+            const res = await call('POST', '/doctors', { name: 'Dr. New', department_id: dentistryId });
+            const body = await res.json();
+            newDoctorId = body.doctor?.id;
+            recordTest('B4', 'Doctor created and audited', res.status === 201 && lastAudit().action === 'DOCTOR_CREATED');
+        }
+
+        // B5: Department with doctors cannot be deleted
+        {
+            const res = await call('DELETE', `/departments/${dentistryId}`);
+            recordTest('B5', 'Department with doctors → 409', res.status === 409 && departments.some(d => d.id === dentistryId));
+        }
+
+        // B6: Deactivate doctor (soft)
+        {
+            const res = await call('DELETE', `/doctors/${newDoctorId}`);
+            const doctor = doctors.find(d => d.id === newDoctorId);
+            const passed = res.status === 200 && doctor && doctor.is_active === false &&
+                lastAudit().action === 'DOCTOR_DEACTIVATED';
+            recordTest('B6', 'Doctor deactivated, not deleted', passed);
+        }
+
+        // B7: Other hospital's doctor not found
+        {
+            const res = await call('PATCH', '/doctors/9', { name: 'Hacked' });
+            recordTest('B7', "Other hospital's doctor → 404", res.status === 404 && doctors.find(d => d.id === 9).name === 'Dr. Other');
+        }
+
+        // ============================================================
+        // TEST GROUP C: AVAILABILITY
+        // ============================================================
+
+        console.log("\n━━━ Test Group C: Availability ━━━");
+
+        // C1: Overlapping window rejected
+        {
+            const res = await call('POST', '/doctors/7/availability', { day_of_week: 0, start_time: '11:00', end_time: '13:00' });
+            const body = await res.json();
+            recordTest('C1', 'Overlapping window → 400', res.status === 400 && body.error.includes('Overlaps') && availability.length === 1);
+        }
+
+        // C2: Adjacent window accepted (end is exclusive)
+        {
+            const res = await call('POST', '/doctors/7/availability', { day_of_week: 0, start_time: '12:00', end_time: '16:00' });
+            const audit = lastAudit();
+            const passed = res.status === 201 && availability.length === 2 &&
+                audit.action === 'AVAILABILITY_CREATED' && audit.metadata.start_time === '12:00';
+            recordTest('C2', 'Adjacent window accepted and audited', passed);
+        }
+
+        // C3: Invalid input rejected
+        {
+            const bad = await Promise.all([
+                call('POST', '/doctors/7/availability', { day_of_week: 7, start_time: '09:00', end_time: '10:00' }),
+                call('POST', '/doctors/7/availability', { day_of_week: 1, start_time: '14:00', end_time: '10:00' }),
+                call('POST', '/doctors/7/availability', { day_of_week: 1, start_time: '9am', end_time: '10:00' })
+            ]);
+            recordTest('C3', 'Bad day/time/order rejected', bad.every(r => r.status === 400));
+        }
+
+        // C4: Update checks overlap against other windows only
+        {
+            const moved = await call('PATCH', '/doctors/7/availability/1', { start_time: '08:00' });
+            const clash = await call('PATCH', '/doctors/7/availability/1', { end_time: '13:00' });
+            recordTest('C4', 'Update excludes itself from overlap check', moved.status === 200 && clash.status === 400);
+        }
+
+        // C5: Other hospital's doctor availability hidden
+        {
+            const res = await call('GET', '/doctors/9/availability');
+            recordTest('C5', "Other hospital's availability → 404", res.status === 404);
+        }
+    } catch (err) {
+        recordTest('X0', 'Runtime tests completed', false, err.message);
+    } finally {
+        server.close();
+
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Hospital Admin API Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    }
+});
@@ -0,0 +1,217 @@
+/**
+ * Hospital Timezone - Test Suite
+ *
+ * Run with any server TZ (e.g. TZ=UTC or TZ=America/New_York) - results must not change.
+ *
+ * Tests:
+ * A. Utilities - wall-clock parts, day of week, wall time → instant
+ * B. Timezone lookup - hospitals.timezone, fallback, cache
+ * C. Scheduling - slots, no-show cutoff, upcoming appointments, business hours
+ */
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Hospital Timezone - Test Suite                        ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const hospitals = {
+    riyadh_hospital: { timezone: 'Asia/Riyadh' },
+    kathmandu_hospital: { timezone: 'Asia/Kathmandu' },
+    broken_hospital: { timezone: 'Mars/Olympus' }
+};
+const queries = [];
+let hospitalLookups = 0;
+
+const mockDb = {
+    query: async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('FROM doctors_v2 dv')) {
+            return [{ id: 7, name: 'Dr. A', hospital_id: params[0], department_name: 'Cardiology' }];
+        }
+        if (sql.includes('FROM doctor_availability')) {
+            return [{ doctor_id: 7, day_of_week: params[1], start_time: '00:00', end_time: '23:59' }];
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM hospitals')) {
+            hospitalLookups++;
+            return hospitals[params[0]] || null;
+        }
+        return null;
+    },
+    execute: async () => ({ rowCount: 1 })
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const {
+    getZonedParts, dayOfWeekForDate, zonedTimeToUtc, todayInTimezone,
+    getHospitalTimezone, clearTimezoneCache, DEFAULT_TIMEZONE
+} = require('../utils/hospitalTime');
+const SlotService = require('../services/slotService');
+const { markNoShowsForHospital } = require('../services/noShowService');
+const PatientAppointmentService = require('../services/patientAppointmentService');
+const HumanHandoffService = require('../services/humanHandoffService');
+
+// ============================================================
+// TEST GROUP A: UTILITIES
+// ============================================================
+
+console.log("\n━━━ Test Group A: Utilities ━━━");
+
+// A1: 06:30 UTC is 09:30 in Riyadh (UTC+3) and 01:30 in New York
+{
+    const instant = new Date(Date.UTC(2030, 0, 6, 6, 30));
+    const riyadh = getZonedParts(instant, 'Asia/Riyadh');
+    const newYork = getZonedParts(instant, 'America/New_York');
+    const passed = riyadh.date === '2030-01-06' && riyadh.time === '09:30' && riyadh.minutes === 570 &&
+        riyadh.dayOfWeek === 0 && riyadh.timestamp === '2030-01-06 09:30:00' &&
+        newYork.date === '2030-01-06' && newYork.time === '01:30';
+    recordTest('A1', 'Wall-clock parts in hospital timezone', passed, JSON.stringify(riyadh));
+}
+
+// A2: Day of week comes from the calendar date alone
+{
+    const passed = dayOfWeekForDate('2030-01-06') === 0 && dayOfWeekForDate('2030-01-11') === 5;
+    recordTest('A2', 'Day of week independent of server TZ', passed);
+}
+
+// A3: Wall time → instant, including across a DST change
+{
+    const riyadh = zonedTimeToUtc('2030-01-06', '09:00', 'Asia/Riyadh');
+    const summer = zonedTimeToUtc('2030-07-01', '09:00', 'America/New_York');
+    const winter = zonedTimeToUtc('2030-01-02', '09:00', 'America/New_York');
+    const passed = riyadh.toISOString() === '2030-01-06T06:00:00.000Z' &&
+        summer.toISOString() === '2030-07-01T13:00:00.000Z' &&
+        winter.toISOString() === '2030-01-02T14:00:00.000Z';
+    recordTest('A3', 'zonedTimeToUtc handles offsets and DST', passed, `${riyadh.toISOString()} ${summer.toISOString()}`);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: TIMEZONE LOOKUP
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Timezone Lookup ━━━");
+
+    // B1: hospitals.timezone used; invalid or missing falls back to default
+    {
+        const passed = await getHospitalTimezone('kathmandu_hospital') === 'Asia/Kathmandu' &&
+            await getHospitalTimezone('broken_hospital') === DEFAULT_TIMEZONE &&
+            await getHospitalTimezone('unknown_hospital') === DEFAULT_TIMEZONE;
+        recordTest('B1', 'Timezone from hospitals table with fallback', passed);
+    }
+
+    // B2: Cached until cleared
+    {
+        const before = hospitalLookups;
+        await getHospitalTimezone('kathmandu_hospital');
+        const cached = hospitalLookups === before;
+        clearTimezoneCache('kathmandu_hospital');
+        await getHospitalTimezone('kathmandu_hospital');
+        recordTest('B2', 'Timezone lookup cached', cached && hospitalLookups === before + 1);
+    }
+
+    // ============================================================
+    // TEST GROUP C: SCHEDULING
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Scheduling ━━━");
+
+    // C1: "Today" and past slots judged by the hospital's clock (UTC+5:45)
+    {
+        const now = getZonedParts(new Date(), 'Asia/Kathmandu');
+        const slots = await SlotService.getAvailableSlots('kathmandu_hospital', 'Cardiology', now.date);
+        const firstMinutes = slots.length ? parseInt(slots[0].time.slice(0, 2)) * 60 + parseInt(slots[0].time.slice(3)) : null;
+        // Next 15-minute boundary after "now" (none left just before midnight)
+        const expected = Math.floor(now.minutes / 15) * 15 + 15;
+        const passed = expected + 15 > 23 * 60 + 59 ? slots.length <= 1 : firstMinutes === expected;
+        recordTest('C1', 'Past slots filtered in hospital time', passed, `first=${slots[0]?.time} now=${now.time}`);
+    }
+
+    // C2: Weekly schedule looked up by the date's own weekday
+    {
+        queries.length = 0;
+        await SlotService.getAvailableSlots('riyadh_hospital', 'Cardiology', '2030-01-11');
+        const lookup = queries.find(q => q.sql.includes('FROM doctor_availability'));
+        recordTest('C2', 'Friday date uses Friday availability', lookup && lookup.params[1] === 5);
+    }
+
+    // C3: No-show cutoff expressed in hospital wall-clock time
+    {
+        queries.length = 0;
+        await markNoShowsForHospital(mockDb, 'riyadh_hospital', new Date(Date.UTC(2030, 0, 6, 7, 0)));
+        const cutoff = queries.find(q => q.sql.includes("status = 'confirmed'"))?.params[1];
+        recordTest('C3', 'No-show cutoff = hospital time - grace', cutoff === '2030-01-06 09:30:00', cutoff);
+    }
+
+    // C4: Upcoming appointments compared with hospital "now", not NOW()
+    {
+        queries.length = 0;
+        await PatientAppointmentService.listAppointments('riyadh_hospital', '0500000000');
+        const q = queries.find(x => x.sql.includes('FROM appointments a'));
+        const passed = q && !q.sql.includes('NOW()') && q.params[1].startsWith(todayInTimezone('Asia/Riyadh'));
+        recordTest('C4', 'Upcoming appointments use hospital time', passed);
+    }
+
+    // C5: Business hours checked in hospital time (06:00 UTC = 09:00 Riyadh)
+    {
+        const config = { business_hours: '08:00-18:00', channel: 'email', after_hours_channel: 'whatsapp_webhook' };
+        const morning = new Date(Date.UTC(2030, 0, 6, 6, 0));
+        const evening = new Date(Date.UTC(2030, 0, 6, 16, 0));
+        const passed = HumanHandoffService.getActiveChannel(config, 'Asia/Riyadh', morning) === 'email' &&
+            HumanHandoffService.getActiveChannel(config, 'Asia/Riyadh', evening) === 'whatsapp_webhook';
+        recordTest('C5', 'Escalation business hours in hospital time', passed);
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Hospital Timezone Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
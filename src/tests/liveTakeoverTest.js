@@ -0,0 +1,365 @@
+/**
+ * Live Takeover - Test Suite
+ *
+ * Tests:
+ * A. Schema - migration adds claim columns and the transcript table
+ * B. Takeover - handoff records, claim, staff/patient messages, hand back
+ * C. Reception API - escalation queue and staff actions via /api/reception
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/014_escalation_takeover.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Live Takeover - Test Suite                            ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const escalations = [];
+const messages = [];
+const audits = [];
+
+const findEscalation = (id, hospitalId) => escalations.find(e => e.id === id && e.hospital_id === hospitalId);
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM escalation_records e')) {
+            return escalations
+                .filter(e => e.hospital_id === params[0] && params[1].includes(e.status))
+                .map(e => ({ ...e, message_count: messages.filter(m => m.escalation_id === e.id).length }));
+        }
+        if (sql.includes('FROM escalation_messages')) {
+            return messages.filter(m => m.escalation_id === params[0] && m.hospital_id === params[1] && m.id > params[2]);
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM escalation_records')) {
+            const e = findEscalation(params[0], params[1]);
+            return e ? { ...e } : null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('INSERT INTO escalation_records')) {
+            const row = {
+                id: escalations.length + 1, hospital_id: params[0], conversation_id: params[1],
+                trigger_type: params[2], channel: params[3], status: 'pending', claimed_by: null, created_at: new Date()
+            };
+            escalations.push(row);
+            return { rows: [{ ...row }], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO escalation_messages')) {
+            const row = {
+                id: messages.length + 1, escalation_id: params[0], hospital_id: params[1], sender: params[2],
+                staff_username: params[3], body_encrypted: params[4], created_at: new Date()
+            };
+            messages.push(row);
+            return { rows: [{ id: row.id, created_at: row.created_at }], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO audit_logs')) {
+            audits.push({ action: params[3], entityId: params[2], performedBy: params[4] });
+            return { rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'claimed'")) {
+            const e = findEscalation(params[0], params[1]);
+            if (!e || !['pending', 'acknowledged'].includes(e.status)) return { rows: [], rowCount: 0 };
+            Object.assign(e, { status: 'claimed', claimed_by: params[2], claimed_at: new Date() });
+            return { rows: [{ ...e }], rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'returned'")) {
+            const e = findEscalation(params[0], params[1]);
+            if (!e || e.status !== 'claimed' || e.claimed_by !== params[2]) return { rowCount: 0 };
+            Object.assign(e, { status: 'returned', resolved_at: new Date() });
+            return { rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'resolved'")) {
+            const e = findEscalation(params[0], params[1]);
+            const allowed = e && (['pending', 'acknowledged'].includes(e.status) ||
+                (e.status === 'claimed' && e.claimed_by === params[2]));
+            if (!allowed) return { rowCount: 0 };
+            Object.assign(e, { status: 'resolved', resolved_at: new Date(), resolution_category: params[3] });
+            return { rowCount: 1 };
+        }
+        return { rowCount: 0 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+// Escalation emails are queued, not sent
+const queue = require('../config/queue');
+queue.emailQueue.add = async () => ({ id: 'email-job' });
+
+// AI must not be called while staff hold the conversation
+const aiService = require('../services/aiService');
+let aiCalls = 0;
+aiService.generateResponse = async () => {
+    aiCalls++;
+    return { reply: 'AI reply' };
+};
+
+const { decrypt, encrypt } = require('../utils/encryption');
+const redisClient = require('../config/redis');
+const LiveTakeoverService = require('../services/liveTakeoverService');
+const { SYSTEM_MESSAGES } = require('../services/liveTakeoverService');
+const HumanHandoffService = require('../services/humanHandoffService');
+const WhatsAppService = require('../services/whatsappService');
+const { getWhatsAppProvider } = require('../providers/WhatsAppCloudProvider');
+const orchestrator = require('../services/conversationOrchestrator');
+const { createContext } = require('../services/conversationOrchestrator');
+const receptionRouter = require('../routes/receptionRouter');
+
+const HOSPITAL = { id: 'test_hospital', name: 'Test Hospital', escalation_config: { channel: 'email' } };
+
+function chat(session, message) {
+    const ctx = createContext({
+        conversationId: 'conv-1',
+        hospitalId: 'test_hospital',
+        hospital: HOSPITAL,
+        session,
+        message,
+        rawMessage: message
+    });
+    return orchestrator.run(ctx);
+}
+
+// ============================================================
+// TEST GROUP A: SCHEMA
+// ============================================================
+
+console.log("\n━━━ Test Group A: Schema ━━━");
+
+// A1: Migration adds claim columns and the transcript table
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && content.includes('claimed_by') &&
+        content.includes('CREATE TABLE IF NOT EXISTS escalation_messages') &&
+        content.includes('body_encrypted') && content.includes('hospital_id TEXT NOT NULL');
+    recordTest('A1', 'Migration creates escalation_messages', passed);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: TAKEOVER
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Takeover ━━━");
+
+    const session = {
+        history: [
+            { role: 'user', content: 'I need help with [PHONE_REDACTED]' },
+            { role: 'assistant', content: 'Let me connect you.' }
+        ]
+    };
+
+    // B1: Handoff records a pending escalation seeded with the redacted history
+    {
+        await HumanHandoffService.triggerHandoff('conv-1', 'User Request', HOSPITAL, session);
+        const e = escalations[0];
+        const seeded = messages.filter(m => m.escalation_id === 1);
+        const passed = e && e.status === 'pending' && e.channel === 'email' && session.escalationId === 1 &&
+            seeded.length === 2 && seeded[0].sender === 'patient' && seeded[1].sender === 'ai' &&
+            decrypt(seeded[0].body_encrypted) === 'I need help with [PHONE_REDACTED]' &&
+            !seeded[0].body_encrypted.includes('help');
+        recordTest('B1', 'Handoff opens escalation with encrypted transcript', passed, JSON.stringify(e));
+    }
+
+    // B2: Only one staff member can claim
+    {
+        const first = await LiveTakeoverService.claim('test_hospital', 1, 'desk1');
+        const again = await LiveTakeoverService.claim('test_hospital', 1, 'desk1');
+        const second = await LiveTakeoverService.claim('test_hospital', 1, 'desk2');
+        const otherHospital = await LiveTakeoverService.claim('other_hospital', 1, 'desk2');
+        const passed = first.success && again.success && !second.success && second.code === 'CONFLICT' &&
+            second.error.includes('desk1') && otherHospital.code === 'NOT_FOUND' &&
+            audits.filter(a => a.action === 'ESCALATION_CLAIMED').length === 1;
+        recordTest('B2', 'Claim is exclusive and hospital-scoped', passed, JSON.stringify(second));
+    }
+
+    // B3: Staff reply reaches the patient's widget; other staff cannot reply
+    {
+        const sent = await LiveTakeoverService.sendStaffMessage('test_hospital', 1, 'desk1', 'Hello, this is reception.');
+        const denied = await LiveTakeoverService.sendStaffMessage('test_hospital', 1, 'desk2', 'Hi');
+        const empty = await LiveTakeoverService.sendStaffMessage('test_hospital', 1, 'desk1', '   ');
+        const updates = await LiveTakeoverService.getPatientUpdates('test_hospital', session, 2);
+        const passed = sent.success && denied.code === 'CONFLICT' && empty.code === 'VALIDATION' &&
+            updates.active && updates.status === 'claimed' && updates.messages.length === 2 &&
+            updates.messages[0].text === SYSTEM_MESSAGES.claimed &&
+            updates.messages[1].text === 'Hello, this is reception.' &&
+            updates.messages.every(m => m.staff_username === undefined);
+        recordTest('B3', 'Staff reply delivered without staff name', passed, JSON.stringify(updates));
+    }
+
+    // B4: Patient messages go to the transcript while claimed; AI not called
+    {
+        const res = await chat(session, 'Thank you');
+        const stored = messages[messages.length - 1];
+        const passed = res.body.takeover === true && !res.body.reply && aiCalls === 0 &&
+            stored.sender === 'patient' && decrypt(stored.body_encrypted) === 'Thank you';
+        recordTest('B4', 'Patient message stored, AI disengaged', passed, JSON.stringify(res.body));
+    }
+
+    // B5: WhatsApp conversations receive staff messages as pushes
+    {
+        const pushed = [];
+        getWhatsAppProvider().sendText = async (args) => {
+            pushed.push(args);
+            return { success: true };
+        };
+        await redisClient.set(WhatsAppService.escalationKey('test_hospital', 1),
+            encrypt(JSON.stringify({ to: '966500000001', phoneNumberId: 'pn-1' })), 'EX', 60);
+        await LiveTakeoverService.sendStaffMessage('test_hospital', 1, 'desk1', 'Your **file** is ready');
+        const passed = pushed.length === 1 && pushed[0].to === '966500000001' &&
+            pushed[0].phoneNumberId === 'pn-1' && pushed[0].text === 'Your *file* is ready';
+        recordTest('B5', 'Staff message pushed over WhatsApp', passed, JSON.stringify(pushed));
+        await redisClient.del(WhatsAppService.escalationKey('test_hospital', 1));
+    }
+
+    // B6: Hand back → widget told, AI answers again
+    {
+        const result = await LiveTakeoverService.handBack('test_hospital', 1, 'desk1');
+        const updates = await LiveTakeoverService.getPatientUpdates('test_hospital', session, 0);
+        const res = await chat(session, 'What are your opening hours?');
+        const passed = result.success && escalations[0].status === 'returned' && !updates.active &&
+            updates.messages[updates.messages.length - 1].text === SYSTEM_MESSAGES.returned &&
+            !session.escalationId && !session.escalatedAt && aiCalls === 1 && res.body.reply === 'AI reply' &&
+            audits.some(a => a.action === 'ESCALATION_RETURNED' && a.performedBy === 'desk1');
+        recordTest('B6', 'Handed-back conversation resumes with AI', passed, JSON.stringify(res.body));
+    }
+
+    // B7: Unclaimed escalation keeps the static escalated reply
+    {
+        const pendingSession = { history: [] };
+        await HumanHandoffService.triggerHandoff('conv-2', 'User Request', HOSPITAL, pendingSession);
+        const res = await chat(pendingSession, 'Anyone there?');
+        const passed = res.body.escalated === true && res.body.takeover === true && !!res.body.reply &&
+            aiCalls === 1 && messages[messages.length - 1].escalation_id === pendingSession.escalationId;
+        recordTest('B7', 'Pending escalation still disengages AI', passed, JSON.stringify(res.body));
+    }
+
+    // ============================================================
+    // TEST GROUP C: RECEPTION API
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Reception API ━━━");
+
+    let currentUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.hospitalId = 'test_hospital';
+        req.hospital = { id: 'test_hospital', name: 'Test Hospital' };
+        req.session = { receptionUser: currentUser };
+        next();
+    });
+    app.use('/api/reception', receptionRouter);
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/api/reception/escalations`;
+    const post = (url, body = {}) => fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        // C1: Queue lists open escalations; transcript decrypted for staff
+        {
+            const res = await fetch(base);
+            const body = await res.json();
+            const detail = await (await fetch(`${base}/2`)).json();
+            const bad = await fetch(`${base}?status=lost`);
+            const passed = res.status === 200 && body.escalations.length === 1 && body.escalations[0].id === 2 &&
+                detail.escalation.status === 'pending' && detail.messages[0].text === 'Anyone there?' &&
+                bad.status === 400;
+            recordTest('C1', 'Open escalations and transcript listed', passed, JSON.stringify(body));
+        }
+
+        // C2: Claim, reply and resolve via the API; others get 409
+        {
+            const claim = await post(`${base}/2/claim`);
+            currentUser = { id: 2, username: 'desk2', role: 'receptionist', hospitalId: 'test_hospital' };
+            const conflict = await post(`${base}/2/claim`);
+            const foreignReply = await post(`${base}/2/messages`, { text: 'Hi' });
+            currentUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            const reply = await post(`${base}/2/messages`, { text: 'How can I help?' });
+            const resolved = await post(`${base}/2/resolve`, { category: 'information_provided' });
+            const missing = await post(`${base}/99/resolve`, { category: 'other' });
+            const passed = claim.status === 200 && conflict.status === 409 && foreignReply.status === 409 &&
+                reply.status === 200 && resolved.status === 200 && missing.status === 404 &&
+                escalations[1].status === 'resolved' &&
+                decrypt(messages[messages.length - 1].body_encrypted) === SYSTEM_MESSAGES.resolved;
+            recordTest('C2', 'Claim, reply and resolve via API', passed);
+        }
+
+        // C3: Doctors cannot access the escalation queue
+        {
+            currentUser = { id: 3, username: 'dr1', role: 'doctor', hospitalId: 'test_hospital' };
+            const res = await fetch(base);
+            currentUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            recordTest('C3', 'Escalation queue is reception-only', res.status === 403);
+        }
+    } finally {
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Live Takeover Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
@@ -0,0 +1,311 @@
+/**
+ * Patient Self-Service - Test Suite
+ *
+ * Tests:
+ * A. Routing - /:hospital_id/appointments endpoints
+ * B. Verification - phone + OTP, session-scoped access
+ * C. Appointments - ownership, cancel, reschedule, notifications
+ * D. Chat intents - cancel flow without calling the AI
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const HOSPITAL_ROUTER_PATH = path.join(ROOT, 'src/routes/hospitalRouter.js');
+const APPOINTMENT_ROUTER_PATH = path.join(ROOT, 'src/routes/appointmentRouter.js');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Patient Self-Service - Test Suite                     ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const { encrypt } = require('../utils/encryption');
+const productionDb = require('../config/productionDb');
+
+const future = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+const appointments = [
+    { id: 1, doctor_id: 7, appointment_time: future, status: 'confirmed', patient_phone_encrypted: encrypt('0551234567'), doctor_name: 'Dr. A', department_name: 'Cardiology' },
+    { id: 2, doctor_id: 8, appointment_time: future, status: 'confirmed', patient_phone_encrypted: encrypt('0559999999'), doctor_name: 'Dr. B', department_name: 'Cardiology' }
+];
+const executed = [];
+
+const mockDb = {
+    query: async (sql, params) => appointments.filter(a => params[0] === 'test_hospital' && a.status === 'confirmed'),
+    get: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2')) return { department_name: params[0] === 9 ? 'Dermatology' : 'Cardiology' };
+        const a = appointments.find(x => x.id === params[0]);
+        return a && params[1] === 'test_hospital' ? a : null;
+    },
+    execute: async (sql, params) => {
+        executed.push({ sql, params });
+        if (sql.includes("SET status = 'cancelled'")) {
+            const a = appointments.find(x => x.id === params[0]);
+            a.status = 'cancelled';
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const PatientAppointmentService = require('../services/patientAppointmentService');
+const { normalizePhone } = PatientAppointmentService;
+const BookingNotificationService = require('../services/bookingNotificationService');
+const SlotService = require('../services/slotService');
+const aiService = require('../services/aiService');
+const { createContext, ConversationOrchestrator } = require('../services/conversationOrchestrator');
+
+const sent = [];
+BookingNotificationService.queueOtpSms = async (booking, otp) => {
+    sent.push({ type: 'otp', to: booking.patientPhone, otp });
+    return true;
+};
+BookingNotificationService.notifyCancellation = async (booking) => {
+    sent.push({ type: 'cancel', to: booking.patientPhone, id: booking.id });
+};
+BookingNotificationService.notifyReschedule = async (booking, hospital, previous) => {
+    sent.push({ type: 'reschedule', to: booking.patientPhone, id: booking.id, datetime: booking.datetime, previous });
+};
+
+const slotDate = future.toISOString().split('T')[0];
+SlotService.getAvailableSlots = async (hospitalId, departmentName) => (departmentName === 'Dermatology'
+    ? [{ doctor_id: 9, doctor_name: 'Dr. C', datetime: `${slotDate}T12:00:00`, time: '12:00' }]
+    : [{ doctor_id: 7, doctor_name: 'Dr. A', datetime: `${slotDate}T11:00:00`, time: '11:00' }]);
+
+let aiCalls = 0;
+aiService.generateResponse = async () => {
+    aiCalls++;
+    return { reply: 'AI reply', status: 'success' };
+};
+
+const hospital = { id: 'test_hospital', name: 'Test Hospital', departments: ['Cardiology'] };
+const lastOtp = () => sent.filter(s => s.type === 'otp').pop().otp;
+
+// ============================================================
+// TEST GROUP A: ROUTING
+// ============================================================
+
+console.log("\n━━━ Test Group A: Routing ━━━");
+
+// A1: Router mounted under hospital context
+{
+    const content = fs.readFileSync(HOSPITAL_ROUTER_PATH, 'utf-8');
+    recordTest('A1', 'Appointments router mounted', content.includes("router.use('/appointments'"));
+}
+
+// A2: Endpoints defined
+{
+    const content = fs.readFileSync(APPOINTMENT_ROUTER_PATH, 'utf-8');
+    const passed = content.includes("router.post('/verify/request'") &&
+        content.includes("router.post('/verify'") &&
+        content.includes("router.get('/'") &&
+        content.includes("router.patch('/:appointmentId'") &&
+        content.includes("router.delete('/:appointmentId'");
+    recordTest('A2', 'View/reschedule/cancel endpoints defined', passed);
+}
+
+// A3: Verification required before data routes
+{
+    const content = fs.readFileSync(APPOINTMENT_ROUTER_PATH, 'utf-8');
+    const guardAt = content.indexOf('router.use(requirePatientAccess)');
+    const passed = guardAt > content.indexOf("router.post('/verify'") &&
+        guardAt < content.indexOf("router.get('/'");
+    recordTest('A3', 'Data routes behind OTP verification', passed);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: VERIFICATION
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Verification ━━━");
+
+    // B1: Phone normalization
+    {
+        const passed = normalizePhone('+966 55 123 4567') === '0551234567' &&
+            normalizePhone('055-123-4567') === '0551234567';
+        recordTest('B1', 'Saudi phone formats normalized', passed);
+    }
+
+    const session = {};
+
+    // B2: OTP sent by SMS, no access yet
+    {
+        const result = await PatientAppointmentService.requestVerification(session, 'test_hospital', hospital, '+966551234567');
+        const passed = result.success && result.phoneLast4 === '4567' &&
+            sent[sent.length - 1].to === '0551234567' &&
+            PatientAppointmentService.getVerifiedPhone(session) === null;
+        recordTest('B2', 'Verification OTP sent, access not yet granted', passed);
+    }
+
+    // B3: Correct OTP grants access
+    {
+        const result = await PatientAppointmentService.verify(session, 'test_hospital', lastOtp());
+        recordTest('B3', 'Correct OTP grants session access',
+            result.success && PatientAppointmentService.getVerifiedPhone(session) === '0551234567');
+    }
+
+    // B4: Access expires
+    {
+        const expired = { patientAccess: { phone: '0551234567', expiresAt: Date.now() - 1 } };
+        recordTest('B4', 'Expired access rejected', PatientAppointmentService.getVerifiedPhone(expired) === null);
+    }
+
+    // ============================================================
+    // TEST GROUP C: APPOINTMENTS
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Appointments ━━━");
+
+    // C1: Only own appointments listed
+    {
+        const list = await PatientAppointmentService.listAppointments('test_hospital', '0551234567');
+        recordTest('C1', 'Only appointments for the verified phone', list.length === 1 && list[0].id === 1);
+    }
+
+    // C2: Cannot cancel someone else's appointment
+    {
+        const result = await PatientAppointmentService.cancel('test_hospital', hospital, '0551234567', 2);
+        recordTest('C2', "Other patient's appointment not found", !result.success && appointments[1].status === 'confirmed');
+    }
+
+    // C3: Reschedule rejects a slot SlotService does not offer
+    {
+        const result = await PatientAppointmentService.reschedule('test_hospital', hospital, '0551234567', 1,
+            { doctorId: 7, datetime: `${slotDate}T13:00:00` }, 'sess-1');
+        recordTest('C3', 'Unavailable slot rejected', !result.success && result.error.includes('no longer available'));
+    }
+
+    // C4: Reschedule to offered slot → DB update, audit, SMS
+    {
+        executed.length = 0;
+        const result = await PatientAppointmentService.reschedule('test_hospital', hospital, '0551234567', 1,
+            { doctorId: 7, datetime: `${slotDate}T11:00:00` }, 'sess-1');
+        const update = executed.find(e => e.sql.includes('SET doctor_id'));
+        const audit = executed.find(e => e.sql.includes('audit_logs') && e.params[3] === 'BOOKING_RESCHEDULED');
+        const sms = sent.find(s => s.type === 'reschedule');
+        const passed = result.success && update && audit && audit.params[4] === 'patient' &&
+            sms && sms.to === '0551234567' && sms.datetime === `${slotDate}T11:00:00`;
+        recordTest('C4', 'Reschedule updates, audits and notifies', passed);
+    }
+
+    // C5: Reschedule to another department's doctor rejected (slot is free there)
+    {
+        executed.length = 0;
+        const result = await PatientAppointmentService.reschedule('test_hospital', hospital, '0551234567', 1,
+            { doctorId: 9, datetime: `${slotDate}T12:00:00` }, 'sess-1');
+        const passed = !result.success && result.error.includes('no longer available') &&
+            !executed.some(e => e.sql.includes('SET doctor_id'));
+        recordTest('C5', 'Cross-department reschedule rejected', passed, JSON.stringify(result));
+    }
+
+    // ============================================================
+    // TEST GROUP D: CHAT INTENTS
+    // ============================================================
+
+    console.log("\n━━━ Test Group D: Chat Intents ━━━");
+
+    const orchestrator = new ConversationOrchestrator();
+    const chatSession = { history: [] };
+    const turn = (message, raw = message) => orchestrator.run(createContext({
+        conversationId: 'sess-chat',
+        hospitalId: 'test_hospital',
+        hospital,
+        session: chatSession,
+        message,
+        rawMessage: raw
+    }));
+
+    // D1: Intent without phone → ask for it
+    {
+        const res = await turn('I want to cancel my appointment');
+        recordTest('D1', 'Cancel intent asks for phone', res.body.reply.includes('mobile number') &&
+            chatSession.selfService.step === 'awaiting_phone');
+    }
+
+    // D2: Phone → OTP sent
+    {
+        const res = await turn('[PHONE_NUMBER]', '0551234567');
+        recordTest('D2', 'Phone triggers OTP SMS', res.body.reply.includes('4567') &&
+            chatSession.selfService.step === 'awaiting_otp');
+    }
+
+    // D3: OTP → appointment list
+    {
+        const res = await turn(lastOtp());
+        recordTest('D3', 'OTP lists appointments', res.body.reply.includes('#1') && !res.body.reply.includes('#2'));
+    }
+
+    // D4: Choose appointment → cancelled with notification
+    {
+        const res = await turn('1');
+        const passed = res.body.reply.includes('cancelled') && appointments[0].status === 'cancelled' &&
+            sent.some(s => s.type === 'cancel' && s.id === 1) && chatSession.selfService === null;
+        recordTest('D4', 'Chat cancel cancels and notifies', passed);
+    }
+
+    // D5: AI never called, nothing stored in history
+    {
+        recordTest('D5', 'Self-service bypasses AI and history', aiCalls === 0 && chatSession.history.length === 0);
+    }
+
+    // D6: Unrelated reply leaves the flow
+    {
+        chatSession.selfService = { intent: 'cancel', step: 'choose_appointment', appointmentIds: [1] };
+        await turn('what are your opening hours?');
+        recordTest('D6', 'Unexpected reply falls through to AI', aiCalls === 1 && chatSession.selfService === null);
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Patient Self-Service Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
@@ -0,0 +1,361 @@
+/**
+ * Per-Hospital Prompt Templates - Test Suite
+ *
+ * Tests:
+ * A. Templates - built-in prompt, validation, language variants and persona
+ * B. Admin API - versions, activation, preview, audit, roles
+ * C. Runtime - persona used for AI turns, greeting after consent
+ */
+
+const express = require('express');
+const session = require('express-session');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Per-Hospital Prompt Templates - Test Suite            ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const hospitals = {
+    test_hospital: { prompt_template_version: null },
+    other_hospital: { prompt_template_version: 1 },
+    default: { prompt_template_version: null }
+};
+const templates = [
+    { hospital_id: 'other_hospital', version: 1, config: { tone: 'Other tone.', greeting: {}, extra_rules: [], templates: {} }, created_by: 'x' }
+];
+const audits = [];
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM prompt_templates')) {
+            return templates.filter(t => t.hospital_id === params[0])
+                .sort((a, b) => b.version - a.version)
+                .map(({ version, notes, created_by }) => ({ version, notes, created_by }));
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('JOIN prompt_templates')) {
+            const version = hospitals[params[0]]?.prompt_template_version;
+            return templates.find(t => t.hospital_id === params[0] && t.version === version) || null;
+        }
+        if (sql.includes('SELECT prompt_template_version FROM hospitals')) {
+            return hospitals[params[0]] ? { ...hospitals[params[0]] } : null;
+        }
+        if (sql.includes('FROM prompt_templates')) {
+            return templates.find(t => t.hospital_id === params[0] && t.version === params[1]) || null;
+        }
+        if (sql.includes('FROM hospitals')) return { timezone: 'Asia/Riyadh' };
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('audit_logs')) {
+            audits.push({ action: params[3], entityType: params[1], performedBy: params[4], metadata: params[6] });
+        } else if (sql.includes('INSERT INTO prompt_templates')) {
+            const version = Math.max(0, ...templates.filter(t => t.hospital_id === params[0]).map(t => t.version)) + 1;
+            templates.push({ hospital_id: params[0], version, config: JSON.parse(params[1]), notes: params[2], created_by: params[3] });
+            return { rows: [{ version, created_at: new Date().toISOString() }], rowCount: 1 };
+        } else if (sql.includes('UPDATE hospitals SET prompt_template_version')) {
+            if (!hospitals[params[0]]) return { rows: [], rowCount: 0 };
+            hospitals[params[0]].prompt_template_version = params[1];
+            return { rows: [], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 1 };
+    }
+};
+
+productionDb.initializeDatabase = async () => mockDb;
+
+const { DEFAULT_TEMPLATE, validatePersona } = require('../config/promptTemplates');
+const aiService = require('../services/aiService');
+const PromptTemplateService = require('../services/promptTemplateService');
+const adminRouter = require('../routes/adminRouter');
+const hospitalRouter = require('../routes/hospitalRouter');
+const { createContext, ConversationOrchestrator } = require('../services/conversationOrchestrator');
+
+const hospital = {
+    id: 'test_hospital', name: 'Test Hospital', departments: ['Cardiology', 'Pediatrics'],
+    emergency_number: '998', working_hours: '08:00-20:00',
+    doctors: [{ name: 'Dr. Ahmed Saleh', specialty: 'Cardiologist', department: 'Cardiology' }],
+    insurance_accepted: ['Bupa'], faq: ['Parking is free.']
+};
+
+const ARABIC_TEMPLATE = 'أنت موظف استقبال {{hospital_name}}. {{greeting}}\n{{appointments}}\n{{grounding_rules}}{{extra_rules}}';
+
+const PERSONA = {
+    tone: 'Warm and reassuring.',
+    greeting: { English: 'Welcome to Test Hospital! How can we care for you today?', Arabic: 'أهلاً بكم في مستشفى الاختبار' },
+    extra_rules: ['Visiting hours are 16:00-20:00.', 'Never discuss prices.'],
+    templates: { Arabic: ARABIC_TEMPLATE }
+};
+
+async function runTests() {
+    // ============================================================
+    // TEST GROUP A: TEMPLATES
+    // ============================================================
+
+    console.log("\n━━━ Test Group A: Templates ━━━");
+
+    // A1: Built-in template renders the hospital context, no hard-coded hospital name
+    {
+        const prompt = aiService.buildSystemPrompt({ hospital, workingHours: hospital.working_hours, department: 'Cardiology' }, 'English');
+        const unnamed = aiService.buildSystemPrompt({ hospital: null }, 'English');
+        const passed = prompt.includes('Receptionist for Test Hospital') && prompt.includes('Tone: Professional, Calm, Concise.') &&
+            prompt.includes('- Dr. Ahmed Saleh (Cardiologist, Cardiology)') && prompt.includes('Bupa') &&
+            prompt.includes('- Parking is free.') && prompt.includes('Working Hours: 08:00-20:00') &&
+            prompt.includes('Triage suggests the Cardiology department') &&
+            prompt.includes('CRITICAL GROUNDING RULES') && !prompt.includes('{{') &&
+            !prompt.includes('RULES (the grounding rules above still apply)') &&
+            !unnamed.includes('Al Shifa') && unnamed.includes('Receptionist for the hospital');
+        recordTest('A1', 'Built-in template rendered with hospital context', passed, prompt);
+    }
+
+    // A2: Templates must keep the grounding and booking rules and use known placeholders
+    {
+        const missing = validatePersona({ templates: { default: 'You are {{hospital_name}}. {{appointments}}' } });
+        const unknown = validatePersona({ templates: { English: '{{slots}} {{appointments}} {{grounding_rules}}' } });
+        const language = validatePersona({ templates: { French: DEFAULT_TEMPLATE } });
+        const rules = validatePersona({ extra_rules: Array(21).fill('rule') });
+        const valid = validatePersona(PERSONA);
+        const passed = /templates\.default: must include \{\{grounding_rules\}\}/.test(missing.error) &&
+            /unknown placeholder\(s\): \{\{slots\}\}/.test(unknown.error) &&
+            /French/.test(language.error) && /extra_rules/.test(rules.error) &&
+            !valid.error && valid.config.extra_rules.length === 2 && validatePersona(undefined).config.extra_rules.length === 0;
+        recordTest('A2', 'Invalid templates rejected', passed, JSON.stringify({ missing, unknown, language, rules }));
+    }
+
+    // A3: Language variant, tone, greeting and extra rules
+    {
+        const persona = validatePersona(PERSONA).config;
+        const english = aiService.buildSystemPrompt({ hospital, persona }, 'English');
+        const arabic = aiService.buildSystemPrompt({ hospital, persona, urgent: true }, 'Arabic');
+        const passed = english.includes('Tone: Warm and reassuring.') &&
+            english.includes('=== TEST HOSPITAL RULES (the grounding rules above still apply) ===\n- Visiting hours are 16:00-20:00.\n- Never discuss prices.') &&
+            english.indexOf('CRITICAL GROUNDING RULES') < english.indexOf('Never discuss prices') &&
+            arabic.startsWith('أنت موظف استقبال Test Hospital. أهلاً بكم في مستشفى الاختبار') &&
+            arabic.includes('URGENT (SAME-DAY) PATIENT') && arabic.includes('CRITICAL GROUNDING RULES') &&
+            arabic.includes('Never discuss prices') && !arabic.includes('=== DOCTORS ===');
+        recordTest('A3', 'Persona and language variants rendered', passed, JSON.stringify({ english, arabic }));
+    }
+
+    // ============================================================
+    // TEST GROUP B: ADMIN API
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Admin API ━━━");
+
+    let currentUser = { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' };
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.hospitalId = 'test_hospital';
+        req.hospital = hospital;
+        req.session = { receptionUser: currentUser };
+        next();
+    });
+    app.use('/api/admin', adminRouter);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const base = `http://127.0.0.1:${server.address().port}/api/admin/prompt-templates`;
+    const call = async (method, url, body) => {
+        const res = await fetch(base + url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    try {
+        // B1: Versions saved (validated, audited), inactive until activated
+        {
+            const invalid = await call('POST', '', { config: { templates: { default: 'no rules here' } } });
+            const first = await call('POST', '', { config: { tone: 'Brief.' }, notes: 'first try' });
+            const second = await call('POST', '', { config: PERSONA, notes: 'persona v2' });
+            const list = await call('GET', '');
+            const created = audits.filter(a => a.action === 'PROMPT_TEMPLATE_CREATED');
+            const passed = invalid.status === 400 && /grounding_rules/.test(invalid.body.error) &&
+                first.status === 201 && first.body.template.version === 1 && second.body.template.version === 2 &&
+                list.body.active_version === null && list.body.versions.map(v => v.version).join() === '2,1' &&
+                list.body.versions.every(v => v.active === false && v.config === undefined) &&
+                created.length === 2 && created[1].performedBy === 'admin1' && created[1].entityType === 'prompt_template' &&
+                hospitals.test_hospital.prompt_template_version === null &&
+                templates.every(t => t.hospital_id !== 'test_hospital' || t.created_by === 'admin1');
+            recordTest('B1', 'Versions saved and audited', passed, JSON.stringify({ invalid, first, list }));
+        }
+
+        // B2: Activation (audited, cache cleared); unknown versions and other hospitals' versions rejected
+        {
+            const before = await PromptTemplateService.getActive('test_hospital');
+            const activated = await call('PUT', '/active', { version: 2 });
+            const after = await PromptTemplateService.getActive('test_hospital');
+            const unknown = await call('PUT', '/active', { version: 9 });
+            const invalid = await call('PUT', '/active', { version: 'latest' });
+            const one = await call('GET', '/2');
+            const missing = await call('GET', '/7');
+            const audit = audits.find(a => a.action === 'PROMPT_TEMPLATE_ACTIVATED');
+            const passed = before === null && activated.status === 200 && activated.body.active_version === 2 &&
+                after.version === 2 && after.config.tone === 'Warm and reassuring.' &&
+                unknown.status === 404 && invalid.status === 400 &&
+                one.body.template.active === true && one.body.template.config.extra_rules.length === 2 &&
+                missing.status === 404 &&
+                audit.metadata.version === 2 && audit.metadata.previous_version === null &&
+                hospitals.other_hospital.prompt_template_version === 1;
+            recordTest('B2', 'Version activated', passed, JSON.stringify({ activated, unknown, invalid, audit }));
+        }
+
+        // B3: Preview of the active version, a saved version and an unsaved draft
+        {
+            const active = await call('POST', '/preview', { language: 'Arabic', department: 'Pediatrics' });
+            const saved = await call('POST', '/preview', { version: 1 });
+            const draft = await call('POST', '/preview', { config: { tone: 'Draft tone.' }, urgent: true });
+            const badDraft = await call('POST', '/preview', { config: { tone: '' } });
+            const badLanguage = await call('POST', '/preview', { language: 'French' });
+            const badDepartment = await call('POST', '/preview', { department: 'Oncology' });
+            const passed = active.status === 200 && active.body.version === 2 && active.body.language === 'Arabic' &&
+                active.body.prompt.startsWith('أنت موظف استقبال Test Hospital') &&
+                active.body.prompt.includes('Triage suggests the Pediatrics department') &&
+                saved.body.version === 1 && saved.body.prompt.includes('Tone: Brief.') &&
+                draft.body.draft === true && draft.body.version === null &&
+                draft.body.prompt.includes('Tone: Draft tone.') && draft.body.prompt.includes('URGENT (SAME-DAY)') &&
+                badDraft.status === 400 && badLanguage.status === 400 && badDepartment.status === 400;
+            recordTest('B3', 'Preview renders active, saved and draft templates', passed, JSON.stringify({ saved: saved.body, badDraft, badLanguage }));
+        }
+
+        // B4: Receptionists cannot change the persona; back to the built-in template
+        {
+            currentUser = { id: 2, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            const denied = await call('POST', '', { config: PERSONA });
+            currentUser = { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' };
+            const reset = await call('PUT', '/active', { version: null });
+            const after = await PromptTemplateService.getActive('test_hospital');
+            const passed = denied.status === 403 && templates.filter(t => t.hospital_id === 'test_hospital').length === 2 &&
+                reset.status === 200 && reset.body.active_version === null && after === null;
+            recordTest('B4', 'Admin only; reset to built-in template', passed, JSON.stringify({ denied, reset }));
+        }
+    } finally {
+        server.close();
+    }
+
+    // ============================================================
+    // TEST GROUP C: RUNTIME
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Runtime ━━━");
+
+    // C1: The active persona shapes the prompt of a chat turn
+    {
+        await PromptTemplateService.activate('test_hospital', 2, 'admin1');
+        const realProvider = aiService.provider;
+        const prompts = [];
+        aiService.provider = {
+            getName: () => 'fake',
+            generateResponse: async ({ systemPrompt }) => {
+                prompts.push(systemPrompt);
+                return { content: 'We are open until 20:00.', status: 'success' };
+            }
+        };
+        const ctx = createContext({
+            conversationId: 'sess-persona',
+            hospitalId: 'test_hospital',
+            hospital,
+            session: { history: [], preferredLanguage: 'English' },
+            message: 'When are visiting hours?'
+        });
+        const res = await new ConversationOrchestrator().run(ctx);
+        aiService.provider = realProvider;
+        const passed = res.status === 200 && res.body.reply.includes('We are open until 20:00.') &&
+            prompts.length === 1 && prompts[0].includes('Tone: Warm and reassuring.') &&
+            prompts[0].includes('- Visiting hours are 16:00-20:00.') && ctx.aiContext.promptVersion === 2;
+        recordTest('C1', 'Chat turns use the active persona', passed, JSON.stringify({ res, prompt: prompts[0] }));
+    }
+
+    // C2: Greeting shown after consent (built-in welcome when none for the language)
+    {
+        hospitals.default.prompt_template_version = 3;
+        templates.push({ hospital_id: 'default', version: 3, config: { greeting: { English: 'Hi from the default persona!' } }, created_by: 'admin1' });
+        PromptTemplateService.clearCache();
+
+        const app = express();
+        app.use(express.json());
+        app.use(session({ secret: 'test-secret', resave: false, saveUninitialized: true }));
+        app.use('/:hospital_id', hospitalRouter);
+        const server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        const url = `http://127.0.0.1:${server.address().port}/default`;
+
+        const consent = async (language) => {
+            const post = (path, body, cookie) => fetch(url + path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+                body: JSON.stringify(body)
+            });
+            const langRes = await post('/set-language', { language });
+            const cookie = langRes.headers.get('set-cookie').split(';')[0];
+            return (await post('/set-consent', { consent: true }, cookie)).json();
+        };
+
+        try {
+            const english = await consent('English');
+            const arabic = await consent('Arabic');
+            const passed = english.consentGiven === true && english.message === 'Hi from the default persona!' &&
+                arabic.message.startsWith('شكراً لك');
+            recordTest('C2', 'Persona greeting after consent', passed, JSON.stringify({ english, arabic }));
+        } finally {
+            server.close();
+        }
+    }
+}
+
+runTests().then(() => {
+    // ============================================================
+    // SUMMARY
+    // ============================================================
+
+    console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+
+    console.log(`Total: ${results.length}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed === 0) {
+        console.log("\n🎉 ALL TESTS PASSED - Per-Hospital Prompt Templates Complete!\n");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️ Some tests failed. Review output above.\n");
+        process.exit(1);
+    }
+}).catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
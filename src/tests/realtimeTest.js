@@ -0,0 +1,298 @@
+/**
+ * Realtime Push - Test Suite
+ *
+ * Tests:
+ * A. Pub/sub - Redis fan-out between connections
+ * B. Dashboard stream - booking and escalation events, role and hospital scoping
+ * C. Widget stream - takeover notifications per conversation, no PHI
+ */
+
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Realtime Push - Test Suite                            ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const appointments = {
+    1: { id: 1, doctor_id: 7, status: 'confirmed' },
+    2: { id: 2, doctor_id: 8, status: 'confirmed' }
+};
+const escalations = [{
+    id: 1, hospital_id: 'default', conversation_id: 'patient-session', status: 'claimed', claimed_by: 'desk1'
+}];
+
+const mockDb = {
+    query: async () => [],
+    get: async (sql, params) => {
+        if (sql.includes('FROM appointments')) {
+            const a = appointments[params[0]];
+            return a ? { ...a } : null;
+        }
+        if (sql.includes('FROM escalation_records')) {
+            const e = escalations.find(x => x.id === params[0] && x.hospital_id === params[1]);
+            return e ? { ...e } : null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('UPDATE appointments')) {
+            appointments[params[1]].status = params[0];
+            return { rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO escalation_messages')) {
+            return { rows: [{ id: 1, created_at: new Date() }], rowCount: 1 };
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const redisClient = require('../config/redis');
+const RealtimeService = require('../services/realtimeService');
+const { AUDIENCES } = require('../services/realtimeService');
+const { AppointmentStatusService } = require('../services/appointmentStatusService');
+const LiveTakeoverService = require('../services/liveTakeoverService');
+const receptionRouter = require('../routes/receptionRouter');
+const hospitalRouter = require('../routes/hospitalRouter');
+
+// ============================================================
+// TEST APP (fake staff / patient sessions per request)
+// ============================================================
+
+const USERS = {
+    desk1: { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'default' },
+    dr7: { id: 2, username: 'dr7', role: 'doctor', hospitalId: 'default', doctorId: 7 },
+    other: { id: 3, username: 'other', role: 'receptionist', hospitalId: 'other_hospital' }
+};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const user = USERS[req.headers['x-test-user']];
+    req.sessionID = req.headers['x-test-session'] || 'no-session';
+    req.session = {
+        receptionUser: user,
+        hospitals: { default: { history: [], escalationId: req.headers['x-test-escalation'] ? 1 : undefined } }
+    };
+    if (user) req.hospitalId = user.hospitalId;
+    next();
+});
+// Staff streams for a second hospital without the full hospital context
+app.use('/other_hospital/api/reception', receptionRouter);
+app.use('/:hospital_id', hospitalRouter);
+
+/**
+ * Open an SSE stream and collect its events.
+ */
+async function openStream(url, headers) {
+    const controller = new AbortController();
+    const res = await fetch(url, { headers, signal: controller.signal });
+    const stream = { status: res.status, contentType: res.headers.get('content-type'), events: [], close: () => controller.abort() };
+    if (res.status !== 200) return stream;
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    (async () => {
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const type = block.match(/^event: (.+)$/m)?.[1];
+                    const data = block.match(/^data: (.+)$/m)?.[1];
+                    if (type) stream.events.push({ type, data: JSON.parse(data), raw: block });
+                }
+            }
+        } catch (err) {
+            // Aborted by the test
+        }
+    })();
+
+    // Wait until the stream is registered
+    for (let i = 0; i < 50 && !stream.events.some(e => e.type === 'ready'); i++) await sleep(10);
+    return stream;
+}
+
+const ofType = (stream, type) => stream.events.filter(e => e.type === type);
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP A: PUB/SUB
+    // ============================================================
+
+    console.log("\n━━━ Test Group A: Pub/Sub ━━━");
+
+    // A1: Subscribers on other connections receive messages for their channels only
+    {
+        const sub = redisClient.duplicate();
+        const received = [];
+        sub.on('message', (channel, message) => received.push({ channel, message }));
+        await sub.subscribe('realtime:test_a');
+        await redisClient.publish('realtime:test_a', 'hello');
+        await redisClient.publish('realtime:test_b', 'ignored');
+        await sleep(20);
+        await sub.unsubscribe('realtime:test_a');
+        await redisClient.publish('realtime:test_a', 'after');
+        await sleep(20);
+        await sub.quit();
+        const passed = received.length === 1 && received[0].channel === 'realtime:test_a' && received[0].message === 'hello';
+        recordTest('A1', 'Pub/sub delivers per channel', passed, JSON.stringify(received));
+    }
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}`;
+    const streams = [];
+
+    try {
+        // ============================================================
+        // TEST GROUP B: DASHBOARD STREAM
+        // ============================================================
+
+        console.log("\n━━━ Test Group B: Dashboard Stream ━━━");
+
+        const reception = await openStream(`${base}/default/api/reception/events`, { 'x-test-user': 'desk1' });
+        const doctor = await openStream(`${base}/default/api/reception/events`, { 'x-test-user': 'dr7' });
+        const otherHospital = await openStream(`${base}/other_hospital/api/reception/events`, { 'x-test-user': 'other' });
+        const anonymous = await openStream(`${base}/default/api/reception/events`, {});
+        streams.push(reception, doctor, otherHospital);
+
+        // B1: Authenticated staff get an event stream; anonymous requests rejected
+        {
+            const passed = reception.status === 200 && reception.contentType.startsWith('text/event-stream') &&
+                ofType(reception, 'ready').length === 1 && anonymous.status === 401;
+            recordTest('B1', 'Staff stream requires session', passed, `${reception.status} ${anonymous.status}`);
+        }
+
+        // B2: Check-in pushed to reception and to the appointment's doctor only
+        {
+            await AppointmentStatusService.checkIn(1, 'default', 'desk1');
+            await AppointmentStatusService.checkIn(2, 'default', 'desk1');
+            await sleep(50);
+            const toReception = ofType(reception, 'booking.updated');
+            const toDoctor = ofType(doctor, 'booking.updated');
+            const passed = toReception.length === 2 && toReception[0].data.bookingId === 1 &&
+                toReception[0].data.status === 'checked_in' &&
+                toDoctor.length === 1 && toDoctor[0].data.bookingId === 1 &&
+                ofType(otherHospital, 'booking.updated').length === 0;
+            recordTest('B2', 'Booking changes scoped by hospital and doctor', passed,
+                JSON.stringify({ toReception, toDoctor }));
+        }
+
+        // B3: Escalation queue changes pushed to reception roles only
+        {
+            await LiveTakeoverService.sendStaffMessage('default', 1, 'desk1', 'We are checking your file.');
+            await sleep(50);
+            const update = ofType(reception, 'escalation.updated');
+            const passed = update.length === 1 && update[0].data.escalationId === 1 &&
+                update[0].data.status === 'claimed' &&
+                ofType(doctor, 'escalation.updated').length === 0 &&
+                ofType(otherHospital, 'escalation.updated').length === 0;
+            recordTest('B3', 'Escalation updates for reception only', passed, JSON.stringify(update));
+        }
+
+        // ============================================================
+        // TEST GROUP C: WIDGET STREAM
+        // ============================================================
+
+        console.log("\n━━━ Test Group C: Widget Stream ━━━");
+
+        const patient = await openStream(`${base}/default/chat/events`,
+            { 'x-test-session': 'patient-session', 'x-test-escalation': '1' });
+        const otherPatient = await openStream(`${base}/default/chat/events`,
+            { 'x-test-session': 'someone-else', 'x-test-escalation': '1' });
+        const notEscalated = await openStream(`${base}/default/chat/events`, { 'x-test-session': 'patient-session' });
+        streams.push(patient, otherPatient);
+
+        // C1: Stream only for escalated conversations (204 stops EventSource)
+        {
+            const passed = patient.status === 200 && ofType(patient, 'ready').length === 1 && notEscalated.status === 204;
+            recordTest('C1', 'Widget stream only while escalated', passed, `${patient.status} ${notEscalated.status}`);
+        }
+
+        // C2: Staff reply notifies that conversation only, without message text
+        {
+            await LiveTakeoverService.sendStaffMessage('default', 1, 'desk1', 'Your results are ready.');
+            await sleep(50);
+            const events = ofType(patient, 'takeover.message');
+            const passed = events.length === 1 && events[0].data.escalationId === 1 &&
+                !events[0].raw.includes('results') &&
+                ofType(otherPatient, 'takeover.message').length === 0 &&
+                ofType(reception, 'takeover.message').length === 0;
+            recordTest('C2', 'Takeover notification per conversation, no PHI', passed, JSON.stringify(events));
+        }
+
+        // C3: Closed streams are dropped (and the hospital channel released)
+        {
+            otherHospital.close();
+            await sleep(50);
+            const delivered = RealtimeService.dispatch('other_hospital', {
+                type: 'booking.updated', audience: AUDIENCES.STAFF, data: {}
+            });
+            recordTest('C3', 'Closed streams removed', delivered === 0);
+        }
+    } finally {
+        streams.forEach(s => s.close());
+        await RealtimeService.close();
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Realtime Push Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
@@ -0,0 +1,269 @@
+/**
+ * Reception Bookings - Test Suite
+ *
+ * Tests:
+ * A. Dashboard - booking forms, row actions and department dropdowns
+ * B. Create - slot availability, lock, encryption, audit with staff username
+ * C. Reschedule / Cancel - audit actor, notifications, role restrictions
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const DASHBOARD_PATH = path.join(ROOT, 'public/reception-dashboard.html');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Reception Bookings - Test Suite                       ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before routes are loaded)
+// ============================================================
+
+const { encrypt, decrypt } = require('../utils/encryption');
+const productionDb = require('../config/productionDb');
+
+const executed = [];
+const appointments = {
+    10: { id: 10, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07T09:00:00', status: 'confirmed', patient_phone_encrypted: encrypt('0551112222'), patient_name_encrypted: encrypt('Ali') },
+    11: { id: 11, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-07T09:15:00', status: 'checked_in', patient_phone_encrypted: encrypt('0553334444'), patient_name_encrypted: encrypt('Omar') }
+};
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM departments')) {
+            return params[0] === 'test_hospital' ? [{ id: 1, name: 'Cardiology' }, { id: 2, name: 'Pediatrics' }] : [];
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2')) return params[0] === 7 ? { department_name: 'Cardiology' } : null;
+        const a = appointments[params[0]];
+        return a && a.hospital_id === params[1] ? a : null;
+    },
+    execute: async (sql, params) => {
+        executed.push({ sql, params });
+        if (sql.includes('INSERT INTO appointments')) return { rows: [{ id: 99 }], rowCount: 1 };
+        if (sql.includes("SET status = 'cancelled'")) {
+            const a = appointments[params[0]];
+            if (!a || !['pending', 'confirmed'].includes(a.status)) return { rowCount: 0 };
+            a.status = 'cancelled';
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const SlotService = require('../services/slotService');
+const BookingNotificationService = require('../services/bookingNotificationService');
+const receptionRouter = require('../routes/receptionRouter');
+
+SlotService.getAvailableSlots = async () => [
+    { doctor_id: 7, doctor_name: 'Dr. A', time: '10:00', datetime: '2030-01-07T10:00:00' }
+];
+
+const sent = [];
+BookingNotificationService.queuePatientSms = async (booking) => { sent.push({ type: 'confirm', to: booking.patientPhone }); return true; };
+BookingNotificationService.notifyReschedule = async (booking) => { sent.push({ type: 'reschedule', to: booking.patientPhone }); };
+BookingNotificationService.notifyCancellation = async (booking) => { sent.push({ type: 'cancel', to: booking.patientPhone }); };
+
+// ============================================================
+// TEST APP (fake hospital context + staff session)
+// ============================================================
+
+let currentUser = { id: 1, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.hospitalId = 'test_hospital';
+    req.hospital = { id: 'test_hospital', name: 'Test Hospital' };
+    req.sessionID = 'staff-session';
+    req.session = { receptionUser: currentUser };
+    next();
+});
+app.use('/api/reception', receptionRouter);
+
+const auditFor = (action) => executed.find(e => e.sql.includes('audit_logs') && e.params[3] === action);
+
+// ============================================================
+// TEST GROUP A: DASHBOARD
+// ============================================================
+
+console.log("\n━━━ Test Group A: Dashboard ━━━");
+
+// A1: Forms present
+{
+    const content = fs.readFileSync(DASHBOARD_PATH, 'utf-8');
+    const passed = content.includes('id="new-booking-form"') && content.includes('id="reschedule-form"');
+    recordTest('A1', 'New booking and reschedule forms present', passed);
+}
+
+// A2: Row actions call the new endpoints
+{
+    const content = fs.readFileSync(DASHBOARD_PATH, 'utf-8');
+    const passed = content.includes("method: 'PATCH'") && content.includes("method: 'DELETE'") &&
+        content.includes('/api/reception/slots');
+    recordTest('A2', 'Dashboard uses slots/PATCH/DELETE endpoints', passed);
+}
+
+const server = app.listen(0, async () => {
+    const base = `http://localhost:${server.address().port}/api/reception`;
+    const call = (method, url, body) => fetch(base + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    try {
+        // A3: Department list used by the filter and booking form dropdowns
+        {
+            const res = await call('GET', '/departments');
+            const data = res.status === 200 ? await res.json() : {};
+            const passed = res.status === 200 && Array.isArray(data.departments) &&
+                data.departments.map(d => d.name).join(',') === 'Cardiology,Pediatrics';
+            recordTest('A3', 'Departments endpoint returns hospital departments', passed, `HTTP ${res.status}`);
+        }
+
+        // ============================================================
+        // TEST GROUP B: CREATE
+        // ============================================================
+
+        console.log("\n━━━ Test Group B: Create ━━━");
+
+        // B1: Missing fields rejected
+        {
+            const res = await call('POST', '/bookings', { patient_name: 'Sara' });
+            recordTest('B1', 'Missing fields rejected with 400', res.status === 400);
+        }
+
+        // B2: Slot not offered by SlotService rejected
+        {
+            const res = await call('POST', '/bookings', {
+                patient_name: 'Sara', patient_phone: '0551234567', doctor_id: 7, datetime: '2030-01-07T11:00:00'
+            });
+            recordTest('B2', 'Unavailable slot rejected with 409', res.status === 409);
+        }
+
+        // B3: Valid booking → encrypted insert, staff audit, SMS
+        {
+            const res = await call('POST', '/bookings', {
+                patient_name: 'Sara', patient_phone: '0551234567', doctor_id: 7, datetime: '2030-01-07T10:00:00'
+            });
+            const data = await res.json();
+            const insert = executed.find(e => e.sql.includes('INSERT INTO appointments'));
+            const audit = auditFor('BOOKING_CONFIRMED');
+            const passed = res.status === 201 && data.booking.id === 99 &&
+                insert.params[2] !== 'Sara' && decrypt(insert.params[2]) === 'Sara' &&
+                decrypt(insert.params[3]) === '0551234567' &&
+                audit && audit.params[4] === 'desk1' &&
+                sent.some(s => s.type === 'confirm' && s.to === '0551234567');
+            recordTest('B3', 'Booking created with encrypted PHI and staff audit', passed);
+        }
+
+        // B4: Lock released after insert
+        {
+            const owner = await SlotService.isSlotLocked('test_hospital', 7, '2030-01-07T10:00:00');
+            recordTest('B4', 'Slot lock released after booking', owner === null);
+        }
+
+        // ============================================================
+        // TEST GROUP C: RESCHEDULE / CANCEL
+        // ============================================================
+
+        console.log("\n━━━ Test Group C: Reschedule / Cancel ━━━");
+
+        // C1: Reschedule → update, staff audit, patient notified
+        {
+            const res = await call('PATCH', '/bookings/10', { doctor_id: 7, datetime: '2030-01-07T10:00:00' });
+            const audit = auditFor('BOOKING_RESCHEDULED');
+            const passed = res.status === 200 && audit && audit.params[4] === 'desk1' &&
+                sent.some(s => s.type === 'reschedule' && s.to === '0551112222');
+            recordTest('C1', 'Reschedule audited with staff username', passed);
+        }
+
+        // C2: Cancel → status, staff audit with reason, patient notified
+        {
+            const res = await call('DELETE', '/bookings/10', { reason: 'Patient called' });
+            const audit = auditFor('BOOKING_CANCELLED');
+            const passed = res.status === 200 && appointments[10].status === 'cancelled' &&
+                audit && audit.params[4] === 'desk1' && audit.params[6].reason === 'Patient called' &&
+                sent.some(s => s.type === 'cancel' && s.to === '0551112222');
+            recordTest('C2', 'Cancel audited with staff username and reason', passed);
+        }
+
+        // C3: Checked-in booking cannot be cancelled
+        {
+            const res = await call('DELETE', '/bookings/11');
+            recordTest('C3', 'Checked-in booking cannot be cancelled', res.status === 400 && appointments[11].status === 'checked_in');
+        }
+
+        // C4: Unknown booking → 404
+        {
+            const res = await call('DELETE', '/bookings/12345');
+            recordTest('C4', 'Unknown booking returns 404', res.status === 404);
+        }
+
+        // C5: Doctors cannot create bookings
+        {
+            currentUser = { id: 2, username: 'drA', role: 'doctor', hospitalId: 'test_hospital', doctorId: 7 };
+            const res = await call('POST', '/bookings', {
+                patient_name: 'Sara', patient_phone: '0551234567', doctor_id: 7, datetime: '2030-01-07T10:00:00'
+            });
+            recordTest('C5', 'Doctor role denied (403)', res.status === 403);
+        }
+
+    } catch (err) {
+        recordTest('X0', 'Runtime tests completed', false, err.message);
+    } finally {
+        server.close();
+
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Reception Bookings Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    }
+});
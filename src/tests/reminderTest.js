@@ -0,0 +1,258 @@
+/**
+ * Appointment Reminders - Test Suite
+ *
+ * Tests:
+ * A. Templates - migration, English/Arabic defaults, per-hospital overrides
+ * B. Scheduling - delays in hospital time, past reminders skipped, SMS disabled
+ * C. Lifecycle - removed on cancel, moved on reschedule, language kept
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/011_appointment_language.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Appointment Reminders - Test Suite                    ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const appointments = [
+    { id: 42, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-06T09:00:00', status: 'confirmed', preferred_language: 'Arabic' }
+];
+const inserts = [];
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2 dv')) {
+            return [{ id: 7, name: 'Dr. A', hospital_id: params[0], department_name: 'Dentistry' }];
+        }
+        if (sql.includes('FROM doctor_availability')) {
+            return [{ doctor_id: 7, day_of_week: params[1], start_time: '09:00', end_time: '12:00' }];
+        }
+        if (sql.includes('FROM appointments')) {
+            return appointments.filter(a => a.doctor_id === params[0] && a.appointment_time.startsWith(params[1]) &&
+                a.status === 'confirmed').map(a => ({ ...a, appointment_time: new Date(a.appointment_time) }));
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM appointments')) {
+            return appointments.find(a => a.id === params[0] && a.hospital_id === params[1]) || null;
+        }
+        if (sql.includes('FROM doctors_v2 dv')) {
+            return { id: 7, hospital_id: params[1], department_name: 'Dentistry' };
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('INSERT INTO appointments')) {
+            inserts.push(params);
+            return { rows: [{ id: 43 }], rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'cancelled'")) {
+            const appt = appointments.find(a => a.id === params[0] && a.status === 'confirmed');
+            if (!appt) return { rows: [], rowCount: 0 };
+            appt.status = 'cancelled';
+            return { rows: [], rowCount: 1 };
+        }
+        if (sql.includes('UPDATE appointments SET doctor_id')) {
+            Object.assign(appointments.find(a => a.id === params[2]), { doctor_id: params[0], appointment_time: params[1] });
+            return { rowCount: 1 };
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+// Capture SMS jobs; removal drops them
+const { smsQueue } = require('../config/queue');
+const jobs = new Map();
+smsQueue.add = async (name, data, opts = {}) => { jobs.set(opts.jobId || `job-${jobs.size}`, { name, data, opts }); };
+smsQueue.remove = async (jobId) => (jobs.delete(jobId) ? 1 : 0);
+
+const redisClient = require('../config/redis');
+const { zonedTimeToUtc } = require('../utils/hospitalTime');
+const ReminderService = require('../services/reminderService');
+const { BookingService } = require('../services/bookingService');
+const SlotService = require('../services/slotService');
+const BookingNotificationService = require('../services/bookingNotificationService');
+
+const HOSPITAL = { id: 'test_hospital', name: 'Test Hospital' };
+const booking = (extra = {}) => ({
+    id: 42, hospitalId: 'test_hospital', datetime: '2030-01-06T09:00:00', patientPhone: '0501234567', ...extra
+});
+const reminderJobs = () => [...jobs.entries()].filter(([, j]) => j.name === 'appointment-reminder-sms');
+
+// ============================================================
+// TEST GROUP A: TEMPLATES
+// ============================================================
+
+console.log("\n━━━ Test Group A: Templates ━━━");
+
+// A1: Migration stores the booking language on the appointment
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && content.includes('ALTER TABLE appointments ADD COLUMN IF NOT EXISTS preferred_language');
+    recordTest('A1', 'Migration adds appointments.preferred_language', passed);
+}
+
+// A2: Default English and Arabic templates
+{
+    const english = ReminderService.formatReminderSms(booking(), HOSPITAL, 'English');
+    const arabic = ReminderService.formatReminderSms(booking(), HOSPITAL, 'Arabic');
+    const passed = english.startsWith('Reminder: your appointment at Test Hospital is on 2030-01-06 at 09:00.') &&
+        english.includes('CANCEL 42') && arabic.startsWith('تذكير') && arabic.includes('2030-01-06') && arabic.includes('09:00');
+    recordTest('A2', 'Default templates in English and Arabic', passed, english);
+}
+
+// A3: Hospital templates override defaults; unknown language uses the hospital default
+{
+    const hospital = {
+        ...HOSPITAL,
+        reminder_config: { default_language: 'Arabic', templates: { Arabic: '{hospital}: موعدك {date} {time}' } }
+    };
+    const custom = ReminderService.formatReminderSms(booking(), hospital, 'Arabic');
+    const fallback = ReminderService.formatReminderSms(booking(), hospital, null);
+    const english = ReminderService.formatReminderSms(booking(), hospital, 'English');
+    const passed = custom === 'Test Hospital: موعدك 2030-01-06 09:00' && fallback === custom && english.startsWith('Reminder:');
+    recordTest('A3', 'Per-hospital templates', passed, custom);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: SCHEDULING
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Scheduling ━━━");
+
+    // B1: 24h and 2h reminders delayed from the hospital's wall-clock time
+    {
+        const now = zonedTimeToUtc('2030-01-04', '09:00', 'Asia/Riyadh');
+        const count = await ReminderService.scheduleReminders(booking({ language: 'Arabic' }), HOSPITAL, now);
+        const dayBefore = jobs.get('reminder-test_hospital-42-1440');
+        const twoHours = jobs.get('reminder-test_hospital-42-120');
+        const passed = count === 2 &&
+            dayBefore.opts.delay === 24 * 60 * 60 * 1000 &&
+            twoHours.opts.delay === (48 - 2) * 60 * 60 * 1000 &&
+            dayBefore.data.to === '0501234567' && dayBefore.data.message.startsWith('تذكير');
+        recordTest('B1', 'Reminders delayed in hospital time', passed, `${dayBefore?.opts.delay} ${twoHours?.opts.delay}`);
+    }
+
+    // B2: Reminders whose time has passed are skipped
+    {
+        jobs.clear();
+        const now = zonedTimeToUtc('2030-01-06', '06:00', 'Asia/Riyadh');
+        const count = await ReminderService.scheduleReminders(booking(), HOSPITAL, now);
+        const passed = count === 1 && reminderJobs()[0][0] === 'reminder-test_hospital-42-120';
+        recordTest('B2', 'Past reminder times skipped', passed);
+    }
+
+    // B3: Disabled reminders or SMS schedule nothing
+    {
+        jobs.clear();
+        const now = zonedTimeToUtc('2030-01-04', '09:00', 'Asia/Riyadh');
+        const off = await ReminderService.scheduleReminders(booking(), { ...HOSPITAL, reminder_config: { enabled: false } }, now);
+        const noSms = await ReminderService.scheduleReminders(booking(), { ...HOSPITAL, sms_config: { enabled: false } }, now);
+        recordTest('B3', 'Disabled reminders not scheduled', off === 0 && noSms === 0 && jobs.size === 0);
+    }
+
+    // ============================================================
+    // TEST GROUP C: LIFECYCLE
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Lifecycle ━━━");
+
+    // C1: Rescheduling removes the old reminders and schedules new ones in the booked language
+    {
+        jobs.clear();
+        await BookingNotificationService.notifyConfirmation(booking({ language: 'Arabic' }), HOSPITAL);
+        const before = reminderJobs().map(([, j]) => j.opts.delay);
+
+        const result = await BookingService.rescheduleAppointment(42, 'test_hospital',
+            { doctorId: 7, datetime: '2030-01-06T11:00:00' }, 'sess-1', 'reception1');
+        const afterCancel = reminderJobs().length;
+
+        await BookingNotificationService.notifyReschedule(
+            booking({ datetime: '2030-01-06T11:00:00', language: result.language }), HOSPITAL, result.previousTime
+        );
+        const after = reminderJobs();
+        const passed = before.length === 2 && result.success && afterCancel === 0 && after.length === 2 &&
+            after.every(([, j], i) => Math.abs(j.opts.delay - before[i] - 2 * 60 * 60 * 1000) < 1000) &&
+            after[0][1].data.message.includes('11:00') && after[0][1].data.message.startsWith('تذكير');
+        recordTest('C1', 'Reschedule moves reminders', passed, `${before.length} ${afterCancel} ${after.length}`);
+    }
+
+    // C2: Cancelling removes pending reminders and their tracking key
+    {
+        const cancelled = await BookingService.cancelAppointment(42, 'test_hospital', 'reception1');
+        const key = await redisClient.get('reminders:test_hospital:42');
+        recordTest('C2', 'Cancellation removes reminders', cancelled && reminderJobs().length === 0 && key === null);
+    }
+
+    // C3: Booking language stored with the appointment
+    {
+        await SlotService.lockSlot('test_hospital', 7, '2030-01-06T10:00:00', 'sess-2');
+        const appointment = await BookingService.confirmBooking({
+            hospitalId: 'test_hospital', doctorId: 7, datetime: '2030-01-06T10:00:00',
+            patientName: 'Patient', patientPhone: '0501234567', language: 'Arabic'
+        }, 'sess-2', 'patient');
+        recordTest('C3', 'preferred_language stored on insert', appointment && inserts[0][7] === 'Arabic');
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Appointment Reminders Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
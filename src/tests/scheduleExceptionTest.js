@@ -0,0 +1,311 @@
+/**
+ * Schedule Exceptions - Test Suite
+ *
+ * Tests:
+ * A. Schema & validation - migration, input rules
+ * B. Slot generation - holidays, leave, extra clinics
+ * C. Collisions - warnings on create and for reception
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/008_schedule_exceptions.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Schedule Exceptions - Test Suite                      ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const pad = (n) => n.toString().padStart(2, '0');
+const localDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+const SUNDAY = '2030-01-06';
+const SATURDAY = '2030-01-05';
+const soon = new Date();
+soon.setDate(soon.getDate() + 3);
+const SOON = localDate(soon);
+
+const doctors = [
+    { id: 7, name: 'Dr. A', hospital_id: 'test_hospital', department_name: 'Cardiology' },
+    { id: 8, name: 'Dr. B', hospital_id: 'test_hospital', department_name: 'Cardiology' }
+];
+// Sunday 09:00-10:00 for both doctors
+const availability = [
+    { doctor_id: 7, day_of_week: 0, start_time: '09:00', end_time: '10:00' },
+    { doctor_id: 8, day_of_week: 0, start_time: '09:00', end_time: '10:00' }
+];
+const exceptions = [];
+const appointments = [
+    { id: 50, hospital_id: 'test_hospital', doctor_id: 7, doctor_name: 'Dr. A', appointment_time: new Date(2030, 0, 6, 9, 30), status: 'confirmed' },
+    { id: 51, hospital_id: 'test_hospital', doctor_id: 8, doctor_name: 'Dr. B', appointment_time: new Date(2030, 0, 6, 9, 30), status: 'confirmed' },
+    { id: 52, hospital_id: 'test_hospital', doctor_id: 7, doctor_name: 'Dr. A', appointment_time: new Date(`${SOON}T11:00:00`), status: 'confirmed' }
+];
+const audits = [];
+let nextId = 100;
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2 dv')) return doctors;
+        if (sql.includes('FROM doctor_availability')) {
+            return availability.filter(a => a.doctor_id === params[0] && a.day_of_week === params[1]);
+        }
+        if (sql.includes('FROM schedule_exceptions')) {
+            const [hospitalId, from, to = from] = params;
+            return exceptions.filter(e => e.hospital_id === hospitalId && e.start_date <= to && e.end_date >= from);
+        }
+        if (sql.includes("a.status IN ('pending', 'confirmed')")) {
+            return appointments.filter(a => {
+                const day = localDate(a.appointment_time);
+                return a.hospital_id === params[0] && day >= params[1] && day <= params[2] &&
+                    (params[3] === undefined || a.doctor_id === params[3]);
+            });
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2')) {
+            return doctors.find(d => d.id === params[0] && d.hospital_id === params[1]) || null;
+        }
+        if (sql.includes('FROM schedule_exceptions')) {
+            return exceptions.find(e => e.id === params[0] && e.hospital_id === params[1]) || null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('audit_logs')) {
+            audits.push({ action: params[3], performedBy: params[4], metadata: params[6] });
+        } else if (sql.includes('INSERT INTO schedule_exceptions')) {
+            const [hospital_id, doctor_id, exception_type, start_date, end_date, start_time, end_time, reason] = params;
+            exceptions.push({ id: ++nextId, hospital_id, doctor_id, exception_type, start_date, end_date, start_time, end_time, reason });
+            return { rows: [{ id: nextId }], rowCount: 1 };
+        } else if (sql.includes('DELETE FROM schedule_exceptions')) {
+            exceptions.splice(exceptions.findIndex(e => e.id === params[0]), 1);
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const SlotService = require('../services/slotService');
+const ScheduleExceptionService = require('../services/scheduleExceptionService');
+const adminRouter = require('../routes/adminRouter');
+const receptionRouter = require('../routes/receptionRouter');
+
+const slotsOn = (date) => SlotService.getAvailableSlots('test_hospital', 'Cardiology', date);
+const addException = (data) => ScheduleExceptionService.create('test_hospital', data, 'admin1');
+const clearExceptions = () => exceptions.splice(0, exceptions.length);
+
+// ============================================================
+// TEST APP (fake hospital context + staff session)
+// ============================================================
+
+let currentUser = { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.hospitalId = 'test_hospital';
+    req.session = { receptionUser: currentUser };
+    next();
+});
+app.use('/api/admin', adminRouter);
+app.use('/api/reception', receptionRouter);
+
+// ============================================================
+// TEST GROUP A: SCHEMA & VALIDATION
+// ============================================================
+
+console.log("\n━━━ Test Group A: Schema & Validation ━━━");
+
+// A1: Migration defines per-doctor and hospital-wide exceptions
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && content.includes('CREATE TABLE IF NOT EXISTS schedule_exceptions') &&
+        content.includes('doctor_id INTEGER,') && content.includes("'closed', 'extra'");
+    recordTest('A1', 'Migration creates schedule_exceptions', passed);
+}
+
+// A2: Validation rules
+{
+    const v = (data) => ScheduleExceptionService.validate({ start_time: null, end_time: null, doctor_id: null, ...data });
+    const passed = v({ exception_type: 'closed', start_date: SUNDAY, end_date: SUNDAY }) === null &&
+        v({ exception_type: 'extra', start_date: SATURDAY, end_date: SATURDAY, start_time: '09:00', end_time: '12:00' }) !== null &&
+        v({ exception_type: 'closed', start_date: SUNDAY, end_date: SATURDAY }) !== null &&
+        v({ exception_type: 'closed', start_date: SUNDAY, end_date: SUNDAY, start_time: '10:00' }) !== null &&
+        v({ exception_type: 'holiday', start_date: SUNDAY, end_date: SUNDAY }) !== null;
+    recordTest('A2', 'Hospital-wide extra hours, reversed dates and half ranges rejected', passed);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: SLOT GENERATION
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Slot Generation ━━━");
+
+    // B1: Baseline - weekly schedule only (mock reports no booked slots)
+    {
+        const slots = await slotsOn(SUNDAY);
+        recordTest('B1', 'Weekly schedule generates slots', slots.length === 8, `got ${slots.length}`);
+    }
+
+    // B2: Hospital-wide holiday removes all slots
+    {
+        await addException({ exception_type: 'closed', start_date: SUNDAY, end_date: SUNDAY, reason: 'Eid' });
+        const slots = await slotsOn(SUNDAY);
+        recordTest('B2', 'Hospital-wide holiday blocks every doctor', slots.length === 0);
+        clearExceptions();
+    }
+
+    // B3: Doctor leave (multi-day) only affects that doctor
+    {
+        await addException({ exception_type: 'closed', doctor_id: 7, start_date: SATURDAY, end_date: '2030-01-08' });
+        const slots = await slotsOn(SUNDAY);
+        recordTest('B3', 'Doctor leave blocks only that doctor', slots.length === 4 && slots.every(s => s.doctor_id === 8));
+        clearExceptions();
+    }
+
+    // B4: Partial closure removes overlapping slots only
+    {
+        await addException({ exception_type: 'closed', doctor_id: 7, start_date: SUNDAY, start_time: '09:20', end_time: '09:45' });
+        const times = (await slotsOn(SUNDAY)).filter(s => s.doctor_id === 7).map(s => s.time);
+        recordTest('B4', 'Partial closure blocks overlapping slots', times.join() === '09:00,09:45', times.join());
+        clearExceptions();
+    }
+
+    // B5: Extra Saturday clinic adds slots on a day without weekly hours
+    {
+        await addException({ exception_type: 'extra', doctor_id: 8, start_date: SATURDAY, start_time: '10:00', end_time: '10:30' });
+        const slots = await slotsOn(SATURDAY);
+        recordTest('B5', 'Extra clinic adds slots', slots.length === 2 && slots.every(s => s.doctor_id === 8));
+        clearExceptions();
+    }
+
+    // B6: Extra hours overlapping the weekly schedule do not duplicate slots
+    {
+        await addException({ exception_type: 'extra', doctor_id: 7, start_date: SUNDAY, start_time: '09:30', end_time: '10:30' });
+        const times = (await slotsOn(SUNDAY)).filter(s => s.doctor_id === 7).map(s => s.time);
+        recordTest('B6', 'Overlapping extra hours not duplicated', times.join() === '09:00,09:15,09:30,09:45,10:00,10:15', times.join());
+        clearExceptions();
+    }
+
+    // ============================================================
+    // TEST GROUP C: COLLISIONS
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Collisions ━━━");
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/api`;
+    const call = (method, url, body) => fetch(base + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    try {
+        // C1: Admin create returns colliding bookings, audited
+        {
+            const res = await call('POST', '/admin/schedule-exceptions', {
+                exception_type: 'closed', doctor_id: 7, start_date: SUNDAY, start_time: '09:00', end_time: '10:00', reason: 'Conference'
+            });
+            const body = await res.json();
+            const audit = audits[audits.length - 1];
+            const passed = res.status === 201 && body.warnings.length === 1 && body.warnings[0].appointment_id === 50 &&
+                audit.action === 'SCHEDULE_EXCEPTION_CREATED' && audit.performedBy === 'admin1' &&
+                appointments[0].status === 'confirmed';
+            recordTest('C1', 'Closure returns collisions without cancelling', passed);
+            clearExceptions();
+        }
+
+        // C2: Receptionist cannot manage exceptions
+        {
+            currentUser = { id: 2, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            const res = await call('POST', '/admin/schedule-exceptions', { exception_type: 'closed', start_date: SUNDAY });
+            recordTest('C2', 'Receptionist gets 403 on admin endpoint', res.status === 403 && exceptions.length === 0);
+        }
+
+        // C3: Reception sees upcoming warnings
+        {
+            await addException({ exception_type: 'closed', start_date: SOON, reason: 'National Day' });
+            const res = await call('GET', '/reception/schedule-warnings');
+            const body = await res.json();
+            const passed = res.status === 200 && body.warnings.length === 1 &&
+                body.warnings[0].exception.reason === 'National Day' &&
+                body.warnings[0].bookings.map(b => b.id).join() === '52';
+            recordTest('C3', 'Reception warned about upcoming collisions', passed);
+        }
+
+        // C4: Removing the exception clears the warning
+        {
+            currentUser = { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' };
+            const del = await call('DELETE', `/admin/schedule-exceptions/${exceptions[0].id}`);
+            currentUser = { id: 2, username: 'desk1', role: 'receptionist', hospitalId: 'test_hospital' };
+            const body = await (await call('GET', '/reception/schedule-warnings')).json();
+            const passed = del.status === 200 && body.warnings.length === 0 &&
+                audits[audits.length - 1].action === 'SCHEDULE_EXCEPTION_DELETED';
+            recordTest('C4', 'Deleted exception no longer warns', passed);
+        }
+    } finally {
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Schedule Exceptions Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
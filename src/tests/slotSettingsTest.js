@@ -0,0 +1,306 @@
+/**
+ * Slot Settings - Test Suite
+ *
+ * Tests:
+ * A. Settings & generation - migration, inheritance, duration + buffer
+ * B. Availability - overlap across slot lengths, buffer, daily cap
+ * C. Booking & admin API - uniqueness check on confirm, settings endpoints
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/009_slot_settings.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Slot Settings - Test Suite                            ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const SUNDAY = '2030-01-06';
+
+const departments = [
+    { id: 1, hospital_id: 'test_hospital', name: 'Dentistry', slot_duration_minutes: 30, buffer_minutes: null, max_daily_patients: null },
+    { id: 2, hospital_id: 'other_hospital', name: 'Dentistry', slot_duration_minutes: null, buffer_minutes: null, max_daily_patients: null }
+];
+// Dr. A inherits 30 min from Dentistry; Dr. B overrides with 10 min + 5 min buffer
+const doctors = [
+    { id: 7, name: 'Dr. A', hospital_id: 'test_hospital', department_id: 1, slot_duration_minutes: null, buffer_minutes: null, max_daily_patients: null },
+    { id: 8, name: 'Dr. B', hospital_id: 'test_hospital', department_id: 1, slot_duration_minutes: 10, buffer_minutes: 5, max_daily_patients: null }
+];
+// Sunday 09:00-10:00 for both doctors
+const availability = [
+    { doctor_id: 7, day_of_week: 0, start_time: '09:00', end_time: '10:00' },
+    { doctor_id: 8, day_of_week: 0, start_time: '09:00', end_time: '10:00' }
+];
+const appointments = [];
+const inserts = [];
+let nextId = 100;
+
+function withDepartment(doctor) {
+    const dept = departments.find(d => d.id === doctor.department_id) || {};
+    return {
+        ...doctor,
+        department_name: dept.name,
+        dept_slot_duration_minutes: dept.slot_duration_minutes,
+        dept_buffer_minutes: dept.buffer_minutes,
+        dept_max_daily_patients: dept.max_daily_patients
+    };
+}
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2 dv')) {
+            return doctors.filter(d => d.hospital_id === params[0]).map(withDepartment);
+        }
+        if (sql.includes('FROM doctor_availability')) {
+            return availability.filter(a => a.doctor_id === params[0] && a.day_of_week === params[1]);
+        }
+        if (sql.includes('FROM appointments')) {
+            return appointments.filter(a => a.doctor_id === params[0] && a.appointment_time.startsWith(params[1]))
+                .map(a => ({ ...a, appointment_time: new Date(a.appointment_time) }));
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2 dv')) {
+            const doctor = doctors.find(d => d.id === params[0] && d.hospital_id === params[1]);
+            return doctor ? withDepartment(doctor) : null;
+        }
+        if (sql.includes('FROM doctors_v2')) return doctors.find(d => d.id === params[0] && d.hospital_id === params[1]) || null;
+        if (sql.includes('FROM departments')) return departments.find(d => d.id === params[0] && d.hospital_id === params[1]) || null;
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('INSERT INTO appointments')) {
+            inserts.push(params);
+            appointments.push({ doctor_id: params[1], appointment_time: params[5], duration_minutes: params[6] });
+            return { rows: [{ id: ++nextId }], rowCount: 1 };
+        }
+        const table = sql.includes('UPDATE departments') ? departments : sql.includes('UPDATE doctors_v2') ? doctors : null;
+        if (table) {
+            Object.assign(table.find(r => r.id === params[3]), {
+                slot_duration_minutes: params[0], buffer_minutes: params[1], max_daily_patients: params[2]
+            });
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const SlotService = require('../services/slotService');
+const { resolveSlotSettings } = require('../services/slotService');
+const { BookingService } = require('../services/bookingService');
+const adminRouter = require('../routes/adminRouter');
+
+const slotsOn = (date) => SlotService.getAvailableSlots('test_hospital', 'Dentistry', date);
+const timesFor = (slots, doctorId) => slots.filter(s => s.doctor_id === doctorId).map(s => s.time);
+
+// ============================================================
+// TEST APP (fake hospital context + staff session)
+// ============================================================
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.hospitalId = 'test_hospital';
+    req.session = { receptionUser: { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' } };
+    next();
+});
+app.use('/api/admin', adminRouter);
+
+// ============================================================
+// TEST GROUP A: SETTINGS & GENERATION
+// ============================================================
+
+console.log("\n━━━ Test Group A: Settings & Generation ━━━");
+
+// A1: Migration adds nullable settings to departments, doctors and appointments
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && ['departments', 'doctors_v2'].every(t =>
+        ['slot_duration_minutes', 'buffer_minutes', 'max_daily_patients'].every(c =>
+            content.includes(`ALTER TABLE ${t} ADD COLUMN IF NOT EXISTS ${c}`))) &&
+        content.includes('ALTER TABLE appointments ADD COLUMN IF NOT EXISTS duration_minutes');
+    recordTest('A1', 'Migration adds slot settings columns', passed);
+}
+
+// A2: Doctor overrides department, department overrides default
+{
+    const fromDept = resolveSlotSettings({ slot_duration_minutes: null, dept_slot_duration_minutes: 30, dept_max_daily_patients: 12 });
+    const fromDoctor = resolveSlotSettings({ slot_duration_minutes: 10, buffer_minutes: 0, dept_slot_duration_minutes: 30, dept_buffer_minutes: 5 });
+    const defaults = resolveSlotSettings(null);
+    const passed = fromDept.slot_duration_minutes === 30 && fromDept.max_daily_patients === 12 &&
+        fromDoctor.slot_duration_minutes === 10 && fromDoctor.buffer_minutes === 0 &&
+        defaults.slot_duration_minutes === 15 && defaults.buffer_minutes === 0 && defaults.max_daily_patients === null;
+    recordTest('A2', 'Settings inherit doctor → department → default', passed);
+}
+
+// A3: Buffer spaces slots out; last slot must fit the window
+{
+    const plain = SlotService.generateSlotsFromWindow('09:00', '10:00', 30);
+    const buffered = SlotService.generateSlotsFromWindow('09:00', '10:00', 10, 5);
+    const passed = plain.join(',') === '09:00,09:30' &&
+        buffered.join(',') === '09:00,09:15,09:30,09:45';
+    recordTest('A3', 'generateSlotsFromWindow applies duration and buffer', passed, buffered.join(','));
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: AVAILABILITY
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Availability ━━━");
+
+    // B1: Each doctor gets their own slot length
+    {
+        const slots = await slotsOn(SUNDAY);
+        const passed = timesFor(slots, 7).join(',') === '09:00,09:30' &&
+            timesFor(slots, 8).length === 4 &&
+            slots.find(s => s.doctor_id === 7).duration_minutes === 30 &&
+            slots.find(s => s.doctor_id === 8).duration_minutes === 10;
+        recordTest('B1', 'Per-doctor slot lengths in one department', passed);
+    }
+
+    // B2: A booked 20-minute visit blocks slots it overlaps, not just its start time
+    {
+        appointments.push({ doctor_id: 8, appointment_time: `${SUNDAY}T09:05:00`, duration_minutes: 20 });
+        const times = timesFor(await slotsOn(SUNDAY), 8);
+        recordTest('B2', 'Overlapping slots (incl. buffer) hidden', times.join(',') === '09:30,09:45', times.join(','));
+        appointments.length = 0;
+    }
+
+    // B3: Daily cap hides the doctor once reached
+    {
+        departments[0].max_daily_patients = 1;
+        appointments.push({ doctor_id: 7, appointment_time: `${SUNDAY}T09:00:00`, duration_minutes: 30 });
+        const slots = await slotsOn(SUNDAY);
+        const passed = timesFor(slots, 7).length === 0 && timesFor(slots, 8).length === 4;
+        recordTest('B3', 'Daily cap reached → doctor has no slots', passed);
+        departments[0].max_daily_patients = null;
+        appointments.length = 0;
+    }
+
+    // ============================================================
+    // TEST GROUP C: BOOKING & ADMIN API
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Booking & Admin API ━━━");
+
+    const confirm = async (doctorId, time, sessionId) => {
+        const datetime = `${SUNDAY}T${time}:00`;
+        await SlotService.lockSlot('test_hospital', doctorId, datetime, sessionId);
+        return BookingService.confirmBooking({
+            hospitalId: 'test_hospital', doctorId, datetime, patientName: 'Test Patient', patientPhone: '+966500000000'
+        }, sessionId);
+    };
+
+    // C1: Confirmed booking records its length
+    {
+        const appointment = await confirm(7, '09:00', 'sess-1');
+        const passed = appointment && appointment.duration_minutes === 30 && inserts[0][6] === 30;
+        recordTest('C1', 'Booking stores duration_minutes', passed);
+    }
+
+    // C2: Overlapping start time rejected even though the exact time is free
+    {
+        const appointment = await confirm(7, '09:15', 'sess-2');
+        recordTest('C2', 'Overlapping booking rejected on confirm', appointment === null && inserts.length === 1);
+        appointments.length = 0;
+    }
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/api/admin`;
+    const put = (url, body) => fetch(base + url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        // C3: Invalid values rejected
+        {
+            const bad = await Promise.all([
+                put('/departments/1/slot-settings', { slot_duration_minutes: 0 }),
+                put('/departments/1/slot-settings', { buffer_minutes: '5' }),
+                put('/doctors/7/slot-settings', {})
+            ]);
+            recordTest('C3', 'Invalid slot settings → 400', bad.every(r => r.status === 400) && departments[0].slot_duration_minutes === 30);
+        }
+
+        // C4: Partial update keeps other values; null clears an override
+        {
+            const res = await put('/doctors/8/slot-settings', { slot_duration_minutes: null });
+            const body = await res.json();
+            const passed = res.status === 200 && doctors[1].slot_duration_minutes === null &&
+                doctors[1].buffer_minutes === 5 && body.settings.buffer_minutes === 5;
+            recordTest('C4', 'Partial update and null-to-inherit', passed);
+        }
+
+        // C5: Other hospital's department not found
+        {
+            const res = await put('/departments/2/slot-settings', { slot_duration_minutes: 20 });
+            recordTest('C5', "Other hospital's department → 404", res.status === 404 && departments[1].slot_duration_minutes === null);
+        }
+    } finally {
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Slot Settings Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
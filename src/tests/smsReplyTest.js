@@ -0,0 +1,261 @@
+/**
+ * Two-Way SMS - Test Suite
+ *
+ * Tests:
+ * A. Parsing & provider - migration, Arabic/English keywords, Twilio signature
+ * B. Webhook - confirm, cancel, call me, duplicates, unknown senders
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/012_patient_confirmation.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Two-Way SMS - Test Suite                              ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+const { encrypt } = require('../utils/encryption');
+
+const PATIENT = '0501234567';
+const appointments = [
+    { id: 42, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-06T09:00:00', status: 'confirmed', phone: PATIENT },
+    { id: 43, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-08T10:00:00', status: 'confirmed', phone: PATIENT },
+    { id: 44, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: '2030-01-06T11:00:00', status: 'confirmed', phone: '0509999999' }
+];
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM appointments a')) {
+            return appointments
+                .filter(a => a.hospital_id === params[0] && ['pending', 'confirmed'].includes(a.status))
+                .sort((x, y) => x.appointment_time.localeCompare(y.appointment_time))
+                .map(a => ({ ...a, patient_phone_encrypted: encrypt(a.phone), appointment_time: new Date(a.appointment_time) }));
+        }
+        return [];
+    },
+    get: async () => null,
+    execute: async (sql, params) => {
+        const appt = appointments.find(a => a.id === params[0] && a.hospital_id === params[1] &&
+            ['pending', 'confirmed'].includes(a.status));
+        if (sql.includes('patient_confirmed_at')) {
+            if (appt) appt.patient_confirmed_at = new Date();
+            return { rowCount: appt ? 1 : 0 };
+        }
+        if (sql.includes("SET status = 'cancelled'")) {
+            if (!appt) return { rows: [], rowCount: 0 };
+            appt.status = 'cancelled';
+            return { rows: [], rowCount: 1 };
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const SmsReplyService = require('../services/smsReplyService');
+const HumanHandoffService = require('../services/humanHandoffService');
+const TwilioSMSProvider = require('../providers/TwilioSMSProvider');
+const smsWebhookRouter = require('../routes/smsWebhookRouter');
+
+// Capture handoffs
+const handoffs = [];
+HumanHandoffService.triggerHandoff = async (sessionId, reason, hospital, session, triggerType) => {
+    handoffs.push({ sessionId, triggerType });
+    return { escalated: true };
+};
+
+const HOSPITAL = { id: 'test_hospital', name: 'Test Hospital', escalation_contact: { phone: '920000000' } };
+
+// ============================================================
+// TEST GROUP A: PARSING & PROVIDER
+// ============================================================
+
+console.log("\n━━━ Test Group A: Parsing & Provider ━━━");
+
+// A1: Migration records patient confirmation
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && content.includes('ALTER TABLE appointments ADD COLUMN IF NOT EXISTS patient_confirmed_at');
+    recordTest('A1', 'Migration adds appointments.patient_confirmed_at', passed);
+}
+
+// A2: English and Arabic keywords, optional booking ID
+{
+    const p = (text) => SmsReplyService.parseReply(text);
+    const passed =
+        p('CONFIRM').intent === 'confirm' && p('confirm 42').appointmentId === 42 && p('Yes!').intent === 'confirm' &&
+        p('تأكيد').intent === 'confirm' && p('تأكيد').language === 'Arabic' &&
+        p('Cancel #43').appointmentId === 43 && p('إلغاء 43').intent === 'cancel' && p('الغاء').intent === 'cancel' &&
+        p('Call me').intent === 'call_me' && p('اتصل بي').intent === 'call_me' &&
+        p('ACCEPT 123456').code === '123456' && p('قبول 123456').intent === 'accept' &&
+        p('what time is it').intent === null && p('cancellation policy?').intent === null;
+    recordTest('A2', 'Reply keywords parsed', passed);
+}
+
+// A3: Twilio signature = HMAC-SHA1 over URL + sorted fields
+{
+    process.env.TWILIO_ACCOUNT_SID = 'AC_test';
+    process.env.TWILIO_AUTH_TOKEN = 'secret-token';
+    const twilio = new TwilioSMSProvider();
+    const url = 'https://example.org/test_hospital/sms/inbound';
+    const body = { To: '+966920000000', From: '+966501234567', Body: 'CONFIRM' };
+    const signature = crypto.createHmac('sha1', 'secret-token')
+        .update(url + 'Body' + body.Body + 'From' + body.From + 'To' + body.To).digest('base64');
+
+    const passed = twilio.verifyInboundRequest({ url, body, headers: { 'x-twilio-signature': signature } }) &&
+        !twilio.verifyInboundRequest({ url, body: { ...body, Body: 'CANCEL' }, headers: { 'x-twilio-signature': signature } }) &&
+        !twilio.verifyInboundRequest({ url, body, headers: {} });
+    recordTest('A3', 'Twilio signature verified', passed);
+    delete process.env.TWILIO_ACCOUNT_SID;
+    delete process.env.TWILIO_AUTH_TOKEN;
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: WEBHOOK
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Webhook ━━━");
+
+    const app = express();
+    app.use((req, res, next) => {
+        req.hospitalId = 'test_hospital';
+        req.hospital = HOSPITAL;
+        next();
+    });
+    app.use('/sms', smsWebhookRouter);
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    let sid = 0;
+    const inbound = async (from, text, messageSid = `SM${++sid}`) => {
+        const res = await fetch(`http://localhost:${server.address().port}/sms/inbound`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ From: from, To: '+966920000000', Body: text, MessageSid: messageSid })
+        });
+        return { status: res.status, type: res.headers.get('content-type'), body: await res.text() };
+    };
+
+    try {
+        // B1: CONFIRM from an E.164 number confirms the next appointment
+        {
+            const res = await inbound('+966501234567', 'CONFIRM');
+            const passed = res.status === 200 && res.type.includes('text/xml') &&
+                res.body.includes('<Message>Thank you. Your appointment on 2030-01-06 09:00 is confirmed.</Message>') &&
+                appointments[0].patient_confirmed_at && !appointments[1].patient_confirmed_at;
+            recordTest('B1', 'CONFIRM records confirmation of next appointment', passed, res.body);
+        }
+
+        // B2: Arabic cancel with booking ID cancels that appointment, reply in Arabic
+        {
+            const res = await inbound('+966501234567', 'إلغاء 43');
+            const passed = appointments[1].status === 'cancelled' && appointments[0].status === 'confirmed' &&
+                res.body.includes('تم إلغاء موعدك بتاريخ 2030-01-08 10:00');
+            recordTest('B2', 'Arabic CANCEL with ID cancels that appointment', passed, res.body);
+        }
+
+        // B3: Another patient's booking ID is not found
+        {
+            const res = await inbound('+966501234567', 'CANCEL 44');
+            const passed = appointments[2].status === 'confirmed' &&
+                res.body.includes('could not find an upcoming appointment');
+            recordTest('B3', "Other patient's appointment untouched", passed);
+        }
+
+        // B4: CALL ME opens a PHI-free handoff for the appointment
+        {
+            const res = await inbound('+966501234567', 'call me');
+            const passed = handoffs.length === 1 && handoffs[0].sessionId === 'sms-booking-42' &&
+                handoffs[0].triggerType === 'sms_callback' && res.body.includes('asked our staff at Test Hospital');
+            recordTest('B4', 'CALL ME triggers handoff', passed, JSON.stringify(handoffs));
+        }
+
+        // B5: Provider retry of the same message is not handled twice
+        {
+            const first = await inbound('+966501234567', 'call me', 'SM-retry');
+            const retry = await inbound('+966501234567', 'call me', 'SM-retry');
+            const passed = handoffs.length === 2 && first.body.includes('<Message>') && !retry.body.includes('<Message>');
+            recordTest('B5', 'Duplicate MessageSid ignored', passed);
+        }
+
+        // B6: Unknown text gets help; unknown sender asking for a call gets the hospital number
+        {
+            const help = await inbound('+966501234567', 'hello?');
+            const stranger = await inbound('+966555555555', 'call me');
+            const passed = help.body.includes('Reply CONFIRM, CANCEL or CALL ME') &&
+                stranger.body.includes('Please call Test Hospital at 920000000') && handoffs.length === 2;
+            recordTest('B6', 'Help and unknown sender replies', passed);
+        }
+
+        // B7: Malformed payload rejected
+        {
+            const res = await fetch(`http://localhost:${server.address().port}/sms/inbound`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({ To: '+966920000000' })
+            });
+            recordTest('B7', 'Missing From/Body → 400', res.status === 400);
+        }
+    } finally {
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Two-Way SMS Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
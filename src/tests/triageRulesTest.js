@@ -0,0 +1,218 @@
+/**
+ * Triage Rule Sets - Test Suite
+ *
+ * Tests:
+ * A. Rule set loading - versioned format, validation errors
+ * B. Per-hospital rules - overrides, aliases, emergency numbers, shared by all gates
+ * C. Harness - labelled corpus runs, misses reported, CLI exit codes
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const { loadRuleSet, getTriageRules, clearTriageRulesCache } = require('../config/triageRules');
+const triageService = require('../services/triageService');
+const { isEmergencyMessage } = require('../middleware/abuseProtection');
+const { enforceLanguage } = require('../middleware/languageEnforcement');
+const checkConsent = require('../middleware/consentEnforcement');
+const { loadCorpus, runCorpus } = require('../../scripts/triageHarness');
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+const ROOT = path.resolve(__dirname, '../..');
+const HARNESS_PATH = path.join(ROOT, 'scripts/triageHarness.js');
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(path.join(ROOT, 'src/config/triage/default.json'), 'utf8'));
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-rules-'));
+
+/**
+ * Write a variant of the default rule set; returns its path.
+ */
+function writeRules(name, changes) {
+    const filePath = path.join(TMP_DIR, `${name}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ ...DEFAULT_RULES, ...changes }));
+    return filePath;
+}
+
+function loadError(filePath) {
+    try {
+        loadRuleSet(filePath);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+/**
+ * Run a middleware with a fake request; returns the JSON reply or 'next'.
+ */
+function runMiddleware(middleware, message, hospital, hospitalSession = {}) {
+    let result = null;
+    const req = { body: { message }, hospital, hospitalId: hospital.id, hospitalSession, sessionID: 'rules-test' };
+    const res = { locals: { rawMessage: message }, json: (body) => { result = body; return res; }, status: () => res };
+    middleware(req, res, () => { result = 'next'; });
+    return result;
+}
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Triage Rule Sets - Test Suite                         ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// TEST GROUP A: RULE SET LOADING
+// ============================================================
+
+console.log("\n━━━ Test Group A: Rule Set Loading ━━━");
+
+// A1: Default rule set is valid and versioned
+{
+    const ruleSet = loadRuleSet('default');
+    const rules = getTriageRules(null);
+    const passed = ruleSet.version === 1 && rules.version === `default@${DEFAULT_RULES.revision}` &&
+        rules.emergencyNumbers[0] === '997' && rules.departments.length === Object.keys(DEFAULT_RULES.departments).length;
+    recordTest('A1', 'Default rule set loads', passed, rules.version);
+}
+
+// A2: Invalid rule sets rejected with a useful message
+{
+    const version = loadError(writeRules('v2', { version: 2 }));
+    const regex = loadError(writeRules('bad_regex', { emergency: { en: ['chest pain('] } }));
+    const alias = loadError(writeRules('bad_alias', { department_aliases: { 'Dental Clinic': 'Dentist' } }));
+    const unknownKey = loadError(writeRules('bad_key', { emergency_phrases: {} }));
+    const passed = /version 2, expected 1/.test(version) && /emergency\.en/.test(regex) &&
+        /unknown department 'Dentist'/.test(alias) && /invalid/.test(unknownKey);
+    recordTest('A2', 'Invalid rule sets rejected', passed, JSON.stringify({ version, regex, alias, unknownKey }));
+}
+
+// ============================================================
+// TEST GROUP B: PER-HOSPITAL RULES
+// ============================================================
+
+console.log("\n━━━ Test Group B: Per-Hospital Rules ━━━");
+
+const HOSPITAL = {
+    id: 'rules_hospital',
+    name: 'Rules Hospital',
+    triage_rules: {
+        emergency_numbers: ['911'],
+        emergency: { en: ['turning blue'] },
+        safety_keywords: { en: ['code red'] },
+        departments: { 'Ophthalmology': { en: ['eyes?|vision'], ar: ['عين|عيني|نظر'] } },
+        department_aliases: { 'Dental Clinic': 'Dentistry' }
+    }
+};
+
+// B1: Overrides add phrases and departments; aliases rename departments
+{
+    const emergency = triageService.evaluate('my baby is turning blue', HOSPITAL);
+    const eyes = triageService.evaluate('عيني تؤلمني', HOSPITAL);
+    const dental = triageService.evaluate('my tooth hurts', HOSPITAL);
+    const defaultDental = triageService.evaluate('my tooth hurts');
+    const passed = emergency.status === 'emergency' && emergency.response.includes('(911)') &&
+        eyes.department === 'Ophthalmology' && dental.department === 'Dental Clinic' &&
+        defaultDental.department === 'Dentistry';
+    recordTest('B1', 'Hospital overrides, aliases and numbers', passed, JSON.stringify({ emergency, eyes, dental }));
+}
+
+// B2: Hospital emergency_number used when the rules give none
+{
+    const response = triageService.getEmergencyResponse('ألم في الصدر', { id: 'other', emergency_number: '998' });
+    recordTest('B2', 'Hospital emergency_number in response', response.includes('(998)') && !response.includes('997'));
+}
+
+// B3: Invalid overrides fall back to the default rules
+{
+    const broken = { id: 'broken_hospital', triage_rules: { rule_set: 'missing_rules', unknown: true } };
+    const result = triageService.evaluate('I have chest pain', broken);
+    recordTest('B3', 'Invalid overrides fall back to defaults', result.status === 'emergency' &&
+        result.rulesVersion === `default@${DEFAULT_RULES.revision}`);
+}
+
+// B4: Abuse, language and consent gates share the hospital's rules
+{
+    const abuse = isEmergencyMessage('code red in the lobby', HOSPITAL) && !isEmergencyMessage('code red in the lobby', null);
+    const language = runMiddleware(enforceLanguage, 'call 911 now', HOSPITAL);
+    const consent = runMiddleware(checkConsent, 'code red', HOSPITAL, { preferredLanguage: 'English' });
+    const passed = abuse && language?.reply?.includes('(911)') && consent?.reply?.includes('(911)');
+    recordTest('B4', 'Gates use the hospital rule set', passed, JSON.stringify({ abuse, language, consent }));
+}
+
+// ============================================================
+// TEST GROUP C: HARNESS
+// ============================================================
+
+console.log("\n━━━ Test Group C: Harness ━━━");
+
+// C1: Shipped corpus passes against the default rules
+{
+    const report = runCorpus(loadCorpus(path.join(ROOT, 'src/config/triage/corpus.jsonl')), getTriageRules(null));
+    recordTest('C1', 'Default corpus passes', report.total > 40 && report.misses.length === 0,
+        JSON.stringify(report.misses));
+}
+
+// C2: Misses reported with line and actual result; aliases accepted
+{
+    clearTriageRulesCache();
+    const corpusPath = path.join(TMP_DIR, 'corpus.jsonl');
+    fs.writeFileSync(corpusPath, [
+        '{"message": "my tooth hurts", "expect": "Dentistry"}',
+        '{"message": "my tooth hurts", "expect": "Dental Clinic"}',
+        '',
+        '{"message": "I feel dizzy", "expect": "emergency"}'
+    ].join('\n'));
+    const report = runCorpus(loadCorpus(corpusPath), getTriageRules(HOSPITAL));
+    const passed = report.total === 3 && report.passed === 2 && report.misses.length === 1 &&
+        report.misses[0].line === 4 && report.misses[0].actual === 'none';
+    recordTest('C2', 'Misses reported', passed, JSON.stringify(report));
+}
+
+// C3: CLI exit codes (0 pass, 1 misses, 2 invalid rules)
+{
+    const run = (args) => spawnSync(process.execPath, [HARNESS_PATH, ...args], { cwd: ROOT, encoding: 'utf8', timeout: 30000 });
+    const pass = run([]);
+    const misses = run(['--corpus', path.join(TMP_DIR, 'corpus.jsonl')]);
+    const invalid = run(['--rules', path.join(TMP_DIR, 'v2.json')]);
+    const passed = pass.status === 0 && misses.status === 1 && misses.stdout.includes('MISSED EMERGENCY') &&
+        invalid.status === 2;
+    recordTest('C3', 'Harness CLI exit codes', passed, `${pass.status} ${misses.status} ${invalid.status}`);
+}
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+// ============================================================
+// SUMMARY
+// ============================================================
+
+console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed).length;
+
+console.log(`Total: ${results.length}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log("\n🎉 ALL TESTS PASSED - Triage Rule Sets Complete!\n");
+    process.exit(0);
+} else {
+    console.log("\n⚠️ Some tests failed. Review output above.\n");
+    process.exit(1);
+}
@@ -0,0 +1,211 @@
+/**
+ * Multilingual Triage - Test Suite
+ *
+ * Tests:
+ * A. Emergency red flags - English, Arabic (spelling variants), Arabizi
+ * B. Department routing - Arabic and Arabizi keywords, no false positives
+ * C. Safety bypasses - pre-language and pre-consent gates use triage
+ */
+
+const triageService = require('../services/triageService');
+const { normalizeArabic } = require('../services/triageService');
+const { enforceLanguage } = require('../middleware/languageEnforcement');
+const checkConsent = require('../middleware/consentEnforcement');
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+/**
+ * Messages whose triage result differs from the expected one.
+ */
+function mismatches(cases, getResult) {
+    return Object.entries(cases)
+        .filter(([message, expected]) => getResult(triageService.evaluate(message)) !== expected)
+        .map(([message]) => message);
+}
+
+/**
+ * Run a middleware with a fake request; returns the JSON reply or 'next'.
+ */
+function runMiddleware(middleware, message, hospitalSession) {
+    let result = null;
+    const req = { body: { message }, hospitalSession, sessionID: 'triage-test', hospitalId: 'default' };
+    const res = {
+        locals: { rawMessage: message },
+        json: (body) => { result = body; return res; },
+        status: () => res
+    };
+    middleware(req, res, () => { result = 'next'; });
+    return result;
+}
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Multilingual Triage - Test Suite                      ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// TEST GROUP A: EMERGENCY RED FLAGS
+// ============================================================
+
+console.log("\n━━━ Test Group A: Emergency Red Flags ━━━");
+
+const status = r => r.status;
+
+// A1: English rules unchanged
+{
+    const failed = mismatches({
+        'I have chest pain': 'emergency',
+        'my father is choking': 'emergency',
+        'my heart races at night': 'routine'
+    }, status);
+    recordTest('A1', 'English emergencies detected', failed.length === 0, failed.join(', '));
+}
+
+// A2: Arabic, including hamza / taa marbuta / diacritic variants
+{
+    const failed = mismatches({
+        'ألم في الصدر': 'emergency',
+        'عندي الم بالصدر': 'emergency',
+        'أبوي عنده جلطة': 'emergency',
+        'جلطه': 'emergency',
+        'ما اقدر اتنفس': 'emergency',
+        'ابني مُغمى عليه': 'emergency',
+        'نزيف شديد': 'emergency',
+        'أفكر في الانتحار': 'emergency',
+        'بنتي عندها تشنجات': 'emergency'
+    }, status);
+    recordTest('A2', 'Arabic emergencies detected', failed.length === 0, failed.join(', '));
+}
+
+// A3: Arabizi with digit letters
+{
+    const failed = mismatches({
+        'alam fi el sadr': 'emergency',
+        '3ndi wja3 bsadri': 'emergency',
+        'abuy 3ndo jalta': 'emergency',
+        'mish a2dar atnaffas': 'emergency',
+        'ana moghma 3alay': 'emergency',
+        'bfakir fi enta7ar': 'emergency',
+        'abi a2tel nafsi': 'emergency'
+    }, status);
+    recordTest('A3', 'Arabizi emergencies detected', failed.length === 0, failed.join(', '));
+}
+
+// A4: Arabic emergency answered in Arabic
+{
+    const arabic = triageService.evaluate('ألم في الصدر');
+    const english = triageService.evaluate('chest pain');
+    const passed = arabic.response.includes('997') && /[\u0600-\u06FF]/.test(arabic.response) &&
+        english.response.includes('URGENT MEDICAL WARNING');
+    recordTest('A4', 'Emergency response in the patient\'s script', passed);
+}
+
+// ============================================================
+// TEST GROUP B: DEPARTMENT ROUTING
+// ============================================================
+
+console.log("\n━━━ Test Group B: Department Routing ━━━");
+
+const department = r => r.department || r.status;
+
+// B1: Arabic keywords
+{
+    const failed = mismatches({
+        'عندي ألم في أسناني': 'Dentistry',
+        'ضرسي يوجعني': 'Dentistry',
+        'عندي طفح جلدي': 'Dermatology',
+        'ركبتي تؤلمني': 'Orthopedics',
+        'ولدي عنده حرارة': 'Pediatrics',
+        'عندي كحة وزكام': 'General Medicine',
+        'ضغط الدم عالي': 'Cardiology'
+    }, department);
+    recordTest('B1', 'Arabic department keywords', failed.length === 0, failed.join(', '));
+}
+
+// B2: Arabizi keywords
+{
+    const failed = mismatches({
+        'snani t3awirni': 'Dentistry',
+        'dirsi yoja3ni': 'Dentistry',
+        '3ndi 7akka fi jildi': 'Dermatology',
+        'rukbti t3awirni': 'Orthopedics',
+        'waladi 3ndo 7arara': 'Pediatrics',
+        '3ndi ko7a w zukam': 'General Medicine'
+    }, department);
+    recordTest('B2', 'Arabizi department keywords', failed.length === 0, failed.join(', '));
+}
+
+// B3: Common words do not route or trigger emergencies
+{
+    const failed = mismatches({
+        'أبي موعد بعد الظهر': 'unknown',
+        'السلام عليكم': 'unknown',
+        'kif agdar a7jiz maw3id': 'unknown',
+        'شكرا جزيلا': 'unknown',
+        'I need an appointment next week': 'unknown'
+    }, department);
+    recordTest('B3', 'No false positives on everyday messages', failed.length === 0, failed.join(', '));
+}
+
+// B4: Normalization
+{
+    const passed = normalizeArabic('أَلَمٌ فِي الصَّدْرِ') === 'الم في الصدر' &&
+        normalizeArabic('إسعاف مستشفى') === 'اسعاف مستشفي';
+    recordTest('B4', 'Arabic normalization', passed, normalizeArabic('أَلَمٌ فِي الصَّدْرِ'));
+}
+
+// ============================================================
+// TEST GROUP C: SAFETY BYPASSES
+// ============================================================
+
+console.log("\n━━━ Test Group C: Safety Bypasses ━━━");
+
+// C1: Arabic emergency before a language is selected
+{
+    const reply = runMiddleware(enforceLanguage, 'ألم في الصدر', {});
+    const routine = runMiddleware(enforceLanguage, 'عندي ألم في أسناني', {});
+    const passed = reply?.reply?.includes('997') && !reply.needsLanguage && routine?.needsLanguage === true;
+    recordTest('C1', 'Pre-language bypass for Arabic emergencies', passed, JSON.stringify({ reply, routine }));
+}
+
+// C2: Arabizi emergency before consent
+{
+    const reply = runMiddleware(checkConsent, 'mish a2dar atnaffas', { preferredLanguage: 'Roman Arabic' });
+    recordTest('C2', 'Pre-consent bypass for Arabizi emergencies', !!reply?.reply?.includes('997'), JSON.stringify(reply));
+}
+
+// ============================================================
+// SUMMARY
+// ============================================================
+
+console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+const passed = results.filter(r => r.passed).length;
+const failed = results.filter(r => !r.passed).length;
+
+console.log(`Total: ${results.length}`);
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log("\n🎉 ALL TESTS PASSED - Multilingual Triage Complete!\n");
+    process.exit(0);
+} else {
+    console.log("\n⚠️ Some tests failed. Review output above.\n");
+    process.exit(1);
+}
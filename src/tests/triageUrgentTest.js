@@ -0,0 +1,349 @@
+/**
+ * Urgent Triage Tier - Test Suite
+ *
+ * Tests:
+ * A. Rules - urgent tier between emergency and routine, responses, validation
+ * B. Chat pipeline - urgent notice, same-day slots first, tier audited, booking flagged
+ * C. Booking & reception - triage_level stored, audited and shown to reception
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Required by encryption util (loaded via booking service)
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/016_appointment_triage_level.sql');
+const ROUTER_PATH = path.join(ROOT, 'src/routes/receptionRouter.js');
+const DASHBOARD_PATH = path.join(ROOT, 'public/reception-dashboard.html');
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(path.join(ROOT, 'src/config/triage/default.json'), 'utf8'));
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-urgent-'));
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Urgent Triage Tier - Test Suite                       ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const executed = [];
+
+const mockDb = {
+    query: async () => [],
+    get: async (sql) => (sql.includes('FROM hospitals') ? { timezone: 'Asia/Riyadh' } : null),
+    execute: async (sql, params) => {
+        executed.push({ sql, params });
+        if (sql.includes('INSERT INTO appointments')) return { rows: [{ id: 77 }], rowCount: 1 };
+        return { rows: [], rowCount: 1 };
+    }
+};
+
+productionDb.initializeDatabase = async () => mockDb;
+
+const auditsFor = (action) => executed.filter(e => e.sql.includes('INSERT INTO audit_logs') && e.params[3] === action);
+
+const { loadRuleSet } = require('../config/triageRules');
+const triageService = require('../services/triageService');
+const { BookingService } = require('../services/bookingService');
+const { BookingStateMachine } = require('../services/bookingStateMachine');
+const SlotService = require('../services/slotService');
+const RealtimeService = require('../services/realtimeService');
+const BookingNotificationService = require('../services/bookingNotificationService');
+const aiService = require('../services/aiService');
+const { createContext, ConversationOrchestrator } = require('../services/conversationOrchestrator');
+
+function loadError(changes) {
+    const filePath = path.join(TMP_DIR, `rules_${Object.keys(changes).join('_')}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ ...DEFAULT_RULES, ...changes }));
+    try {
+        loadRuleSet(filePath);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// ============================================================
+// TEST GROUP A: RULES
+// ============================================================
+
+console.log("\n━━━ Test Group A: Rules ━━━");
+
+// A1: Urgent tier in English, Arabic and Arabizi, with a department
+{
+    const cases = {
+        'my infant has a fever': 'Pediatrics',
+        'moderate bleeding from a cut on my hand': 'General Medicine',
+        'ابني الرضيع عنده حرارة': 'Pediatrics',
+        'عندي نزيف من الأنف': 'General Medicine',
+        'bnti 3ndha 7arara 3alya': 'Pediatrics'
+    };
+    const failures = Object.entries(cases).filter(([message, department]) => {
+        const result = triageService.evaluate(message);
+        return result.status !== 'urgent' || result.department !== department || !result.response;
+    });
+    const routine = triageService.evaluate('my baby has a fever');
+    const passed = failures.length === 0 && routine.status === 'routine' && routine.department === 'Pediatrics';
+    recordTest('A1', 'Urgent tier detected with department', passed, JSON.stringify({ failures, routine }));
+}
+
+// A2: Emergencies still win; bare bleeding still gets through the gates
+{
+    const emergencies = ['نزيف شديد', 'نزيف ما يوقف', 'severe bleeding and a high fever', 'nazif shadid']
+        .filter(message => triageService.evaluate(message).status !== 'emergency');
+    const bypass = triageService.needsSafetyBypass('عندي نزيف') && triageService.needsSafetyBypass('fi nazif');
+    recordTest('A2', 'Emergency outranks urgent', emergencies.length === 0 && bypass, JSON.stringify({ emergencies, bypass }));
+}
+
+// A3: Urgent response in the message's script with the hospital's numbers
+{
+    const hospital = { id: 'urgent_hospital', emergency_number: '998', escalation_contact: { phone: '0112345678' } };
+    const en = triageService.getUrgentResponse('my infant has a fever', hospital);
+    const ar = triageService.getUrgentResponse('ابني الرضيع عنده حرارة', hospital);
+    const noPhone = triageService.getUrgentResponse('my infant has a fever', { id: 'no_phone' });
+    const passed = en.includes('today') && en.includes('on 0112345678') && en.includes('(998)') &&
+        ar.includes('اليوم') && ar.includes('على 0112345678') &&
+        !noPhone.includes('{hospital_phone}') && noPhone.includes('call the hospital so');
+    recordTest('A3', 'Urgent response asks the patient to call', passed, JSON.stringify({ en, ar, noPhone }));
+}
+
+// A4: Invalid urgent rules rejected; hospitals can add urgent phrases
+{
+    const { urgent: _urgent, ...responsesWithoutUrgent } = DEFAULT_RULES.responses;
+    const noResponse = loadError({ responses: responsesWithoutUrgent });
+    const badDepartment = loadError({ urgent_default_department: 'Urgent Care' });
+    const hospital = {
+        id: 'urgent_override',
+        triage_rules: { urgent: { en: ['sprained ankle'] }, urgent_default_department: 'Orthopedics' }
+    };
+    const override = triageService.evaluate('I think it is a sprained ankle', hospital);
+    const passed = /no responses\.urgent/.test(noResponse) && /'Urgent Care' is not a department/.test(badDepartment) &&
+        override.status === 'urgent' && override.department === 'Orthopedics';
+    recordTest('A4', 'Urgent rules validated and overridable', passed, JSON.stringify({ noResponse, badDepartment, override }));
+}
+
+// ============================================================
+// RUNTIME SETUP (stubbed slots, AI and SMS)
+// ============================================================
+
+const orchestrator = new ConversationOrchestrator();
+const hospital = {
+    id: 'test_hospital', name: 'Test Hospital', departments: ['Pediatrics', 'General Medicine'],
+    emergency_number: '997', escalation_contact: { phone: '0110000000' }
+};
+const calls = [];
+let slots = [];
+let aiInput = null;
+let availability = null;
+
+const realInitiateBooking = BookingService.initiateBooking;
+
+BookingService.getAvailableSlots = async (department, hospitalId, date) =>
+    slots.map(s => ({ ...s, department, date, datetime: `${date}T${s.time}:00` }));
+BookingService.lockSlot = async () => true;
+BookingService.unlockSlot = async () => true;
+BookingService.initiateBooking = async (data, sessionId) => {
+    calls.push({ fn: 'initiateBooking', data, sessionId });
+    return { success: true, booking: { id: 'BK-URGENT', hospitalId: data.hospitalId, patientPhone: data.patientPhone } };
+};
+BookingService.requestOtpForBooking = async () => ({ success: true, otp: '123456' });
+BookingService.confirmBookingWithOtp = async () => ({ success: true, appointment: { id: 42 } });
+BookingNotificationService.queueOtpSms = async () => true;
+
+let bookNext = false;
+aiService.generateResponse = async (input, tools) => {
+    aiInput = input;
+    if (bookNext) {
+        await tools.execute('hold_slot', { department: 'Pediatrics', time: '09:00' });
+        await tools.execute('book_appointment', {});
+    } else if (input.context.department) {
+        availability = await tools.execute('check_availability', { department: input.context.department });
+    }
+    return { reply: 'The earliest slot today is 09:00.', status: 'success' };
+};
+
+function makeContext(session, message) {
+    return createContext({
+        conversationId: 'sess-urgent',
+        hospitalId: 'test_hospital',
+        hospital,
+        session,
+        message,
+        rawMessage: message
+    });
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: CHAT PIPELINE
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Chat Pipeline ━━━");
+
+    const session = { history: [] };
+
+    // B1: Urgent notice first, today's slots offered, no waitlist hint
+    {
+        slots = [
+            { doctor_id: 7, time: '09:00', doctor_name: 'Dr. A' },
+            { doctor_id: 8, time: '14:00', doctor_name: 'Dr. B' }
+        ];
+        const res = await orchestrator.run(makeContext(session, 'my infant has a fever'));
+        const context = aiInput.context;
+        const passed = res.body.reply.startsWith('⚠️') && res.body.reply.includes('on 0110000000') &&
+            res.body.reply.endsWith('The earliest slot today is 09:00.') &&
+            context.urgent === true && context.department === 'Pediatrics' &&
+            availability.slots[0].time === '09:00' && /^\d{4}-\d{2}-\d{2}$/.test(availability.date) &&
+            aiService.buildSystemPrompt(context, 'English').includes('offer the EARLIEST slot') &&
+            session.triageLevel === 'urgent';
+        recordTest('B1', 'Urgent reply, today\'s slots via check_availability', passed, JSON.stringify({ reply: res.body.reply, availability }));
+    }
+
+    // B2: Tier audited once per conversation, without PHI
+    {
+        await orchestrator.run(makeContext(session, 'she has a high fever'));
+        const audits = auditsFor('TRIAGE_URGENT');
+        const passed = audits.length === 1 && audits[0].params[1] === 'conversation' &&
+            audits[0].params[2] === 'sess-urgent' && audits[0].params[6].department === 'Pediatrics' &&
+            audits[0].params[6].rules_version === `default@${DEFAULT_RULES.revision}` &&
+            !JSON.stringify(audits[0].params).includes('fever');
+        recordTest('B2', 'Urgent tier audited', passed, JSON.stringify(audits));
+    }
+
+    // B3: Booking later in the conversation is flagged, then the flag clears
+    {
+        bookNext = true;
+        await orchestrator.run(makeContext(session, 'book the 9am please, my number is 0551234567'));
+        bookNext = false;
+        const init = calls.find(c => c.fn === 'initiateBooking');
+        const flagged = init?.data.triageLevel === 'urgent';
+        await orchestrator.run(makeContext(session, '123456'));
+        const passed = flagged && session.triageLevel === null && session.pendingBooking === null;
+        recordTest('B3', 'Booking flagged urgent, flag cleared on confirmation', passed, JSON.stringify({ init, session }));
+    }
+
+    // B4: Routine conversations unchanged (waitlist hint, no urgent prompt)
+    {
+        slots = [];
+        const routine = { history: [] };
+        const res = await orchestrator.run(makeContext(routine, 'my baby has a fever'));
+        const prompt = aiService.buildSystemPrompt({ hospital }, 'English');
+        const urgentPrompt = aiService.buildSystemPrompt({ hospital, urgent: true }, 'English');
+        const passed = !res.body.reply.startsWith('⚠️') && !routine.triageLevel && !aiInput.context.urgent &&
+            res.body.reply.includes('Reply WAITLIST') &&
+            !prompt.includes('URGENT (SAME-DAY)') && urgentPrompt.includes('offer the EARLIEST slot');
+        recordTest('B4', 'Routine triage unchanged', passed, res.body.reply);
+    }
+
+    // ============================================================
+    // TEST GROUP C: BOOKING & RECEPTION
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Booking & Reception ━━━");
+
+    // C1: Draft carries the tier; confirmed booking stores and audits it
+    {
+        SlotService.lockSlot = async () => true;
+        SlotService.verifyLock = async () => true;
+        SlotService.unlockSlot = async () => true;
+        SlotService.checkBookingAllowed = async () => ({ allowed: true, settings: { slot_duration_minutes: 15 } });
+        RealtimeService.publishBookingUpdate = async () => true;
+
+        const initiated = await realInitiateBooking.call(BookingService, {
+            hospitalId: 'test_hospital', doctorId: 7, datetime: '2026-01-05 09:00',
+            patientName: 'Sara', patientPhone: '0551234567', triageLevel: 'urgent'
+        }, 'sess-urgent');
+        const draft = await BookingStateMachine.getBooking(initiated.booking.id);
+
+        const appointment = await BookingService.confirmBooking({
+            hospitalId: 'test_hospital', doctorId: 7, datetime: '2026-01-05 09:00',
+            patientName: 'Sara', patientPhone: '0551234567', triageLevel: draft.triageLevel
+        }, 'sess-urgent');
+        const insert = executed.find(e => e.sql.includes('INSERT INTO appointments'));
+        const audit = auditsFor('BOOKING_CONFIRMED')[0];
+        const passed = draft.triageLevel === 'urgent' && appointment.id === 77 &&
+            insert.sql.includes('triage_level') && insert.params[8] === 'urgent' &&
+            audit && audit.params[6].triage_level === 'urgent';
+        recordTest('C1', 'triage_level stored and audited', passed, JSON.stringify({ draft, insert, audit }));
+    }
+
+    // C2: Routine bookings store NULL
+    {
+        executed.length = 0;
+        await BookingService.confirmBooking({
+            hospitalId: 'test_hospital', doctorId: 7, datetime: '2026-01-05 10:00',
+            patientName: 'Omar', patientPhone: '0557654321'
+        }, 'sess-routine');
+        const insert = executed.find(e => e.sql.includes('INSERT INTO appointments'));
+        const audit = auditsFor('BOOKING_CONFIRMED')[0];
+        const passed = insert.params[8] === null && audit && !('triage_level' in audit.params[6]);
+        recordTest('C2', 'Routine bookings not flagged', passed, JSON.stringify({ params: insert.params }));
+    }
+
+    // C3: Migration, reception API and dashboard flag
+    {
+        const migration = fs.readFileSync(MIGRATION_PATH, 'utf-8');
+        const router = fs.readFileSync(ROUTER_PATH, 'utf-8');
+        const dashboard = fs.readFileSync(DASHBOARD_PATH, 'utf-8');
+        const passed = /ADD COLUMN IF NOT EXISTS triage_level VARCHAR\(20\)/.test(migration) &&
+            migration.includes('Rollback') &&
+            router.includes('a.triage_level') && router.includes('triageLevel: row.triage_level') &&
+            dashboard.includes("b.triageLevel === 'urgent'") && dashboard.includes('.triage-urgent');
+        recordTest('C3', 'Migration, reception API and dashboard badge', passed);
+    }
+}
+
+runRuntimeTests().then(() => {
+    fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+    // ============================================================
+    // SUMMARY
+    // ============================================================
+
+    console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+
+    console.log(`Total: ${results.length}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed === 0) {
+        console.log("\n🎉 ALL TESTS PASSED - Urgent Triage Tier Complete!\n");
+        process.exit(0);
+    } else {
+        console.log("\n⚠️ Some tests failed. Review output above.\n");
+        process.exit(1);
+    }
+}).catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,389 @@
+/**
+ * Waitlist - Test Suite
+ *
+ * Tests:
+ * A. Joining - migration, validation, duplicates, PHI at rest
+ * B. Offers - cancellation offers the slot to the oldest entry and holds it
+ * C. Accept & expiry - code books the held slot, unanswered offers pass on, API
+ */
+
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/010_waitlist.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Waitlist - Test Suite                                 ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+const { todayInTimezone } = require('../utils/hospitalTime');
+
+// A week from now at the hospital, Dentistry 09:00-10:00 in 30-minute slots
+const DAY = todayInTimezone('Asia/Riyadh', 7);
+
+const departments = [
+    { id: 1, hospital_id: 'test_hospital', name: 'Dentistry', slot_duration_minutes: 30 },
+    { id: 2, hospital_id: 'other_hospital', name: 'Dentistry', slot_duration_minutes: 30 }
+];
+const doctors = [
+    { id: 7, name: 'Dr. A', hospital_id: 'test_hospital', department_id: 1, is_active: true }
+];
+// Fully booked: both slots taken
+const appointments = [
+    { id: 1, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: `${DAY}T09:00:00`, status: 'confirmed' },
+    { id: 2, hospital_id: 'test_hospital', doctor_id: 7, appointment_time: `${DAY}T09:30:00`, status: 'confirmed' }
+];
+const entries = [];
+let nextId = 100;
+
+function withDepartment(doctor) {
+    const dept = departments.find(d => d.id === doctor.department_id) || {};
+    return { ...doctor, department_name: dept.name, dept_slot_duration_minutes: dept.slot_duration_minutes };
+}
+
+const activeEntry = (e) => ['waiting', 'offered'].includes(e.status);
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM doctors_v2 dv')) {
+            return doctors.filter(d => d.hospital_id === params[0]).map(withDepartment);
+        }
+        if (sql.includes('FROM doctor_availability')) {
+            return [{ doctor_id: params[0], day_of_week: params[1], start_time: '09:00', end_time: '10:00' }];
+        }
+        if (sql.includes('FROM appointments')) {
+            return appointments.filter(a => a.doctor_id === params[0] && a.appointment_time.startsWith(params[1]) &&
+                a.status !== 'cancelled').map(a => ({ ...a, appointment_time: new Date(a.appointment_time) }));
+        }
+        if (sql.includes('FROM waitlist_entries w')) {
+            return entries.filter(e => e.hospital_id === params[0] && activeEntry(e))
+                .map(e => ({ ...e, department_name: 'Dentistry', doctor_name: null }));
+        }
+        if (sql.includes('FROM waitlist_entries')) {
+            return entries.filter(e => e.hospital_id === params[0] && e.department_id === params[1] && activeEntry(e));
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM waitlist_entries w')) {
+            const doctor = doctors.find(d => d.id === params[1] && d.hospital_id === params[0]);
+            return entries.find(e => e.hospital_id === params[0] && e.status === 'waiting' && doctor &&
+                e.department_id === doctor.department_id && (e.doctor_id === null || e.doctor_id === params[1]) &&
+                e.date_from <= params[2] && e.date_to >= params[2]) || null;
+        }
+        if (sql.includes('offer_code_hash = $2')) {
+            return entries.find(e => e.hospital_id === params[0] && e.status === 'offered' && e.offer_code_hash === params[1]) || null;
+        }
+        if (sql.includes('FROM waitlist_entries')) {
+            return entries.find(e => e.id === params[0] && e.hospital_id === params[1] && activeEntry(e)) || null;
+        }
+        if (sql.includes('FROM doctors_v2 dv')) {
+            const doctor = doctors.find(d => d.id === params[0] && d.hospital_id === params[1]);
+            return doctor ? withDepartment(doctor) : null;
+        }
+        if (sql.includes('FROM doctors_v2')) {
+            return doctors.find(d => d.id === params[0] && d.hospital_id === params[1] && d.department_id === params[2]) || null;
+        }
+        if (sql.includes('FROM departments')) {
+            return departments.find(d => d.hospital_id === params[0] && d.name === params[1]) || null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('INSERT INTO waitlist_entries')) {
+            const entry = {
+                id: ++nextId, hospital_id: params[0], department_id: params[1], doctor_id: params[2],
+                date_from: params[3], date_to: params[4], patient_name_encrypted: params[5],
+                patient_phone_encrypted: params[6], status: 'waiting', created_by: params[7]
+            };
+            entries.push(entry);
+            return { rows: [{ id: entry.id }], rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'offered'")) {
+            const entry = entries.find(e => e.id === params[4] && e.hospital_id === params[5] && e.status === 'waiting');
+            if (!entry) return { rowCount: 0 };
+            Object.assign(entry, {
+                status: 'offered', offered_doctor_id: params[0], offered_time: params[1],
+                offer_code_hash: params[2], offer_expires_at: params[3]
+            });
+            return { rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'booked'")) {
+            Object.assign(entries.find(e => e.id === params[1]), { status: 'booked', appointment_id: params[0], offer_code_hash: null });
+            return { rowCount: 1 };
+        }
+        if (sql.includes("SET status = 'expired', offer_code_hash = NULL")) {
+            const due = entries.filter(e => e.hospital_id === params[0] && e.status === 'offered' && e.offer_expires_at < params[1]);
+            due.forEach(entry => Object.assign(entry, { status: 'expired', offer_code_hash: null }));
+            return { rows: due.map(({ id, offered_doctor_id, offered_time }) => ({ id, offered_doctor_id, offered_time })), rowCount: due.length };
+        }
+        if (sql.includes("SET status = 'cancelled', offer_code_hash = NULL")) {
+            Object.assign(entries.find(e => e.id === params[0]), { status: 'cancelled', offer_code_hash: null });
+            return { rowCount: 1 };
+        }
+        if (sql.includes('UPDATE appointments SET status = \'cancelled\'')) {
+            const appt = appointments.find(a => a.id === params[0] && a.hospital_id === params[1] && a.status === 'confirmed');
+            if (!appt) return { rows: [], rowCount: 0 };
+            appt.status = 'cancelled';
+            return { rows: [{ doctor_id: appt.doctor_id, appointment_time: new Date(appt.appointment_time) }], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO appointments')) {
+            const appt = {
+                id: ++nextId, hospital_id: params[0], doctor_id: params[1], patient_phone_encrypted: params[3],
+                appointment_time: params[5], status: 'confirmed'
+            };
+            appointments.push(appt);
+            return { rows: [{ id: appt.id }], rowCount: 1 };
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+// Capture SMS jobs
+const { smsQueue } = require('../config/queue');
+const smsJobs = [];
+smsQueue.add = async (name, data) => { smsJobs.push({ name, data }); };
+
+const { decrypt } = require('../utils/encryption');
+const WaitlistService = require('../services/waitlistService');
+const { BookingService } = require('../services/bookingService');
+const SlotService = require('../services/slotService');
+const waitlistRouter = require('../routes/waitlistRouter');
+
+const HOSPITAL = { id: 'test_hospital', name: 'Test Hospital' };
+const join = (phone, extra = {}) => WaitlistService.join('test_hospital', {
+    department: 'Dentistry', patientName: 'Waiting Patient', patientPhone: phone, ...extra
+});
+const lastOfferCode = () => smsJobs.filter(j => j.name === 'waitlist-offer-sms').pop()?.data.message.match(/\b(\d{6})\b/)?.[1];
+
+// ============================================================
+// TEST GROUP A: JOINING
+// ============================================================
+
+console.log("\n━━━ Test Group A: Joining ━━━");
+
+// A1: Migration creates the waitlist table with offer columns
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && content.includes('CREATE TABLE IF NOT EXISTS waitlist_entries') &&
+        ['patient_phone_encrypted', 'offer_code_hash', 'offer_expires_at', 'hospital_id'].every(c => content.includes(c));
+    recordTest('A1', 'Migration creates waitlist_entries', passed);
+}
+
+async function runRuntimeTests() {
+    // A2: Unknown department, bad phone and too-distant range rejected
+    {
+        const rejected = await Promise.all([
+            join('0501111111', { department: 'Astrology' }),
+            join('12'),
+            join('0501111111', { dateTo: todayInTimezone('Asia/Riyadh', 365) })
+        ]);
+        const passed = rejected.every(r => !r.success && r.code === 'VALIDATION') && entries.length === 0;
+        recordTest('A2', 'Invalid join requests rejected', passed);
+    }
+
+    // A3: Join stores the phone encrypted with a default date range
+    {
+        const result = await join('0501111111');
+        const stored = entries[0];
+        const passed = result.success && result.entry.status === 'waiting' &&
+            stored.patient_phone_encrypted !== '0501111111' && decrypt(stored.patient_phone_encrypted) === '0501111111' &&
+            stored.date_from === todayInTimezone('Asia/Riyadh') && stored.date_to > DAY;
+        recordTest('A3', 'Join stores encrypted entry', passed);
+    }
+
+    // A4: Same phone can't join the same department twice
+    {
+        const result = await join('+966 50 111 1111');
+        recordTest('A4', 'Duplicate entry → CONFLICT', !result.success && result.code === 'CONFLICT');
+    }
+
+    await join('0502222222');
+    await join('0503333333');
+
+    // ============================================================
+    // TEST GROUP B: OFFERS
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Offers ━━━");
+
+    // B1: Cancelling frees the slot and offers it to the oldest entry
+    {
+        await BookingService.cancelAppointment(2, 'test_hospital', 'reception1');
+        const [first, second] = entries;
+        const owner = await SlotService.isSlotLocked('test_hospital', 7, `${DAY}T09:30:00`);
+        const passed = first.status === 'offered' && first.offered_time === `${DAY}T09:30:00` &&
+            second.status === 'waiting' && owner === `waitlist:${first.id}`;
+        recordTest('B1', 'Cancellation offers slot to first in line and holds it', passed, `${first.status} ${owner}`);
+    }
+
+    // B2: Offer SMS sent to the patient; only the code hash is stored
+    {
+        const job = smsJobs.find(j => j.name === 'waitlist-offer-sms');
+        const code = lastOfferCode();
+        const passed = job && job.data.to === '0501111111' && code &&
+            !JSON.stringify(entries[0]).includes(code);
+        recordTest('B2', 'Offer SMS queued with code', passed);
+    }
+
+    // B3: Held slot not shown to other patients
+    {
+        const slots = await SlotService.getAvailableSlots('test_hospital', 'Dentistry', DAY);
+        recordTest('B3', 'Held slot hidden from availability', slots.length === 0, slots.map(s => s.time).join(','));
+    }
+
+    // B4: Cancelling an unconfirmed chat draft offers nothing (the slot was never taken)
+    {
+        // 09:00 is free while the draft holds it
+        appointments[0].status = 'cancelled';
+        const offers = smsJobs.filter(j => j.name === 'waitlist-offer-sms').length;
+        const draft = await BookingService.initiateBooking({
+            hospitalId: 'test_hospital', doctorId: 7, datetime: `${DAY}T09:00:00`,
+            patientName: 'Draft Patient', patientPhone: '0504444444'
+        }, 'sess-draft');
+        const result = await BookingService.cancelBooking(draft.booking.id, 'sess-draft');
+        const passed = draft.success && result.success &&
+            smsJobs.filter(j => j.name === 'waitlist-offer-sms').length === offers &&
+            entries[1].status === 'waiting' && entries[2].status === 'waiting' &&
+            !await SlotService.isSlotLocked('test_hospital', 7, `${DAY}T09:00:00`);
+        appointments[0].status = 'confirmed';
+        recordTest('B4', 'Cancelled draft not offered to the waitlist', passed, entries.map(e => e.status).join(','));
+    }
+
+    // ============================================================
+    // TEST GROUP C: ACCEPT & EXPIRY
+    // ============================================================
+
+    console.log("\n━━━ Test Group C: Accept & Expiry ━━━");
+
+    // C1: Wrong code rejected; right code books the slot for the waiting patient
+    {
+        const code = lastOfferCode();
+        const wrong = await WaitlistService.acceptOffer('test_hospital', HOSPITAL, code === '111111' ? '222222' : '111111');
+        const result = await WaitlistService.acceptOffer('test_hospital', HOSPITAL, code);
+        const booked = appointments.find(a => a.id === result.appointment?.id);
+        const passed = !wrong.success && wrong.code === 'NOT_FOUND' && result.success &&
+            booked && booked.appointment_time === `${DAY}T09:30:00` && decrypt(booked.patient_phone_encrypted) === '0501111111' &&
+            entries[0].status === 'booked' && entries[0].appointment_id === booked.id &&
+            !await SlotService.isSlotLocked('test_hospital', 7, `${DAY}T09:30:00`);
+        recordTest('C1', 'Offer code books held slot', passed);
+    }
+
+    // C2: Unanswered offer expires and passes to the next patient (once, even
+    // when two server instances run the expiry job at the same time)
+    {
+        await BookingService.cancelAppointment(1, 'test_hospital', 'reception1');
+        const [, second, third] = entries;
+        const offeredFirst = second.status === 'offered';
+        const later = new Date(Date.now() + 31 * 60 * 1000);
+        const counts = await Promise.all([
+            WaitlistService.expireOffers('test_hospital', later),
+            WaitlistService.expireOffers('test_hospital', later)
+        ]);
+        const expired = counts[0] + counts[1];
+        const owner = await SlotService.isSlotLocked('test_hospital', 7, `${DAY}T09:00:00`);
+        const passed = offeredFirst && expired === 1 && second.status === 'expired' &&
+            third.status === 'offered' && owner === `waitlist:${third.id}`;
+        recordTest('C2', 'Expired offer passes slot to next in line', passed, `${second.status} ${third.status} ${owner}`);
+    }
+
+    // C3: Other hospitals can't see or accept the offer
+    {
+        const list = await WaitlistService.list('other_hospital');
+        const result = await WaitlistService.acceptOffer('other_hospital', HOSPITAL, lastOfferCode());
+        recordTest('C3', 'Hospital isolation', list.length === 0 && !result.success && entries[2].status === 'offered');
+    }
+
+    // C4: Patient API validates input and maps errors to status codes
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.hospitalId = 'test_hospital';
+        req.hospital = HOSPITAL;
+        next();
+    });
+    app.use('/waitlist', waitlistRouter);
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://localhost:${server.address().port}/waitlist`;
+    const post = (url, body) => fetch(base + url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        const [missing, duplicate, badCode, unknownCode, joined] = await Promise.all([
+            post('/', { phone: '0504444444' }),
+            post('/', { department: 'Dentistry', phone: '0503333333' }),
+            post('/accept', { code: '12ab' }),
+            post('/accept', { code: '000000' }),
+            post('/', { department: 'Dentistry', phone: '0504444444' })
+        ]);
+        const passed = missing.status === 400 && duplicate.status === 409 && badCode.status === 400 &&
+            unknownCode.status === 404 && joined.status === 201;
+        recordTest('C4', 'Waitlist API status codes', passed,
+            [missing, duplicate, badCode, unknownCode, joined].map(r => r.status).join(','));
+    } finally {
+        server.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Waitlist Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
@@ -0,0 +1,351 @@
+/**
+ * Webhook Delivery - Test Suite
+ *
+ * Tests:
+ * A. Schema & signing - migration, signature format
+ * B. Delivery - escalation channels queue signed deliveries, retries, dead letters
+ * C. Admin - delivery log and redelivery via /api/admin
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+process.env.WEBHOOK_SIGNING_SECRET = 'test-signing-secret';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+// ============================================================
+// PATH REFERENCES
+// ============================================================
+
+const ROOT = path.resolve(__dirname, '../..');
+const MIGRATION_PATH = path.join(ROOT, 'migrations/013_webhook_deliveries.sql');
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     Webhook Delivery - Test Suite                         ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCK DATABASE (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const deliveries = [];
+const audits = [];
+let nextId = 0;
+
+const find = (params) => deliveries.find(d => d.id === params[0] && d.hospital_id === params[1]);
+
+const mockDb = {
+    query: async (sql, params) => {
+        if (sql.includes('FROM webhook_deliveries')) {
+            return deliveries
+                .filter(d => d.hospital_id === params[0] && (params.length === 2 || d.status === params[1]))
+                .slice()
+                .reverse()
+                .slice(0, params[params.length - 1]);
+        }
+        return [];
+    },
+    get: async (sql, params) => {
+        if (sql.includes('FROM webhook_deliveries')) {
+            const d = find(params);
+            return d ? { ...d } : null;
+        }
+        return null;
+    },
+    execute: async (sql, params) => {
+        if (sql.includes('INSERT INTO webhook_deliveries')) {
+            const row = {
+                id: ++nextId, hospital_id: params[0], event_type: params[1], target_url: params[2],
+                payload: JSON.parse(params[3]), status: 'pending', attempts: 0, created_at: new Date()
+            };
+            deliveries.push(row);
+            return { rows: [row], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO audit_logs')) {
+            audits.push({ action: params[3], entityId: params[2] });
+            return { rowCount: 1 };
+        }
+        const d = find(params);
+        if (sql.includes("SET status = 'delivered'") && d) {
+            Object.assign(d, { status: 'delivered', attempts: d.attempts + 1, last_status_code: params[2], last_error: null });
+        } else if (sql.includes("SET status = 'retrying'") && d) {
+            Object.assign(d, { status: 'retrying', attempts: d.attempts + 1, last_status_code: params[2], last_error: params[3] });
+        } else if (sql.includes("SET status = 'dead_letter'") && d) {
+            Object.assign(d, { status: 'dead_letter', attempts: d.attempts + params[2], last_status_code: params[3], last_error: params[4] });
+        } else if (sql.includes("SET status = 'pending'")) {
+            if (!d || d.status !== 'dead_letter') return { rows: [], rowCount: 0 };
+            d.status = 'pending';
+            return { rows: [{ id: d.id }], rowCount: 1 };
+        } else {
+            return { rowCount: 0 };
+        }
+        return { rowCount: 1 };
+    }
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+// Capture queued jobs
+const queue = require('../config/queue');
+const jobs = [];
+queue.webhookQueue.add = async (name, data, opts) => {
+    jobs.push({ name, data, opts });
+    return { id: opts.jobId };
+};
+
+const WebhookDeliveryService = require('../services/webhookDeliveryService');
+const { WEBHOOK_JOB_OPTIONS } = require('../services/webhookDeliveryService');
+const HumanHandoffService = require('../services/humanHandoffService');
+const adminRouter = require('../routes/adminRouter');
+
+// ============================================================
+// TEST GROUP A: SCHEMA & SIGNING
+// ============================================================
+
+console.log("\n━━━ Test Group A: Schema & Signing ━━━");
+
+// A1: Migration creates the delivery log
+{
+    const content = fs.existsSync(MIGRATION_PATH) && fs.readFileSync(MIGRATION_PATH, 'utf-8');
+    const passed = content && content.includes('CREATE TABLE IF NOT EXISTS webhook_deliveries') &&
+        content.includes("'dead_letter'") && content.includes('hospital_id TEXT NOT NULL');
+    recordTest('A1', 'Migration creates webhook_deliveries', passed);
+}
+
+// A2: Signature = HMAC-SHA256 over "<timestamp>.<body>"
+{
+    const body = '{"id":1}';
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+    const passed = WebhookDeliveryService.signPayload(body, 'secret', 1700000000) === expected &&
+        WebhookDeliveryService.signPayload(body, 'secret', 1700000001) !== expected;
+    recordTest('A2', 'Signature covers timestamp and body', passed);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: DELIVERY
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Delivery ━━━");
+
+    // Receiver answers with the next queued status code (default 200)
+    const received = [];
+    const responses = [];
+    const receiver = express();
+    receiver.use(express.text({ type: 'application/json' }));
+    receiver.post('/hook', (req, res) => {
+        received.push({ headers: req.headers, body: req.body });
+        res.sendStatus(responses.shift() || 200);
+    });
+    const receiverServer = receiver.listen(0);
+    await new Promise(resolve => receiverServer.once('listening', resolve));
+    const hookUrl = `http://localhost:${receiverServer.address().port}/hook`;
+
+    const HOSPITAL = {
+        id: 'test_hospital',
+        name: 'Test Hospital',
+        escalation_config: { channel: 'whatsapp_webhook', webhook_url: hookUrl, ticket_url: hookUrl }
+    };
+    const safePayload = HumanHandoffService.buildSafePayload('conv-1', 'test_hospital', 'user_requested');
+
+    try {
+        // B1: whatsapp_webhook channel records and queues a delivery
+        {
+            await HumanHandoffService.sendWebhookNotification(safePayload, hookUrl);
+            const d = deliveries[0];
+            const job = jobs[0];
+            const passed = d && d.event_type === 'escalation.created' && d.status === 'pending' &&
+                d.payload.conversation_id === 'conv-1' && job.data.deliveryId === d.id &&
+                job.data.hospitalId === 'test_hospital' && job.opts.attempts === WEBHOOK_JOB_OPTIONS.attempts &&
+                job.opts.backoff.type === 'exponential' && job.opts.jobId === `webhook-${d.id}`;
+            recordTest('B1', 'Escalation webhook queued with retry policy', passed, JSON.stringify(job));
+        }
+
+        // B2: Attempt POSTs a signed envelope; 2xx marks delivered
+        {
+            const result = await WebhookDeliveryService.attemptDelivery(1, 'test_hospital', { attempt: 1, maxAttempts: 6 });
+            const req = received[0];
+            const expected = WebhookDeliveryService.signPayload(req.body, 'test-signing-secret', req.headers['x-webhook-timestamp']);
+            const body = JSON.parse(req.body);
+            const passed = result.delivered && deliveries[0].status === 'delivered' && deliveries[0].attempts === 1 &&
+                req.headers['x-webhook-signature'] === expected && req.headers['x-webhook-id'] === '1' &&
+                req.headers['x-webhook-event'] === 'escalation.created' &&
+                body.event === 'escalation.created' && body.data.conversation_id === 'conv-1' &&
+                !req.body.includes('message');
+            recordTest('B2', 'Signed delivery marked delivered', passed, req.body);
+        }
+
+        // B3: Ticket channel → 503 is retried, then delivered on the next attempt
+        {
+            await HumanHandoffService.createTicket(safePayload, HOSPITAL);
+            const id = deliveries[1].id;
+            responses.push(503);
+            let retried = false;
+            try {
+                await WebhookDeliveryService.attemptDelivery(id, 'test_hospital', { attempt: 1, maxAttempts: 6 });
+            } catch (err) {
+                retried = err.name !== 'UnrecoverableError' && deliveries[1].status === 'retrying' &&
+                    deliveries[1].last_status_code === 503;
+            }
+            const second = await WebhookDeliveryService.attemptDelivery(id, 'test_hospital', { attempt: 2, maxAttempts: 6 });
+            const passed = deliveries[1].event_type === 'escalation.ticket' && retried && second.delivered &&
+                deliveries[1].attempts === 2 && received[2].headers['x-webhook-id'] === String(id);
+            recordTest('B3', 'Server error retried with same delivery ID', passed);
+        }
+
+        // B4: Last attempt failing dead-letters the delivery (audited)
+        {
+            await WebhookDeliveryService.enqueue('test_hospital', { event: 'escalation.created', targetUrl: hookUrl, payload: safePayload });
+            const d = deliveries[2];
+            responses.push(500);
+            let error = null;
+            try {
+                await WebhookDeliveryService.attemptDelivery(d.id, 'test_hospital', { attempt: 6, maxAttempts: 6 });
+            } catch (err) {
+                error = err;
+            }
+            const passed = error?.name === 'UnrecoverableError' && d.status === 'dead_letter' &&
+                audits.some(a => a.action === 'WEBHOOK_DEAD_LETTERED' && a.entityId === d.id);
+            recordTest('B4', 'Exhausted retries dead-lettered', passed, d.status);
+        }
+
+        // B5: Client errors (e.g. 404) are not retried
+        {
+            await WebhookDeliveryService.enqueue('test_hospital', { event: 'escalation.created', targetUrl: hookUrl, payload: safePayload });
+            const d = deliveries[3];
+            responses.push(404);
+            let error = null;
+            try {
+                await WebhookDeliveryService.attemptDelivery(d.id, 'test_hospital', { attempt: 1, maxAttempts: 6 });
+            } catch (err) {
+                error = err;
+            }
+            recordTest('B5', '4xx dead-lettered without retry', error?.name === 'UnrecoverableError' &&
+                d.status === 'dead_letter' && d.attempts === 1 && d.last_status_code === 404);
+        }
+
+        // B6: Never sent unsigned; other hospitals' deliveries not found
+        {
+            await WebhookDeliveryService.enqueue('test_hospital', { event: 'escalation.created', targetUrl: hookUrl, payload: safePayload });
+            const d = deliveries[4];
+            const before = received.length;
+            delete process.env.WEBHOOK_SIGNING_SECRET;
+            let unsigned = null;
+            try {
+                await WebhookDeliveryService.attemptDelivery(d.id, 'test_hospital');
+            } catch (err) {
+                unsigned = err;
+            }
+            process.env.WEBHOOK_SIGNING_SECRET = 'test-signing-secret';
+
+            let crossTenant = null;
+            try {
+                await WebhookDeliveryService.attemptDelivery(1, 'other_hospital');
+            } catch (err) {
+                crossTenant = err;
+            }
+
+            const invalid = await WebhookDeliveryService.enqueue('test_hospital', { event: 'escalation.created', targetUrl: 'ftp://x', payload: {} });
+            const passed = unsigned?.name === 'UnrecoverableError' && d.status === 'dead_letter' && d.attempts === 0 &&
+                received.length === before && crossTenant?.name === 'UnrecoverableError' &&
+                !invalid.success && invalid.code === 'VALIDATION';
+            recordTest('B6', 'No secret / other hospital / bad URL rejected', passed);
+        }
+
+        // ============================================================
+        // TEST GROUP C: ADMIN
+        // ============================================================
+
+        console.log("\n━━━ Test Group C: Admin ━━━");
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.hospitalId = 'test_hospital';
+            req.session = { receptionUser: { id: 1, username: 'admin1', role: 'admin', hospitalId: 'test_hospital' } };
+            next();
+        });
+        app.use('/api/admin', adminRouter);
+        const server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        const base = `http://localhost:${server.address().port}/api/admin`;
+
+        try {
+            // C1: Delivery log filtered by status
+            {
+                const res = await fetch(`${base}/webhook-deliveries?status=dead_letter`);
+                const body = await res.json();
+                const bad = await fetch(`${base}/webhook-deliveries?status=lost`);
+                const passed = res.status === 200 && body.deliveries.length === 3 &&
+                    body.deliveries.every(d => d.status === 'dead_letter') && bad.status === 400;
+                recordTest('C1', 'Dead letters listed per hospital', passed, JSON.stringify(body).substring(0, 200));
+            }
+
+            // C2: Redelivery re-queues a dead letter under the same delivery ID
+            {
+                const id = deliveries[3].id;
+                const jobCount = jobs.length;
+                const res = await fetch(`${base}/webhook-deliveries/${id}/redeliver`, { method: 'POST' });
+                const again = await fetch(`${base}/webhook-deliveries/${deliveries[0].id}/redeliver`, { method: 'POST' });
+                const missing = await fetch(`${base}/webhook-deliveries/999/redeliver`, { method: 'POST' });
+                const job = jobs[jobCount];
+                const passed = res.status === 200 && deliveries[3].status === 'pending' &&
+                    job && job.data.deliveryId === id && job.opts.jobId !== `webhook-${id}` &&
+                    audits.some(a => a.action === 'WEBHOOK_REDELIVERED') &&
+                    again.status === 409 && missing.status === 404;
+                recordTest('C2', 'Dead letter redelivered', passed);
+            }
+        } finally {
+            server.close();
+        }
+    } finally {
+        receiverServer.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - Webhook Delivery Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
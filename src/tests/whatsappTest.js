@@ -0,0 +1,390 @@
+/**
+ * WhatsApp Channel - Test Suite
+ *
+ * Runs against the fake WhatsApp Cloud API (scripts/fakeWhatsAppServer.js).
+ *
+ * Tests:
+ * A. Provider & formatting - webhook parsing, signatures, reply text, Arabic consent
+ * B. Conversation - language → consent → chat over WhatsApp, state keyed by phone,
+ *    cross-process turn lock (never bypassed), per-sender throttling
+ * C. Escalation webhook - whatsapp_webhook channel queues the PHI-safe payload
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+// Required by encryption util
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef';
+
+// ============================================================
+// TEST UTILITIES
+// ============================================================
+
+let results = [];
+
+function recordTest(id, name, passed, details = '') {
+    results.push({ id, name, passed, details });
+    const status = passed ? '✅' : '❌';
+    console.log(`${status} ${id} - ${name}`);
+    if (!passed && details) console.log(`   Details: ${details}`);
+}
+
+console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     WhatsApp Channel - Test Suite                         ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+// ============================================================
+// MOCKS (must be installed before services are loaded)
+// ============================================================
+
+const productionDb = require('../config/productionDb');
+
+const mockDb = {
+    query: async () => [],
+    get: async () => null,
+    execute: async () => ({ rows: [], rowCount: 0 })
+};
+productionDb.initializeDatabase = async () => mockDb;
+
+const APP_SECRET = 'test-app-secret';
+process.env.WHATSAPP_APP_SECRET = APP_SECRET;
+process.env.WHATSAPP_ACCESS_TOKEN = 'test-access-token';
+process.env.WHATSAPP_VERIFY_TOKEN = 'test-verify-token';
+
+const redisClient = require('../config/redis');
+const aiService = require('../services/aiService');
+const WhatsAppService = require('../services/whatsappService');
+const WhatsAppCloudProvider = require('../providers/WhatsAppCloudProvider');
+const { resetWhatsAppProvider } = require('../providers/WhatsAppCloudProvider');
+const HumanHandoffService = require('../services/humanHandoffService');
+const checkConsent = require('../middleware/consentEnforcement');
+const whatsappRouter = require('../routes/whatsappRouter');
+const { startFakeWhatsAppServer } = require('../../scripts/fakeWhatsAppServer');
+
+// Capture what reaches the AI
+const aiInputs = [];
+aiService.generateResponse = async (safeInput) => {
+    aiInputs.push(safeInput);
+    return { reply: 'We have **Dental** appointments available tomorrow.' };
+};
+
+const PHONE_NUMBER_ID = '1234567890';
+const HOSPITAL = {
+    id: 'test_hospital',
+    name: 'Test Hospital',
+    departments: ['Dental'],
+    whatsapp_config: { phone_number_id: PHONE_NUMBER_ID }
+};
+
+// ============================================================
+// TEST GROUP A: PROVIDER & FORMATTING
+// ============================================================
+
+console.log("\n━━━ Test Group A: Provider & Formatting ━━━");
+
+const provider = new WhatsAppCloudProvider();
+
+// A1: Text and button messages extracted, delivery statuses ignored
+{
+    const payload = {
+        object: 'whatsapp_business_account',
+        entry: [{
+            changes: [{
+                value: {
+                    metadata: { phone_number_id: PHONE_NUMBER_ID },
+                    messages: [
+                        { from: '966501234567', id: 'm1', type: 'text', text: { body: 'Hello' } },
+                        { from: '966501234567', id: 'm2', type: 'interactive', interactive: { button_reply: { title: 'Yes' } } },
+                        { from: '966501234567', id: 'm3', type: 'image', image: { id: 'img' } }
+                    ]
+                }
+            }, {
+                value: { statuses: [{ id: 'm0', status: 'delivered' }] }
+            }]
+        }]
+    };
+    const messages = provider.parseWebhook(payload);
+    const passed = messages.length === 2 && messages[0].text === 'Hello' && messages[1].text === 'Yes' &&
+        messages[0].phoneNumberId === PHONE_NUMBER_ID &&
+        provider.parseWebhook({ object: 'page', entry: [] }).length === 0;
+    recordTest('A1', 'Webhook messages parsed', passed, JSON.stringify(messages));
+}
+
+// A2: X-Hub-Signature-256 over the raw body
+{
+    const body = Buffer.from('{"object":"whatsapp_business_account"}');
+    const signature = 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex');
+    const unconfigured = Object.assign(new WhatsAppCloudProvider(), { appSecret: null });
+
+    const passed = provider.verifySignature(body, signature) &&
+        !provider.verifySignature(Buffer.from('{"object":"tampered"}'), signature) &&
+        !provider.verifySignature(body, undefined) &&
+        !unconfigured.verifySignature(body, signature);
+    recordTest('A2', 'Webhook signature verified', passed);
+}
+
+// A3: Web buttons become text prompts, **bold** becomes *bold*
+{
+    const language = WhatsAppService.formatReply({ reply: 'Welcome', needsLanguage: true });
+    const consent = WhatsAppService.formatReply({ reply: '**IMPORTANT**', needsConsent: true });
+    const passed = language.includes('Reply *English*, *العربية* or *Arabizi*') &&
+        consent.startsWith('*IMPORTANT*') && consent.includes('Reply *YES*') &&
+        WhatsAppService.formatReply({ reply: 'x'.repeat(5000) }).length === 4096;
+    recordTest('A3', 'Replies formatted for WhatsApp', passed, consent);
+}
+
+// A4: Arabic agreement grants consent (no buttons on WhatsApp)
+{
+    const session = { preferredLanguage: 'Arabic', consentGiven: false };
+    let body = null;
+    checkConsent(
+        { body: { message: 'نعم' }, hospitalSession: session, hospitalId: 'test_hospital', hospital: HOSPITAL },
+        { locals: {}, json: (b) => { body = b; } },
+        () => {}
+    );
+    recordTest('A4', 'Arabic "نعم" grants consent', session.consentGiven === true && body && !body.needsConsent);
+}
+
+async function runRuntimeTests() {
+    // ============================================================
+    // TEST GROUP B: CONVERSATION
+    // ============================================================
+
+    console.log("\n━━━ Test Group B: Conversation ━━━");
+
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use((req, res, next) => {
+        req.hospitalId = 'test_hospital';
+        req.hospital = HOSPITAL;
+        next();
+    });
+    app.use('/whatsapp', whatsappRouter);
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const webhookUrl = `http://localhost:${server.address().port}/whatsapp/webhook`;
+
+    const fake = await startFakeWhatsAppServer({ target: webhookUrl, appSecret: APP_SECRET });
+    process.env.WHATSAPP_API_BASE_URL = fake.baseUrl;
+    resetWhatsAppProvider();
+
+    const PATIENT = '966501234567';
+    const send = (text, options = {}) => fake.sendInbound({ from: PATIENT, text, phoneNumberId: PHONE_NUMBER_ID, ...options });
+    const reply = async (index) => (await fake.waitForMessages(index + 1))[index];
+
+    try {
+        // B1: Subscription handshake
+        {
+            const ok = await fetch(`${webhookUrl}?hub.mode=subscribe&hub.verify_token=test-verify-token&hub.challenge=12345`);
+            const bad = await fetch(`${webhookUrl}?hub.mode=subscribe&hub.verify_token=wrong&hub.challenge=12345`);
+            const passed = ok.status === 200 && await ok.text() === '12345' && bad.status === 403;
+            recordTest('B1', 'Webhook verification handshake', passed);
+        }
+
+        // B2: Wrongly signed webhook rejected, nothing sent
+        {
+            const res = await send('Hello', { secret: 'not-the-secret' });
+            await new Promise(resolve => setTimeout(resolve, 100));
+            recordTest('B2', 'Unsigned webhook rejected', res.status === 403 && fake.sent.length === 0);
+        }
+
+        // B3: First message asks for a language, sent back via the Cloud API
+        {
+            const res = await send('Hello');
+            const msg = await reply(0);
+            const passed = res.status === 200 && msg.to === PATIENT && msg.phoneNumberId === PHONE_NUMBER_ID &&
+                msg.payload.messaging_product === 'whatsapp' && msg.payload.type === 'text' &&
+                msg.text.includes('Please select your preferred language') && msg.text.includes('Reply *English*');
+            recordTest('B3', 'Language prompt sent to the patient', passed, msg.text);
+        }
+
+        // B4: Language → consent → welcome, state carried between webhooks by phone
+        {
+            await send('English');
+            const disclaimer = await reply(1);
+            await send('yes');
+            const welcome = await reply(2);
+            const passed = disclaimer.text.includes('*IMPORTANT DISCLAIMER*') && disclaimer.text.includes('Reply *YES*') &&
+                welcome.text.includes('Test Hospital AI Receptionist');
+            recordTest('B4', 'Language and consent over WhatsApp', passed, `${disclaimer.text} | ${welcome.text}`);
+        }
+
+        // B5: Chat turn runs the pipeline; AI sees no phone, sender number kept as contact
+        {
+            await send('I need a dentist, my number is 0501234567');
+            const msg = await reply(3);
+            const session = JSON.parse(await redisClient.get(WhatsAppService.sessionKey('test_hospital', PATIENT)));
+            const passed = msg.text === 'We have *Dental* appointments available tomorrow.' &&
+                aiInputs.length === 1 && !JSON.stringify(aiInputs[0]).includes('0501234567') &&
+                session.contact.phone === '0501234567' && session.preferredLanguage === 'English' &&
+                session.history.length === 2;
+            recordTest('B5', 'Chat turn through the shared pipeline', passed, msg.text);
+        }
+
+        // B6: Emergency handled by triage without the AI
+        {
+            await send('My father has chest pain and is unconscious');
+            const msg = await reply(4);
+            const passed = /997|emergency/i.test(msg.text) && aiInputs.length === 1;
+            recordTest('B6', 'Emergency triaged without AI', passed, msg.text);
+        }
+
+        // B7: Redelivered message handled once
+        {
+            const id = 'wamid.duplicate-1';
+            await send('What are your hours?', { id });
+            await reply(5);
+            await send('What are your hours?', { id });
+            await new Promise(resolve => setTimeout(resolve, 200));
+            recordTest('B7', 'Duplicate delivery ignored', fake.sent.length === 6 && aiInputs.length === 2);
+        }
+
+        // B8: Another number has its own conversation; another hospital number is ignored
+        {
+            await fake.sendInbound({ from: '966509999999', text: 'Hello', phoneNumberId: '999' });
+            await fake.sendInbound({ from: '966509999999', text: 'Hello', phoneNumberId: PHONE_NUMBER_ID });
+            const msg = await reply(6);
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const passed = msg.to === '966509999999' && msg.text.includes('Please select your preferred language') &&
+                fake.sent.length === 7;
+            recordTest('B8', 'Conversation state keyed by phone', passed);
+        }
+
+        // B9: A turn waits while another process holds the sender's session lock
+        {
+            const from = '966507777777';
+            const key = WhatsAppService.sessionKey('test_hospital', from);
+            await redisClient.set(WhatsAppService.turnLockKey(key), 'other-worker', 'NX', 'PX', 60000);
+
+            let done = false;
+            const turn = WhatsAppService.handleInbound('test_hospital', HOSPITAL, { from, text: 'Hello' })
+                .then(result => { done = true; return result; });
+            await new Promise(resolve => setTimeout(resolve, 300));
+            const waited = !done && fake.sent.length === 7;
+
+            await redisClient.del(WhatsAppService.turnLockKey(key));
+            const result = await turn;
+            const passed = waited && result.reply && fake.sent.length === 8 &&
+                await redisClient.get(WhatsAppService.turnLockKey(key)) === null;
+            recordTest('B9', 'Turn serialized by the session lock across processes', passed, JSON.stringify(result));
+        }
+
+        // B10: Throttling is per sender (phone hash), not per IP
+        {
+            const from = '966508888888';
+            const key = WhatsAppService.sessionKey('test_hospital', from);
+            const now = Date.now();
+            await WhatsAppService.saveSession(key, {
+                history: [], preferredLanguage: 'English', consentGiven: true,
+                _abuseState: { timestamps: Array(5).fill(now), messageHashes: [], warningCount: 2, softBlockUntil: null, lastRequestTime: now - 1000 }
+            });
+
+            const aiCalls = aiInputs.length;
+            const throttled = await WhatsAppService.handleInbound('test_hospital', HOSPITAL, { from, text: 'Hello again' });
+            const other = await WhatsAppService.handleInbound('test_hospital', HOSPITAL, { from: PATIENT, text: 'Thanks' });
+            const session = JSON.parse(await redisClient.get(key));
+            const passed = throttled.completedBy === 'abuseProtection' && /too quickly/.test(throttled.reply) &&
+                session._abuseState.softBlockUntil > now && other.completedBy !== 'abuseProtection' &&
+                aiInputs.length === aiCalls + 1;
+            recordTest('B10', 'Sender throttled by the abuse layer', passed, JSON.stringify({ throttled, other }));
+        }
+
+        // B11: Lock wait timed out → turn not run, patient asked to resend
+        {
+            const from = '966506666666';
+            const key = WhatsAppService.sessionKey('test_hospital', from);
+            const acquire = WhatsAppService.acquireTurnLock;
+            WhatsAppService.acquireTurnLock = async () => null;
+            const aiCalls = aiInputs.length;
+            const sentBefore = fake.sent.length;
+            let result;
+            try {
+                result = await WhatsAppService.handleInbound('test_hospital', HOSPITAL, { from, text: 'Hello' });
+            } finally {
+                WhatsAppService.acquireTurnLock = acquire;
+            }
+            const msg = await reply(sentBefore);
+            const passed = result.reply === null && result.completedBy === 'lock_timeout' &&
+                await redisClient.get(key) === null && aiInputs.length === aiCalls &&
+                msg.to === from && /send this one again/.test(msg.text);
+            recordTest('B11', 'Turn not run without the session lock', passed, JSON.stringify(result));
+        }
+
+        // ============================================================
+        // TEST GROUP C: ESCALATION WEBHOOK
+        // ============================================================
+
+        console.log("\n━━━ Test Group C: Escalation Webhook ━━━");
+
+        // C1: whatsapp_webhook channel queues the PHI-safe payload for delivery
+        {
+            const inserts = [];
+            const jobs = [];
+            const execute = mockDb.execute;
+            const { webhookQueue } = require('../config/queue');
+            const add = webhookQueue.add;
+            mockDb.execute = async (sql, params) => {
+                if (!sql.includes('INSERT INTO webhook_deliveries')) return execute(sql, params);
+                inserts.push(params);
+                return { rows: [{ id: 41, hospital_id: params[0], event_type: params[1], status: 'pending' }], rowCount: 1 };
+            };
+            webhookQueue.add = async (name, data, opts) => { jobs.push({ name, data, opts }); };
+
+            const hookUrl = 'https://hooks.example.test/escalations';
+            try {
+                await HumanHandoffService.sendWebhookNotification(
+                    { conversation_id: 'wa-abc', hospital_id: 'test_hospital', reason: 'user_requested' },
+                    hookUrl
+                );
+                // Invalid or missing URL is logged, not thrown or queued
+                await HumanHandoffService.sendWebhookNotification({ conversation_id: 'wa-abc', hospital_id: 'test_hospital' }, 'ftp://x');
+                await HumanHandoffService.sendWebhookNotification({ conversation_id: 'wa-abc', hospital_id: 'test_hospital' }, null);
+            } finally {
+                mockDb.execute = execute;
+                webhookQueue.add = add;
+            }
+
+            const [hospitalId, event, url, payload] = inserts[0] || [];
+            const passed = inserts.length === 1 && jobs.length === 1 &&
+                hospitalId === 'test_hospital' && event === 'escalation.created' && url === hookUrl &&
+                JSON.parse(payload).conversation_id === 'wa-abc' &&
+                jobs[0].name === 'webhook-delivery' && jobs[0].opts.jobId === 'webhook-41' &&
+                JSON.stringify(jobs[0].data) === JSON.stringify({ deliveryId: 41, hospitalId: 'test_hospital' });
+            recordTest('C1', 'Escalation webhook queued for the hospital', passed, JSON.stringify({ inserts, jobs }));
+        }
+    } finally {
+        server.close();
+        await fake.close();
+    }
+}
+
+runRuntimeTests()
+    .catch(err => recordTest('X0', 'Runtime tests completed', false, err.message))
+    .finally(() => {
+        // ============================================================
+        // SUMMARY
+        // ============================================================
+
+        console.log(`
+╔═════════════════════════════════════════╗
+║             TEST SUMMARY                ║
+╚═════════════════════════════════════════╝`);
+
+        const passed = results.filter(r => r.passed).length;
+        const failed = results.filter(r => !r.passed).length;
+
+        console.log(`Total: ${results.length}`);
+        console.log(`Passed: ${passed}`);
+        console.log(`Failed: ${failed}`);
+
+        if (failed === 0) {
+            console.log("\n🎉 ALL TESTS PASSED - WhatsApp Channel Complete!\n");
+            process.exit(0);
+        } else {
+            console.log("\n⚠️ Some tests failed. Review output above.\n");
+            process.exit(1);
+        }
+    });
@@ -10,6 +10,7 @@ const { logger } = require('../config/logger');
  * - All secrets must be set (no fallbacks)
  * - ENCRYPTION_KEY must be 32+ chars
  * - DATABASE_URL or PG_HOST required in production
+ * - AI provider credentials for the selected AI_PROVIDER only
  */
 
 const isProduction = process.env.NODE_ENV === 'production';
@@ -25,8 +26,7 @@ const validateEnv = () => {
     const requiredVars = [
         'SESSION_SECRET',
         'ENCRYPTION_KEY',
-        'ADMIN_SECRET',
-        'OPENROUTER_API_KEY'
+        'ADMIN_SECRET'
     ];
 
     for (const key of requiredVars) {
@@ -35,6 +35,27 @@ const validateEnv = () => {
         }
     }
 
+    // ========================================
+    // AI PROVIDER (local and scripted need no API key)
+    // ========================================
+
+    // Default chain (see providers/providerFactory): the primary provider needs its key
+    const aiChain = (process.env.AI_PROVIDER_CHAIN || process.env.AI_PROVIDER || 'openrouter')
+        .split(',').map(name => name.toLowerCase().trim()).filter(Boolean);
+
+    if (aiChain[0] === 'openrouter' && !process.env.OPENROUTER_API_KEY) {
+        errors.push('Missing required: OPENROUTER_API_KEY');
+    }
+
+    if (aiChain.includes('scripted')) {
+        if (isProduction) {
+            errors.push('AI_PROVIDER=scripted is for tests only (not allowed in production)');
+        }
+        if (!process.env.AI_SCRIPT_FILE) {
+            errors.push('Missing required: AI_SCRIPT_FILE (AI_PROVIDER=scripted)');
+        }
+    }
+
     // ========================================
     // SECRET STRENGTH VALIDATION
     // ========================================
@@ -6,6 +6,7 @@
  * 
  * Resources managed:
  * - HTTP server
+ * - Realtime (SSE) streams
  * - Redis connections
  * - Database pool
  * - BullMQ workers
@@ -16,6 +17,7 @@ const { logger, auditLogger } = require('../config/logger');
 // Track resources to close
 let resources = {
     server: null,
+    realtime: null,
     redis: null,
     database: null,
     workers: []
@@ -28,12 +30,14 @@ let isShuttingDown = false;
  * 
  * @param {Object} opts - Resources to track
  * @param {Object} opts.server - HTTP server instance
+ * @param {Object} opts.realtime - RealtimeService (open SSE streams)
  * @param {Object} opts.redis - Redis client
  * @param {Object} opts.database - Database adapter
  * @param {Array} opts.workers - BullMQ workers
  */
 function registerResources(opts) {
     if (opts.server) resources.server = opts.server;
+    if (opts.realtime) resources.realtime = opts.realtime;
     if (opts.redis) resources.redis = opts.redis;
     if (opts.database) resources.database = opts.database;
     if (opts.workers) resources.workers = opts.workers;
@@ -57,6 +61,11 @@ async function shutdown(signal) {
 
     try {
         // 1. Stop accepting new connections
+        //    (open SSE streams are ended first, server.close waits for them)
+        if (resources.realtime) {
+            await resources.realtime.close();
+            logger.info('  ✅ Realtime streams closed');
+        }
         if (resources.server) {
             await new Promise((resolve) => {
                 resources.server.close(() => {
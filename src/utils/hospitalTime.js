@@ -0,0 +1,207 @@
+/**
+ * Hospital Time Utilities
+ *
+ * All scheduling is done in the hospital's timezone (hospitals.timezone),
+ * never in the server's. A server running in UTC must not shift a Riyadh
+ * clinic's 09:00 slot to 06:00 or decide "today" three hours late.
+ *
+ * STORAGE: appointments.appointment_time is a TIMESTAMP (no zone) holding
+ * the hospital's wall-clock time ("2030-01-06 09:00" = 09:00 at the hospital).
+ * Compare it against getZonedParts(...).timestamp, not NOW().
+ *
+ * Timezone lookup: hospitals table → hospital JSON config → DEFAULT_TIMEZONE.
+ */
+
+const { initializeDatabase } = require('../config/productionDb');
+const { getHospitalConfig } = require('../config/hospitalConfig');
+const { logger } = require('../config/logger');
+
+const DEFAULT_TIMEZONE = 'Asia/Riyadh';
+const TIMEZONE_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const timezoneCache = new Map(); // hospitalId -> { timezone, expiresAt }
+const formatters = new Map();    // timezone -> Intl.DateTimeFormat
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+/**
+ * Check that a timezone is a valid IANA name (e.g. "Asia/Riyadh").
+ *
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Return the timezone if valid, otherwise the default.
+ *
+ * @param {string} timezone - Timezone name (may be empty)
+ * @returns {string} Valid IANA timezone
+ */
+function resolveTimezone(timezone) {
+    return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock date/time of an instant in a timezone.
+ *
+ * @param {Date} date - Instant (default: now)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', minutes, dayOfWeek, timestamp: 'YYYY-MM-DD HH:MM:SS' }
+ */
+function getZonedParts(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    for (const { type, value } of getFormatter(resolveTimezone(timezone)).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    const time = `${parts.hour}:${parts.minute}`;
+
+    return {
+        date: day,
+        time,
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+        dayOfWeek: WEEKDAYS[parts.weekday],
+        timestamp: `${day} ${time}:${parts.second}`
+    };
+}
+
+/**
+ * Add days to a calendar date.
+ *
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+/**
+ * Today's date at the hospital.
+ *
+ * @param {string} timezone - IANA timezone
+ * @param {number} offsetDays - Days from today (default 0)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function todayInTimezone(timezone, offsetDays = 0) {
+    return addDays(getZonedParts(new Date(), timezone).date, offsetDays);
+}
+
+/**
+ * Day of week of a calendar date (0=Sunday). Independent of any timezone.
+ *
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {number} Day of week
+ */
+function dayOfWeekForDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Convert a hospital wall-clock time to the real instant (for delays/timers).
+ *
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} timeStr - Time (HH:MM or HH:MM:SS)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dateStr, timeStr, timezone) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const [hh, mm, ss = 0] = timeStr.split(':').map(Number);
+    const wallAsUtc = Date.UTC(y, m - 1, d, hh, mm, ss);
+
+    // Offset at the guessed instant; repeat once in case a DST change lies in between
+    let instant = wallAsUtc;
+    for (let i = 0; i < 2; i++) {
+        const p = getZonedParts(new Date(instant), timezone);
+        const [py, pm, pd] = p.date.split('-').map(Number);
+        const [ph, pmin, ps] = p.timestamp.split(' ')[1].split(':').map(Number);
+        const offset = Date.UTC(py, pm - 1, pd, ph, pmin, ps) - instant;
+        instant = wallAsUtc - offset;
+    }
+
+    return new Date(instant);
+}
+
+/**
+ * Get a hospital's timezone (cached).
+ *
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Promise<string>} IANA timezone
+ */
+async function getHospitalTimezone(hospitalId) {
+    const cached = timezoneCache.get(hospitalId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.timezone;
+    }
+
+    let timezone = null;
+
+    try {
+        const db = await initializeDatabase();
+        const row = await db.get('SELECT timezone FROM hospitals WHERE hospital_id = $1', [hospitalId]);
+        timezone = row?.timezone;
+    } catch (err) {
+        logger.warn(`HospitalTime: Timezone lookup failed for ${hospitalId}, using config`, err.message);
+    }
+
+    if (!isValidTimezone(timezone)) {
+        timezone = resolveTimezone(getHospitalConfig(hospitalId)?.timezone);
+    }
+
+    timezoneCache.set(hospitalId, { timezone, expiresAt: Date.now() + TIMEZONE_CACHE_TTL_MS });
+    return timezone;
+}
+
+/**
+ * Drop cached timezones (e.g. after a hospital's timezone is changed).
+ *
+ * @param {string} hospitalId - Hospital ID (omit to clear all)
+ */
+function clearTimezoneCache(hospitalId = null) {
+    if (hospitalId) {
+        timezoneCache.delete(hospitalId);
+    } else {
+        timezoneCache.clear();
+    }
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    resolveTimezone,
+    getZonedParts,
+    addDays,
+    todayInTimezone,
+    dayOfWeekForDate,
+    zonedTimeToUtc,
+    getHospitalTimezone,
+    clearTimezoneCache
+};
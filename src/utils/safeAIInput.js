@@ -90,6 +90,35 @@ function getSafeAIInput(req) {
     return new SafeAIInput(message, history, context, language);
 }
 
+/**
+ * Build safe AI input from a hospital-scoped session.
+ * 
+ * Used by the conversation pipeline, which is not always driven by an
+ * Express request. The same rule applies: ONLY the redacted message is accepted.
+ * 
+ * @param {string} message - REDACTED user message
+ * @param {Object} hospitalSession - Hospital-scoped session (redacted history)
+ * @param {Object} context - Context data (slots, hours, etc.)
+ * @returns {SafeAIInput} - Safe, validated input for AI
+ * @throws {Error} If message or session is missing
+ */
+function buildSafeAIInput(message, hospitalSession, context = {}) {
+    if (!message || typeof message !== 'string') {
+        throw new Error('SafeAIInput: Message is required');
+    }
+
+    if (!hospitalSession) {
+        throw new Error('SafeAIInput: Session is required');
+    }
+
+    const history = hospitalSession.history || [];
+    const language = hospitalSession.preferredLanguage || 'English';
+
+    logger.info('SafeAIInput: Created safe input container');
+
+    return new SafeAIInput(message, history, context, language);
+}
+
 /**
  * Validate that input is a SafeAIInput instance.
  * AIService should call this to ensure it only receives validated input.
@@ -111,6 +140,7 @@ function validateSafeInput(input) {
 
 module.exports = {
     getSafeAIInput,
+    buildSafeAIInput,
     validateSafeInput,
     SafeAIInput
 };
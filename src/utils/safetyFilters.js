@@ -57,6 +57,93 @@ class SafetyFilter {
 
         return cleanText;
     }
+
+    /**
+     * Redact drug names (no logging: used on streamed fragments, the final
+     * reply still goes through scanAndSanitize).
+     * @param {string} text
+     * @returns {string}
+     */
+    static redactDrugs(text) {
+        return DRUG_LIST.reduce(
+            (result, drug) => result.replace(new RegExp(`\\b${drug}\\b`, 'gi'), '[MEDICAL_ADVICE_REDACTED]'),
+            text
+        );
+    }
+
+    /**
+     * Whether text matches a treatment-advice pattern.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    static hasAdvice(text) {
+        return ADVICE_PATTERNS.some(pattern => pattern.test(text));
+    }
+}
+
+// Sentence end: . ! ? ؟ followed by whitespace (not after a title like "Dr."), or a line break
+const SENTENCE_END = /(?<!\b(?:Dr|Mr|Mrs|Ms|Prof))[.!?؟]+(?=\s)|\n/gi;
+
+/**
+ * Incremental SafetyFilter for streamed replies.
+ *
+ * Text is held back until its sentence is complete, then released with drug
+ * names redacted. Once a sentence looks like treatment advice nothing more
+ * is released; the final reply (scanAndSanitize on the whole text) then
+ * replaces the partial one on the client, as it does in every case.
+ */
+class StreamingSafetyFilter {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Discard held-back text (e.g. the provider failed mid-stream).
+     */
+    reset() {
+        this.pending = '';
+        this.blocked = false;
+    }
+
+    /**
+     * @param {string} chunk - Streamed text
+     * @returns {string} Text that is safe to show now (may be empty)
+     */
+    push(chunk) {
+        if (this.blocked) return '';
+        this.pending += chunk;
+
+        let end = 0;
+        for (const match of this.pending.matchAll(SENTENCE_END)) {
+            end = match.index + match[0].length;
+        }
+        if (end === 0) return '';
+
+        const complete = this.pending.slice(0, end);
+        this.pending = this.pending.slice(end);
+        return this.release(complete);
+    }
+
+    /**
+     * @returns {string} Remaining text (end of the reply)
+     */
+    flush() {
+        const rest = this.pending;
+        this.pending = '';
+        return this.blocked ? '' : this.release(rest);
+    }
+
+    release(text) {
+        if (!text) return '';
+        if (SafetyFilter.hasAdvice(text)) {
+            logger.warn('SAFETY: Advice pattern detected in streamed reply, stream held back', { audit: true, type: 'SAFETY_VIOLATION' });
+            this.blocked = true;
+            this.pending = '';
+            return '';
+        }
+        return SafetyFilter.redactDrugs(text);
+    }
 }
 
 module.exports = SafetyFilter;
+module.exports.StreamingSafetyFilter = StreamingSafetyFilter;
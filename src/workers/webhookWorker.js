@@ -0,0 +1,58 @@
+/**
+ * Webhook Worker
+ * 
+ * Processes outbound webhook jobs from the webhookQueue
+ * (escalations to on-call bots / ticketing systems).
+ * 
+ * Each job is one attempt; retries, backoff and dead-lettering are
+ * decided by WebhookDeliveryService.attemptDelivery.
+ * 
+ * PHI SAFETY: Payloads carry IDs only; receiver responses are never logged.
+ */
+
+const { Worker } = require('bullmq');
+const { logger } = require('../config/logger');
+const redisClient = require('../config/redis');
+const WebhookDeliveryService = require('../services/webhookDeliveryService');
+
+/**
+ * Start the webhook worker.
+ * Processes jobs from the 'webhookQueue'.
+ */
+const startWebhookWorker = () => {
+    // Skip if mocking Redis
+    if (redisClient.constructor.name === 'MockRedis') {
+        logger.info('Webhook Worker: Skipped (Mock Redis mode)');
+        return null;
+    }
+
+    const connection = {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD || undefined
+    };
+
+    const worker = new Worker('webhookQueue', async (job) => {
+        const { deliveryId, hospitalId } = job.data;
+
+        return WebhookDeliveryService.attemptDelivery(deliveryId, hospitalId, {
+            attempt: job.attemptsMade + 1,
+            maxAttempts: job.opts.attempts || 1
+        });
+    }, {
+        connection,
+        concurrency: 5
+    });
+
+    worker.on('failed', (job, err) => {
+        logger.warn(`Webhook Worker: Job ${job?.id} attempt failed`, {
+            error: err.message,
+            attempts: job?.attemptsMade
+        });
+    });
+
+    logger.info('Webhook Worker: Started and listening for jobs');
+    return worker;
+};
+
+module.exports = startWebhookWorker;